@@ -26,8 +26,9 @@ class LibraryApp {
             // Wait for DOM to be ready
             await this.waitForDOM();
             
-            // Initialize the main controller
+            // Initialize the main controller and wait for stored books to load
             this.controller = new LibraryController();
+            await this.controller.ready;
             
             // Set up global error handlers
             this.setupErrorHandlers();
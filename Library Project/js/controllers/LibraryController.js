@@ -6,31 +6,140 @@
 class LibraryController {
     constructor() {
         // Initialize models
-        this.library = new Library();
+        this.library = new Library(new StorageManager('library', null, {
+            onBlocked: () => this.notifyStorageBlocked()
+        }));
+        this.blockedNotice = null; // Warning shown while another tab holds the database
         
         // Initialize views
         this.libraryView = new LibraryView();
         this.formView = new FormView();
+        this.sessionView = new ReadingSessionView();
+        this.detailView = new BookDetailView();
+        this.loanView = new LoanView();
+        this.importView = new ImportView();
+        this.shelfView = new ShelfView();
+        this.scanView = new ScanView();
+        this.bulkActionsView = new BulkActionsView();
+        this.goalView = new GoalView();
+        this.analyticsView = new AnalyticsView();
+        this.personView = new PersonView();
+        this.tagView = new TagView();
+        this.sortView = new SortView();
+        this.bookPageView = new BookPageView();
         
         // Initialize utilities
         this.notifications = new NotificationSystem();
+        this.router = new Router();
         
         // Current state
-        this.currentFilter = 'all'; // 'all', 'read', 'unread'
-        this.currentSort = { field: 'title', order: 'asc' };
+        this.currentFilter = 'all'; // 'all', 'read', 'reading', 'unread', 'on-loan', 'overdue'
+        this.currentSort = [...Library.DEFAULT_SORT]; // Sort keys, each { field, order }
         this.currentSearch = '';
+        this.currentQuery = null; // Parsed search query ({ predicate, terms }), null when not searching
+        this.currentShelf = null; // Shelf ID being browsed, null for all books
+        this.currentPerson = null; // Key of the person whose page is open, null for all books
+        this.currentTags = []; // Tags picked in the tag cloud
+        this.currentBookId = null; // Book whose page is open (#/book/<id>), null for the book list
+        this.showWishlist = false; // Whether the book list shows the wishlist instead of the books owned
+        this.tagMode = Library.TAG_MODE.ALL; // Whether books need every picked tag or any of them
+        this.pendingImport = null; // File awaiting confirmation in the import modal
+        this.editingBookId = null; // Book being edited in the form modal, null when adding
+        this.selectedBookIds = new Set(); // Books selected for batch actions
+        this.lastSelectedId = null; // Anchor for shift-click range selection
+        this.showAnalytics = false; // Whether the analytics dashboard is open
+        this.groupBySeries = false; // Whether series are collapsed into stack cards
+        this.expandedSeries = new Set(); // Keys of the series stacks opened up in the series view
         
-        // Initialize the application
-        this.init();
+        // Initialize the application (resolves once stored books are loaded)
+        this.ready = this.init();
     }
     
     /**
      * Initialize the application
+     * @returns {Promise<void>} Resolves once the library is loaded and displayed
      */
-    init() {
+    async init() {
+        // Changes made before the stored library has loaded would be overwritten by it,
+        // so nothing responds until then (the buttons that open modals start disabled)
+        await this.library.ready;
         this.bindEvents();
+        document.querySelectorAll('[data-needs-library]').forEach(button => {
+            button.disabled = false;
+        });
+        if (this.blockedNotice) {
+            this.blockedNotice.hide();
+        }
+        this.notifyStorageFallback();
         this.loadSampleData();
-        this.refreshDisplay();
+        
+        // Show what the address asks for, and follow back/forward from here on
+        this.router.start(route => this.applyRoute(route));
+        this.applyRoute(this.router.getRoute());
+        this.notifyQuarantinedRecords();
+        this.notifyOverdueLoans();
+    }
+    
+    /**
+     * Ask the user to close the tab that still has an older version of the app open
+     */
+    notifyStorageBlocked() {
+        if (this.blockedNotice) return;
+        
+        this.blockedNotice = this.notifications.showWarning(
+            'Your library is open in another tab running an older version of the app. ' +
+            'Close or reload that tab to continue.',
+            0
+        );
+    }
+    
+    /**
+     * Warn when the preferred storage could not be opened and changes are saved elsewhere
+     */
+    notifyStorageFallback() {
+        const error = this.library.storage.fallbackError;
+        if (!error) return;
+        
+        const destination = this.library.storage.adapter instanceof MemoryStorageAdapter
+            ? 'will only be kept until this page is closed'
+            : 'are saved in local storage instead, apart from anything stored there before';
+        this.notifications.showWarning(
+            `Browser storage could not be opened (${error.message}), so changes ${destination}.`,
+            15000
+        );
+    }
+    
+    /**
+     * Warn when stored records could not be loaded and were set aside
+     */
+    notifyQuarantinedRecords() {
+        const count = this.library.lastLoadQuarantined;
+        if (count > 0) {
+            this.notifications.showWarning(
+                `${count} saved record(s) could not be loaded and were set aside. ` +
+                'The rest of your library is unaffected.',
+                10000
+            );
+        }
+    }
+    
+    /**
+     * Remind the user of lent books that are past their due date
+     */
+    notifyOverdueLoans() {
+        const overdue = this.library.getOverdueBooks();
+        if (overdue.length === 0) return;
+        
+        const listed = overdue.slice(0, LibraryController.MAX_REMINDERS_LISTED)
+            .map(book => `"${book.title}" (${book.getCurrentLoan().borrower}, ${LoanView.describeDue(book)})`);
+        const more = overdue.length - listed.length;
+        
+        this.notifications.showWarning(
+            `${overdue.length === 1 ? 'A lent book is' : `${overdue.length} lent books are`} overdue: ` +
+            `${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''}.`,
+            12000,
+            { label: 'Show overdue books', callback: () => this.setFilter('overdue') }
+        );
     }
     
     /**
@@ -40,6 +149,18 @@ class LibraryController {
         this.bindFormEvents();
         this.bindLibraryEvents();
         this.bindModalEvents();
+        this.bindDetailEvents();
+        this.bindLoanEvents();
+        this.bindImportExportEvents();
+        this.bindHistoryEvents();
+        this.bindShelfEvents();
+        this.bindTagEvents();
+        this.bindSortEvents();
+        this.bindScanEvents();
+        this.bindBulkEvents();
+        this.bindGoalEvents();
+        this.bindAnalyticsEvents();
+        this.bindSearchEvents();
         this.bindKeyboardEvents();
     }
     
@@ -58,6 +179,7 @@ class LibraryController {
         const addBookBtn = document.querySelector('[data-bs-target="#newBookModal"]');
         if (addBookBtn) {
             addBookBtn.addEventListener('click', () => {
+                this.startAddBook();
                 this.formView.focusFirstInput();
             });
         }
@@ -67,24 +189,94 @@ class LibraryController {
      * Bind library interaction events
      */
     bindLibraryEvents() {
-        if (this.libraryView.libraryContainer) {
-            // Use event delegation for dynamically created elements
-            this.libraryView.libraryContainer.addEventListener('click', (e) => {
-                const action = e.target.getAttribute('data-action');
-                const bookId = e.target.getAttribute('data-book-id');
-                
-                if (!action || !bookId) return;
-                
-                switch (action) {
-                    case 'toggle-read':
-                        this.handleToggleReadStatus(bookId);
-                        break;
-                    case 'remove':
-                        this.handleRemoveBook(bookId);
-                        break;
-                }
+        // Use event delegation for dynamically created elements; the book page
+        // has the same buttons as the cards
+        [this.libraryView.libraryContainer, this.bookPageView.contentElement].forEach(container => {
+            if (container) {
+                container.addEventListener('click', (e) => this.handleBookAction(e));
+            }
+        });
+        
+        if (this.sessionView.formElement) {
+            this.sessionView.formElement.addEventListener('submit', (e) => {
+                this.handleSessionSubmit(e);
             });
         }
+        
+        if (this.personView.closeButton) {
+            this.personView.closeButton.addEventListener('click', () => this.setPerson(null));
+        }
+        
+        if (this.libraryView.seriesViewButton) {
+            this.libraryView.seriesViewButton.addEventListener('click', () => this.setGroupBySeries(!this.groupBySeries));
+        }
+        
+        if (this.libraryView.wishlistButton) {
+            this.libraryView.wishlistButton.addEventListener('click', () => this.setWishlistView(!this.showWishlist));
+        }
+    }
+    
+    /**
+     * Handle a click on a book card or the book page
+     * @param {MouseEvent} e - Click event
+     */
+    handleBookAction(e) {
+        // Clicks on a button's icon should still trigger the button's action
+        const actionElement = e.target.closest('[data-action]');
+        if (!actionElement) return;
+        
+        const action = actionElement.getAttribute('data-action');
+        const bookId = actionElement.getAttribute('data-book-id');
+        
+        if (action === 'toggle-series') {
+            this.handleToggleSeriesStack(actionElement.getAttribute('data-series-key'));
+            return;
+        }
+        
+        // People and tags are shown as lists of books, so these leave the book page
+        if (action === 'show-person') {
+            this.closeBookPage();
+            this.setPerson(actionElement.getAttribute('data-person-key'));
+            return;
+        }
+        
+        if (action === 'filter-tag') {
+            this.closeBookPage();
+            this.toggleTag(actionElement.getAttribute('data-tag'));
+            return;
+        }
+        
+        if (!action || !bookId) return;
+        
+        switch (action) {
+            case 'select':
+                this.handleSelectBook(bookId, e.shiftKey);
+                break;
+            case 'toggle-shelf':
+                this.handleToggleBookShelf(bookId, actionElement.getAttribute('data-shelf-id'));
+                break;
+            case 'toggle-read':
+                this.handleToggleReadStatus(bookId);
+                break;
+            case 'log-session':
+                this.handleOpenSessionForm(bookId);
+                break;
+            case 'loan':
+                this.handleOpenLoan(bookId);
+                break;
+            case 'acquire':
+                this.handleAcquireBook(bookId);
+                break;
+            case 'details':
+                this.handleOpenDetails(bookId);
+                break;
+            case 'edit':
+                this.handleEditBook(bookId);
+                break;
+            case 'remove':
+                this.handleRemoveBook(bookId);
+                break;
+        }
     }
     
     /**
@@ -95,6 +287,14 @@ class LibraryController {
             // Reset form when modal is hidden
             this.formView.modalElement.addEventListener('hidden.bs.modal', () => {
                 this.formView.resetForm();
+                this.startAddBook();
+            });
+            
+            // Suggest the series already in the library
+            this.formView.modalElement.addEventListener('show.bs.modal', () => {
+                this.formView.setSeriesOptions(this.library.getSeries().map(series => series.name));
+                this.formView.setLocationOptions(this.library.getLocations());
+                this.formView.setTagOptions(this.library.getTags().map(tag => tag.name));
             });
             
             // Focus first input when modal is shown
@@ -104,6 +304,347 @@ class LibraryController {
         }
     }
     
+    /**
+     * Bind the review, notes and quotes modal
+     */
+    bindDetailEvents() {
+        const view = this.detailView;
+        if (!view.modalElement) return;
+        
+        view.editReviewButton.addEventListener('click', () => {
+            const book = this.library.findBookById(view.bookId);
+            view.showReviewEditor(true, book ? book.review : '');
+        });
+        view.cancelReviewButton.addEventListener('click', () => view.showReviewEditor(false));
+        view.reviewForm.addEventListener('submit', (e) => this.handleReviewSubmit(e));
+        
+        view.noteForm.addEventListener('submit', (e) => this.handleNoteSubmit(e));
+        view.cancelNoteButton.addEventListener('click', () => view.resetNoteForm());
+        view.quoteForm.addEventListener('submit', (e) => this.handleQuoteSubmit(e));
+        view.cancelQuoteButton.addEventListener('click', () => view.resetQuoteForm());
+        
+        // Edit and remove buttons of the listed notes and quotes
+        [view.notesElement, view.quotesElement].forEach(list => {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-annotation-action]');
+                if (!button) return;
+                
+                const entry = button.closest('.annotation');
+                this.handleAnnotationAction(button.getAttribute('data-annotation-action'),
+                    entry.getAttribute('data-kind'), entry.getAttribute('data-id'));
+            });
+        });
+        
+        view.modalElement.addEventListener('hidden.bs.modal', () => {
+            view.bookId = null;
+        });
+    }
+    
+    /**
+     * Bind the loan modal and the "On Loan" toolbar button
+     */
+    bindLoanEvents() {
+        const view = this.loanView;
+        if (view.modalElement) {
+            view.loanForm.addEventListener('submit', (e) => this.handleLendSubmit(e));
+            view.returnForm.addEventListener('submit', (e) => this.handleReturnSubmit(e));
+            view.modalElement.addEventListener('hidden.bs.modal', () => {
+                view.bookId = null;
+            });
+        }
+        
+        if (this.libraryView.loansButton) {
+            this.libraryView.loansButton.addEventListener('click', () => {
+                this.setFilter(this.currentFilter === 'on-loan' ? 'all' : 'on-loan');
+            });
+        }
+    }
+    
+    /**
+     * Bind undo/redo toolbar buttons
+     */
+    bindHistoryEvents() {
+        const undoBtn = document.getElementById('undoBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.handleUndo());
+        }
+        
+        const redoBtn = document.getElementById('redoBtn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.handleRedo());
+        }
+    }
+    
+    /**
+     * Bind shelf navigation and management events
+     */
+    bindShelfEvents() {
+        if (this.shelfView.navElement) {
+            this.shelfView.navElement.addEventListener('click', (e) => {
+                const shelfButton = e.target.closest('[data-shelf-id]');
+                if (shelfButton) {
+                    this.setShelf(shelfButton.getAttribute('data-shelf-id') || null);
+                }
+            });
+        }
+        
+        if (this.shelfView.newShelfButton) {
+            this.shelfView.newShelfButton.addEventListener('click', () => this.handleCreateShelf());
+        }
+        
+        if (this.shelfView.renameShelfButton) {
+            this.shelfView.renameShelfButton.addEventListener('click', () => this.handleRenameShelf());
+        }
+        
+        if (this.shelfView.deleteShelfButton) {
+            this.shelfView.deleteShelfButton.addEventListener('click', () => this.handleDeleteShelf());
+        }
+    }
+    
+    /**
+     * Bind the tag cloud: picking tags, the all/any toggle and renaming
+     */
+    bindTagEvents() {
+        if (this.tagView.listElement) {
+            this.tagView.listElement.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-tag]');
+                if (chip) {
+                    this.toggleTag(chip.getAttribute('data-tag'));
+                }
+            });
+        }
+        
+        if (this.tagView.modeElement) {
+            this.tagView.modeElement.addEventListener('click', (e) => {
+                const modeButton = e.target.closest('[data-tag-mode]');
+                if (modeButton) {
+                    this.setTagMode(modeButton.getAttribute('data-tag-mode'));
+                }
+            });
+        }
+        
+        if (this.tagView.renameButton) {
+            this.tagView.renameButton.addEventListener('click', () => this.handleRenameTags());
+        }
+        
+        if (this.tagView.clearButton) {
+            this.tagView.clearButton.addEventListener('click', () => this.setTags([]));
+        }
+    }
+    
+    /**
+     * Bind the sort builder: changing a key's field or direction, adding
+     * a tie-breaking key, removing one and going back to the default sort
+     */
+    bindSortEvents() {
+        if (this.sortView.keysElement) {
+            this.sortView.keysElement.addEventListener('change', (e) => {
+                if (e.target.matches('[data-sort-role="field"]')) {
+                    this.setSort(this.sortView.getSortKeys());
+                }
+            });
+            
+            this.sortView.keysElement.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-sort-action]');
+                if (!button) return;
+                
+                const keys = this.sortView.getSortKeys();
+                const index = parseInt(button.closest('.sort-key').getAttribute('data-sort-index'));
+                if (button.getAttribute('data-sort-action') === 'order') {
+                    keys[index].order = keys[index].order === 'desc' ? 'asc' : 'desc';
+                } else {
+                    keys.splice(index, 1);
+                }
+                this.setSort(keys);
+            });
+        }
+        
+        if (this.sortView.addButton) {
+            this.sortView.addButton.addEventListener('click', () => {
+                const keys = this.currentSort;
+                const field = Object.keys(Library.SORT_FIELDS).find(name => !keys.some(key => key.field === name));
+                if (field) {
+                    this.setSort([...keys, { field, order: 'asc' }]);
+                }
+            });
+        }
+        
+        if (this.sortView.resetButton) {
+            this.sortView.resetButton.addEventListener('click', () => this.setSort(Library.DEFAULT_SORT));
+        }
+    }
+    
+    /**
+     * Bind the selection toolbar and its batch actions
+     */
+    bindBulkEvents() {
+        const view = this.bulkActionsView;
+        
+        if (view.selectAllButton) {
+            view.selectAllButton.addEventListener('click', () => this.selectAllVisible());
+        }
+        
+        if (view.clearSelectionButton) {
+            view.clearSelectionButton.addEventListener('click', () => this.clearSelection());
+        }
+        
+        if (view.actionsElement) {
+            view.actionsElement.addEventListener('click', (e) => {
+                const actionElement = e.target.closest('[data-bulk-action]');
+                if (!actionElement) return;
+                
+                switch (actionElement.getAttribute('data-bulk-action')) {
+                    case 'read':
+                        this.handleBulkReadStatus(true);
+                        break;
+                    case 'unread':
+                        this.handleBulkReadStatus(false);
+                        break;
+                    case 'genre':
+                        this.handleBulkGenre();
+                        break;
+                    case 'rating':
+                        this.handleBulkRating(parseInt(actionElement.getAttribute('data-rating')) || null);
+                        break;
+                    case 'export':
+                        this.downloadExport(actionElement.getAttribute('data-format'), this.getSelectedBooks());
+                        break;
+                    case 'delete':
+                        this.handleBulkRemove();
+                        break;
+                }
+            });
+        }
+    }
+    
+    /**
+     * Bind the reading challenge panel and goal modal
+     */
+    bindGoalEvents() {
+        if (this.libraryView.goalPanel) {
+            this.libraryView.goalPanel.addEventListener('click', (e) => {
+                if (e.target.closest('[data-goal-action="edit"]')) {
+                    this.handleOpenGoalForm();
+                }
+            });
+        }
+        
+        if (this.goalView.formElement) {
+            this.goalView.formElement.addEventListener('submit', (e) => {
+                this.handleGoalSubmit(e);
+            });
+        }
+        
+        if (this.goalView.removeButton) {
+            this.goalView.removeButton.addEventListener('click', () => this.handleRemoveGoal());
+        }
+    }
+    
+    /**
+     * Bind the analytics dashboard toggle
+     */
+    bindAnalyticsEvents() {
+        if (this.analyticsView.toggleButton) {
+            this.analyticsView.toggleButton.addEventListener('click', () => this.setAnalyticsVisible(!this.showAnalytics));
+        }
+        
+        if (this.analyticsView.closeButton) {
+            this.analyticsView.closeButton.addEventListener('click', () => this.setAnalyticsVisible(false));
+        }
+    }
+    
+    /**
+     * Bind the search box
+     */
+    bindSearchEvents() {
+        const searchInput = this.libraryView.searchInput;
+        if (!searchInput) return;
+        
+        // Wait for a pause in typing before parsing the query
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.setSearch(searchInput.value), 250);
+        });
+    }
+    
+    /**
+     * Bind import modal and export button events
+     */
+    bindImportExportEvents() {
+        const exportJsonBtn = document.getElementById('exportJsonBtn');
+        if (exportJsonBtn) {
+            exportJsonBtn.addEventListener('click', () => this.downloadExport('json'));
+        }
+        
+        const exportCsvBtn = document.getElementById('exportCsvBtn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.downloadExport('csv'));
+        }
+        
+        if (this.importView.fileInput) {
+            this.importView.fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.handleImportFile(file);
+                }
+            });
+        }
+        
+        if (this.importView.mappingContainer) {
+            this.importView.mappingContainer.addEventListener('change', () => {
+                this.refreshImportPreview();
+            });
+        }
+        
+        if (this.importView.replaceCheckbox) {
+            this.importView.replaceCheckbox.addEventListener('change', () => {
+                this.refreshImportPreview();
+            });
+        }
+        
+        if (this.importView.confirmButton) {
+            this.importView.confirmButton.addEventListener('click', () => {
+                this.handleImportConfirm();
+            });
+        }
+        
+        if (this.importView.modalElement) {
+            this.importView.modalElement.addEventListener('hidden.bs.modal', () => {
+                this.pendingImport = null;
+                this.importView.reset();
+            });
+        }
+    }
+    
+    /**
+     * Bind the "add by barcode" photo picker and scanned barcode list
+     */
+    bindScanEvents() {
+        if (this.scanView.fileInput) {
+            this.scanView.fileInput.addEventListener('change', (e) => {
+                const files = [...e.target.files];
+                if (files.length > 0) {
+                    this.handleBarcodeFiles(files);
+                }
+            });
+        }
+        
+        if (this.scanView.queueElement) {
+            this.scanView.queueElement.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-scan-action]');
+                if (!button) return;
+                
+                const entryId = button.getAttribute('data-scan-id');
+                if (button.getAttribute('data-scan-action') === 'use') {
+                    this.handleUseScan(entryId);
+                } else {
+                    this.scanView.removeEntry(entryId);
+                }
+            });
+        }
+    }
+    
     /**
      * Bind keyboard events
      */
@@ -112,9 +653,24 @@ class LibraryController {
             // Ctrl/Cmd + N to add new book
             if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
                 e.preventDefault();
+                this.startAddBook();
                 this.formView.showModal();
             }
             
+            // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z (or Ctrl + Y) to redo.
+            // Text fields keep their native undo.
+            const isTextField = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+            if ((e.ctrlKey || e.metaKey) && !isTextField) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.handleUndo();
+                } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    e.preventDefault();
+                    this.handleRedo();
+                }
+            }
+            
             // Escape to close modal
             if (e.key === 'Escape') {
                 this.formView.hideModal();
@@ -123,134 +679,1047 @@ class LibraryController {
     }
     
     /**
-     * Handle form submission
-     * @param {Event} event - Form submit event
+     * Put the form modal into "add new book" mode
+     */
+    startAddBook() {
+        this.editingBookId = null;
+        this.formView.setMode('add');
+        this.formView.setWishlisted(this.showWishlist);
+        this.scanView.setVisible(true);
+    }
+    
+    /**
+     * Open the form modal prefilled with an existing book
+     * @param {string} bookId - ID of the book to edit
+     */
+    handleEditBook(bookId) {
+        const book = this.library.findBookById(bookId);
+        if (!book) {
+            this.notifications.showError('Book not found');
+            return;
+        }
+        
+        this.editingBookId = bookId;
+        this.formView.setMode('edit');
+        this.scanView.setVisible(false);
+        this.formView.setFormData(book);
+        this.formView.showModal();
+    }
+    
+    /**
+     * Handle form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleFormSubmit(event) {
+        event.preventDefault();
+        
+        try {
+            // Show loading state
+            this.formView.setSubmitLoading(true);
+            
+            // Get and validate form data
+            const formData = this.formView.getFormData();
+            const validation = this.formView.validateForm();
+            
+            if (!validation.isValid) {
+                this.formView.showFormErrors(validation.errors);
+                return;
+            }
+            
+            if (this.editingBookId) {
+                this.saveEditedBook(this.editingBookId, formData);
+                return;
+            }
+            
+            // Create new book
+            const book = new Book(
+                formData.title,
+                formData.contributors,
+                formData.pages,
+                formData.read,
+                formData.genre,
+                formData.rating,
+                { format: formData.format, duration: formData.duration }
+            );
+            book.edition = formData.edition;
+            book.setISBN(formData.isbn);
+            book.setLocation(formData.location);
+            book.setSeries(formData.series, formData.volume);
+            book.setTags(formData.tags);
+            if (formData.wishlist) {
+                book.setWishlist(formData.wishlist);
+            }
+            
+            // Books added while browsing a shelf go on that shelf
+            if (this.currentShelf) {
+                book.shelfIds = [this.currentShelf];
+            }
+            
+            if (formData.status === Book.STATUS.READING) {
+                book.setStatus(Book.STATUS.READING);
+                if (formData.currentPage > 0) {
+                    book.updateCurrentPage(formData.currentPage);
+                }
+            } else if (formData.status === Book.STATUS.FINISHED) {
+                book.setDateFinished(formData.dateFinished);
+            }
+            
+            // Add to library
+            this.library.addBook(book);
+            this.scanView.removeByISBN(book.isbn);
+            
+            // Success feedback
+            this.notifications.showSuccess(`"${book.title}" has been added to your ${book.isWishlisted() ? 'wishlist' : 'library'}!`);
+            
+            // Close modal and refresh display
+            this.formView.hideModal();
+            this.refreshDisplay();
+            
+            // Highlight the newly added book
+            setTimeout(() => {
+                this.libraryView.highlightBook(book.id);
+            }, 500);
+            
+        } catch (error) {
+            console.error('Error saving book:', error);
+            
+            if (error.message.includes('already exists')) {
+                this.formView.showFormErrors([error.message]);
+            } else {
+                this.notifications.showError('Failed to add book: ' + error.message);
+            }
+        } finally {
+            this.formView.setSubmitLoading(false);
+        }
+    }
+    
+    /**
+     * Scan barcode photos one at a time. A single photo fills the form
+     * straight away; several are listed so their books can be added in turn.
+     * @param {File[]} files - Selected photos
+     */
+    async handleBarcodeFiles(files) {
+        const entries = files.map(file => this.scanView.addEntry(file.name));
+        this.scanView.resetInput();
+        
+        for (let i = 0; i < files.length; i++) {
+            await this.scanBarcodeFile(files[i], entries[i]);
+        }
+        
+        if (files.length === 1 && entries[0].status === ScanView.STATUS.FOUND) {
+            this.handleUseScan(entries[0].id);
+        }
+    }
+    
+    /**
+     * Decode one photo, check the barcode is a new ISBN and look up its details
+     * @param {File} file - Photo of the barcode
+     * @param {Object} entry - Scan list entry to update
+     */
+    async scanBarcodeFile(file, entry) {
+        try {
+            const code = await BarcodeDecoder.decodeFile(file);
+            
+            if (!code) {
+                this.scanView.updateEntry(entry, {
+                    status: ScanView.STATUS.FAILED,
+                    message: 'No barcode found. Try a sharper photo taken closer to the barcode.'
+                });
+                return;
+            }
+            
+            if (!ISBNUtils.isValidISBN13(code)) {
+                this.scanView.updateEntry(entry, {
+                    status: ScanView.STATUS.FAILED,
+                    message: `Barcode ${code} is not an ISBN (book barcodes start with 978 or 979)`
+                });
+                return;
+            }
+            
+            const existing = this.library.findBookByISBN(code);
+            if (existing) {
+                this.scanView.updateEntry(entry, {
+                    status: ScanView.STATUS.DUPLICATE,
+                    isbn: code,
+                    message: `Already in your library as "${existing.title}"`
+                });
+                return;
+            }
+            
+            // Missing catalog details are not an error; the ISBN alone still helps
+            const suggestion = await this.formView.metadataProvider.lookupISBN(code).catch(error => {
+                console.warn('Book lookup failed:', error);
+                return null;
+            });
+            
+            this.scanView.updateEntry(entry, {
+                status: ScanView.STATUS.FOUND,
+                isbn: code,
+                suggestion,
+                message: suggestion ? '' : 'Not in the catalog; fill in the details by hand'
+            });
+            
+        } catch (error) {
+            console.error('Error scanning barcode:', error);
+            this.scanView.updateEntry(entry, {
+                status: ScanView.STATUS.FAILED,
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Fill the form from a scanned barcode
+     * @param {string} entryId - Scan list entry ID
+     */
+    handleUseScan(entryId) {
+        const entry = this.scanView.findEntry(entryId);
+        if (!entry || !entry.isbn) return;
+        
+        this.formView.applySuggestion(entry.suggestion || { isbn: entry.isbn });
+        this.formView.focusFirstInput();
+    }
+    
+    /**
+     * Apply form changes to an existing book
+     * @param {string} bookId - ID of the book being edited
+     * @param {Object} formData - Data from the book form
+     * @throws {Error} If the changes are invalid or create a duplicate
+     */
+    saveEditedBook(bookId, formData) {
+        const book = this.library.updateBook(bookId, {
+            title: formData.title,
+            contributors: formData.contributors,
+            pages: formData.pages,
+            format: formData.format,
+            duration: formData.duration,
+            location: formData.location,
+            genre: formData.genre,
+            tags: formData.tags,
+            edition: formData.edition,
+            series: formData.series,
+            volume: formData.volume,
+            isbn: formData.isbn,
+            rating: formData.rating,
+            status: formData.status,
+            currentPage: formData.status === Book.STATUS.READING ? formData.currentPage : undefined,
+            dateFinished: formData.status === Book.STATUS.FINISHED ? formData.dateFinished : undefined,
+            wishlist: formData.wishlist
+        });
+        
+        this.notifications.showSuccess(`"${book.title}" has been updated`);
+        
+        this.formView.hideModal();
+        this.refreshDisplay();
+        
+        setTimeout(() => {
+            this.libraryView.highlightBook(book.id);
+        }, 500);
+    }
+    
+    /**
+     * Handle toggling read status of a book
+     * @param {string} bookId - ID of the book to toggle
+     */
+    handleToggleReadStatus(bookId) {
+        try {
+            const book = this.library.findBookById(bookId);
+            if (!book) {
+                throw new Error('Book not found');
+            }
+            
+            this.library.toggleReadStatus(bookId);
+            const newStatus = book.read ? 'read' : 'unread';
+            
+            // Update display
+            this.refreshDisplay();
+            
+            // Show notification, pointing to the next book when a series volume is finished
+            const next = book.read && book.series ? this.library.getNextUnreadInSeries(book.series) : null;
+            const message = next
+                ? `"${book.title}" marked as read. Next in ${book.series}: "${next.title}"`
+                : `"${book.title}" marked as ${newStatus}`;
+            this.notifications.showInfo(message);
+            
+        } catch (error) {
+            console.error('Error toggling book status:', error);
+            this.notifications.showError('Failed to update book status');
+        }
+    }
+    
+    /**
+     * Move a wishlist book into the library, added today
+     * @param {string} bookId - ID of the book
+     */
+    handleAcquireBook(bookId) {
+        try {
+            const book = this.library.acquireBook(bookId);
+            this.refreshDisplay();
+            this.notifications.showUndoable(
+                `"${book.title}" moved from your wishlist to your library`,
+                this.createUndoCallback()
+            );
+        } catch (error) {
+            console.error('Error acquiring book:', error);
+            this.notifications.showError('Failed to acquire book: ' + error.message);
+        }
+    }
+    
+    /**
+     * Open the reading session form for a book
+     * @param {string} bookId - ID of the book being read
+     */
+    handleOpenSessionForm(bookId) {
+        const book = this.library.findBookById(bookId);
+        if (!book) {
+            this.notifications.showError('Book not found');
+            return;
+        }
+        
+        this.sessionView.open(book);
+    }
+    
+    /**
+     * Handle reading session form submission
+     * @param {Event} event - Form submit event
+     */
+    handleSessionSubmit(event) {
+        event.preventDefault();
+        
+        const { bookId, session } = this.sessionView.getFormData();
+        
+        try {
+            this.library.logReadingSession(bookId, session);
+            
+            const book = this.library.findBookById(bookId);
+            this.sessionView.hideModal();
+            this.refreshDisplay();
+            
+            const message = book.read
+                ? `Finished "${book.title}"!`
+                : `"${book.title}" is now ${book.getProgressPercent()}% complete`;
+            this.notifications.showSuccess(message);
+            
+        } catch (error) {
+            console.error('Error logging reading session:', error);
+            this.sessionView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Open the loan modal of a book
+     * @param {string} bookId - ID of the book
+     */
+    handleOpenLoan(bookId) {
+        const book = this.library.findBookById(bookId);
+        if (!book) {
+            this.notifications.showError('Book not found');
+            return;
+        }
+        
+        this.loanView.open(book, this.library.getBorrowers());
+    }
+    
+    /**
+     * Lend the book shown in the loan modal
+     * @param {Event} event - Form submit event
+     */
+    handleLendSubmit(event) {
+        event.preventDefault();
+        
+        try {
+            const loan = this.library.lendBook(this.loanView.bookId, this.loanView.getLoanData());
+            const book = this.library.findBookById(this.loanView.bookId);
+            this.loanView.hideModal();
+            this.refreshDisplay();
+            this.notifications.showUndoable(
+                `"${book.title}" lent to ${loan.borrower} until ${loan.dateDue.toLocaleDateString()}`,
+                this.createUndoCallback()
+            );
+        } catch (error) {
+            console.error('Error lending book:', error);
+            this.loanView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Record that the book shown in the loan modal came back
+     * @param {Event} event - Form submit event
+     */
+    handleReturnSubmit(event) {
+        event.preventDefault();
+        
+        try {
+            const loan = this.library.returnBook(this.loanView.bookId, this.loanView.getReturnDate());
+            const book = this.library.findBookById(this.loanView.bookId);
+            this.loanView.hideModal();
+            this.refreshDisplay();
+            this.notifications.showUndoable(
+                `"${book.title}" is back from ${loan.borrower}`,
+                this.createUndoCallback()
+            );
+        } catch (error) {
+            console.error('Error returning book:', error);
+            this.loanView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Open the review, notes and quotes of a book
+     * @param {string} bookId - ID of the book
+     */
+    handleOpenDetails(bookId) {
+        const book = this.library.findBookById(bookId);
+        if (!book) {
+            this.notifications.showError('Book not found');
+            return;
+        }
+        
+        this.detailView.open(book);
+    }
+    
+    /**
+     * Save the review typed in the detail modal
+     * @param {Event} event - Form submit event
+     */
+    handleReviewSubmit(event) {
+        event.preventDefault();
+        
+        try {
+            const book = this.library.setReview(this.detailView.bookId, this.detailView.getReview());
+            this.detailView.showReviewEditor(false);
+            this.detailView.clearErrors();
+            this.refreshDisplay();
+            this.notifications.showSuccess(book.review ? 'Review saved' : 'Review removed');
+        } catch (error) {
+            console.error('Error saving review:', error);
+            this.detailView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Add the note typed in the detail modal, or save changes to the note being edited
+     * @param {Event} event - Form submit event
+     */
+    handleNoteSubmit(event) {
+        event.preventDefault();
+        
+        const { noteId, note } = this.detailView.getNoteData();
+        
+        try {
+            if (noteId) {
+                this.library.updateNote(this.detailView.bookId, noteId, note);
+            } else {
+                this.library.addNote(this.detailView.bookId, note);
+            }
+            this.detailView.resetNoteForm();
+            this.detailView.clearErrors();
+            this.refreshDisplay();
+            this.notifications.showSuccess(noteId ? 'Note updated' : 'Note added');
+        } catch (error) {
+            console.error('Error saving note:', error);
+            this.detailView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Save the quote typed in the detail modal, or changes to the quote being edited
+     * @param {Event} event - Form submit event
+     */
+    handleQuoteSubmit(event) {
+        event.preventDefault();
+        
+        const { quoteId, quote } = this.detailView.getQuoteData();
+        
+        try {
+            if (quoteId) {
+                this.library.updateQuote(this.detailView.bookId, quoteId, quote);
+            } else {
+                this.library.addQuote(this.detailView.bookId, quote);
+            }
+            this.detailView.resetQuoteForm();
+            this.detailView.clearErrors();
+            this.refreshDisplay();
+            this.notifications.showSuccess(quoteId ? 'Quote updated' : 'Quote saved');
+        } catch (error) {
+            console.error('Error saving quote:', error);
+            this.detailView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Edit or remove a note or quote listed in the detail modal
+     * @param {string} action - 'edit' or 'remove'
+     * @param {string} kind - 'note' or 'quote'
+     * @param {string} id - ID of the note or quote
+     */
+    handleAnnotationAction(action, kind, id) {
+        const book = this.library.findBookById(this.detailView.bookId);
+        if (!book) return;
+        
+        const entry = (kind === 'note' ? book.notes : book.quotes).find(existing => existing.id === id);
+        if (!entry) return;
+        
+        if (action === 'edit') {
+            if (kind === 'note') {
+                this.detailView.editNote(entry);
+            } else {
+                this.detailView.editQuote(entry);
+            }
+            return;
+        }
+        
+        try {
+            if (kind === 'note') {
+                this.library.removeNote(book.id, id);
+            } else {
+                this.library.removeQuote(book.id, id);
+            }
+            this.refreshDisplay();
+            // Removing can be undone from the toast, so it is not confirmed first
+            this.notifications.showUndoable(`${kind === 'note' ? 'Note' : 'Quote'} removed`, this.createUndoCallback());
+        } catch (error) {
+            console.error(`Error removing ${kind}:`, error);
+            this.detailView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Handle removing a book from the library
+     * @param {string} bookId - ID of the book to remove
+     */
+    handleRemoveBook(bookId) {
+        try {
+            const book = this.library.findBookById(bookId);
+            if (!book) {
+                throw new Error('Book not found');
+            }
+            
+            // Show confirmation dialog
+            const confirmed = confirm(
+                `Are you sure you want to remove "${book.title}" from your library?\n\n` +
+                'You can undo this with Ctrl+Z.'
+            );
+            
+            if (!confirmed) return;
+            
+            // Remove from library
+            const removed = this.library.removeBook(bookId);
+            
+            if (removed) {
+                // Animate removal
+                this.libraryView.removeBookCard(bookId);
+                
+                // Update display after animation
+                setTimeout(() => {
+                    this.refreshDisplay();
+                }, 350);
+                
+                // Show success message
+                this.notifications.showUndoable(
+                    `"${book.title}" has been removed from your library`,
+                    this.createUndoCallback()
+                );
+            } else {
+                throw new Error('Failed to remove book');
+            }
+            
+        } catch (error) {
+            console.error('Error removing book:', error);
+            this.notifications.showError('Failed to remove book: ' + error.message);
+        }
+    }
+    
+    /**
+     * Open or close the analytics dashboard
+     * @param {boolean} visible - Whether the dashboard is shown
+     */
+    setAnalyticsVisible(visible) {
+        this.showAnalytics = visible;
+        this.analyticsView.setVisible(visible);
+        
+        if (visible) {
+            this.analyticsView.render(LibraryAnalytics.analyze(this.getFilteredAndSortedBooks()));
+        }
+    }
+    
+    /**
+     * Switch between listing every book and collapsing series into stacks
+     * @param {boolean} grouped - Whether series are collapsed
+     */
+    setGroupBySeries(grouped) {
+        this.groupBySeries = grouped;
+        this.libraryView.setSeriesView(grouped);
+        this.refreshDisplay();
+    }
+    
+    /**
+     * Open a person's page (their books in every role) or go back to all books
+     * @param {string|null} personKey - Key from NameUtils.key(), or null
+     */
+    setPerson(personKey) {
+        this.currentPerson = personKey || null;
+        this.refreshDisplay();
+        
+        if (this.currentPerson && this.personView.panelElement) {
+            this.personView.panelElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+    
+    /**
+     * Open or close a series stack in the series view
+     * @param {string} seriesKey - Series key from Library.getSeriesKey()
+     */
+    handleToggleSeriesStack(seriesKey) {
+        if (!seriesKey) return;
+        
+        if (this.expandedSeries.has(seriesKey)) {
+            this.expandedSeries.delete(seriesKey);
+        } else {
+            this.expandedSeries.add(seriesKey);
+        }
+        this.refreshDisplay();
+    }
+    
+    /**
+     * Open the goal modal for the current year
+     */
+    handleOpenGoalForm() {
+        const year = new Date().getFullYear();
+        this.goalView.open(this.library.getGoal(year), year);
+    }
+    
+    /**
+     * Handle the goal form submission
+     * @param {Event} e - Form submit event
+     */
+    handleGoalSubmit(e) {
+        e.preventDefault();
+        
+        try {
+            const { year, target, unit } = this.goalView.getFormData();
+            const goal = this.library.setGoal(year, target, unit);
+            
+            this.goalView.hideModal();
+            this.refreshDisplay();
+            this.notifications.showSuccess(
+                `Reading goal for ${goal.year}: ${LibraryView.formatGoalAmount(goal.target, goal.unit)}`
+            );
+        } catch (error) {
+            console.error('Error saving reading goal:', error);
+            this.goalView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Remove the goal of the year shown in the goal modal
+     */
+    handleRemoveGoal() {
+        const { year } = this.goalView.getFormData();
+        
+        if (this.library.removeGoal(year)) {
+            this.goalView.hideModal();
+            this.refreshDisplay();
+            this.notifications.showInfo(`Reading goal for ${year} removed`);
+        }
+    }
+    
+    /**
+     * Select or deselect a book. With shift held, every shown book between
+     * the previously clicked one and this one takes the new state.
+     * @param {string} bookId - ID of the clicked book
+     * @param {boolean} extendRange - Whether shift was held
+     */
+    handleSelectBook(bookId, extendRange = false) {
+        const selected = !this.selectedBookIds.has(bookId);
+        let ids = [bookId];
+        
+        if (extendRange && this.lastSelectedId) {
+            const visibleIds = this.getFilteredAndSortedBooks().map(book => book.id);
+            const from = visibleIds.indexOf(this.lastSelectedId);
+            const to = visibleIds.indexOf(bookId);
+            
+            if (from !== -1 && to !== -1) {
+                ids = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+            }
+        }
+        
+        ids.forEach(id => {
+            if (selected) {
+                this.selectedBookIds.add(id);
+            } else {
+                this.selectedBookIds.delete(id);
+            }
+        });
+        
+        this.lastSelectedId = bookId;
+        this.updateSelectionDisplay();
+    }
+    
+    /**
+     * Select every book matching the current filter, shelf and search
+     */
+    selectAllVisible() {
+        this.getFilteredAndSortedBooks().forEach(book => this.selectedBookIds.add(book.id));
+        this.updateSelectionDisplay();
+    }
+    
+    /**
+     * Deselect all books
+     */
+    clearSelection() {
+        this.selectedBookIds.clear();
+        this.lastSelectedId = null;
+        this.updateSelectionDisplay();
+    }
+    
+    /**
+     * Get the selected books in library order
+     * @returns {Book[]} Selected books
+     */
+    getSelectedBooks() {
+        return this.library.getAllBooks().filter(book => this.selectedBookIds.has(book.id));
+    }
+    
+    /**
+     * Redraw the selection state of the cards and the toolbar
+     * @param {Book[]} visibleBooks - Books currently shown (computed if omitted)
+     */
+    updateSelectionDisplay(visibleBooks = this.getFilteredAndSortedBooks()) {
+        this.libraryView.updateSelection(this.selectedBookIds);
+        this.bulkActionsView.render(
+            this.selectedBookIds.size,
+            visibleBooks.length,
+            visibleBooks.every(book => this.selectedBookIds.has(book.id))
+        );
+    }
+    
+    /**
+     * Mark the selected books as read or unread
+     * @param {boolean} read - True for read, false for unread
+     */
+    handleBulkReadStatus(read) {
+        this.applyBulkChange(
+            () => this.library.setReadStatusForBooks([...this.selectedBookIds], read),
+            `marked as ${read ? 'read' : 'unread'}`
+        );
+    }
+    
+    /**
+     * Ask for a genre and give it to the selected books
+     */
+    handleBulkGenre() {
+        const genre = this.bulkActionsView.promptGenre(this.selectedBookIds.size);
+        if (genre === null) return;
+        
+        this.applyBulkChange(
+            () => this.library.updateGenreForBooks([...this.selectedBookIds], genre),
+            genre ? `filed under ${genre}` : 'left without a genre'
+        );
+    }
+    
+    /**
+     * Rate the selected books
+     * @param {number|null} rating - Rating between 1-5, or null to clear
+     */
+    handleBulkRating(rating) {
+        this.applyBulkChange(
+            () => this.library.updateRatingForBooks([...this.selectedBookIds], rating),
+            rating ? `rated ${rating} star${rating === 1 ? '' : 's'}` : 'left unrated'
+        );
+    }
+    
+    /**
+     * Run a batch change on the selection and report it in one toast
+     * @param {Function} change - Performs the change and returns the changed books
+     * @param {string} description - What happened to the books, e.g. "marked as read"
+     */
+    applyBulkChange(change, description) {
+        if (this.selectedBookIds.size === 0) return;
+        
+        try {
+            const changed = change();
+            this.refreshDisplay();
+            
+            if (changed.length === 0) {
+                this.notifications.showInfo('Nothing to change: the selected books already match');
+                return;
+            }
+            
+            this.notifications.showUndoable(
+                `${Library.countLabel(changed.length)} ${description}`,
+                this.createUndoCallback()
+            );
+        } catch (error) {
+            console.error('Error updating selected books:', error);
+            this.notifications.showError('Failed to update the selected books: ' + error.message);
+        }
+    }
+    
+    /**
+     * Remove the selected books after confirmation
+     */
+    handleBulkRemove() {
+        const count = this.selectedBookIds.size;
+        if (count === 0 || !this.bulkActionsView.confirmDelete(count)) return;
+        
+        try {
+            const removed = this.library.removeBooks([...this.selectedBookIds]);
+            this.clearSelection();
+            this.refreshDisplay();
+            this.notifications.showUndoable(
+                `${Library.countLabel(removed.length)} removed from your library`,
+                this.createUndoCallback()
+            );
+        } catch (error) {
+            console.error('Error removing selected books:', error);
+            this.notifications.showError('Failed to remove the selected books: ' + error.message);
+        }
+    }
+    
+    /**
+     * Put a book on a shelf or take it off, depending on whether it is already there
+     * @param {string} bookId - ID of the book
+     * @param {string} shelfId - ID of the shelf
+     */
+    handleToggleBookShelf(bookId, shelfId) {
+        try {
+            const book = this.library.findBookById(bookId);
+            const shelf = this.library.findShelfById(shelfId);
+            if (!book || !shelf) {
+                throw new Error('Book or shelf not found');
+            }
+            
+            const onShelf = !book.isOnShelf(shelfId);
+            this.library.setBookShelf(bookId, shelfId, onShelf);
+            this.refreshDisplay();
+            
+            this.notifications.showInfo(onShelf
+                ? `"${book.title}" added to ${shelf.name}`
+                : `"${book.title}" removed from ${shelf.name}`);
+            
+        } catch (error) {
+            console.error('Error updating shelf:', error);
+            this.notifications.showError(error.message);
+        }
+    }
+    
+    /**
+     * Prompt for a name and create a new shelf
+     */
+    handleCreateShelf() {
+        const name = this.shelfView.promptShelfName();
+        if (name === null) return;
+        
+        try {
+            const shelf = this.library.createShelf(name);
+            this.notifications.showSuccess(`Shelf "${shelf.name}" created`);
+            this.setShelf(shelf.id);
+        } catch (error) {
+            console.error('Error creating shelf:', error);
+            this.notifications.showError(error.message);
+        }
+    }
+    
+    /**
+     * Prompt for a new name for the current shelf
+     */
+    handleRenameShelf() {
+        const shelf = this.library.findShelfById(this.currentShelf);
+        if (!shelf) return;
+        
+        const name = this.shelfView.promptShelfName(shelf.name);
+        if (name === null || name === shelf.name) return;
+        
+        try {
+            this.library.renameShelf(shelf.id, name);
+            this.refreshDisplay();
+            this.notifications.showSuccess(`Shelf renamed to "${shelf.name}"`);
+        } catch (error) {
+            console.error('Error renaming shelf:', error);
+            this.notifications.showError(error.message);
+        }
+    }
+    
+    /**
+     * Rename the tags picked in the tag cloud on every book, merging them
+     * into an existing tag if the new name is taken
+     */
+    handleRenameTags() {
+        const tags = [...this.currentTags];
+        if (tags.length === 0) return;
+        
+        const name = this.tagView.promptTagName(tags);
+        if (!name || (tags.length === 1 && name === tags[0])) return;
+        
+        // Renaming onto another tag merges the two, so ask first
+        const renamedKeys = tags.map(tag => Book.getTagKey(tag));
+        const existing = this.library.getTags()
+            .find(tag => Book.getTagKey(tag.name) === Book.getTagKey(name) && !renamedKeys.includes(Book.getTagKey(tag.name)));
+        if (existing && !this.tagView.confirmMerge(tags, existing.name)) return;
+        
+        try {
+            const changed = this.library.renameTags(tags, name);
+            this.currentTags = [existing ? existing.name : name];
+            this.refreshDisplay();
+            this.notifications.showSuccess(`${existing ? 'Merged' : 'Renamed'} tags on ${Library.countLabel(changed.length)}`);
+        } catch (error) {
+            console.error('Error renaming tags:', error);
+            this.notifications.showError(error.message);
+        }
+    }
+    
+    /**
+     * Delete the current shelf after confirmation
+     */
+    handleDeleteShelf() {
+        const shelf = this.library.findShelfById(this.currentShelf);
+        if (!shelf || !this.shelfView.confirmDelete(shelf)) return;
+        
+        try {
+            this.library.deleteShelf(shelf.id);
+            this.notifications.showSuccess(`Shelf "${shelf.name}" deleted`);
+            this.setShelf(null);
+        } catch (error) {
+            console.error('Error deleting shelf:', error);
+            this.notifications.showError(error.message);
+        }
+    }
+    
+    /**
+     * Handle a file chosen in the import modal
+     * @param {File} file - Selected JSON or CSV file
+     */
+    async handleImportFile(file) {
+        try {
+            const text = await this.importView.readFile(file);
+            const isJSON = /\.json$/i.test(file.name) || /^\s*\[/.test(text);
+            
+            if (isJSON) {
+                this.pendingImport = { text, format: 'json', analysis: null };
+                this.importView.hideMapping();
+            } else {
+                const analysis = CSVImporter.analyze(text);
+                this.pendingImport = { text, format: 'csv', analysis };
+                this.importView.renderMapping(analysis.headers, analysis.mapping, analysis.hasHeader);
+            }
+            
+            this.refreshImportPreview();
+            
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            this.pendingImport = null;
+            this.importView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Build import rows for the pending file using the current column mapping
+     * @returns {Object[]} Rows of { rowNumber, record, error }
+     */
+    getPendingImportRows() {
+        const { text, format, analysis } = this.pendingImport;
+        
+        if (format === 'json') {
+            return this.library.parseJSONImport(text);
+        }
+        
+        return CSVImporter.toRecords(
+            analysis.rows,
+            this.importView.getMapping(),
+            analysis.hasHeader ? 2 : 1
+        );
+    }
+    
+    /**
+     * Re-render the import preview after the file, mapping or options change
+     */
+    refreshImportPreview() {
+        if (!this.pendingImport) return;
+        
+        try {
+            const rows = this.getPendingImportRows();
+            const preview = this.library.previewImport(rows, this.importView.isReplaceChecked());
+            this.importView.renderPreview(preview);
+        } catch (error) {
+            this.importView.showError(error.message);
+        }
+    }
+    
+    /**
+     * Commit the previewed import
+     */
+    handleImportConfirm() {
+        if (!this.pendingImport) return;
+        
+        const { text, format } = this.pendingImport;
+        const report = this.importLibrary(text, this.importView.isReplaceChecked(), {
+            format,
+            mapping: format === 'csv' ? this.importView.getMapping() : null,
+            duplicateStrategy: this.importView.getDuplicateStrategy(),
+            resolutions: this.importView.getResolutions()
+        });
+        
+        if (report) {
+            // Open the summary once the import modal has finished closing
+            this.importView.modalElement.addEventListener('hidden.bs.modal', () => {
+                this.importView.showReport(report);
+            }, { once: true });
+            this.importView.hideModal();
+        }
+    }
+    
+    /**
+     * Create an "Undo" toast callback bound to the change that was just made
+     * @returns {Function} Callback that undoes the change if it is still the latest one
      */
-    async handleFormSubmit(event) {
-        event.preventDefault();
+    createUndoCallback() {
+        const command = this.library.history.peekUndo();
         
-        try {
-            // Show loading state
-            this.formView.setSubmitLoading(true);
-            
-            // Get and validate form data
-            const formData = this.formView.getFormData();
-            const validation = this.formView.validateForm();
-            
-            if (!validation.isValid) {
-                this.formView.showFormErrors(validation.errors);
+        return () => {
+            if (this.library.history.peekUndo() !== command) {
+                this.notifications.showWarning('Other changes were made since. Use Ctrl+Z to step back through them.');
                 return;
             }
-            
-            // Create new book
-            const book = new Book(
-                formData.title,
-                formData.author,
-                formData.pages,
-                formData.read,
-                formData.genre,
-                formData.rating
-            );
-            
-            // Add to library
-            this.library.addBook(book);
-            
-            // Success feedback
-            this.notifications.showSuccess(`"${book.title}" has been added to your library!`);
-            
-            // Close modal and refresh display
-            this.formView.hideModal();
-            this.refreshDisplay();
-            
-            // Highlight the newly added book
-            setTimeout(() => {
-                this.libraryView.highlightBook(book.id);
-            }, 500);
-            
-        } catch (error) {
-            console.error('Error adding book:', error);
-            
-            if (error.message.includes('duplicate')) {
-                this.formView.showFormErrors(['This book already exists in your library']);
-            } else {
-                this.notifications.showError('Failed to add book: ' + error.message);
-            }
-        } finally {
-            this.formView.setSubmitLoading(false);
-        }
+            this.handleUndo();
+        };
     }
     
     /**
-     * Handle toggling read status of a book
-     * @param {string} bookId - ID of the book to toggle
+     * Undo the most recent library change
      */
-    handleToggleReadStatus(bookId) {
+    handleUndo() {
         try {
-            const book = this.library.findBookById(bookId);
-            if (!book) {
-                throw new Error('Book not found');
+            const command = this.library.undo();
+            if (!command) {
+                this.notifications.showInfo('Nothing to undo');
+                return;
             }
             
-            const oldStatus = book.read ? 'read' : 'unread';
-            book.toggleReadStatus();
-            const newStatus = book.read ? 'read' : 'unread';
-            
-            // Save changes
-            this.library.saveToStorage();
-            
-            // Update display
             this.refreshDisplay();
-            
-            // Show notification
-            const message = `"${book.title}" marked as ${newStatus}`;
-            this.notifications.showInfo(message);
-            
+            this.notifications.showInfo(`Undone: ${command.label}`);
         } catch (error) {
-            console.error('Error toggling book status:', error);
-            this.notifications.showError('Failed to update book status');
+            console.error('Error undoing change:', error);
+            this.notifications.showError('Failed to undo: ' + error.message);
         }
     }
     
     /**
-     * Handle removing a book from the library
-     * @param {string} bookId - ID of the book to remove
+     * Redo the most recently undone library change
      */
-    handleRemoveBook(bookId) {
+    handleRedo() {
         try {
-            const book = this.library.findBookById(bookId);
-            if (!book) {
-                throw new Error('Book not found');
-            }
-            
-            // Show confirmation dialog
-            const confirmed = confirm(
-                `Are you sure you want to remove "${book.title}" from your library?\n\n` +
-                'This action cannot be undone.'
-            );
-            
-            if (!confirmed) return;
-            
-            // Remove from library
-            const removed = this.library.removeBook(bookId);
-            
-            if (removed) {
-                // Animate removal
-                this.libraryView.removeBookCard(bookId);
-                
-                // Update display after animation
-                setTimeout(() => {
-                    this.refreshDisplay();
-                }, 350);
-                
-                // Show success message
-                this.notifications.showSuccess(`"${book.title}" has been removed from your library`);
-            } else {
-                throw new Error('Failed to remove book');
+            const command = this.library.redo();
+            if (!command) {
+                this.notifications.showInfo('Nothing to redo');
+                return;
             }
             
+            this.refreshDisplay();
+            this.notifications.showInfo(`Redone: ${command.label}`);
         } catch (error) {
-            console.error('Error removing book:', error);
-            this.notifications.showError('Failed to remove book: ' + error.message);
+            console.error('Error redoing change:', error);
+            this.notifications.showError('Failed to redo: ' + error.message);
         }
     }
     
@@ -258,15 +1727,81 @@ class LibraryController {
      * Refresh the entire display
      */
     refreshDisplay() {
+        // The shelf may have been deleted (e.g. in another tab)
+        if (this.currentShelf && !this.library.findShelfById(this.currentShelf)) {
+            this.currentShelf = null;
+        }
+        
+        // The book page closes if its book is gone (removed, undone, other tab)
+        const pageBook = this.currentBookId ? this.library.findBookById(this.currentBookId) : null;
+        if (this.currentBookId && !pageBook) {
+            this.currentBookId = null;
+            this.updateRoute({ replace: true });
+        }
+        
+        // A person page closes once none of their books are left
+        const person = this.currentPerson ? this.library.getPerson(this.currentPerson) : null;
+        if (!person) {
+            this.currentPerson = null;
+        }
+        this.personView.render(person);
+        
+        // Forget picked tags no book has any more (renamed, removed, undone)
+        const tagKeys = new Set(this.library.getTags().map(tag => Book.getTagKey(tag.name)));
+        this.currentTags = this.currentTags.filter(tag => tagKeys.has(Book.getTagKey(tag)));
+        
         const books = this.getFilteredAndSortedBooks();
-        const stats = this.library.getStatistics();
+        const stats = this.library.getStatistics(this.currentShelf);
+        
+        this.shelfView.render(this.library.getShelfStatistics(), this.library.getOwnedBooks().length, this.currentShelf);
+        this.tagView.render(stats.tagDistribution, this.currentTags, this.tagMode);
+        this.sortView.render(this.currentSort);
+        // Forget selected books that no longer exist (removed, undone, other tab)
+        this.selectedBookIds.forEach(bookId => {
+            if (!this.library.findBookById(bookId)) {
+                this.selectedBookIds.delete(bookId);
+            }
+        });
+        
+        this.libraryView.renderBooks(books, this.library.getShelves(), this.selectedBookIds, this.groupBySeries
+            ? { series: this.library.getSeries(), expandedSeries: this.expandedSeries }
+            : {});
+        this.updateSelectionDisplay(books);
+        this.libraryView.updateStats(stats, this.library.getGoalProgress());
+        this.libraryView.updateLoanButton(stats, ['on-loan', 'overdue'].includes(this.currentFilter));
+        this.libraryView.updateWishlistButton(stats, this.showWishlist);
+        
+        // The dashboard follows the books on screen (filter, shelf and search)
+        if (this.showAnalytics) {
+            this.analyticsView.render(LibraryAnalytics.analyze(books));
+        }
+        this.libraryView.updateHistoryButtons(this.library.getHistoryState());
+        
+        this.bookPageView.render(pageBook, this.library.getShelves());
+        this.bookPageView.setBackLink(Router.format(this.getListRoute()));
+        
+        // Keep the open notes modal in step with undo, redo and other tabs
+        if (this.detailView.isOpen()) {
+            const detailBook = this.library.findBookById(this.detailView.bookId);
+            if (detailBook) {
+                this.detailView.render(detailBook);
+            } else {
+                this.detailView.hideModal();
+            }
+        }
         
-        this.libraryView.renderBooks(books);
-        this.libraryView.updateStats(stats);
+        if (this.loanView.isOpen()) {
+            const loanBook = this.library.findBookById(this.loanView.bookId);
+            if (loanBook) {
+                this.loanView.render(loanBook);
+            } else {
+                this.loanView.hideModal();
+            }
+        }
         
         // Apply search highlighting if there's a search term
-        if (this.currentSearch) {
-            this.libraryView.highlightSearchResults(this.currentSearch);
+        if (this.currentQuery) {
+            this.libraryView.highlightSearchResults(this.currentQuery.terms);
         }
     }
     
@@ -275,81 +1810,332 @@ class LibraryController {
      * @returns {Book[]} Filtered and sorted books
      */
     getFilteredAndSortedBooks() {
-        let books = this.library.getAllBooks();
+        // Apply sorting (sortBooks returns a sorted copy of all books)
+        let books = this.library.sortBooks(this.currentSort);
         
-        // Apply search filter
-        if (this.currentSearch) {
-            books = this.library.searchBooks(this.currentSearch);
+        // Apply search query, best matches first (ties keep the sort order)
+        if (this.currentQuery) {
+            books = books.filter(this.currentQuery.predicate);
+            
+            if (this.currentQuery.terms.length > 0) {
+                const scores = new Map(books.map(book => [book.id, this.currentQuery.score(book)]));
+                books.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+            }
         }
         
         // Apply read status filter
-        if (this.currentFilter === 'read') {
-            books = books.filter(book => book.read);
-        } else if (this.currentFilter === 'unread') {
-            books = books.filter(book => !book.read);
-        }
+        books = this.applyWishlistFilter(books);
+        books = this.applyStatusFilter(books);
+        books = this.applyPersonFilter(books);
+        books = this.applyTagFilter(books);
         
-        // Apply sorting
-        if (this.currentSort.field) {
-            books = this.library.sortBooks(this.currentSort.field, this.currentSort.order);
-            
-            // Re-apply filters after sorting since sortBooks returns all books
-            if (this.currentSearch) {
-                books = books.filter(book => book.matchesSearch(this.currentSearch));
-            }
-            
-            if (this.currentFilter === 'read') {
-                books = books.filter(book => book.read);
-            } else if (this.currentFilter === 'unread') {
-                books = books.filter(book => !book.read);
-            }
+        return this.applyShelfFilter(books);
+    }
+    
+    /**
+     * Keep only the wishlist books, or only the books owned, depending on the view
+     * @param {Book[]} books - Books to filter
+     * @returns {Book[]} Filtered books
+     */
+    applyWishlistFilter(books) {
+        return books.filter(book => book.isWishlisted() === this.showWishlist);
+    }
+    
+    /**
+     * Keep only the books with the tags picked in the tag cloud
+     * @param {Book[]} books - Books to filter
+     * @returns {Book[]} Filtered books
+     */
+    applyTagFilter(books) {
+        return books.filter(book => Library.matchesTags(book, this.currentTags, this.tagMode));
+    }
+    
+    /**
+     * Keep only the books of the person whose page is open
+     * @param {Book[]} books - Books to filter
+     * @returns {Book[]} Filtered books
+     */
+    applyPersonFilter(books) {
+        return this.currentPerson ? books.filter(book => book.hasContributor(this.currentPerson)) : books;
+    }
+    
+    /**
+     * Keep only books on the current shelf
+     * @param {Book[]} books - Books to filter
+     * @returns {Book[]} Filtered books
+     */
+    applyShelfFilter(books) {
+        return this.currentShelf ? books.filter(book => book.isOnShelf(this.currentShelf)) : books;
+    }
+    
+    /**
+     * Apply the current reading status filter to a list of books
+     * @param {Book[]} books - Books to filter
+     * @returns {Book[]} Filtered books
+     */
+    applyStatusFilter(books) {
+        switch (this.currentFilter) {
+            case 'read':
+                return books.filter(book => book.read);
+            case 'reading':
+                return books.filter(book => book.status === Book.STATUS.READING);
+            case 'unread':
+                return books.filter(book => !book.read);
+            case 'on-loan':
+                return books.filter(book => book.isOnLoan());
+            case 'overdue':
+                return books.filter(book => book.isOverdue());
+            default:
+                return books;
         }
-        
-        return books;
     }
     
     /**
      * Set reading status filter
-     * @param {string} filter - Filter type ('all', 'read', 'unread')
+     * @param {string} filter - Filter type ('all', 'read', 'reading', 'unread', 'on-loan', 'overdue')
      */
     setFilter(filter) {
         this.currentFilter = filter;
         this.refreshDisplay();
+        this.updateRoute();
+    }
+    
+    /**
+     * Switch the book list between the books owned and the wishlist
+     * @param {boolean} show - Whether to show the wishlist
+     */
+    setWishlistView(show) {
+        this.showWishlist = show;
+        this.refreshDisplay();
+        this.updateRoute();
+    }
+    
+    /**
+     * Set the shelf being browsed
+     * @param {string|null} shelfId - Shelf ID, or null for all books
+     */
+    setShelf(shelfId) {
+        this.currentShelf = shelfId;
+        this.refreshDisplay();
+    }
+    
+    /**
+     * Set the tags the books are filtered by
+     * @param {string[]} tags - Tags, empty for all books
+     */
+    setTags(tags) {
+        this.currentTags = Book.normalizeTags(tags);
+        this.refreshDisplay();
+    }
+    
+    /**
+     * Add a tag to the tag filter, or remove it if it is already picked
+     * @param {string} tag - Tag
+     */
+    toggleTag(tag) {
+        if (!tag) return;
+        
+        const key = Book.getTagKey(tag);
+        this.setTags(this.currentTags.some(existing => Book.getTagKey(existing) === key)
+            ? this.currentTags.filter(existing => Book.getTagKey(existing) !== key)
+            : [...this.currentTags, tag]);
+    }
+    
+    /**
+     * Choose whether books need every picked tag or any of them
+     * @param {string} mode - Library.TAG_MODE value
+     */
+    setTagMode(mode) {
+        if (!Object.values(Library.TAG_MODE).includes(mode)) return;
+        
+        this.tagMode = mode;
+        this.refreshDisplay();
     }
     
     /**
-     * Set search term
+     * Set search term, parsed with the query language (see QueryParser).
+     * An invalid query is reported under the search box and the
+     * previous results stay in place.
      * @param {string} searchTerm - Search term
      */
     setSearch(searchTerm) {
+        if (!this.applySearch(searchTerm)) return;
+        
+        this.refreshDisplay();
+        // Typing is not worth a history entry for every pause
+        this.updateRoute({ replace: true });
+    }
+    
+    /**
+     * Parse a search term into the current query without refreshing the display
+     * @param {string} searchTerm - Search term
+     * @returns {boolean} True if the search was valid and applied
+     */
+    applySearch(searchTerm) {
         const validation = ValidationUtils.validateSearch(searchTerm);
         if (!validation.isValid) {
-            this.notifications.showWarning(validation.errors.join(', '));
-            return;
+            this.libraryView.showSearchError(validation.errors.join(', '));
+            return false;
         }
         
-        this.currentSearch = ValidationUtils.sanitizeString(searchTerm);
-        this.refreshDisplay();
+        const search = ValidationUtils.sanitizeString(searchTerm);
+        
+        try {
+            this.currentQuery = search ? QueryParser.parse(search) : null;
+        } catch (error) {
+            this.libraryView.showSearchError(error.message);
+            return false;
+        }
+        
+        this.libraryView.clearSearchError();
+        this.currentSearch = search;
+        return true;
     }
     
     /**
      * Set sorting criteria
-     * @param {string} field - Field to sort by
-     * @param {string} order - Sort order ('asc', 'desc')
+     * @param {Object[]|string} keys - Sort keys, each { field, order }, most significant
+     *     first, or a single field name; unknown and repeated fields are dropped, and no
+     *     keys means the default sort
+     * @param {string} order - Sort order ('asc', 'desc') when a single field name is given
+     */
+    setSort(keys, order = 'asc') {
+        this.currentSort = LibraryController.normalizeSortKeys(typeof keys === 'string' ? [{ field: keys, order }] : keys);
+        this.refreshDisplay();
+        this.updateRoute();
+    }
+    
+    /**
+     * Show the page or book list an address points to (on load, links,
+     * back/forward). The address is then rewritten in its canonical form,
+     * dropping anything that was not understood.
+     * @param {Object} route - Route from Router.parse()
      */
-    setSort(field, order = 'asc') {
-        this.currentSort = { field, order };
+    applyRoute(route) {
+        if (route.name === Router.ROUTE.BOOK) {
+            if (this.library.findBookById(route.bookId)) {
+                this.currentBookId = route.bookId;
+                this.refreshDisplay();
+                this.bookPageView.scrollIntoView();
+                return;
+            }
+            
+            this.notifications.showWarning('That book is not in your library. It may have been removed.');
+            route = { name: Router.ROUTE.BOOKS, params: {} };
+        }
+        
+        const previousBookId = this.currentBookId;
+        const { view = '', filter = 'all', q = '', sort = '' } = route.params;
+        
+        this.currentBookId = null;
+        this.showWishlist = view === 'wishlist';
+        this.currentFilter = LibraryController.FILTERS.includes(filter) ? filter : 'all';
+        this.currentSort = LibraryController.parseSortParam(sort);
+        if (this.libraryView.searchInput) {
+            this.libraryView.searchInput.value = q;
+        }
+        if (!this.applySearch(q)) {
+            this.currentSearch = '';
+            this.currentQuery = null;
+        }
+        
         this.refreshDisplay();
+        this.updateRoute({ replace: true });
+        
+        // Coming back from a book's page, show where its card is
+        const card = previousBookId ? this.libraryView.getBookCardElement(previousBookId) : null;
+        if (card) {
+            card.scrollIntoView({ block: 'center' });
+            this.libraryView.highlightBook(previousBookId);
+        }
+    }
+    
+    /**
+     * Build the route of the book list with the current view, filter, search and sort
+     * @returns {Object} Route for Router.format()
+     */
+    getListRoute() {
+        return {
+            name: Router.ROUTE.BOOKS,
+            params: {
+                view: this.showWishlist ? 'wishlist' : '',
+                filter: this.currentFilter === 'all' ? '' : this.currentFilter,
+                q: this.currentSearch,
+                sort: Library.isDefaultSort(this.currentSort) ? '' : LibraryController.formatSortParam(this.currentSort)
+            }
+        };
+    }
+    
+    /**
+     * Point the address at the book page or book list being shown
+     * @param {Object} options - Router.navigate() options
+     */
+    updateRoute(options = {}) {
+        this.router.navigate(this.currentBookId
+            ? { name: Router.ROUTE.BOOK, bookId: this.currentBookId }
+            : this.getListRoute(), options);
+    }
+    
+    /**
+     * Leave the book page for the book list (the caller refreshes the display)
+     */
+    closeBookPage() {
+        if (!this.currentBookId) return;
+        
+        this.currentBookId = null;
+        this.updateRoute();
+    }
+    
+    /**
+     * Read the sort parameter of a book list address
+     * @param {string} value - Comma-separated "field:order" keys, e.g. "genre:asc,rating:desc"
+     * @returns {Object[]} Sort keys { field, order }; keys that are not understood are
+     *     left out, and title ascending is used if none are left
+     */
+    static parseSortParam(value) {
+        return LibraryController.normalizeSortKeys(String(value).split(',').map(key => {
+            const [field, order] = key.trim().split(':');
+            return { field, order };
+        }));
+    }
+    
+    /**
+     * Write sort keys as the sort parameter of a book list address
+     * @param {Object[]} keys - Sort keys { field, order }
+     * @returns {string} E.g. "genre:asc,rating:desc"
+     */
+    static formatSortParam(keys) {
+        return keys.map(({ field, order }) => `${field}:${order}`).join(',');
+    }
+    
+    /**
+     * Clean up sort keys: drop unknown and repeated fields, default the
+     * order to ascending and keep at most Library.MAX_SORT_KEYS
+     * @param {Object[]} keys - Sort keys { field, order }
+     * @returns {Object[]} Usable sort keys (the default sort if none are left)
+     */
+    static normalizeSortKeys(keys) {
+        const normalized = (keys || [])
+            .filter(({ field }, index) => Library.isSortField(field) &&
+                keys.findIndex(key => key.field === field) === index)
+            .slice(0, Library.MAX_SORT_KEYS)
+            .map(({ field, order }) => ({ field, order: order === 'desc' ? 'desc' : 'asc' }));
+        return normalized.length > 0 ? normalized : [...Library.DEFAULT_SORT];
     }
     
     /**
      * Export library data
-     * @returns {string} JSON string of library data
+     * @param {string} format - Export format ('json' or 'csv')
+     * @param {Book[]|null} books - Books to export, or null for the whole library
+     * @returns {string} Serialized library data
      */
-    exportLibrary() {
+    exportLibrary(format = 'json', books = null) {
         try {
-            const data = this.library.exportToJSON();
-            this.notifications.showSuccess('Library data exported successfully');
+            const selection = books || this.library.getAllBooks();
+            const data = format === 'csv' ? this.library.exportToCSV(selection) : this.library.exportToJSON(selection);
+            this.notifications.showSuccess(books
+                ? `Exported ${Library.countLabel(books.length)}`
+                : 'Library data exported successfully');
             return data;
         } catch (error) {
             console.error('Error exporting library:', error);
@@ -358,19 +2144,62 @@ class LibraryController {
         }
     }
     
+    /**
+     * Export library data and download it as a file
+     * @param {string} format - Export format ('json' or 'csv')
+     * @param {Book[]|null} books - Books to export, or null for the whole library
+     */
+    downloadExport(format = 'json', books = null) {
+        if (books && books.length === 0) return;
+        
+        const data = this.exportLibrary(format, books);
+        if (data === null) return;
+        
+        const date = new Date().toISOString().slice(0, 10);
+        const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+        const name = books ? 'library-selection' : 'library';
+        HTMLUtils.downloadFile(data, `${name}-${date}.${format}`, mimeType);
+    }
+    
     /**
      * Import library data
-     * @param {string} jsonData - JSON string containing library data
+     * @param {string} data - JSON or CSV text containing library data
      * @param {boolean} replaceExisting - Whether to replace existing books
+     * @param {Object} options - Import options
+     * @param {string} options.format - Data format ('json' or 'csv')
+     * @param {Object} options.mapping - CSV column mapping (detected if omitted)
+     * @param {string} options.duplicateStrategy - Default Library.DUPLICATE_STRATEGY for duplicates
+     * @param {Object} options.resolutions - Per-row duplicate strategies keyed by row number
+     * @returns {Object|null} Import report ({ added, updated, skipped, invalid, total }) or null on failure
      */
-    importLibrary(jsonData, replaceExisting = false) {
+    importLibrary(data, replaceExisting = false, { format = 'json', mapping = null, ...duplicateOptions } = {}) {
         try {
-            this.library.importFromJSON(jsonData, replaceExisting);
+            const report = format === 'csv'
+                ? this.library.importFromCSV(data, mapping, replaceExisting, duplicateOptions)
+                : this.library.importFromJSON(data, replaceExisting, duplicateOptions);
+            
             this.refreshDisplay();
-            this.notifications.showSuccess('Library data imported successfully');
+            
+            if (report.added.length + report.updated.length > 0) {
+                this.notifications.showUndoable(
+                    `Imported ${report.added.length} new and updated ${report.updated.length} existing book(s)`,
+                    this.createUndoCallback()
+                );
+            }
+            
+            if (report.skipped.length + report.invalid.length > 0) {
+                this.notifications.showWarning(
+                    `${report.skipped.length} duplicate(s) skipped and ${report.invalid.length} invalid row(s) ` +
+                    `out of ${report.total}`,
+                    8000
+                );
+            }
+            
+            return report;
         } catch (error) {
             console.error('Error importing library:', error);
             this.notifications.showError('Failed to import library data: ' + error.message);
+            return null;
         }
     }
     
@@ -380,13 +2209,13 @@ class LibraryController {
     clearLibrary() {
         const confirmed = confirm(
             'Are you sure you want to remove all books from your library?\n\n' +
-            'This action cannot be undone.'
+            'You can undo this with Ctrl+Z.'
         );
         
         if (confirmed) {
             this.library.clearLibrary();
             this.refreshDisplay();
-            this.notifications.showInfo('Library cleared successfully');
+            this.notifications.showUndoable('Library cleared successfully', this.createUndoCallback());
         }
     }
     
@@ -394,33 +2223,33 @@ class LibraryController {
      * Load sample data for demonstration
      */
     loadSampleData() {
-        // Only load sample data if library is empty
-        if (this.library.getAllBooks().length === 0) {
-            try {
-                const sampleBooks = [
-                    new Book("The Hobbit", "J.R.R. Tolkien", 295, true, "Fantasy", 5),
-                    new Book("To Kill a Mockingbird", "Harper Lee", 376, false, "Classic Literature"),
-                    new Book("1984", "George Orwell", 328, true, "Dystopian Fiction", 4),
-                    new Book("Pride and Prejudice", "Jane Austen", 432, false, "Romance"),
-                    new Book("The Catcher in the Rye", "J.D. Salinger", 277, true, "Coming of Age", 3)
-                ];
-                
-                sampleBooks.forEach(book => {
-                    this.library.addBook(book);
-                });
-                
-            } catch (error) {
-                console.error('Error loading sample data:', error);
-            }
+        // Only on first run: an emptied library stays empty, and its clear can still be undone
+        if (!this.library.isNew) return;
+        
+        try {
+            const sampleBooks = [
+                new Book("The Hobbit", "J.R.R. Tolkien", 295, true, "Fantasy", 5),
+                new Book("To Kill a Mockingbird", "Harper Lee", 376, false, "Classic Literature"),
+                new Book("1984", "George Orwell", 328, true, "Dystopian Fiction", 4),
+                new Book("Pride and Prejudice", "Jane Austen", 432, false, "Romance"),
+                new Book("The Catcher in the Rye", "J.D. Salinger", 277, true, "Coming of Age", 3)
+            ];
+            
+            // Read before the app was used: no finish date, so they count toward no year's goal
+            sampleBooks.forEach(book => book.setDateFinished(null));
+            this.library.seedBooks(sampleBooks);
+        } catch (error) {
+            console.error('Error loading sample data:', error);
         }
     }
     
     /**
      * Get library statistics
+     * @param {string|null} shelfId - Limit statistics to one shelf (null for the whole library)
      * @returns {Object} Library statistics
      */
-    getStatistics() {
-        return this.library.getStatistics();
+    getStatistics(shelfId = null) {
+        return this.library.getStatistics(shelfId);
     }
     
     /**
@@ -431,3 +2260,13 @@ class LibraryController {
         return this.library.getGenres();
     }
 }
+
+/**
+ * Reading status and loan filters of the book list (see applyStatusFilter)
+ */
+LibraryController.FILTERS = Object.freeze(['all', 'read', 'reading', 'unread', 'on-loan', 'overdue']);
+
+/**
+ * Overdue books named in the reminder shown on start
+ */
+LibraryController.MAX_REMINDERS_LISTED = 3;
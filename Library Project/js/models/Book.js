@@ -3,15 +3,35 @@
  * Represents a single book in the library with all its properties and methods
  */
 class Book {
-    constructor(title, author, pages, read = false, genre = '', rating = null) {
+    constructor(title, author, pages, read = false, genre = '', rating = null, { format = '', duration = null } = {}) {
         this.id = this.generateId();
         this.title = title;
-        this.author = author;
-        this.pages = parseInt(pages);
+        // `author` is a name string ("A & B" for several) or a list of { name, role }
+        this.contributors = Array.isArray(author) ? Book.normalizeContributors(author) : Book.parseAuthors(author);
+        this.pages = pages === null || pages === undefined || pages === '' ? null : parseInt(pages); // Optional for audiobooks
+        this.format = format; // Book.FORMAT value, empty if not recorded
+        this.duration = duration === null || duration === undefined || duration === '' ? null : Number(duration); // Audiobook length in minutes
+        this.location = ''; // Where the book is kept, e.g. "Study / Shelf 3" or "Box 12"
+        this.status = Book.STATUS.TO_READ;
+        this.currentPage = 0; // For audiobooks, the minute reached
+        this.sessions = [];
+        this.dateFinished = null; // Set while the book is finished; null if unknown
         this.read = read;
         this.genre = genre;
+        this.tags = [];
         this.rating = rating;
+        this.edition = '';
+        this.isbn = ''; // Stored as ISBN-13
+        this.series = '';
+        this.volume = null; // Position in the series; may be fractional (e.g. 2.5 for a novella)
+        this.review = ''; // Markdown
+        this.notes = []; // { id, date, text } with Markdown text
+        this.quotes = []; // { id, date, text, page } where page is null if unknown
+        this.loans = []; // { id, borrower, dateLent, dateDue, dateReturned }, oldest first; dateReturned is null while lent
+        this.wishlist = null; // { priority, price, store } while wanted but not owned yet; price is null if unknown
+        this.shelfIds = [];
         this.dateAdded = new Date();
+        this.lastModified = null;
         
         // Validate input data
         this.validateBookData();
@@ -35,17 +55,329 @@ class Book {
             throw new Error('Book title is required and must be a non-empty string');
         }
         
-        if (!this.author || typeof this.author !== 'string' || this.author.trim().length === 0) {
+        if (!Array.isArray(this.contributors) || this.contributors.length === 0) {
             throw new Error('Book author is required and must be a non-empty string');
         }
         
-        if (!this.pages || this.pages <= 0 || !Number.isInteger(this.pages)) {
+        this.contributors.forEach(({ name, role }) => {
+            if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+                throw new Error('Contributor names must be non-empty and at most 100 characters');
+            }
+            if (!Object.values(Book.ROLE).includes(role)) {
+                throw new Error(`Contributor role must be one of: ${Object.values(Book.ROLE).join(', ')}`);
+            }
+        });
+        
+        if (this.format !== '' && !Object.values(Book.FORMAT).includes(this.format)) {
+            throw new Error(`Book format must be empty or one of: ${Object.values(Book.FORMAT).join(', ')}`);
+        }
+        
+        // Audiobooks are measured by their duration; a page count is optional
+        if (this.isAudiobook()) {
+            if (!Number.isInteger(this.duration) || this.duration <= 0 || this.duration > Book.MAX_DURATION) {
+                throw new Error(`Audiobook duration must be a whole number of minutes between 1 and ${Book.MAX_DURATION.toLocaleString()}`);
+            }
+        } else if (this.duration !== null) {
+            throw new Error('Only audiobooks have a duration');
+        }
+        
+        const pagesOptional = this.isAudiobook() && this.pages === null;
+        if (!pagesOptional && (!this.pages || this.pages <= 0 || !Number.isInteger(this.pages))) {
             throw new Error('Book pages must be a positive integer');
         }
         
+        if (typeof this.location !== 'string' || this.location.length > Book.MAX_LOCATION_LENGTH) {
+            throw new Error(`Book location must be at most ${Book.MAX_LOCATION_LENGTH} characters`);
+        }
+        
         if (this.rating !== null && (!Number.isInteger(this.rating) || this.rating < 1 || this.rating > 5)) {
             throw new Error('Book rating must be null or an integer between 1 and 5');
         }
+        
+        if (this.isbn && !ISBNUtils.isValidISBN13(this.isbn)) {
+            throw new Error('Book ISBN must be a valid ISBN-13');
+        }
+        
+        if (!Array.isArray(this.tags) || this.tags.length > Book.MAX_TAGS) {
+            throw new Error(`A book can have at most ${Book.MAX_TAGS} tags`);
+        }
+        
+        if (this.tags.some(tag => typeof tag !== 'string' || tag.trim().length === 0 || tag.length > Book.MAX_TAG_LENGTH)) {
+            throw new Error(`Tags must be non-empty and at most ${Book.MAX_TAG_LENGTH} characters`);
+        }
+        
+        if (typeof this.series !== 'string' || this.series.length > 100) {
+            throw new Error('Book series must be a string of at most 100 characters');
+        }
+        
+        if (this.volume !== null &&
+            (typeof this.volume !== 'number' || !Number.isFinite(this.volume) || this.volume < 0 || this.volume > 10000)) {
+            throw new Error('Book volume must be null or a number between 0 and 10000');
+        }
+        
+        if (this.volume !== null && !this.series) {
+            throw new Error('A volume number needs a series name');
+        }
+        
+        if (typeof this.review !== 'string' || this.review.length > Book.MAX_REVIEW_LENGTH) {
+            throw new Error(`Review must be at most ${Book.MAX_REVIEW_LENGTH.toLocaleString()} characters`);
+        }
+        
+        this.notes.forEach(note => {
+            if (!(note.date instanceof Date) || isNaN(note.date.getTime())) {
+                throw new Error('Note date is invalid');
+            }
+            if (typeof note.text !== 'string' || note.text.trim().length === 0 || note.text.length > Book.MAX_NOTE_LENGTH) {
+                throw new Error(`Notes must be non-empty and at most ${Book.MAX_NOTE_LENGTH.toLocaleString()} characters`);
+            }
+        });
+        
+        this.quotes.forEach(quote => {
+            if (typeof quote.text !== 'string' || quote.text.trim().length === 0 || quote.text.length > Book.MAX_QUOTE_LENGTH) {
+                throw new Error(`Quotes must be non-empty and at most ${Book.MAX_QUOTE_LENGTH.toLocaleString()} characters`);
+            }
+            if (quote.page !== null && (!Number.isInteger(quote.page) || quote.page < 1)) {
+                throw new Error('Quote page must be empty or a positive whole number');
+            }
+        });
+        
+        const isValidDate = date => date instanceof Date && !isNaN(date.getTime());
+        this.loans.forEach((loan, index) => {
+            if (typeof loan.borrower !== 'string' || loan.borrower.trim().length === 0 || loan.borrower.length > Book.MAX_BORROWER_LENGTH) {
+                throw new Error(`Borrower names must be non-empty and at most ${Book.MAX_BORROWER_LENGTH} characters`);
+            }
+            if (!isValidDate(loan.dateLent)) {
+                throw new Error('Loan date is invalid');
+            }
+            if (!isValidDate(loan.dateDue) || loan.dateDue < loan.dateLent) {
+                throw new Error('Due date must be on or after the loan date');
+            }
+            if (loan.dateReturned !== null && (!isValidDate(loan.dateReturned) || loan.dateReturned < loan.dateLent)) {
+                throw new Error('Return date must be on or after the loan date');
+            }
+            if (loan.dateReturned === null && index !== this.loans.length - 1) {
+                throw new Error('Only the latest loan can still be out');
+            }
+        });
+        
+        if (this.wishlist !== null) {
+            const { priority, price, store } = this.wishlist;
+            if (!Object.values(Book.PRIORITY).includes(priority)) {
+                throw new Error(`Wishlist priority must be one of: ${Object.values(Book.PRIORITY).join(', ')}`);
+            }
+            if (price !== null && (typeof price !== 'number' || !Number.isFinite(price) || price < 0 || price > Book.MAX_PRICE)) {
+                throw new Error(`Expected price must be empty or a number between 0 and ${Book.MAX_PRICE.toLocaleString()}`);
+            }
+            if (typeof store !== 'string' || store.length > Book.MAX_STORE_LENGTH) {
+                throw new Error(`Where to buy must be at most ${Book.MAX_STORE_LENGTH} characters`);
+            }
+            if (this.isOnLoan()) {
+                throw new Error('A book on loan cannot go on the wishlist');
+            }
+        }
+    }
+    
+    /**
+     * Place the book in a series
+     * @param {string} series - Series name (empty to take the book out of its series)
+     * @param {number|string|null} volume - Position in the series, or null/empty if unknown
+     * @throws {Error} If the series or volume is invalid
+     */
+    setSeries(series, volume = null) {
+        const previous = { series: this.series, volume: this.volume };
+        
+        this.series = typeof series === 'string' ? series.trim() : series || '';
+        this.volume = volume === null || volume === undefined || volume === '' ? null : Number(volume);
+        
+        try {
+            this.validateBookData();
+        } catch (error) {
+            Object.assign(this, previous);
+            throw error;
+        }
+    }
+    
+    /**
+     * Record where the book is kept
+     * @param {string} location - Room, shelf or box (empty if not recorded)
+     * @throws {Error} If the location is too long
+     */
+    setLocation(location) {
+        const previous = this.location;
+        this.location = typeof location === 'string' ? location.trim() : location || '';
+        
+        try {
+            this.validateBookData();
+        } catch (error) {
+            this.location = previous;
+            throw error;
+        }
+    }
+    
+    /**
+     * Check whether the book is an audiobook, measured in minutes rather than pages
+     * @returns {boolean} True for audiobooks
+     */
+    isAudiobook() {
+        return this.format === Book.FORMAT.AUDIOBOOK;
+    }
+    
+    /**
+     * Get the format for display
+     * @returns {string} E.g. "Paperback", or empty if unknown
+     */
+    getFormatLabel() {
+        return Book.FORMAT_LABELS[this.format] || '';
+    }
+    
+    /**
+     * Get the length progress is measured against
+     * @returns {number} Duration in minutes for audiobooks, otherwise pages
+     */
+    getLength() {
+        return this.isAudiobook() ? this.duration : this.pages;
+    }
+    
+    /**
+     * Get the length for display
+     * @returns {string} E.g. "320 pages" or "11 h 40 min"
+     */
+    getLengthLabel() {
+        return this.isAudiobook() ? Book.formatDuration(this.duration) : `${this.pages} pages`;
+    }
+    
+    /**
+     * Get the series and volume for display
+     * @returns {string} E.g. "Discworld #3", just the series name without a volume, or empty
+     */
+    getSeriesLabel() {
+        if (!this.series) return '';
+        return this.volume === null ? this.series : `${this.series} #${this.volume}`;
+    }
+    
+    /**
+     * Set the ISBN from either form; it is stored as ISBN-13
+     * @param {string} value - ISBN-10 or ISBN-13 (empty to clear)
+     * @throws {Error} If the ISBN is not valid
+     */
+    setISBN(value) {
+        if (!value || String(value).trim() === '') {
+            this.isbn = '';
+            return;
+        }
+        
+        const isbn = ISBNUtils.toISBN13(value);
+        if (!isbn) {
+            throw new Error(`"${value}" is not a valid ISBN-10 or ISBN-13`);
+        }
+        this.isbn = isbn;
+    }
+    
+    /**
+     * Get the ISBN-10 form of the ISBN
+     * @returns {string|null} ISBN-10, or null if there is no ISBN or it has no ISBN-10 form
+     */
+    getISBN10() {
+        return this.isbn ? ISBNUtils.toISBN10(this.isbn) : null;
+    }
+    
+    /**
+     * The book's authors for display and matching, e.g. "Neil Gaiman & Terry Pratchett"
+     * Kept as an accessor over `contributors` for backward compatibility; books
+     * without an author (anthologies) are credited to their editors
+     * @returns {string} Names joined with " & "
+     */
+    get author() {
+        const authors = this.getAuthors();
+        return (authors.length > 0 ? authors : this.contributors).map(contributor => contributor.name).join(' & ');
+    }
+    
+    /**
+     * Replace the book's authors, keeping its editors, translators and illustrators
+     * @param {string} value - Author name(s) separated by "&" or ";"
+     */
+    set author(value) {
+        this.contributors = Book.normalizeContributors([
+            ...Book.parseAuthors(value),
+            ...this.contributors.filter(contributor => !Book.AUTHOR_ROLES.includes(contributor.role))
+        ]);
+    }
+    
+    /**
+     * Get the contributors with given roles
+     * @param {...string} roles - Book.ROLE values
+     * @returns {Object[]} Contributors as { name, role }, in credit order
+     */
+    getContributors(...roles) {
+        return this.contributors.filter(contributor => roles.includes(contributor.role));
+    }
+    
+    /**
+     * Get the authors and co-authors
+     * @returns {Object[]} Contributors as { name, role }
+     */
+    getAuthors() {
+        return this.getContributors(...Book.AUTHOR_ROLES);
+    }
+    
+    /**
+     * Replace every contributor
+     * @param {Object[]} contributors - Contributors as { name, role }
+     * @throws {Error} If a name or role is invalid or nobody is left
+     */
+    setContributors(contributors) {
+        const previous = this.contributors;
+        this.contributors = Book.normalizeContributors(contributors);
+        
+        try {
+            this.validateBookData();
+        } catch (error) {
+            this.contributors = previous;
+            throw error;
+        }
+    }
+    
+    /**
+     * Whether a person contributed to the book in any role
+     * @param {string} personKey - Key from NameUtils.key()
+     * @returns {boolean} True if the person is credited
+     */
+    hasContributor(personKey) {
+        return this.contributors.some(contributor => NameUtils.key(contributor.name) === personKey);
+    }
+    
+    /**
+     * Name used to sort the book by author, e.g. "Tolkien, J.R.R."
+     * @returns {string} Sort form of the first credited name
+     */
+    getAuthorSortName() {
+        const first = this.getAuthors()[0] || this.contributors[0];
+        return first ? NameUtils.toSortName(first.name) : '';
+    }
+    
+    /**
+     * Title used to sort the book, without a leading article
+     * @returns {string} E.g. "Hobbit" for "The Hobbit"
+     */
+    getSortTitle() {
+        return Book.toSortTitle(this.title);
+    }
+    
+    /**
+     * Whether the book has been finished
+     * Kept as an accessor over `status` for backward compatibility
+     * @returns {boolean} True if the book is finished
+     */
+    get read() {
+        return this.status === Book.STATUS.FINISHED;
+    }
+    
+    /**
+     * Mark the book as finished or not started
+     * @param {boolean} value - True to mark as finished
+     */
+    set read(value) {
+        this.setStatus(value ? Book.STATUS.FINISHED : Book.STATUS.TO_READ);
     }
     
     /**
@@ -53,6 +385,225 @@ class Book {
      */
     toggleReadStatus() {
         this.read = !this.read;
+        this.touch();
+    }
+    
+    /**
+     * Record that the book was just modified
+     */
+    touch() {
+        this.lastModified = new Date();
+    }
+    
+    /**
+     * Set the reading status of the book
+     * Finishing a book moves the current page to the end and records today
+     * as the finish date, resetting to "to-read" moves it back to the start
+     * @param {string} newStatus - One of Book.STATUS values
+     * @throws {Error} If status is not a valid reading status
+     */
+    setStatus(newStatus) {
+        if (!Object.values(Book.STATUS).includes(newStatus)) {
+            throw new Error(`Invalid reading status: ${newStatus}`);
+        }
+        
+        this.updateDateFinished(this.status, newStatus);
+        this.status = newStatus;
+        
+        if (newStatus === Book.STATUS.FINISHED) {
+            this.currentPage = this.getLength();
+        } else if (newStatus === Book.STATUS.TO_READ) {
+            this.currentPage = 0;
+        }
+    }
+    
+    /**
+     * Update the current page and derive the reading status from it
+     * @param {number} page - Page the reader is currently on (0 to pages),
+     *     or for audiobooks the minute reached (0 to duration)
+     * @throws {Error} If page is outside the book
+     */
+    updateCurrentPage(page) {
+        const newPage = parseInt(page);
+        const length = this.getLength();
+        
+        if (!Number.isInteger(newPage) || newPage < 0 || newPage > length) {
+            throw new Error(`Current ${this.getLengthUnit()} must be an integer between 0 and ${length}`);
+        }
+        
+        this.currentPage = newPage;
+        this.touch();
+        
+        const previousStatus = this.status;
+        if (newPage === length) {
+            this.status = Book.STATUS.FINISHED;
+        } else if (newPage > 0) {
+            this.status = Book.STATUS.READING;
+        } else {
+            this.status = Book.STATUS.TO_READ;
+        }
+        this.updateDateFinished(previousStatus, this.status);
+    }
+    
+    /**
+     * Keep the finish date in step with a status change: finishing records
+     * the current time, leaving the finished status forgets the date
+     * @param {string} previousStatus - Status before the change
+     * @param {string} newStatus - Status after the change
+     */
+    updateDateFinished(previousStatus, newStatus) {
+        if (newStatus !== Book.STATUS.FINISHED) {
+            this.dateFinished = null;
+        } else if (previousStatus !== Book.STATUS.FINISHED) {
+            this.dateFinished = new Date();
+        }
+    }
+    
+    /**
+     * Set when the book was finished
+     * @param {Date|string|null} date - Finish date (a "YYYY-MM-DD" string is read as a local date), or null if unknown
+     * @throws {Error} If the book is not finished or the date is invalid or in the future
+     */
+    setDateFinished(date) {
+        if (date === null || date === undefined || date === '') {
+            this.dateFinished = null;
+            return;
+        }
+        
+        if (!this.read) {
+            throw new Error('Only finished books have a finish date');
+        }
+        
+        const dateFinished = Book.parseDate(date);
+        if (isNaN(dateFinished.getTime())) {
+            throw new Error('Date finished is invalid');
+        }
+        if (dateFinished > new Date()) {
+            throw new Error('Date finished cannot be in the future');
+        }
+        
+        this.dateFinished = dateFinished;
+    }
+    
+    /**
+     * Log a reading session and advance the current page to its end page
+     * (for audiobooks, "pages" are the minutes listened from and to)
+     * @param {Object} session - Session data
+     * @param {Date|string} [session.date] - When the session happened (defaults to now)
+     * @param {number} [session.startPage] - First page read (defaults to current page)
+     * @param {number} session.endPage - Last page read
+     * @param {number} [session.minutes] - Time spent reading
+     * @returns {Object} The recorded session
+     * @throws {Error} If session data is invalid
+     */
+    logReadingSession({ date = new Date(), startPage = this.currentPage, endPage, minutes = 0 } = {}) {
+        const session = {
+            date: Book.parseDate(date),
+            startPage: parseInt(startPage),
+            endPage: parseInt(endPage),
+            minutes: parseInt(minutes) || 0
+        };
+        
+        if (isNaN(session.date.getTime())) {
+            throw new Error('Session date is invalid');
+        }
+        
+        const length = this.getLength();
+        const unit = this.getLengthUnit();
+        if (!Number.isInteger(session.startPage) || session.startPage < 0 || session.startPage > length) {
+            throw new Error(`Session start ${unit} must be between 0 and ${length}`);
+        }
+        
+        if (!Number.isInteger(session.endPage) || session.endPage < session.startPage || session.endPage > length) {
+            throw new Error(`Session end ${unit} must be between ${session.startPage} and ${length}`);
+        }
+        
+        if (session.minutes < 0) {
+            throw new Error('Session minutes cannot be negative');
+        }
+        
+        const wasFinished = this.read;
+        this.sessions.push(session);
+        this.updateCurrentPage(Math.max(this.currentPage, session.endPage));
+        
+        // The session that reaches the last page is when the book was finished
+        if (this.read && !wasFinished) {
+            this.dateFinished = new Date(session.date);
+        }
+        
+        return session;
+    }
+    
+    /**
+     * Get how far the reader has got, in the book's unit
+     * @returns {number} Pages read, or minutes listened for audiobooks
+     */
+    getPosition() {
+        return this.read ? this.getLength() : this.currentPage;
+    }
+    
+    /**
+     * Get the number of pages read so far
+     * @returns {number} Pages read (0 for audiobooks, see getMinutesListened)
+     */
+    getPagesRead() {
+        return this.isAudiobook() ? 0 : this.getPosition();
+    }
+    
+    /**
+     * Get the number of minutes of an audiobook listened to so far
+     * @returns {number} Minutes listened (0 for other formats)
+     */
+    getMinutesListened() {
+        return this.isAudiobook() ? this.getPosition() : 0;
+    }
+    
+    /**
+     * Get the unit progress is counted in
+     * @returns {string} 'minute' for audiobooks, otherwise 'page'
+     */
+    getLengthUnit() {
+        return this.isAudiobook() ? 'minute' : 'page';
+    }
+    
+    /**
+     * Get reading progress as a percentage of the book's length
+     * @returns {number} Percent complete (0-100, rounded)
+     */
+    getProgressPercent() {
+        return Math.round((this.getPosition() / this.getLength()) * 100);
+    }
+    
+    /**
+     * Get reading progress for display
+     * @returns {string} E.g. "120 / 320 (38%)" or "2 h / 11 h 40 min (17%)"
+     */
+    getProgressLabel() {
+        const [position, length] = this.isAudiobook()
+            ? [Book.formatDuration(this.getPosition()), Book.formatDuration(this.duration)]
+            : [this.getPosition(), this.pages];
+        return `${position} / ${length} (${this.getProgressPercent()}%)`;
+    }
+    
+    /**
+     * Get total minutes spent across all reading sessions
+     * @returns {number} Minutes read
+     */
+    getTotalReadingMinutes() {
+        return this.sessions.reduce((sum, session) => sum + session.minutes, 0);
+    }
+    
+    /**
+     * Get human readable label for the reading status
+     * @returns {string} Status label
+     */
+    getStatusLabel() {
+        const labels = {
+            [Book.STATUS.TO_READ]: 'To Read',
+            [Book.STATUS.READING]: 'Reading',
+            [Book.STATUS.FINISHED]: 'Read'
+        };
+        return labels[this.status];
     }
     
     /**
@@ -64,6 +615,7 @@ class Book {
             throw new Error('Rating must be null or an integer between 1 and 5');
         }
         this.rating = newRating;
+        this.touch();
     }
     
     /**
@@ -72,6 +624,519 @@ class Book {
      */
     updateGenre(newGenre) {
         this.genre = newGenre || '';
+        this.touch();
+    }
+    
+    /**
+     * Replace the book's tags
+     * @param {string[]} tags - Tags; blanks and repeats (ignoring case) are dropped
+     * @throws {Error} If there are too many tags or one is too long
+     */
+    setTags(tags) {
+        const previous = this.tags;
+        this.tags = Book.normalizeTags(tags);
+        
+        try {
+            this.validateBookData();
+        } catch (error) {
+            this.tags = previous;
+            throw error;
+        }
+        this.touch();
+    }
+    
+    /**
+     * Check whether the book has a tag (ignoring case and accents)
+     * @param {string} tag - Tag to look for
+     * @returns {boolean} True if the book is tagged with it
+     */
+    hasTag(tag) {
+        const key = Book.getTagKey(tag);
+        return this.tags.some(existing => Book.getTagKey(existing) === key);
+    }
+    
+    /**
+     * Replace the book's review
+     * @param {string} review - Review text (Markdown); empty to remove it
+     * @throws {Error} If the review is too long
+     */
+    setReview(review) {
+        const previous = this.review;
+        this.review = String(review || '').trim();
+        
+        try {
+            this.validateBookData();
+        } catch (error) {
+            this.review = previous;
+            throw error;
+        }
+        this.touch();
+    }
+    
+    /**
+     * Add a dated note
+     * @param {Object} note - Note data
+     * @param {string} note.text - Note text (Markdown)
+     * @param {Date|string} [note.date] - When the note was written (defaults to now)
+     * @returns {Object} The recorded note
+     * @throws {Error} If the note is empty, too long or has an invalid date
+     */
+    addNote({ text, date = new Date() } = {}) {
+        const note = { id: this.generateId(), date: Book.parseDate(date), text: String(text || '').trim() };
+        this.changeAnnotations('notes', [...this.notes, note]);
+        return note;
+    }
+    
+    /**
+     * Change the text or date of a note
+     * @param {string} noteId - ID of the note
+     * @param {Object} changes - New { text, date }; missing values are kept
+     * @returns {Object} The changed note
+     * @throws {Error} If the note is not found or the changes are invalid
+     */
+    updateNote(noteId, { text, date } = {}) {
+        const note = this.notes.find(existing => existing.id === noteId);
+        if (!note) {
+            throw new Error('Note not found');
+        }
+        
+        const updated = {
+            ...note,
+            text: text === undefined ? note.text : String(text).trim(),
+            date: date === undefined ? note.date : Book.parseDate(date)
+        };
+        this.changeAnnotations('notes', this.notes.map(existing => existing.id === noteId ? updated : existing));
+        return updated;
+    }
+    
+    /**
+     * Remove a note
+     * @param {string} noteId - ID of the note
+     * @throws {Error} If the note is not found
+     */
+    removeNote(noteId) {
+        if (!this.notes.some(note => note.id === noteId)) {
+            throw new Error('Note not found');
+        }
+        this.changeAnnotations('notes', this.notes.filter(note => note.id !== noteId));
+    }
+    
+    /**
+     * Get the notes, most recent first
+     * @returns {Object[]} Notes as { id, date, text }
+     */
+    getNotes() {
+        return [...this.notes].sort((a, b) => b.date - a.date);
+    }
+    
+    /**
+     * Save a quote
+     * @param {Object} quote - Quote data
+     * @param {string} quote.text - Quoted passage
+     * @param {number|string|null} [quote.page] - Page it is on, or empty if unknown
+     * @returns {Object} The saved quote
+     * @throws {Error} If the quote is empty or too long, or the page is not in the book
+     */
+    addQuote({ text, page = null } = {}) {
+        const quote = { id: this.generateId(), date: new Date(), text: String(text || '').trim(), page: this.parseQuotePage(page) };
+        this.changeAnnotations('quotes', [...this.quotes, quote]);
+        return quote;
+    }
+    
+    /**
+     * Change the text or page of a quote
+     * @param {string} quoteId - ID of the quote
+     * @param {Object} changes - New { text, page }; missing values are kept
+     * @returns {Object} The changed quote
+     * @throws {Error} If the quote is not found or the changes are invalid
+     */
+    updateQuote(quoteId, { text, page } = {}) {
+        const quote = this.quotes.find(existing => existing.id === quoteId);
+        if (!quote) {
+            throw new Error('Quote not found');
+        }
+        
+        const updated = {
+            ...quote,
+            text: text === undefined ? quote.text : String(text).trim(),
+            page: page === undefined ? quote.page : this.parseQuotePage(page)
+        };
+        this.changeAnnotations('quotes', this.quotes.map(existing => existing.id === quoteId ? updated : existing));
+        return updated;
+    }
+    
+    /**
+     * Remove a quote
+     * @param {string} quoteId - ID of the quote
+     * @throws {Error} If the quote is not found
+     */
+    removeQuote(quoteId) {
+        if (!this.quotes.some(quote => quote.id === quoteId)) {
+            throw new Error('Quote not found');
+        }
+        this.changeAnnotations('quotes', this.quotes.filter(quote => quote.id !== quoteId));
+    }
+    
+    /**
+     * Get the quotes in page order (quotes without a page last)
+     * @returns {Object[]} Quotes as { id, date, text, page }
+     */
+    getQuotes() {
+        return [...this.quotes].sort((a, b) => (a.page ?? Infinity) - (b.page ?? Infinity) || a.date - b.date);
+    }
+    
+    /**
+     * Read the page of a quote being saved
+     * @param {number|string|null} page - Page number, or empty if unknown
+     * @returns {number|null} Page number
+     * @throws {Error} If the page is not in the book
+     */
+    parseQuotePage(page) {
+        if (page === null || page === undefined || page === '') return null;
+        
+        // Audiobooks without a page count have no last page to check against
+        const number = Number(page);
+        if (!Number.isInteger(number) || number < 1 || (this.pages !== null && number > this.pages)) {
+            throw new Error(this.pages !== null
+                ? `Quote page must be between 1 and ${this.pages}`
+                : 'Quote page must be a positive whole number');
+        }
+        return number;
+    }
+    
+    /**
+     * Replace the notes or quotes, undoing the change if the result is invalid
+     * @param {string} field - 'notes' or 'quotes'
+     * @param {Object[]} entries - New list
+     * @throws {Error} If an entry is invalid
+     */
+    changeAnnotations(field, entries) {
+        const previous = this[field];
+        this[field] = entries;
+        
+        try {
+            this.validateBookData();
+        } catch (error) {
+            this[field] = previous;
+            throw error;
+        }
+        this.touch();
+    }
+    
+    /**
+     * Check whether the book has a review, notes or quotes
+     * @returns {boolean} True if anything was written about the book
+     */
+    hasAnnotations() {
+        return Boolean(this.review) || this.notes.length > 0 || this.quotes.length > 0;
+    }
+    
+    /**
+     * Lend the book to someone
+     * @param {Object} loan - Loan data
+     * @param {string} loan.borrower - Who has the book
+     * @param {Date|string} [loan.dateLent] - Day it was lent (defaults to today)
+     * @param {Date|string} loan.dateDue - Day it should be back
+     * @returns {Object} The recorded loan
+     * @throws {Error} If the book is already lent or the loan is invalid
+     */
+    lend({ borrower, dateLent = new Date(), dateDue } = {}) {
+        if (this.isWishlisted()) {
+            throw new Error(`"${this.title}" is on your wishlist; acquire it before lending it`);
+        }
+        
+        const current = this.getCurrentLoan();
+        if (current) {
+            throw new Error(`"${this.title}" is already on loan to ${current.borrower}`);
+        }
+        
+        const loan = {
+            id: this.generateId(),
+            borrower: String(borrower || '').trim().replace(/\s+/g, ' '),
+            dateLent: Book.startOfDay(Book.parseDate(dateLent)),
+            dateDue: Book.startOfDay(Book.parseDate(dateDue)),
+            dateReturned: null
+        };
+        this.changeLoans([...this.loans, loan]);
+        return loan;
+    }
+    
+    /**
+     * Record that the book came back
+     * @param {Date|string} [dateReturned] - Day it came back (defaults to today)
+     * @returns {Object} The finished loan
+     * @throws {Error} If the book is not on loan or the date is before it was lent
+     */
+    returnFromLoan(dateReturned = new Date()) {
+        const current = this.getCurrentLoan();
+        if (!current) {
+            throw new Error(`"${this.title}" is not on loan`);
+        }
+        
+        const returned = { ...current, dateReturned: Book.startOfDay(Book.parseDate(dateReturned)) };
+        this.changeLoans(this.loans.map(loan => loan.id === current.id ? returned : loan));
+        return returned;
+    }
+    
+    /**
+     * Replace the loans, undoing the change if the result is invalid
+     * @param {Object[]} loans - New loan history
+     * @throws {Error} If a loan is invalid
+     */
+    changeLoans(loans) {
+        const previous = this.loans;
+        this.loans = loans;
+        
+        try {
+            this.validateBookData();
+        } catch (error) {
+            this.loans = previous;
+            throw error;
+        }
+        this.touch();
+    }
+    
+    /**
+     * Get the loan the book is out on
+     * @returns {Object|null} Current loan, or null if the book is at home
+     */
+    getCurrentLoan() {
+        const latest = this.loans[this.loans.length - 1];
+        return latest && latest.dateReturned === null ? latest : null;
+    }
+    
+    /**
+     * Check whether the book is lent out
+     * @returns {boolean} True while on loan
+     */
+    isOnLoan() {
+        return this.getCurrentLoan() !== null;
+    }
+    
+    /**
+     * Get how many days the current loan is past its due date
+     * @param {Date} [today] - Day to count from
+     * @returns {number} Days overdue, 0 if not on loan or not yet due
+     */
+    getDaysOverdue(today = new Date()) {
+        const current = this.getCurrentLoan();
+        if (!current) return 0;
+        
+        const days = Math.round((Book.startOfDay(today) - current.dateDue) / Book.DAY_MS);
+        return Math.max(days, 0);
+    }
+    
+    /**
+     * Check whether the book should have been given back by now
+     * @param {Date} [today] - Day to check on
+     * @returns {boolean} True if on loan past its due date
+     */
+    isOverdue(today = new Date()) {
+        return this.getDaysOverdue(today) > 0;
+    }
+    
+    /**
+     * Get the loan history, most recent first
+     * @returns {Object[]} Loans as { id, borrower, dateLent, dateDue, dateReturned }
+     */
+    getLoanHistory() {
+        return [...this.loans].reverse();
+    }
+    
+    /**
+     * Put the book on the wishlist, or change its wishlist details
+     * @param {Object} details - Wishlist details
+     * @param {string} [details.priority] - Book.PRIORITY value (medium if not given)
+     * @param {number|string|null} [details.price] - Expected price, or empty if unknown
+     * @param {string} [details.store] - Where to buy it (shop name or web address)
+     * @throws {Error} If the details are invalid
+     */
+    setWishlist({ priority = Book.PRIORITY.MEDIUM, price = null, store = '' } = {}) {
+        const previous = this.wishlist;
+        this.wishlist = {
+            priority,
+            price: price === null || price === undefined || price === '' ? null : Number(price),
+            store: String(store || '').trim()
+        };
+        
+        try {
+            this.validateBookData();
+        } catch (error) {
+            this.wishlist = previous;
+            throw error;
+        }
+        this.touch();
+    }
+    
+    /**
+     * Check whether the book is wanted rather than owned
+     * @returns {boolean} True while the book is on the wishlist
+     */
+    isWishlisted() {
+        return this.wishlist !== null;
+    }
+    
+    /**
+     * Take the book off the wishlist into the library; it counts as added
+     * on the day it was acquired
+     * @param {Date|string} [date] - Day it was acquired (defaults to now)
+     * @throws {Error} If the book is not on the wishlist or the date is invalid
+     */
+    acquire(date = new Date()) {
+        if (!this.isWishlisted()) {
+            throw new Error(`"${this.title}" is already in your library`);
+        }
+        
+        const dateAdded = Book.parseDate(date);
+        if (isNaN(dateAdded.getTime())) {
+            throw new Error('Date acquired is invalid');
+        }
+        
+        this.wishlist = null;
+        this.dateAdded = dateAdded;
+        this.touch();
+    }
+    
+    /**
+     * Get the wishlist priority for display
+     * @returns {string} E.g. "High priority", or empty for owned books
+     */
+    getPriorityLabel() {
+        return this.wishlist ? `${Book.PRIORITY_LABELS[this.wishlist.priority]} priority` : '';
+    }
+    
+    /**
+     * Check whether the book is on a shelf
+     * @param {string} shelfId - Shelf ID
+     * @returns {boolean} True if the book is on the shelf
+     */
+    isOnShelf(shelfId) {
+        return this.shelfIds.includes(shelfId);
+    }
+    
+    /**
+     * Put the book on a shelf (no-op if already there)
+     * @param {string} shelfId - Shelf ID
+     */
+    addToShelf(shelfId) {
+        if (!this.isOnShelf(shelfId)) {
+            this.shelfIds.push(shelfId);
+            this.touch();
+        }
+    }
+    
+    /**
+     * Take the book off a shelf
+     * @param {string} shelfId - Shelf ID
+     */
+    removeFromShelf(shelfId) {
+        if (this.isOnShelf(shelfId)) {
+            this.shelfIds = this.shelfIds.filter(id => id !== shelfId);
+            this.touch();
+        }
+    }
+    
+    /**
+     * Merge another copy of this book into it, keeping the most complete data:
+     * the higher rating, the furthest reading progress, the earliest dates added
+     * and finished, and all reading sessions
+     * @param {Book} other - Incoming copy of the same book
+     */
+    mergeFrom(other) {
+        if (other.rating !== null && (this.rating === null || other.rating > this.rating)) {
+            this.rating = other.rating;
+        }
+        
+        if (!this.genre && other.genre) {
+            this.genre = other.genre;
+        }
+        
+        this.tags = Book.normalizeTags([...this.tags, ...other.tags]).slice(0, Book.MAX_TAGS);
+        
+        if (this.read || other.read) {
+            const finishDates = [this, other]
+                .filter(copy => copy.read && copy.dateFinished)
+                .map(copy => copy.dateFinished);
+            
+            this.setStatus(Book.STATUS.FINISHED);
+            this.dateFinished = finishDates.length > 0 ? new Date(Math.min(...finishDates)) : null;
+        } else if (other.currentPage > this.currentPage && other.isAudiobook() === this.isAudiobook()) {
+            this.updateCurrentPage(Math.min(other.currentPage, this.getLength()));
+        } else if (other.status === Book.STATUS.READING && this.status === Book.STATUS.TO_READ) {
+            this.setStatus(Book.STATUS.READING);
+        }
+        
+        const sessionKey = session => `${session.date.getTime()}-${session.startPage}-${session.endPage}`;
+        const knownSessions = new Set(this.sessions.map(sessionKey));
+        other.sessions.forEach(session => {
+            if (!knownSessions.has(sessionKey(session))) {
+                this.sessions.push({ ...session });
+            }
+        });
+        this.sessions.sort((a, b) => a.date - b.date);
+        
+        if (other.dateAdded < this.dateAdded) {
+            this.dateAdded = new Date(other.dateAdded);
+        }
+        
+        if (!this.isbn && other.isbn) {
+            this.isbn = other.isbn;
+        }
+        
+        // Progress is counted in minutes for audiobooks, so only a format
+        // measured the same way is taken over
+        if (!this.format && other.format && !other.isAudiobook()) {
+            this.format = other.format;
+        }
+        
+        if (!this.location && other.location) {
+            this.location = other.location;
+        }
+        
+        const knownContributors = new Set(this.contributors.map(({ name, role }) => `${role}|${NameUtils.key(name)}`));
+        other.contributors.forEach(contributor => {
+            if (!knownContributors.has(`${contributor.role}|${NameUtils.key(contributor.name)}`)) {
+                this.contributors.push({ ...contributor });
+            }
+        });
+        
+        if (!this.series && other.series) {
+            this.series = other.series;
+            this.volume = other.volume;
+        }
+        
+        if (!this.review && other.review) {
+            this.review = other.review;
+        }
+        
+        // Notes and quotes are kept unless the same text is already there
+        ['notes', 'quotes'].forEach(field => {
+            const knownTexts = new Set(this[field].map(entry => entry.text));
+            other[field].forEach(entry => {
+                if (!knownTexts.has(entry.text)) {
+                    this[field].push({ ...entry });
+                }
+            });
+        });
+        
+        // Loans are kept unless the same loan is already there; a loan
+        // still out in one copy ended when a later one began
+        const loanKey = loan => `${NameUtils.key(loan.borrower)}|${loan.dateLent.getTime()}`;
+        const knownLoans = new Set(this.loans.map(loanKey));
+        const loans = [...this.loans, ...other.loans.filter(loan => !knownLoans.has(loanKey(loan))).map(loan => ({ ...loan }))]
+            .sort((a, b) => a.dateLent - b.dateLent);
+        this.loans = loans.map((loan, index) => index < loans.length - 1 && loan.dateReturned === null
+            ? { ...loan, dateReturned: new Date(Math.max(loans[index + 1].dateLent, loan.dateLent)) }
+            : loan);
+        
+        // Owning either copy means the book is owned
+        if (!this.wishlist || !other.wishlist) {
+            this.wishlist = null;
+        }
+        
+        other.shelfIds.forEach(shelfId => this.addToShelf(shelfId));
+        
+        this.touch();
     }
     
     /**
@@ -82,6 +1147,27 @@ class Book {
         return this.dateAdded.toLocaleDateString();
     }
     
+    /**
+     * Get formatted date when the book was finished
+     * @returns {string} Formatted date string, or empty string if unknown
+     */
+    getFormattedDateFinished() {
+        return this.dateFinished ? this.dateFinished.toLocaleDateString() : '';
+    }
+    
+    /**
+     * Get formatted date and time of the last modification
+     * @returns {string} Formatted timestamp, or empty string if never modified
+     */
+    getFormattedLastModified() {
+        if (!this.lastModified) return '';
+        
+        return `${this.lastModified.toLocaleDateString()} ${this.lastModified.toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+        })}`;
+    }
+    
     /**
      * Get star rating display
      * @returns {string} Stars representation of rating
@@ -99,11 +1185,39 @@ class Book {
             id: this.id,
             title: this.title,
             author: this.author,
+            contributors: this.contributors.map(contributor => ({ ...contributor })),
             pages: this.pages,
+            format: this.format,
+            duration: this.duration,
+            location: this.location,
             read: this.read,
             genre: this.genre,
+            tags: [...this.tags],
             rating: this.rating,
-            dateAdded: this.dateAdded.toISOString()
+            edition: this.edition,
+            isbn: this.isbn,
+            series: this.series,
+            volume: this.volume,
+            review: this.review,
+            notes: this.notes.map(note => ({ ...note, date: note.date.toISOString() })),
+            quotes: this.quotes.map(quote => ({ ...quote, date: quote.date.toISOString() })),
+            loans: this.loans.map(loan => ({
+                ...loan,
+                dateLent: loan.dateLent.toISOString(),
+                dateDue: loan.dateDue.toISOString(),
+                dateReturned: loan.dateReturned ? loan.dateReturned.toISOString() : null
+            })),
+            wishlist: this.wishlist ? { ...this.wishlist } : null,
+            shelfIds: [...this.shelfIds],
+            dateAdded: this.dateAdded.toISOString(),
+            lastModified: this.lastModified ? this.lastModified.toISOString() : null,
+            dateFinished: this.dateFinished ? this.dateFinished.toISOString() : null,
+            status: this.status,
+            currentPage: this.currentPage,
+            sessions: this.sessions.map(session => ({
+                ...session,
+                date: session.date.toISOString()
+            }))
         };
     }
     
@@ -113,29 +1227,260 @@ class Book {
      * @returns {Book} New Book instance
      */
     static fromJSON(bookData) {
+        // Records from before contributors only have the author string
         const book = new Book(
             bookData.title,
-            bookData.author,
+            Array.isArray(bookData.contributors) && bookData.contributors.length > 0
+                ? bookData.contributors
+                : bookData.author,
             bookData.pages,
             bookData.read,
             bookData.genre,
-            bookData.rating
+            bookData.rating,
+            { format: bookData.format || '', duration: bookData.duration }
         );
-        book.id = bookData.id;
-        book.dateAdded = new Date(bookData.dateAdded);
+        // Records from external sources may lack an ID or date added
+        book.id = bookData.id || book.id;
+        book.edition = bookData.edition || '';
+        book.setLocation(bookData.location || '');
+        book.setISBN(bookData.isbn);
+        book.setSeries(bookData.series || '', bookData.volume);
+        book.setTags(Array.isArray(bookData.tags) ? bookData.tags : []);
+        // Notes and quotes from other sources may lack IDs or dates
+        book.review = bookData.review || '';
+        book.notes = (Array.isArray(bookData.notes) ? bookData.notes : []).map(note => ({
+            id: note.id || book.generateId(),
+            date: note.date ? new Date(note.date) : new Date(),
+            text: String(note.text || '')
+        }));
+        book.quotes = (Array.isArray(bookData.quotes) ? bookData.quotes : []).map(quote => ({
+            id: quote.id || book.generateId(),
+            date: quote.date ? new Date(quote.date) : new Date(),
+            text: String(quote.text || ''),
+            page: quote.page === null || quote.page === undefined || quote.page === '' ? null : Number(quote.page)
+        }));
+        book.loans = (Array.isArray(bookData.loans) ? bookData.loans : []).map(loan => ({
+            id: loan.id || book.generateId(),
+            borrower: String(loan.borrower || ''),
+            dateLent: new Date(loan.dateLent),
+            dateDue: new Date(loan.dateDue),
+            dateReturned: loan.dateReturned ? new Date(loan.dateReturned) : null
+        }));
+        if (bookData.wishlist) {
+            book.setWishlist(bookData.wishlist);
+        }
+        book.validateBookData();
+        book.shelfIds = Array.isArray(bookData.shelfIds) ? [...bookData.shelfIds] : [];
+        if (bookData.dateAdded) {
+            book.dateAdded = new Date(bookData.dateAdded);
+            if (isNaN(book.dateAdded.getTime())) {
+                throw new Error('Book date added is invalid');
+            }
+        }
+        
+        // Older data only has the boolean `read` flag, which the constructor already applied
+        if (bookData.status) {
+            book.setStatus(bookData.status);
+        }
+        if (bookData.currentPage !== undefined && book.status === Book.STATUS.READING) {
+            book.currentPage = Math.min(Math.max(parseInt(bookData.currentPage) || 0, 0), book.getLength());
+        }
+        book.sessions = (bookData.sessions || []).map(session => ({
+            ...session,
+            date: new Date(session.date)
+        }));
+        
+        // Finishing above stamped the current time; use the stored date instead (null if unknown)
+        book.dateFinished = null;
+        if (book.read && bookData.dateFinished) {
+            book.dateFinished = new Date(bookData.dateFinished);
+            if (isNaN(book.dateFinished.getTime())) {
+                throw new Error('Book date finished is invalid');
+            }
+        }
+        book.lastModified = bookData.lastModified ? new Date(bookData.lastModified) : null;
         return book;
     }
     
+    /**
+     * Read a date, treating a bare "YYYY-MM-DD" (as given by date inputs)
+     * as local midnight rather than UTC so it stays on the same day
+     * @param {Date|string} value - Date or date string
+     * @returns {Date} Parsed date (invalid if unrecognized)
+     */
+    static parseDate(value) {
+        const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        return match
+            ? new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]))
+            : new Date(value);
+    }
+    
+    /**
+     * Get the start (local midnight) of a date's day; loans are counted in whole days
+     * @param {Date} date - Date
+     * @returns {Date} Midnight of that day (invalid if the date is)
+     */
+    static startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+    
+    /**
+     * Drop a leading article from a title or series name for sorting
+     * @param {string} text - Title such as "The Hobbit" or "A Game of Thrones"
+     * @returns {string} Text to sort by; titles that are only an article are kept
+     */
+    static toSortTitle(text) {
+        const trimmed = String(text || '').trim();
+        return trimmed.replace(Book.LEADING_ARTICLE_PATTERN, '') || trimmed;
+    }
+    
+    /**
+     * Change which leading articles titles are sorted without. Only English
+     * ones are ignored by default; pass the articles of the languages your
+     * books are in (an empty list sorts titles exactly as written).
+     * @param {string[]} articles - Words such as ['the', 'a', 'an', 'le', 'la', "l'"]; a trailing
+     *                              apostrophe means the article is written joined to the next word
+     * @throws {Error} If an entry is not a single word
+     */
+    static setSortArticles(articles) {
+        if (!Array.isArray(articles) || !articles.every(article => /^\p{L}+'?$/u.test(article))) {
+            throw new Error('Sort articles must be single words, optionally ending in an apostrophe');
+        }
+        
+        Book.SORT_ARTICLES = Object.freeze([...articles]);
+        Book.LEADING_ARTICLE_PATTERN = Book.toArticlePattern(Book.SORT_ARTICLES);
+    }
+    
+    /**
+     * Build the pattern that matches one of the given articles at the start of a title
+     * @param {string[]} articles - Articles (letters, optionally ending in an apostrophe)
+     * @returns {RegExp} Pattern; matches nothing when there are no articles
+     */
+    static toArticlePattern(articles) {
+        const alternatives = articles.map(article => (article.endsWith("'") ? article : `${article}\\s+`));
+        return new RegExp(`^(?:${alternatives.join('|') || '(?!)'})`, 'iu');
+    }
+    
+    /**
+     * Format a number of minutes for display
+     * @param {number} minutes - Minutes
+     * @returns {string} E.g. "45 min", "3 h" or "11 h 40 min"
+     */
+    static formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        if (hours === 0) return `${rest} min`;
+        return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+    }
+    
+    /**
+     * Read an author field into contributors: the first name is the author
+     * and any further ones co-authors
+     * @param {string} text - Author name(s) separated by "&" or ";"
+     * @returns {Object[]} Contributors as { name, role }
+     */
+    static parseAuthors(text) {
+        return NameUtils.splitNames(typeof text === 'string' ? text : '').map((name, index) => ({
+            name,
+            role: index === 0 ? Book.ROLE.AUTHOR : Book.ROLE.CO_AUTHOR
+        }));
+    }
+    
+    /**
+     * Tidy a list of contributors: names in reading order, and each person
+     * listed once per role
+     * @param {Object[]} contributors - Contributors as { name, role }
+     * @returns {Object[]} Cleaned copies
+     */
+    static normalizeContributors(contributors) {
+        const seen = new Set();
+        return contributors
+            .map(contributor => ({
+                name: NameUtils.toDisplayName(contributor && contributor.name),
+                role: contributor && contributor.role ? contributor.role : Book.ROLE.AUTHOR
+            }))
+            .filter(({ name, role }) => {
+                const key = `${role}|${NameUtils.key(name)}`;
+                if (!name || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+    
+    /**
+     * Tidy a list of tags: trimmed, single-spaced, each tag once (ignoring case)
+     * @param {string[]} tags - Tags as entered
+     * @returns {string[]} Cleaned tags in their original order
+     */
+    static normalizeTags(tags) {
+        const seen = new Set();
+        return tags
+            .map(tag => String(tag || '').trim().replace(/\s+/g, ' '))
+            .filter(tag => {
+                const key = Book.getTagKey(tag);
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+    
+    /**
+     * Normalize a tag for comparison
+     * @param {string} tag - Tag
+     * @returns {string} Key that ignores case, accents and extra spaces
+     */
+    static getTagKey(tag) {
+        return FuzzySearch.fold(tag).trim().replace(/\s+/g, ' ');
+    }
+    
+    /**
+     * Get the text that free-text searches look through, with how much a
+     * match in each counts: title most, then author, series, other
+     * contributors, genre and tags, and last the review, notes and quotes
+     * @returns {Object[]} Fields as { text, weight }
+     */
+    getSearchFields() {
+        return [
+            { text: this.title, weight: 1 },
+            { text: this.author, weight: 0.9 },
+            { text: this.series, weight: 0.8 },
+            {
+                text: this.contributors
+                    .filter(contributor => !Book.AUTHOR_ROLES.includes(contributor.role))
+                    .map(contributor => contributor.name)
+                    .join(' '),
+                weight: 0.7
+            },
+            { text: this.genre, weight: 0.6 },
+            { text: this.tags.join(' '), weight: 0.6 },
+            { text: this.review, weight: 0.5 },
+            { text: this.notes.map(note => note.text).join(' '), weight: 0.4 },
+            { text: this.quotes.map(quote => quote.text).join(' '), weight: 0.4 }
+        ];
+    }
+    
+    /**
+     * Score how well the book matches a search (typo-tolerant, ignores accents
+     * and word order), weighing matches by the field they are in
+     * @param {string} searchTerm - Search term to match against
+     * @returns {number} Relevance score, 0 if the book does not match
+     */
+    getSearchScore(searchTerm) {
+        // An ISBN (or part of one) is an exact identifier, so it outranks text matches
+        if (ISBNUtils.matches(searchTerm, this.isbn)) {
+            return 2;
+        }
+        
+        return FuzzySearch.scoreFields(searchTerm, this.getSearchFields());
+    }
+    
     /**
      * Check if book matches search criteria
      * @param {string} searchTerm - Search term to match against
      * @returns {boolean} True if book matches search criteria
      */
     matchesSearch(searchTerm) {
-        const term = searchTerm.toLowerCase();
-        return this.title.toLowerCase().includes(term) ||
-               this.author.toLowerCase().includes(term) ||
-               this.genre.toLowerCase().includes(term);
+        return this.getSearchScore(searchTerm) > 0;
     }
     
     /**
@@ -143,6 +1488,147 @@ class Book {
      * @returns {string} Book summary
      */
     getSummary() {
-        return `"${this.title}" by ${this.author} (${this.pages} pages)${this.genre ? ` - ${this.genre}` : ''}`;
+        const edition = this.edition ? ` [${this.edition}]` : '';
+        return `"${this.title}"${edition} by ${this.author} (${this.getLengthLabel()})${this.genre ? ` - ${this.genre}` : ''}`;
     }
 }
+
+/**
+ * Reading status values
+ */
+Book.STATUS = Object.freeze({
+    TO_READ: 'to-read',
+    READING: 'reading',
+    FINISHED: 'finished'
+});
+
+/**
+ * Most tags a book can have
+ */
+Book.MAX_TAGS = 30;
+
+/**
+ * Longest tag
+ */
+Book.MAX_TAG_LENGTH = 40;
+
+/**
+ * Longest review, in characters
+ */
+Book.MAX_REVIEW_LENGTH = 20000;
+
+/**
+ * Longest note, in characters
+ */
+Book.MAX_NOTE_LENGTH = 5000;
+
+/**
+ * Longest quote, in characters
+ */
+Book.MAX_QUOTE_LENGTH = 2000;
+
+/**
+ * Longest borrower name
+ */
+Book.MAX_BORROWER_LENGTH = 100;
+
+/**
+ * Wishlist priorities, most wanted first
+ */
+Book.PRIORITY = Object.freeze({
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+});
+
+/**
+ * Display label for each wishlist priority
+ */
+Book.PRIORITY_LABELS = Object.freeze({
+    [Book.PRIORITY.HIGH]: 'High',
+    [Book.PRIORITY.MEDIUM]: 'Medium',
+    [Book.PRIORITY.LOW]: 'Low'
+});
+
+/**
+ * Highest expected price of a wishlist book
+ */
+Book.MAX_PRICE = 100000;
+
+/**
+ * Longest "where to buy" text (long enough for a web address)
+ */
+Book.MAX_STORE_LENGTH = 300;
+
+/**
+ * Leading articles ignored when sorting titles ("The Hobbit" sorts under H).
+ * English only; Book.setSortArticles() changes the list.
+ */
+Book.SORT_ARTICLES = Object.freeze(['the', 'a', 'an']);
+
+/**
+ * Pattern matching a leading article from Book.SORT_ARTICLES
+ */
+Book.LEADING_ARTICLE_PATTERN = Book.toArticlePattern(Book.SORT_ARTICLES);
+
+/**
+ * Formats a book can be recorded in
+ */
+Book.FORMAT = Object.freeze({
+    HARDCOVER: 'hardcover',
+    PAPERBACK: 'paperback',
+    EBOOK: 'ebook',
+    AUDIOBOOK: 'audiobook'
+});
+
+/**
+ * Display labels for formats
+ */
+Book.FORMAT_LABELS = Object.freeze({
+    [Book.FORMAT.HARDCOVER]: 'Hardcover',
+    [Book.FORMAT.PAPERBACK]: 'Paperback',
+    [Book.FORMAT.EBOOK]: 'E-book',
+    [Book.FORMAT.AUDIOBOOK]: 'Audiobook'
+});
+
+/**
+ * Longest audiobook duration accepted, in minutes (1,000 hours)
+ */
+Book.MAX_DURATION = 60000;
+
+/**
+ * Longest location accepted
+ */
+Book.MAX_LOCATION_LENGTH = 100;
+
+/**
+ * Milliseconds in a day
+ */
+Book.DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ways a person can contribute to a book
+ */
+Book.ROLE = Object.freeze({
+    AUTHOR: 'author',
+    CO_AUTHOR: 'co-author',
+    EDITOR: 'editor',
+    TRANSLATOR: 'translator',
+    ILLUSTRATOR: 'illustrator'
+});
+
+/**
+ * Roles credited as the book's authors
+ */
+Book.AUTHOR_ROLES = Object.freeze([Book.ROLE.AUTHOR, Book.ROLE.CO_AUTHOR]);
+
+/**
+ * Display label for each contributor role
+ */
+Book.ROLE_LABELS = Object.freeze({
+    [Book.ROLE.AUTHOR]: 'Author',
+    [Book.ROLE.CO_AUTHOR]: 'Co-author',
+    [Book.ROLE.EDITOR]: 'Editor',
+    [Book.ROLE.TRANSLATOR]: 'Translator',
+    [Book.ROLE.ILLUSTRATOR]: 'Illustrator'
+});
@@ -3,10 +3,26 @@
  * Manages a collection of books and provides operations to manipulate them
  */
 class Library {
-    constructor() {
+    /**
+     * @param {StorageManager|null} storage - Storage to use (e.g. with a MemoryStorageAdapter in tests)
+     */
+    constructor(storage = null) {
         this.books = [];
-        this.storageKey = 'library-books';
-        this.loadFromStorage();
+        this.shelves = [];
+        this.goals = []; // Yearly reading goals, at most one per year
+        this.quarantine = []; // Stored records that could not be loaded
+        this.lastLoadQuarantined = 0;
+        this.isNew = false; // True when storage held no library at all (first run)
+        this.storage = storage || new StorageManager('library');
+        this.storageKey = 'books'; // localStorage key used before storage adapters
+        this.persisted = { books: new Map(), shelves: new Map(), goals: new Map() }; // Serialized records as last written
+        this.isLoaded = false;
+        this.saveQueue = Promise.resolve(true);
+        this.saveScheduled = false;
+        this.history = new HistoryManager(this.storage, 'history', Library.HISTORY_LIMIT);
+        
+        // Resolves once stored books are loaded; wait for it before using the library
+        this.ready = this.loadFromStorage();
     }
     
     /**
@@ -19,18 +35,212 @@ class Library {
             throw new Error('Only Book instances can be added to the library');
         }
         
-        // Check for duplicate books (same title and author)
-        const isDuplicate = this.books.some(existingBook => 
-            existingBook.title.toLowerCase() === book.title.toLowerCase() &&
-            existingBook.author.toLowerCase() === book.author.toLowerCase()
-        );
-        
-        if (isDuplicate) {
-            throw new Error('A book with this title and author already exists in the library');
+        // Check for duplicate books (same ISBN, or same title and author)
+        const existing = this.findDuplicate(book);
+        if (existing) {
+            throw new Error(this.getDuplicateMessage(book, existing));
         }
         
+        this.assignDefaultShelf(book);
         this.books.push(book);
+        this.recordCommand('add', `Add "${book.title}"`, { added: [book] });
+        this.saveToStorage();
+    }
+    
+    /**
+     * Fill a new library with starting books. They are not recorded in
+     * the history, so undo never takes them away again.
+     * @param {Book[]} books - Book instances to add
+     */
+    seedBooks(books) {
+        books.forEach(book => {
+            this.assignDefaultShelf(book);
+            this.books.push(book);
+        });
+        this.saveToStorage();
+    }
+    
+    /**
+     * Find an existing book with the same title, author and edition
+     * @param {Book|Object} book - Book (or record) to check
+     * @param {string|null} excludeId - ID of a book to ignore (the book being edited)
+     * @param {Book[]} books - Books to look through (defaults to the library's)
+     * @returns {Book|null} Existing duplicate or null
+     */
+    findDuplicate(book, excludeId = null, books = this.books) {
+        return books.find(existingBook => {
+            if (existingBook.id === excludeId) {
+                return false;
+            }
+            
+            // The same ISBN is the same book; different ISBNs are different books
+            if (existingBook.isbn && book.isbn) {
+                return existingBook.isbn === book.isbn;
+            }
+            
+            return existingBook.title.toLowerCase() === book.title.toLowerCase() &&
+                Library.getAuthorsKey(existingBook) === Library.getAuthorsKey(book) &&
+                (existingBook.edition || '').toLowerCase() === (book.edition || '').toLowerCase();
+        }) || null;
+    }
+    
+    /**
+     * Describe why a book counts as a duplicate
+     * @param {Book} book - New or changed book
+     * @param {Book} existing - Book it duplicates
+     * @returns {string} Error message
+     */
+    getDuplicateMessage(book, existing) {
+        const place = existing.isWishlisted() ? 'on your wishlist' : 'in the library';
+        return existing.isbn && existing.isbn === book.isbn
+            ? `A book with ISBN ${book.isbn} already exists ${place} ("${existing.title}")`
+            : `A book with this title and author already exists ${place}`;
+    }
+    
+    /**
+     * Find a book by ISBN
+     * @param {string} isbn - ISBN-10 or ISBN-13
+     * @returns {Book|null} Found book or null
+     */
+    findBookByISBN(isbn) {
+        const isbn13 = ISBNUtils.toISBN13(isbn);
+        return isbn13 ? this.books.find(book => book.isbn === isbn13) || null : null;
+    }
+    
+    /**
+     * Get the first free edition label for another copy of a book
+     * @param {Book} book - Book that needs a distinct edition
+     * @returns {string} Edition label such as "Edition 2"
+     */
+    getNextEditionLabel(book) {
+        let number = 2;
+        while (this.findDuplicate({ title: book.title, author: book.author, edition: `Edition ${number}` })) {
+            number++;
+        }
+        return `Edition ${number}`;
+    }
+    
+    /**
+     * Update an existing book in place, keeping its ID and date added
+     * @param {string} bookId - ID of the book to update
+     * @param {Object} changes - Fields to change (title, author, contributors, pages, format,
+     *     duration, location, genre, tags, edition, series, volume, rating, read, status,
+     *     currentPage, wishlist); an author without contributors replaces only the authors
+     * @returns {Book} The updated book
+     * @throws {Error} If the book is not found, the changes are invalid or
+     *     they would make the book a duplicate of another one
+     */
+    updateBook(bookId, changes) {
+        const book = this.findBookById(bookId);
+        if (!book) {
+            throw new Error('Book not found');
+        }
+        
+        const editableFields = ['title', 'author', 'contributors', 'pages', 'format', 'duration', 'location', 'genre', 'tags', 'edition', 'series', 'volume', 'isbn', 'rating', 'status', 'currentPage', 'dateFinished', 'wishlist'];
+        const updates = {};
+        editableFields.forEach(field => {
+            if (changes[field] !== undefined) {
+                updates[field] = changes[field];
+            }
+        });
+        
+        if (changes.read !== undefined && changes.status === undefined) {
+            updates.status = changes.read ? Book.STATUS.FINISHED : Book.STATUS.TO_READ;
+        }
+        
+        // Build the updated book separately so validation failures leave the original untouched
+        const candidate = Book.fromJSON({ ...book.toJSON(), ...updates, dateFinished: null });
+        if (updates.author !== undefined && updates.contributors === undefined) {
+            candidate.author = updates.author;
+        }
+        candidate.validateBookData();
+        
+        // A book finished by this edit is finished today unless a date is given
+        if (updates.dateFinished !== undefined) {
+            candidate.setDateFinished(updates.dateFinished);
+        } else if (candidate.read) {
+            candidate.dateFinished = book.read ? book.dateFinished : new Date();
+        }
+        
+        const existing = this.findDuplicate(candidate, bookId);
+        if (existing) {
+            throw new Error(this.getDuplicateMessage(candidate, existing));
+        }
+        
+        const before = book.toJSON();
+        Object.assign(book, candidate);
+        book.touch();
+        
+        this.recordCommand('edit', `Edit "${book.title}"`, {
+            updated: [{ before, after: book.toJSON() }]
+        });
+        this.saveToStorage();
+        return book;
+    }
+    
+    /**
+     * Apply a change to a single book and record it in the history
+     * @param {string} bookId - ID of the book to change
+     * @param {string} type - Command type for the history
+     * @param {string|Function} label - History label, or a function of the changed book returning one
+     * @param {Function} mutate - Receives the book and changes it
+     * @returns {*} Whatever mutate returns
+     * @throws {Error} If book is not found or mutate throws
+     */
+    changeBook(bookId, type, label, mutate) {
+        const book = this.findBookById(bookId);
+        if (!book) {
+            throw new Error('Book not found');
+        }
+        
+        const before = book.toJSON();
+        const result = mutate(book);
+        
+        this.recordCommand(type, typeof label === 'function' ? label(book) : label, {
+            updated: [{ before, after: book.toJSON() }]
+        });
         this.saveToStorage();
+        return result;
+    }
+    
+    /**
+     * Toggle the read status of a book
+     * @param {string} bookId - ID of the book
+     * @returns {Book} The updated book
+     */
+    toggleReadStatus(bookId) {
+        return this.changeBook(bookId, 'toggle-read',
+            book => `Mark "${book.title}" as ${book.read ? 'read' : 'unread'}`,
+            book => {
+                book.toggleReadStatus();
+                return book;
+            });
+    }
+    
+    /**
+     * Change the rating of a book
+     * @param {string} bookId - ID of the book
+     * @param {number|null} rating - Rating between 1-5 or null
+     * @returns {Book} The updated book
+     */
+    updateRating(bookId, rating) {
+        return this.changeBook(bookId, 'rating', book => `Rate "${book.title}"`, book => {
+            book.updateRating(rating);
+            return book;
+        });
+    }
+    
+    /**
+     * Change the genre of a book
+     * @param {string} bookId - ID of the book
+     * @param {string} genre - New genre
+     * @returns {Book} The updated book
+     */
+    updateGenre(bookId, genre) {
+        return this.changeBook(bookId, 'genre', book => `Change genre of "${book.title}"`, book => {
+            book.updateGenre(genre);
+            return book;
+        });
     }
     
     /**
@@ -39,16 +249,166 @@ class Library {
      * @returns {boolean} True if book was removed, false if not found
      */
     removeBook(bookId) {
-        const initialLength = this.books.length;
-        this.books = this.books.filter(book => book.id !== bookId);
+        const index = this.books.findIndex(book => book.id === bookId);
         
-        if (this.books.length < initialLength) {
+        if (index !== -1) {
+            const [book] = this.books.splice(index, 1);
+            this.recordCommand('remove', `Remove "${book.title}"`, { removed: [{ index, book }] });
             this.saveToStorage();
             return true;
         }
         return false;
     }
     
+    /**
+     * Apply the same change to several books as one command: one history
+     * entry and one save. If the change fails for any book, every book is
+     * put back as it was.
+     * @param {string[]} bookIds - IDs of the books to change
+     * @param {string} type - Command type for the history
+     * @param {string} label - History label
+     * @param {Function} mutate - Receives each book and changes it
+     * @returns {Book[]} The books whose data actually changed
+     * @throws {Error} If a book is not found or mutate throws
+     */
+    changeBooks(bookIds, type, label, mutate) {
+        const books = bookIds.map(bookId => {
+            const book = this.findBookById(bookId);
+            if (!book) {
+                throw new Error('Book not found');
+            }
+            return book;
+        });
+        
+        const snapshots = books.map(book => book.toJSON());
+        
+        try {
+            books.forEach(book => mutate(book));
+        } catch (error) {
+            snapshots.forEach(before => this.restoreBookState(before));
+            throw error;
+        }
+        
+        // Books that were already in the requested state keep their old
+        // modification time and are left out of the history
+        const comparable = data => JSON.stringify({ ...data, lastModified: null });
+        const updated = [];
+        books.forEach((book, index) => {
+            if (comparable(book.toJSON()) === comparable(snapshots[index])) {
+                this.restoreBookState(snapshots[index]);
+            } else {
+                book.touch();
+                updated.push({ book, before: snapshots[index] });
+            }
+        });
+        
+        this.recordCommand(type, label, {
+            updated: updated.map(({ book, before }) => ({ before, after: book.toJSON() }))
+        });
+        this.saveToStorage();
+        return updated.map(({ book }) => book);
+    }
+    
+    /**
+     * Mark several books as read or unread
+     * @param {string[]} bookIds - IDs of the books
+     * @param {boolean} read - True to mark as read, false for unread
+     * @returns {Book[]} The books that changed
+     */
+    setReadStatusForBooks(bookIds, read) {
+        return this.changeBooks(bookIds, 'toggle-read',
+            `Mark ${Library.countLabel(bookIds.length)} as ${read ? 'read' : 'unread'}`,
+            book => {
+                book.read = read;
+            });
+    }
+    
+    /**
+     * Change the rating of several books
+     * @param {string[]} bookIds - IDs of the books
+     * @param {number|null} rating - Rating between 1-5 or null
+     * @returns {Book[]} The books that changed
+     */
+    updateRatingForBooks(bookIds, rating) {
+        return this.changeBooks(bookIds, 'rating', `Rate ${Library.countLabel(bookIds.length)}`, book => {
+            book.updateRating(rating);
+        });
+    }
+    
+    /**
+     * Change the genre of several books
+     * @param {string[]} bookIds - IDs of the books
+     * @param {string} genre - New genre
+     * @returns {Book[]} The books that changed
+     */
+    updateGenreForBooks(bookIds, genre) {
+        return this.changeBooks(bookIds, 'genre', `Change genre of ${Library.countLabel(bookIds.length)}`, book => {
+            book.updateGenre(genre);
+        });
+    }
+    
+    /**
+     * Rename tags across the whole library as one command. Renaming to a tag
+     * that already exists merges them, and several tags can be merged at once.
+     * @param {string[]} tags - Tags to rename
+     * @param {string} newTag - New name
+     * @returns {Book[]} The books that changed
+     * @throws {Error} If the new name is invalid or no book has the tags
+     */
+    renameTags(tags, newTag) {
+        const [target] = Book.normalizeTags([newTag]);
+        if (!target) {
+            throw new Error('Tag name cannot be empty');
+        }
+        if (target.length > Book.MAX_TAG_LENGTH) {
+            throw new Error(`Tags must be at most ${Book.MAX_TAG_LENGTH} characters`);
+        }
+        
+        const keys = new Set(tags.map(tag => Book.getTagKey(tag)));
+        const bookIds = this.books
+            .filter(book => book.tags.some(tag => keys.has(Book.getTagKey(tag))))
+            .map(book => book.id);
+        if (bookIds.length === 0) {
+            throw new Error('No books have that tag');
+        }
+        
+        const label = tags.length === 1 ? `Rename tag "${tags[0]}" to "${target}"` : `Merge ${tags.length} tags into "${target}"`;
+        return this.changeBooks(bookIds, 'tags', label, book => {
+            // The renamed tag keeps its place among the book's tags
+            book.setTags(book.tags.map(tag => keys.has(Book.getTagKey(tag)) ? target : tag));
+        });
+    }
+    
+    /**
+     * Remove several books as one command
+     * @param {string[]} bookIds - IDs of the books to remove
+     * @returns {Book[]} The removed books
+     */
+    removeBooks(bookIds) {
+        const ids = new Set(bookIds);
+        const removed = this.books
+            .map((book, index) => ({ index, book }))
+            .filter(({ book }) => ids.has(book.id));
+        
+        if (removed.length === 0) {
+            return [];
+        }
+        
+        this.books = this.books.filter(book => !ids.has(book.id));
+        this.recordCommand('remove', `Remove ${Library.countLabel(removed.length)}`, { removed });
+        this.saveToStorage();
+        return removed.map(({ book }) => book);
+    }
+    
+    /**
+     * Describe a number of books, e.g. "1 book" or "3 books"
+     * @param {number} count - Number of books
+     * @returns {string} Count with the right noun
+     */
+    static countLabel(count) {
+        return `${count} ${count === 1 ? 'book' : 'books'}`;
+    }
+    
     /**
      * Find a book by ID
      * @param {string} bookId - ID of the book to find
@@ -66,6 +426,36 @@ class Library {
         return [...this.books]; // Return a copy to prevent direct manipulation
     }
     
+    /**
+     * Get the books that are owned (everything not on the wishlist)
+     * @returns {Book[]} Owned books
+     */
+    getOwnedBooks() {
+        return this.books.filter(book => !book.isWishlisted());
+    }
+    
+    /**
+     * Get the books on the wishlist
+     * @returns {Book[]} Wanted books
+     */
+    getWishlistBooks() {
+        return this.books.filter(book => book.isWishlisted());
+    }
+    
+    /**
+     * Move a wishlist book into the library
+     * @param {string} bookId - ID of the book
+     * @param {Date|string} [date] - Day it was acquired, its new date added (defaults to now)
+     * @returns {Book} The acquired book
+     * @throws {Error} If book is not found or is not on the wishlist
+     */
+    acquireBook(bookId, date = new Date()) {
+        return this.changeBook(bookId, 'wishlist', book => `Acquire "${book.title}"`, book => {
+            book.acquire(date);
+            return book;
+        });
+    }
+    
     /**
      * Get books filtered by read status
      * @param {boolean} readStatus - Filter by read status
@@ -75,6 +465,183 @@ class Library {
         return this.books.filter(book => book.read === readStatus);
     }
     
+    /**
+     * Get books filtered by reading status
+     * @param {string} status - One of Book.STATUS values
+     * @returns {Book[]} Filtered books
+     */
+    getBooksByStatus(status) {
+        return this.books.filter(book => book.status === status);
+    }
+    
+    /**
+     * Log a reading session for a book
+     * @param {string} bookId - ID of the book that was read
+     * @param {Object} session - Session data (date, startPage, endPage, minutes)
+     * @returns {Object} The recorded session
+     * @throws {Error} If book is not found or session is invalid
+     */
+    logReadingSession(bookId, session) {
+        return this.changeBook(bookId, 'progress', book => `Log reading session for "${book.title}"`,
+            book => book.logReadingSession(session));
+    }
+    
+    /**
+     * Update the current page of a book
+     * @param {string} bookId - ID of the book
+     * @param {number} page - New current page
+     * @throws {Error} If book is not found or page is invalid
+     */
+    updateReadingProgress(bookId, page) {
+        this.changeBook(bookId, 'progress', book => `Update progress of "${book.title}"`,
+            book => book.updateCurrentPage(page));
+    }
+    
+    /**
+     * Replace the review of a book
+     * @param {string} bookId - ID of the book
+     * @param {string} review - Review text (Markdown); empty to remove it
+     * @returns {Book} The updated book
+     * @throws {Error} If book is not found or the review is too long
+     */
+    setReview(bookId, review) {
+        return this.changeBook(bookId, 'annotation', book => `${review ? 'Edit' : 'Remove'} review of "${book.title}"`, book => {
+            book.setReview(review);
+            return book;
+        });
+    }
+    
+    /**
+     * Add a dated note to a book
+     * @param {string} bookId - ID of the book
+     * @param {Object} note - Note data (text, date)
+     * @returns {Object} The recorded note
+     * @throws {Error} If book is not found or the note is invalid
+     */
+    addNote(bookId, note) {
+        return this.changeBook(bookId, 'annotation', book => `Add note to "${book.title}"`,
+            book => book.addNote(note));
+    }
+    
+    /**
+     * Change a note of a book
+     * @param {string} bookId - ID of the book
+     * @param {string} noteId - ID of the note
+     * @param {Object} changes - New text and/or date
+     * @returns {Object} The changed note
+     * @throws {Error} If book or note is not found or the changes are invalid
+     */
+    updateNote(bookId, noteId, changes) {
+        return this.changeBook(bookId, 'annotation', book => `Edit note on "${book.title}"`,
+            book => book.updateNote(noteId, changes));
+    }
+    
+    /**
+     * Remove a note from a book
+     * @param {string} bookId - ID of the book
+     * @param {string} noteId - ID of the note
+     * @throws {Error} If book or note is not found
+     */
+    removeNote(bookId, noteId) {
+        this.changeBook(bookId, 'annotation', book => `Remove note from "${book.title}"`,
+            book => book.removeNote(noteId));
+    }
+    
+    /**
+     * Save a quote from a book
+     * @param {string} bookId - ID of the book
+     * @param {Object} quote - Quote data (text, page)
+     * @returns {Object} The saved quote
+     * @throws {Error} If book is not found or the quote is invalid
+     */
+    addQuote(bookId, quote) {
+        return this.changeBook(bookId, 'annotation', book => `Save quote from "${book.title}"`,
+            book => book.addQuote(quote));
+    }
+    
+    /**
+     * Change a saved quote
+     * @param {string} bookId - ID of the book
+     * @param {string} quoteId - ID of the quote
+     * @param {Object} changes - New text and/or page
+     * @returns {Object} The changed quote
+     * @throws {Error} If book or quote is not found or the changes are invalid
+     */
+    updateQuote(bookId, quoteId, changes) {
+        return this.changeBook(bookId, 'annotation', book => `Edit quote from "${book.title}"`,
+            book => book.updateQuote(quoteId, changes));
+    }
+    
+    /**
+     * Remove a saved quote
+     * @param {string} bookId - ID of the book
+     * @param {string} quoteId - ID of the quote
+     * @throws {Error} If book or quote is not found
+     */
+    removeQuote(bookId, quoteId) {
+        this.changeBook(bookId, 'annotation', book => `Remove quote from "${book.title}"`,
+            book => book.removeQuote(quoteId));
+    }
+    
+    /**
+     * Lend a book to someone
+     * @param {string} bookId - ID of the book
+     * @param {Object} loan - Loan data (borrower, dateLent, dateDue)
+     * @returns {Object} The recorded loan
+     * @throws {Error} If book is not found, is already lent or the loan is invalid
+     */
+    lendBook(bookId, loan) {
+        return this.changeBook(bookId, 'loan', book => `Lend "${book.title}" to ${book.getCurrentLoan().borrower}`,
+            book => book.lend(loan));
+    }
+    
+    /**
+     * Record that a lent book came back
+     * @param {string} bookId - ID of the book
+     * @param {Date|string} [dateReturned] - Day it came back (defaults to today)
+     * @returns {Object} The finished loan
+     * @throws {Error} If book is not found or is not on loan
+     */
+    returnBook(bookId, dateReturned) {
+        return this.changeBook(bookId, 'loan', book => `Return "${book.title}"`,
+            book => book.returnFromLoan(dateReturned));
+    }
+    
+    /**
+     * Get the books that are past their loan's due date, longest overdue first
+     * @param {Date} [today] - Day to check on
+     * @returns {Book[]} Overdue books
+     */
+    getOverdueBooks(today = new Date()) {
+        return this.books
+            .filter(book => book.isOverdue(today))
+            .sort((a, b) => b.getDaysOverdue(today) - a.getDaysOverdue(today));
+    }
+    
+    /**
+     * Get everyone who has borrowed a book, for suggestions
+     * @returns {string[]} Borrower names sorted alphabetically, each spelling once
+     */
+    getBorrowers() {
+        const borrowers = new Map();
+        this.books.forEach(book => book.loans.forEach(({ borrower }) => {
+            borrowers.set(NameUtils.key(borrower), borrower);
+        }));
+        return [...borrowers.values()].sort(Library.NATURAL_COLLATOR.compare);
+    }
+    
+    /**
+     * Get every place books are kept, for suggestions
+     * @returns {string[]} Locations sorted alphabetically, each spelling once
+     */
+    getLocations() {
+        const locations = new Map();
+        this.books
+            .filter(book => book.location)
+            .forEach(({ location }) => locations.set(location.toLowerCase(), location));
+        return [...locations.values()].sort(Library.NATURAL_COLLATOR.compare);
+    }
+    
     /**
      * Get books filtered by genre
      * @param {string} genre - Genre to filter by
@@ -86,6 +653,27 @@ class Library {
         );
     }
     
+    /**
+     * Get every tag in the library with its number of books
+     * @param {Book[]} books - Books to look at (the whole library by default)
+     * @returns {Object[]} Tags sorted by name: { name, count }
+     */
+    getTags(books = this.books) {
+        return Object.entries(LibraryAnalytics.countTags(books))
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => Library.NATURAL_COLLATOR.compare(a.name, b.name));
+    }
+    
+    /**
+     * Get books by tags
+     * @param {string[]} tags - Tags to look for
+     * @param {string} mode - Library.TAG_MODE.ALL for books with every tag, ANY for books with at least one
+     * @returns {Book[]} Matching books (all books if no tags are given)
+     */
+    getBooksByTags(tags, mode = Library.TAG_MODE.ALL) {
+        return this.books.filter(book => Library.matchesTags(book, tags, mode));
+    }
+    
     /**
      * Search books by title, author, or genre
      * @param {string} searchTerm - Term to search for
@@ -96,30 +684,47 @@ class Library {
             return this.getAllBooks();
         }
         
-        return this.books.filter(book => book.matchesSearch(searchTerm));
+        // Best matches first; equal scores keep library order
+        return this.books
+            .map(book => ({ book, score: book.getSearchScore(searchTerm) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.book);
     }
     
     /**
      * Get library statistics
+     * @param {string|null} shelfId - Limit statistics to one shelf (null for the whole library)
      * @returns {Object} Statistics object
      */
-    getStatistics() {
-        const total = this.books.length;
-        const read = this.getBooksByReadStatus(true).length;
-        const unread = this.getBooksByReadStatus(false).length;
-        const totalPages = this.books.reduce((sum, book) => sum + book.pages, 0);
-        const readPages = this.getBooksByReadStatus(true).reduce((sum, book) => sum + book.pages, 0);
+    getStatistics(shelfId = null) {
+        // Everything but the wishlist totals is about the books owned
+        const shelfBooks = shelfId ? this.getBooksOnShelf(shelfId) : this.books;
+        const books = shelfBooks.filter(book => !book.isWishlisted());
+        const wishlist = shelfBooks.filter(book => book.isWishlisted());
+        const pricedWishlist = wishlist.filter(book => book.wishlist.price !== null);
+        const total = books.length;
+        const read = books.filter(book => book.read).length;
+        const unread = total - read;
+        const reading = books.filter(book => book.status === Book.STATUS.READING).length;
+        // Audiobooks are counted in minutes, so they stay out of the page totals
+        const printBooks = books.filter(book => !book.isAudiobook());
+        const audiobooks = books.filter(book => book.isAudiobook());
+        const totalPages = printBooks.reduce((sum, book) => sum + book.pages, 0);
+        const readPages = printBooks.reduce((sum, book) => sum + book.getPagesRead(), 0);
+        const listeningMinutes = audiobooks.reduce((sum, book) => sum + book.duration, 0);
+        const listenedMinutes = audiobooks.reduce((sum, book) => sum + book.getMinutesListened(), 0);
+        const readingMinutes = books.reduce((sum, book) => sum + book.getTotalReadingMinutes(), 0);
+        const onLoan = books.filter(book => book.isOnLoan()).length;
+        const overdue = books.filter(book => book.isOverdue()).length;
         
-        // Get genre distribution
-        const genreCount = {};
-        this.books.forEach(book => {
-            if (book.genre) {
-                genreCount[book.genre] = (genreCount[book.genre] || 0) + 1;
-            }
-        });
+        // Get genre and tag distribution
+        const genreCount = LibraryAnalytics.countGenres(books);
+        // The tag cloud filters the wishlist too
+        const tagCount = LibraryAnalytics.countTags(shelfBooks);
         
         // Get average rating
-        const ratedBooks = this.books.filter(book => book.rating !== null);
+        const ratedBooks = books.filter(book => book.rating !== null);
         const averageRating = ratedBooks.length > 0 
             ? ratedBooks.reduce((sum, book) => sum + book.rating, 0) / ratedBooks.length 
             : 0;
@@ -128,138 +733,1264 @@ class Library {
             totalBooks: total,
             readBooks: read,
             unreadBooks: unread,
+            readingBooks: reading,
             totalPages,
             readPages,
+            readPercent: totalPages > 0 ? Math.round((readPages / totalPages) * 100) : 0,
+            readingMinutes,
+            listeningMinutes,
+            listenedMinutes,
+            formatDistribution: LibraryAnalytics.countFormats(books),
+            onLoanBooks: onLoan,
+            overdueBooks: overdue,
+            wishlistBooks: wishlist.length,
+            wishlistCost: Math.round(pricedWishlist.reduce((sum, book) => sum + book.wishlist.price, 0) * 100) / 100,
+            wishlistUnpriced: wishlist.length - pricedWishlist.length,
             genreDistribution: genreCount,
+            tagDistribution: tagCount,
             averageRating: Math.round(averageRating * 10) / 10,
             ratedBooksCount: ratedBooks.length
         };
     }
     
     /**
-     * Get unique genres in the library
-     * @returns {string[]} Array of unique genres
+     * Get statistics for every shelf
+     * @returns {Object[]} Array of { shelf, statistics }
      */
-    getGenres() {
-        const genres = this.books
-            .map(book => book.genre)
-            .filter(genre => genre && genre.trim().length > 0);
-        
-        return [...new Set(genres)].sort();
+    getShelfStatistics() {
+        return this.shelves.map(shelf => ({
+            shelf,
+            statistics: this.getStatistics(shelf.id)
+        }));
     }
     
     /**
-     * Sort books by different criteria
-     * @param {string} sortBy - Criteria to sort by (title, author, pages, dateAdded, rating)
-     * @param {string} order - Sort order (asc, desc)
-     * @returns {Book[]} Sorted books
+     * Get all shelves
+     * @returns {Shelf[]} Array of shelves (default shelf first)
      */
-    sortBooks(sortBy = 'title', order = 'asc') {
-        const validSortFields = ['title', 'author', 'pages', 'dateAdded', 'rating'];
-        
-        if (!validSortFields.includes(sortBy)) {
-            throw new Error(`Invalid sort field: ${sortBy}`);
-        }
-        
-        return [...this.books].sort((a, b) => {
-            let aValue = a[sortBy];
-            let bValue = b[sortBy];
-            
-            // Handle string comparisons
-            if (typeof aValue === 'string') {
-                aValue = aValue.toLowerCase();
-                bValue = bValue.toLowerCase();
-            }
-            
-            // Handle null values for rating
-            if (sortBy === 'rating') {
-                if (aValue === null) aValue = 0;
-                if (bValue === null) bValue = 0;
-            }
-            
-            let comparison = 0;
-            if (aValue < bValue) {
-                comparison = -1;
-            } else if (aValue > bValue) {
-                comparison = 1;
-            }
-            
-            return order === 'desc' ? comparison * -1 : comparison;
-        });
+    getShelves() {
+        return [...this.shelves];
     }
     
     /**
-     * Clear all books from the library
+     * Find a shelf by ID
+     * @param {string} shelfId - Shelf ID
+     * @returns {Shelf|null} Found shelf or null
      */
-    clearLibrary() {
-        this.books = [];
-        this.saveToStorage();
+    findShelfById(shelfId) {
+        return this.shelves.find(shelf => shelf.id === shelfId) || null;
     }
     
     /**
-     * Save library to localStorage
+     * Find a shelf by name (case-insensitive)
+     * @param {string} name - Shelf name
+     * @returns {Shelf|null} Found shelf or null
      */
-    saveToStorage() {
-        try {
-            const booksData = this.books.map(book => book.toJSON());
-            localStorage.setItem(this.storageKey, JSON.stringify(booksData));
-        } catch (error) {
-            console.error('Error saving library to storage:', error);
-        }
+    findShelfByName(name) {
+        const normalized = (name || '').trim().toLowerCase();
+        return this.shelves.find(shelf => shelf.name.toLowerCase() === normalized) || null;
     }
     
     /**
-     * Load library from localStorage
+     * Create a new shelf
+     * @param {string} name - Shelf name
+     * @returns {Shelf} The created shelf
+     * @throws {Error} If the name is invalid or already used
      */
-    loadFromStorage() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                const booksData = JSON.parse(stored);
-                this.books = booksData.map(bookData => Book.fromJSON(bookData));
-            }
-        } catch (error) {
-            console.error('Error loading library from storage:', error);
-            this.books = [];
+    createShelf(name) {
+        if (this.findShelfByName(name)) {
+            throw new Error(`A shelf named "${name.trim()}" already exists`);
         }
+        
+        const shelf = new Shelf(name);
+        this.shelves.push(shelf);
+        this.saveToStorage();
+        return shelf;
     }
     
     /**
-     * Export library data as JSON string
-     * @returns {string} JSON representation of the library
+     * Rename a shelf
+     * @param {string} shelfId - Shelf ID
+     * @param {string} name - New name
+     * @returns {Shelf} The renamed shelf
+     * @throws {Error} If the shelf is not found or the name is invalid or already used
      */
-    exportToJSON() {
-        return JSON.stringify(this.books.map(book => book.toJSON()), null, 2);
-    }
-    
-    /**
-     * Import library data from JSON string
-     * @param {string} jsonData - JSON string containing book data
-     * @param {boolean} replaceExisting - Whether to replace existing books
+    renameShelf(shelfId, name) {
+        const shelf = this.findShelfById(shelfId);
+        if (!shelf) {
+            throw new Error('Shelf not found');
+        }
+        
+        const existing = this.findShelfByName(name);
+        if (existing && existing.id !== shelfId) {
+            throw new Error(`A shelf named "${name.trim()}" already exists`);
+        }
+        
+        shelf.rename(name);
+        this.saveToStorage();
+        return shelf;
+    }
+    
+    /**
+     * Delete a shelf; books left on no shelf move to the default shelf
+     * @param {string} shelfId - Shelf ID
+     * @returns {boolean} True if the shelf was deleted
+     * @throws {Error} If trying to delete the default shelf
      */
-    importFromJSON(jsonData, replaceExisting = false) {
-        try {
-            const booksData = JSON.parse(jsonData);
+    deleteShelf(shelfId) {
+        if (shelfId === Library.DEFAULT_SHELF_ID) {
+            throw new Error('The default shelf cannot be deleted');
+        }
+        
+        const initialLength = this.shelves.length;
+        this.shelves = this.shelves.filter(shelf => shelf.id !== shelfId);
+        
+        if (this.shelves.length === initialLength) {
+            return false;
+        }
+        
+        this.books.forEach(book => {
+            book.removeFromShelf(shelfId);
+            this.assignDefaultShelf(book);
+        });
+        
+        this.saveToStorage();
+        return true;
+    }
+    
+    /**
+     * Get books on a shelf
+     * @param {string} shelfId - Shelf ID
+     * @returns {Book[]} Books on the shelf
+     */
+    getBooksOnShelf(shelfId) {
+        return this.books.filter(book => book.isOnShelf(shelfId));
+    }
+    
+    /**
+     * Put a book on a shelf or take it off
+     * @param {string} bookId - Book ID
+     * @param {string} shelfId - Shelf ID
+     * @param {boolean} onShelf - True to add, false to remove
+     * @returns {Book} The updated book
+     * @throws {Error} If book or shelf is not found, or the book would be left on no shelf
+     */
+    setBookShelf(bookId, shelfId, onShelf) {
+        const shelf = this.findShelfById(shelfId);
+        if (!shelf) {
+            throw new Error('Shelf not found');
+        }
+        
+        return this.changeBook(bookId, 'shelf',
+            book => `${onShelf ? 'Add' : 'Remove'} "${book.title}" ${onShelf ? 'to' : 'from'} ${shelf.name}`,
+            book => {
+                if (onShelf) {
+                    book.addToShelf(shelfId);
+                } else {
+                    if (book.shelfIds.length === 1 && book.isOnShelf(shelfId)) {
+                        throw new Error('A book must stay on at least one shelf');
+                    }
+                    book.removeFromShelf(shelfId);
+                }
+                return book;
+            });
+    }
+    
+    /**
+     * Put a book on the default shelf if it is on no known shelf
+     * @param {Book} book - Book to check
+     */
+    assignDefaultShelf(book) {
+        book.shelfIds = book.shelfIds.filter(shelfId => this.findShelfById(shelfId));
+        if (book.shelfIds.length === 0) {
+            book.shelfIds.push(Library.DEFAULT_SHELF_ID);
+        }
+    }
+    
+    /**
+     * Create the default shelf if missing and move books that are
+     * on no shelf (e.g. saved before shelves existed) onto it
+     */
+    ensureDefaultShelf() {
+        if (!this.findShelfById(Library.DEFAULT_SHELF_ID)) {
+            this.shelves.unshift(new Shelf('My Library', Library.DEFAULT_SHELF_ID));
+        }
+        
+        this.books.forEach(book => this.assignDefaultShelf(book));
+    }
+    
+    /**
+     * Get the reading goal for a year
+     * @param {number} year - Calendar year
+     * @returns {ReadingGoal|null} Goal or null if none is set
+     */
+    getGoal(year) {
+        return this.goals.find(goal => goal.year === parseInt(year)) || null;
+    }
+    
+    /**
+     * Set (or replace) the reading goal for a year
+     * @param {number} year - Calendar year
+     * @param {number} target - Number of books or pages to finish
+     * @param {string} unit - One of ReadingGoal.UNIT values
+     * @returns {ReadingGoal} The goal
+     * @throws {Error} If the goal is invalid
+     */
+    setGoal(year, target, unit = ReadingGoal.UNIT.BOOKS) {
+        const goal = new ReadingGoal(year, target, unit);
+        
+        this.goals = this.goals.filter(existing => existing.year !== goal.year);
+        this.goals.push(goal);
+        this.goals.sort((a, b) => a.year - b.year);
+        
+        this.saveToStorage();
+        return goal;
+    }
+    
+    /**
+     * Remove the reading goal for a year
+     * @param {number} year - Calendar year
+     * @returns {boolean} True if a goal was removed
+     */
+    removeGoal(year) {
+        const goal = this.getGoal(year);
+        if (!goal) return false;
+        
+        this.goals = this.goals.filter(existing => existing !== goal);
+        this.saveToStorage();
+        return true;
+    }
+    
+    /**
+     * Get the progress of a year's reading challenge
+     * @param {number} year - Calendar year (defaults to the current one)
+     * @param {Date} today - Date to measure the pace at
+     * @returns {Object|null} Progress (see ReadingGoal.getProgress), or null if no goal is set
+     */
+    getGoalProgress(year = new Date().getFullYear(), today = new Date()) {
+        const goal = this.getGoal(year);
+        return goal ? goal.getProgress(this.books, today) : null;
+    }
+    
+    /**
+     * Get the books finished in a year, most recently finished first
+     * @param {number} year - Calendar year
+     * @returns {Book[]} Finished books with a finish date in that year
+     */
+    getBooksFinishedIn(year) {
+        return this.books
+            .filter(book => book.read && book.dateFinished && book.dateFinished.getFullYear() === parseInt(year))
+            .sort((a, b) => b.dateFinished - a.dateFinished);
+    }
+    
+    /**
+     * Get unique genres in the library
+     * @returns {string[]} Array of unique genres
+     */
+    getGenres() {
+        const genres = this.books
+            .map(book => book.genre)
+            .filter(genre => genre && genre.trim().length > 0);
+        
+        return [...new Set(genres)].sort();
+    }
+    
+    /**
+     * Get everyone credited on a book in the library, whatever their role
+     * @returns {Object[]} People sorted by family name: { key, name, sortName, roles, books }
+     *     where roles maps each Book.ROLE to the number of books
+     */
+    getPeople() {
+        const people = new Map();
+        this.books.forEach(book => {
+            book.contributors.forEach(({ name, role }) => {
+                const key = NameUtils.key(name);
+                if (!people.has(key)) {
+                    people.set(key, { key, name, sortName: NameUtils.toSortName(name), roles: {}, books: [] });
+                }
+                
+                const person = people.get(key);
+                person.roles[role] = (person.roles[role] || 0) + 1;
+                if (!person.books.includes(book)) {
+                    person.books.push(book);
+                }
+            });
+        });
+        
+        return [...people.values()].sort((a, b) => Library.NATURAL_COLLATOR.compare(a.sortName, b.sortName));
+    }
+    
+    /**
+     * Get one person's page: their books grouped by role
+     * @param {string} personKey - Key from NameUtils.key()
+     * @returns {Object|null} { key, name, sortName, variants, roles: [{ role, books }], books, finished },
+     *     or null if nobody in the library has that key
+     */
+    getPerson(personKey) {
+        const credits = [];
+        this.books.forEach(book => {
+            book.contributors.forEach(({ name, role }) => {
+                if (NameUtils.key(name) === personKey) {
+                    credits.push({ book, name, role });
+                }
+            });
+        });
+        
+        if (credits.length === 0) return null;
+        
+        const books = [...new Set(credits.map(credit => credit.book))]
+            .sort((a, b) => Library.NATURAL_COLLATOR.compare(a.getSortTitle(), b.getSortTitle()));
+        const roles = Object.values(Book.ROLE)
+            .map(role => ({
+                role,
+                books: books.filter(book => credits.some(credit => credit.book === book && credit.role === role))
+            }))
+            .filter(entry => entry.books.length > 0);
+        
+        return {
+            key: personKey,
+            name: credits[0].name,
+            sortName: NameUtils.toSortName(credits[0].name),
+            variants: [...new Set(credits.map(credit => credit.name))],
+            roles,
+            books,
+            finished: books.filter(book => book.read).length
+        };
+    }
+    
+    /**
+     * Get the series in the library with each one's books in reading order
+     * @returns {Object[]} Series sorted by name: { key, name, books, finished, total, nextUnread }
+     */
+    getSeries() {
+        const groups = new Map();
+        this.books.forEach(book => {
+            if (!book.series) return;
             
-            if (!Array.isArray(booksData)) {
-                throw new Error('Invalid JSON format: expected an array of books');
+            const key = Library.getSeriesKey(book.series);
+            if (!groups.has(key)) {
+                groups.set(key, []);
             }
+            groups.get(key).push(book);
+        });
+        
+        return [...groups.entries()]
+            .map(([key, books]) => this.describeSeries(key, books))
+            .sort((a, b) => Library.NATURAL_COLLATOR.compare(a.name, b.name));
+    }
+    
+    /**
+     * Summarize one series
+     * @param {string} key - Series key from Library.getSeriesKey()
+     * @param {Book[]} books - Books in the series
+     * @returns {Object} { key, name, books, finished, total, nextUnread }
+     */
+    describeSeries(key, books) {
+        const ordered = [...books].sort(Library.compareSeriesOrder);
+        return {
+            key,
+            name: ordered[0].series,
+            books: ordered,
+            finished: ordered.filter(book => book.read).length,
+            total: ordered.length,
+            nextUnread: ordered.find(book => !book.read) || null
+        };
+    }
+    
+    /**
+     * Get the books of a series in reading order
+     * @param {string} series - Series name (matched case-insensitively)
+     * @returns {Book[]} Books by volume; books without a volume come last
+     */
+    getBooksInSeries(series) {
+        const key = Library.getSeriesKey(series);
+        return this.books
+            .filter(book => book.series && Library.getSeriesKey(book.series) === key)
+            .sort(Library.compareSeriesOrder);
+    }
+    
+    /**
+     * Get the first book of a series that has not been finished yet
+     * @param {string} series - Series name (matched case-insensitively)
+     * @returns {Book|null} Lowest-numbered unfinished volume, or null if the series is done or unknown
+     */
+    getNextUnreadInSeries(series) {
+        return this.getBooksInSeries(series).find(book => !book.read) || null;
+    }
+    
+    /**
+     * Sort books by one or more keys; each key breaks the ties of the one
+     * before it, and books without a value for a key go last in either order
+     * @param {Object[]|string} keys - List of { field, order } (see Library.SORT_FIELDS),
+     *     or a single field name
+     * @param {string} order - Sort order (asc, desc) when a single field name is given
+     * @returns {Book[]} Sorted copy of the books
+     * @throws {Error} If a field is not a sort field
+     */
+    sortBooks(keys = Library.DEFAULT_SORT, order = 'asc') {
+        const sortKeys = typeof keys === 'string' ? [{ field: keys, order }] : keys;
+        sortKeys.forEach(({ field }) => {
+            if (!Library.isSortField(field)) {
+                throw new Error(`Invalid sort field: ${field}`);
+            }
+        });
+        
+        return [...this.books].sort((a, b) => Library.compareBySortKeys(a, b, sortKeys));
+    }
+    
+    /**
+     * Compare two books by a list of sort keys
+     * @param {Book} a - First book
+     * @param {Book} b - Second book
+     * @param {Object[]} keys - List of { field, order }
+     * @returns {number} Negative, zero or positive
+     */
+    static compareBySortKeys(a, b, keys) {
+        for (const { field, order } of keys) {
+            const { getValue, compare = Library.compareSortValues } = Library.SORT_FIELDS[field];
+            const aValue = getValue(a);
+            const bValue = getValue(b);
+            const aEmpty = aValue === null || aValue === undefined || aValue === '';
+            const bEmpty = bValue === null || bValue === undefined || bValue === '';
             
-            if (replaceExisting) {
-                this.books = [];
+            const comparison = aEmpty || bEmpty
+                ? Number(aEmpty) - Number(bEmpty)
+                : compare(aValue, bValue) * (order === 'desc' ? -1 : 1);
+            if (comparison !== 0) return comparison;
+        }
+        return 0;
+    }
+    
+    /**
+     * Compare two sort values: text naturally and by the user's locale
+     * ("Book 2" before "Book 10"), dates and numbers by size
+     * @param {string|number|Date} a - First value
+     * @param {string|number|Date} b - Second value
+     * @returns {number} Negative, zero or positive
+     */
+    static compareSortValues(a, b) {
+        if (typeof a === 'string') {
+            return Library.NATURAL_COLLATOR.compare(a, b);
+        }
+        return Number(a) - Number(b);
+    }
+    
+    /**
+     * Check whether books can be sorted by a field
+     * @param {string} field - Field name
+     * @returns {boolean} True for the fields of Library.SORT_FIELDS
+     */
+    static isSortField(field) {
+        return Object.hasOwn(Library.SORT_FIELDS, field);
+    }
+    
+    /**
+     * Check whether sort keys are the default sort
+     * @param {Object[]} keys - Sort keys { field, order }
+     * @returns {boolean} True if they match Library.DEFAULT_SORT
+     */
+    static isDefaultSort(keys) {
+        return keys.length === Library.DEFAULT_SORT.length && keys.every((key, index) =>
+            key.field === Library.DEFAULT_SORT[index].field && key.order === Library.DEFAULT_SORT[index].order);
+    }
+    
+    /**
+     * Make another field available for sorting (it also appears in the sort builder)
+     * @param {string} field - Field name, as used in sort keys and addresses
+     * @param {Object} definition - Field definition
+     * @param {string} definition.label - Name shown in the sort builder
+     * @param {Function} definition.getValue - Returns the value of a book; null or empty sorts last
+     * @param {Function} [definition.compare] - Compares two values (defaults to Library.compareSortValues)
+     * @throws {Error} If the field name is already taken or the definition is incomplete
+     */
+    static addSortField(field, { label, getValue, compare } = {}) {
+        if (Library.isSortField(field)) {
+            throw new Error(`Sort field already exists: ${field}`);
+        }
+        if (!/^[A-Za-z][A-Za-z0-9]*$/.test(field) || !label || typeof getValue !== 'function') {
+            throw new Error('Sort fields need a name of letters and digits, a label and a getValue function');
+        }
+        
+        Library.SORT_FIELDS = Object.freeze({
+            ...Library.SORT_FIELDS,
+            [field]: { label, getValue, compare }
+        });
+    }
+    
+    /**
+     * Get the value a wishlist book sorts by
+     * @param {Book} book - Book to sort
+     * @param {string} field - 'priority' or 'price'
+     * @returns {number|null} Priority rank (0 is most wanted) or price; null if there is none
+     */
+    static getWishlistSortValue(book, field) {
+        if (!book.wishlist) return null;
+        return field === 'priority'
+            ? Object.values(Book.PRIORITY).indexOf(book.wishlist.priority)
+            : book.wishlist.price;
+    }
+    
+    /**
+     * Check a book against a tag filter
+     * @param {Book} book - Book to check
+     * @param {string[]} tags - Tags of the filter (an empty filter matches every book)
+     * @param {string} mode - Library.TAG_MODE value
+     * @returns {boolean} True if the book matches
+     */
+    static matchesTags(book, tags, mode = Library.TAG_MODE.ALL) {
+        if (tags.length === 0) return true;
+        
+        return mode === Library.TAG_MODE.ANY
+            ? tags.some(tag => book.hasTag(tag))
+            : tags.every(tag => book.hasTag(tag));
+    }
+    
+    /**
+     * Identify a book's authors regardless of how the names are written or ordered
+     * @param {Book|Object} book - Book or record with an author string
+     * @returns {string} Sorted, normalized author names
+     */
+    static getAuthorsKey(book) {
+        return NameUtils.splitNames(book.author).map(name => NameUtils.key(name)).sort().join('|');
+    }
+    
+    /**
+     * Normalize a series name for grouping
+     * @param {string} series - Series name
+     * @returns {string} Key that ignores case, accents and surrounding spaces
+     */
+    static getSeriesKey(series) {
+        return FuzzySearch.fold(series).trim().replace(/\s+/g, ' ');
+    }
+    
+    /**
+     * Compare two books by reading order: volume, then title. Books without
+     * a volume come after the numbered ones.
+     * @param {Book} a - First book
+     * @param {Book} b - Second book
+     * @param {boolean} bySeriesName - Compare the series names first
+     * @returns {number} Negative, zero or positive
+     */
+    static compareSeriesOrder(a, b, bySeriesName = false) {
+        if (bySeriesName) {
+            const bySeries = Library.NATURAL_COLLATOR.compare(Book.toSortTitle(a.series), Book.toSortTitle(b.series));
+            if (bySeries !== 0) return bySeries;
+        }
+        
+        if (a.volume !== b.volume) {
+            if (a.volume === null) return 1;
+            if (b.volume === null) return -1;
+            return a.volume - b.volume;
+        }
+        
+        return Library.NATURAL_COLLATOR.compare(a.getSortTitle(), b.getSortTitle());
+    }
+    
+    /**
+     * Clear all books from the library
+     */
+    clearLibrary() {
+        const removed = this.books.map((book, index) => ({ index, book }));
+        this.books = [];
+        this.recordCommand('clear', 'Clear library', { removed });
+        this.saveToStorage();
+    }
+    
+    /**
+     * Record an executed change so it can be undone
+     * Books are stored as JSON snapshots so the history can be persisted
+     * @param {string} type - Command type (add, remove, edit, toggle-read, rating, genre, tags, progress, annotation, loan, wishlist, clear, import)
+     * @param {string} label - Human readable description
+     * @param {Object} changes - What the command changed
+     * @param {Book[]} changes.added - Books that were added
+     * @param {Object[]} changes.removed - Removed books as { index, book }
+     * @param {Object[]} changes.updated - Changed books as { before, after } JSON snapshots
+     */
+    recordCommand(type, label, { added = [], removed = [], updated = [] } = {}) {
+        if (added.length + removed.length + updated.length === 0) return;
+        
+        this.history.record({
+            type,
+            label,
+            timestamp: new Date().toISOString(),
+            added: added.map(book => book.toJSON()),
+            removed: removed.map(({ index, book }) => ({ index, book: book.toJSON() })),
+            updated
+        });
+    }
+    
+    /**
+     * Overwrite a book's state with a JSON snapshot, keeping the same instance
+     * @param {Object} bookData - Snapshot from Book.toJSON()
+     */
+    restoreBookState(bookData) {
+        const book = this.findBookById(bookData.id);
+        if (book) {
+            Object.assign(book, Book.fromJSON(bookData));
+        }
+    }
+    
+    /**
+     * Revert the most recent command
+     * @returns {Object|null} The undone command, or null if there is nothing to undo
+     */
+    undo() {
+        const command = this.history.undo();
+        if (!command) return null;
+        
+        const addedIds = new Set(command.added.map(bookData => bookData.id));
+        this.books = this.books.filter(book => !addedIds.has(book.id));
+        
+        command.updated.forEach(({ before }) => this.restoreBookState(before));
+        
+        // Re-insert in ascending index order so every book lands back in its old position
+        [...command.removed]
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ index, book }) => {
+                this.books.splice(Math.min(index, this.books.length), 0, Book.fromJSON(book));
+            });
+        
+        // Restored snapshots may refer to shelves deleted since
+        this.books.forEach(book => this.assignDefaultShelf(book));
+        
+        this.saveToStorage();
+        return command;
+    }
+    
+    /**
+     * Re-apply the most recently undone command
+     * @returns {Object|null} The redone command, or null if there is nothing to redo
+     */
+    redo() {
+        const command = this.history.redo();
+        if (!command) return null;
+        
+        const removedIds = new Set(command.removed.map(({ book }) => book.id));
+        this.books = this.books.filter(book => !removedIds.has(book.id));
+        
+        command.updated.forEach(({ after }) => this.restoreBookState(after));
+        
+        command.added.forEach(bookData => {
+            if (!this.findBookById(bookData.id)) {
+                this.books.push(Book.fromJSON(bookData));
             }
+        });
+        
+        this.books.forEach(book => this.assignDefaultShelf(book));
+        
+        this.saveToStorage();
+        return command;
+    }
+    
+    /**
+     * Get what can currently be undone or redone
+     * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+     */
+    getHistoryState() {
+        return {
+            canUndo: this.history.canUndo(),
+            canRedo: this.history.canRedo(),
+            undoLabel: this.history.peekUndo()?.label || '',
+            redoLabel: this.history.peekRedo()?.label || ''
+        };
+    }
+    
+    /**
+     * Schedule a save of the library. Saves requested in the same tick are
+     * combined into one write, and only records that changed are written.
+     * @returns {Promise<boolean>} Resolves to true once the changes are stored
+     */
+    saveToStorage() {
+        if (!this.saveScheduled) {
+            this.saveScheduled = true;
+            this.saveQueue = this.saveQueue.then(() => {
+                this.saveScheduled = false;
+                return this.writeChanges();
+            });
+        }
+        
+        return this.saveQueue;
+    }
+    
+    /**
+     * Write books, shelves and goals that changed since the last save to the storage adapter
+     * @returns {Promise<boolean>} True if successful
+     */
+    async writeChanges() {
+        // Saving before the stored library is loaded would overwrite it
+        if (!this.isLoaded || !this.storage.adapter) {
+            return false;
+        }
+        
+        try {
+            const books = this.diffRecords('books', this.books);
+            const shelves = this.diffRecords('shelves', this.shelves);
+            const goals = this.diffRecords('goals', this.goals);
             
-            booksData.forEach(bookData => {
-                try {
-                    const book = Book.fromJSON(bookData);
-                    this.addBook(book);
-                } catch (error) {
-                    console.warn('Skipping invalid book data:', bookData, error.message);
+            await this.storage.adapter.applyChanges({
+                books: { put: books.put, delete: books.delete },
+                shelves: { put: shelves.put, delete: shelves.delete },
+                goals: { put: goals.put, delete: goals.delete }
+            }, {
+                meta: {
+                    schemaVersion: Library.SCHEMA_VERSION,
+                    savedAt: new Date().toISOString(),
+                    bookOrder: this.books.map(book => book.id),
+                    shelfOrder: this.shelves.map(shelf => shelf.id)
                 }
             });
             
+            this.persisted = { books: books.serialized, shelves: shelves.serialized, goals: goals.serialized };
+            return true;
+        } catch (error) {
+            console.error('Error saving library to storage:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Work out which records of a store need writing or deleting
+     * @param {string} storeName - Store name ('books', 'shelves' or 'goals')
+     * @param {Object[]} items - Current model instances (with toJSON)
+     * @returns {Object} { put: Object[], delete: string[], serialized: Map }
+     */
+    diffRecords(storeName, items) {
+        const previous = this.persisted[storeName];
+        const serialized = new Map();
+        const put = [];
+        
+        items.forEach(item => {
+            const record = item.toJSON();
+            const json = JSON.stringify(record);
+            serialized.set(record.id, json);
+            
+            if (previous.get(record.id) !== json) {
+                put.push(record);
+            }
+        });
+        
+        return {
+            put,
+            delete: [...previous.keys()].filter(id => !serialized.has(id)),
+            serialized
+        };
+    }
+    
+    /**
+     * Load the library through the storage adapter. Data saved in localStorage
+     * before storage adapters existed is moved over once, older schema
+     * versions are migrated, and records that cannot be parsed are moved to
+     * the quarantine instead of emptying the library.
+     * @returns {Promise<void>} Resolves once the library is loaded
+     */
+    async loadFromStorage() {
+        this.books = [];
+        this.shelves = [];
+        this.goals = [];
+        this.isLoaded = false;
+        this.quarantine = this.storage.get('quarantine', []);
+        
+        let envelope = null;
+        let needsSave = false;
+        let movedFromLocalStorage = false;
+        
+        try {
+            const adapter = await this.storage.openAdapter(Library.STORES, Library.DATABASE_VERSION);
+            await this.history.load();
+            envelope = await this.readStoredEnvelope(adapter);
+            
+            if (envelope) {
+                if (envelope.schemaVersion < Library.SCHEMA_VERSION) {
+                    envelope = this.storage.migrate(envelope, Library.SCHEMA_VERSION, Library.MIGRATIONS);
+                    needsSave = true;
+                }
+            } else {
+                envelope = this.storage.getVersioned(this.storageKey, Library.SCHEMA_VERSION, Library.MIGRATIONS);
+                movedFromLocalStorage = envelope !== null;
+            }
+        } catch (error) {
+            console.error('Error loading library data (backups were kept):', error);
+        }
+        
+        this.isNew = envelope === null;
+        
+        const quarantined = [];
+        if (envelope) {
+            this.books = this.restoreRecords(envelope.records, 'book', Book.fromJSON, quarantined);
+            this.shelves = this.restoreRecords(envelope.shelves, 'shelf', Shelf.fromJSON, quarantined);
+            this.goals = this.restoreRecords(envelope.goals, 'goal', ReadingGoal.fromJSON, quarantined);
+        }
+        
+        this.ensureDefaultShelf();
+        this.isLoaded = true;
+        
+        this.lastLoadQuarantined = quarantined.length;
+        if (quarantined.length > 0) {
+            console.warn(`${quarantined.length} stored record(s) could not be loaded and were quarantined`);
+            this.quarantine.push(...quarantined);
+            this.storage.set('quarantine', this.quarantine);
+            
+            // The bad records are safe in the quarantine, so they can leave the library
+            needsSave = true;
+        }
+        
+        if (needsSave || movedFromLocalStorage) {
+            const saved = await this.saveToStorage();
+            
+            // One-time move: the old key is only dropped once the adapter holds the data
+            if (saved && movedFromLocalStorage) {
+                this.storage.remove(this.storageKey);
+            }
+        }
+    }
+    
+    /**
+     * Read the stored envelope ({ schemaVersion, savedAt, records, shelves, goals })
+     * from the storage adapter, backing it up if it is not the current version
+     * @param {Object} adapter - Opened storage adapter
+     * @returns {Promise<Object|null>} Envelope, or null if the adapter holds no library yet
+     */
+    async readStoredEnvelope(adapter) {
+        const meta = await adapter.getItem('meta');
+        if (!meta) {
+            return null;
+        }
+        
+        const records = await adapter.getAll('books');
+        const shelves = await adapter.getAll('shelves');
+        const goals = await adapter.getAll('goals');
+        
+        this.persisted = {
+            books: new Map(records.map(record => [record.id, JSON.stringify(record)])),
+            shelves: new Map(shelves.map(shelf => [shelf.id, JSON.stringify(shelf)])),
+            goals: new Map(goals.map(goal => [goal.id, JSON.stringify(goal)]))
+        };
+        
+        // Stores return records by key, so restore the library's own order
+        const inOrder = (items, order = []) => {
+            const position = new Map(order.map((id, index) => [id, index]));
+            const rank = item => (position.has(item.id) ? position.get(item.id) : order.length);
+            return [...items].sort((a, b) => rank(a) - rank(b));
+        };
+        
+        const envelope = {
+            schemaVersion: meta.schemaVersion,
+            savedAt: meta.savedAt,
+            records: inOrder(records, meta.bookOrder),
+            shelves: inOrder(shelves, meta.shelfOrder),
+            goals
+        };
+        
+        if (envelope.schemaVersion !== Library.SCHEMA_VERSION) {
+            await adapter.setItem(`backup-v${envelope.schemaVersion}`, envelope);
+        }
+        if (envelope.schemaVersion > Library.SCHEMA_VERSION) {
+            console.warn(`Stored library has schema version ${envelope.schemaVersion}, newer than ${Library.SCHEMA_VERSION}`);
+        }
+        
+        return envelope;
+    }
+    
+    /**
+     * Parse stored records one at a time, setting aside the ones that fail
+     * @param {*} records - Stored records (expected to be an array)
+     * @param {string} type - Record type for the quarantine ('book', 'shelf' or 'goal')
+     * @param {Function} parse - Converts one record to a model instance
+     * @param {Object[]} quarantined - Receives { type, record, error, quarantinedAt } for failures
+     * @returns {Object[]} Parsed model instances
+     */
+    restoreRecords(records, type, parse, quarantined) {
+        if (records === undefined || records === null) {
+            return [];
+        }
+        
+        const quarantinedAt = new Date().toISOString();
+        
+        if (!Array.isArray(records)) {
+            quarantined.push({ type, record: records, error: 'Expected a list of records', quarantinedAt });
+            return [];
+        }
+        
+        const items = [];
+        records.forEach(record => {
+            try {
+                items.push(parse(record));
+            } catch (error) {
+                quarantined.push({ type, record, error: error.message, quarantinedAt });
+            }
+        });
+        
+        return items;
+    }
+    
+    /**
+     * Get stored records that could not be loaded
+     * @returns {Object[]} Array of { type, record, error, quarantinedAt }
+     */
+    getQuarantine() {
+        return [...this.quarantine];
+    }
+    
+    /**
+     * Permanently discard quarantined records
+     */
+    clearQuarantine() {
+        this.quarantine = [];
+        this.storage.remove('quarantine');
+    }
+    
+    /**
+     * Export library data as JSON string
+     * @param {Book[]} books - Books to export (defaults to the whole library)
+     * @returns {string} JSON representation of the library
+     */
+    exportToJSON(books = this.books) {
+        return JSON.stringify(books.map(book => book.toJSON()), null, 2);
+    }
+    
+    /**
+     * Export library data as CSV with one column per book field
+     * @param {Book[]} books - Books to export (defaults to the whole library)
+     * @returns {string} CSV representation of the library
+     */
+    exportToCSV(books = this.books) {
+        return CSVImporter.export(books);
+    }
+    
+    /**
+     * Parse JSON import data into import rows
+     * @param {string} jsonData - JSON string containing book data
+     * @returns {Object[]} Rows of { rowNumber, record, error }
+     * @throws {Error} If the JSON is malformed or not an array
+     */
+    parseJSONImport(jsonData) {
+        let booksData;
+        try {
+            booksData = JSON.parse(jsonData);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        
+        if (!Array.isArray(booksData)) {
+            throw new Error('Invalid JSON format: expected an array of books');
+        }
+        
+        return booksData.map((record, index) => ({ rowNumber: index + 1, record, error: null }));
+    }
+    
+    /**
+     * Check import rows without changing the library
+     * @param {Object[]} rows - Rows of { rowNumber, record, error }
+     * @param {boolean} replaceExisting - Whether existing books will be replaced
+     * @returns {Object[]} Rows extended with { book, duplicate, duplicateOf }
+     */
+    previewImport(rows, replaceExisting = false) {
+        const seen = []; // Earlier rows, which the import adds before reaching later ones
+        
+        return rows.map(row => {
+            if (row.error) {
+                return { ...row, book: null, duplicate: false, duplicateOf: null };
+            }
+            
+            try {
+                const book = Book.fromJSON(row.record);
+                const duplicateOf = this.findDuplicate(book, null, seen) ||
+                    (replaceExisting ? null : this.findDuplicate(book));
+                seen.push(book);
+                
+                return { ...row, book, duplicate: duplicateOf !== null, duplicateOf };
+            } catch (error) {
+                return { ...row, book: null, duplicate: false, duplicateOf: null, error: error.message };
+            }
+        });
+    }
+    
+    /**
+     * Import book records and report what happened to every row
+     * @param {Object[]} rows - Rows of { rowNumber, record, error }
+     * @param {boolean} replaceExisting - Whether to replace existing books
+     * @param {Object} options - Duplicate handling options
+     * @param {string} options.duplicateStrategy - Default Library.DUPLICATE_STRATEGY for duplicates
+     * @param {Object} options.resolutions - Per-row strategy overrides keyed by row number
+     * @returns {Object} Import report ({ added, updated, skipped, invalid, total })
+     */
+    importRecords(rows, replaceExisting = false, { duplicateStrategy = Library.DUPLICATE_STRATEGY.SKIP, resolutions = {} } = {}) {
+        const previousBooks = this.books;
+        const report = { added: [], updated: [], skipped: [], invalid: [], total: rows.length };
+        const updatedSnapshots = [];
+        
+        if (replaceExisting) {
+            this.books = [];
+        }
+        
+        rows.forEach(row => {
+            if (row.error) {
+                report.invalid.push({ rowNumber: row.rowNumber, message: row.error });
+                return;
+            }
+            
+            let book;
+            try {
+                book = Book.fromJSON(row.record);
+            } catch (error) {
+                report.invalid.push({ rowNumber: row.rowNumber, message: error.message });
+                return;
+            }
+            
+            // Shelves from another library do not exist here
+            this.assignDefaultShelf(book);
+            
+            // Records copied from elsewhere may reuse an ID already in the library
+            if (this.findBookById(book.id)) {
+                book.id = book.generateId();
+            }
+            
+            const existing = this.findDuplicate(book);
+            if (!existing) {
+                this.books.push(book);
+                report.added.push(book);
+                return;
+            }
+            
+            const strategy = resolutions[row.rowNumber] || duplicateStrategy;
+            
+            switch (strategy) {
+                case Library.DUPLICATE_STRATEGY.OVERWRITE:
+                    updatedSnapshots.push(existing.toJSON());
+                    book.id = existing.id;
+                    this.books[this.books.indexOf(existing)] = book;
+                    report.updated.push({ rowNumber: row.rowNumber, book, strategy });
+                    break;
+                case Library.DUPLICATE_STRATEGY.MERGE:
+                    updatedSnapshots.push(existing.toJSON());
+                    existing.mergeFrom(book);
+                    report.updated.push({ rowNumber: row.rowNumber, book: existing, strategy });
+                    break;
+                case Library.DUPLICATE_STRATEGY.EDITION:
+                    // A separate edition cannot share the existing book's ISBN
+                    if (book.isbn === existing.isbn) {
+                        book.isbn = '';
+                    }
+                    book.edition = this.getNextEditionLabel(book);
+                    this.books.push(book);
+                    report.added.push(book);
+                    break;
+                default:
+                    report.skipped.push({
+                        rowNumber: row.rowNumber,
+                        title: book.title,
+                        author: book.author,
+                        existingId: existing.id
+                    });
+            }
+        });
+        
+        // Never wipe the library with an import that produced nothing
+        if (replaceExisting && report.added.length === 0 && report.updated.length === 0) {
+            this.books = previousBooks;
+        } else {
+            this.recordImport(report, replaceExisting ? previousBooks : [], updatedSnapshots);
+        }
+        
+        this.saveToStorage();
+        return report;
+    }
+    
+    /**
+     * Record an import as a single undoable command
+     * @param {Object} report - Import report
+     * @param {Book[]} replacedBooks - Books removed because the import replaced the library
+     * @param {Object[]} updatedSnapshots - JSON snapshots of books before they were overwritten or merged
+     */
+    recordImport(report, replacedBooks, updatedSnapshots) {
+        // Look books up again: an imported book may have been overwritten by a later row
+        const addedIds = new Set(report.added.map(book => book.id));
+        const added = [...addedIds].map(id => this.findBookById(id)).filter(Boolean);
+        
+        // Only books that existed before the import need before/after snapshots,
+        // and only their state before the first row that touched them
+        const firstSnapshots = new Map();
+        updatedSnapshots.forEach(before => {
+            if (!addedIds.has(before.id) && !firstSnapshots.has(before.id)) {
+                firstSnapshots.set(before.id, before);
+            }
+        });
+        const updated = [...firstSnapshots.values()]
+            .map(before => ({ before, after: this.findBookById(before.id).toJSON() }));
+        
+        const count = report.added.length + report.updated.length;
+        this.recordCommand('import', `Import ${count} book(s)`, {
+            added,
+            removed: replacedBooks.map((book, index) => ({ index, book })),
+            updated
+        });
+    }
+    
+    /**
+     * Import library data from JSON string
+     * @param {string} jsonData - JSON string containing book data
+     * @param {boolean} replaceExisting - Whether to replace existing books
+     * @param {Object} options - Duplicate handling options (see importRecords)
+     * @returns {Object} Import report
+     */
+    importFromJSON(jsonData, replaceExisting = false, options = {}) {
+        try {
+            return this.importRecords(this.parseJSONImport(jsonData), replaceExisting, options);
+        } catch (error) {
+            throw new Error(`Failed to import library: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Import library data from CSV text
+     * @param {string} csvText - CSV text
+     * @param {Object} mapping - Map of field name to column index (detected if omitted)
+     * @param {boolean} replaceExisting - Whether to replace existing books
+     * @param {Object} options - Duplicate handling options (see importRecords)
+     * @returns {Object} Import report
+     */
+    importFromCSV(csvText, mapping = null, replaceExisting = false, options = {}) {
+        try {
+            const analysis = CSVImporter.analyze(csvText);
+            const rows = CSVImporter.toRecords(
+                analysis.rows,
+                mapping || analysis.mapping,
+                analysis.hasHeader ? 2 : 1
+            );
+            return this.importRecords(rows, replaceExisting, options);
         } catch (error) {
             throw new Error(`Failed to import library: ${error.message}`);
         }
     }
 }
+
+/**
+ * Ways to resolve an imported book that duplicates one already in the library
+ */
+Library.DUPLICATE_STRATEGY = Object.freeze({
+    SKIP: 'skip',
+    OVERWRITE: 'overwrite',
+    MERGE: 'merge',
+    EDITION: 'edition'
+});
+
+/**
+ * How a filter on several tags combines them
+ */
+Library.TAG_MODE = Object.freeze({
+    ALL: 'and',
+    ANY: 'or'
+});
+
+/**
+ * Fields books can be sorted by (see sortBooks and addSortField), in the
+ * order the sort builder lists them: { label, getValue, compare }
+ */
+Library.SORT_FIELDS = Object.freeze({
+    // Titles and series sort without a leading article, authors by family name
+    title: { label: 'Title', getValue: book => book.getSortTitle() },
+    author: { label: 'Author', getValue: book => book.getAuthorSortName() },
+    // Series compare in reading order within a series, so the value is the book itself
+    series: { label: 'Series', getValue: book => (book.series ? book : null), compare: (a, b) => Library.compareSeriesOrder(a, b, true) },
+    genre: { label: 'Genre', getValue: book => book.genre },
+    status: { label: 'Reading Status', getValue: book => Object.values(Book.STATUS).indexOf(book.status) },
+    progress: { label: 'Progress', getValue: book => book.getProgressPercent() },
+    rating: { label: 'Rating', getValue: book => book.rating },
+    pages: { label: 'Pages', getValue: book => book.pages },
+    duration: { label: 'Duration', getValue: book => book.duration },
+    format: { label: 'Format', getValue: book => (book.format ? Object.values(Book.FORMAT).indexOf(book.format) : null) },
+    location: { label: 'Location', getValue: book => book.location },
+    dateAdded: { label: 'Date Added', getValue: book => book.dateAdded },
+    dateFinished: { label: 'Date Finished', getValue: book => book.dateFinished },
+    // Priority ascending is most wanted first; owned books have neither
+    priority: { label: 'Wishlist Priority', getValue: book => Library.getWishlistSortValue(book, 'priority') },
+    price: { label: 'Expected Price', getValue: book => Library.getWishlistSortValue(book, 'price') }
+});
+
+/**
+ * Sort used unless another is chosen
+ */
+Library.DEFAULT_SORT = Object.freeze([Object.freeze({ field: 'title', order: 'asc' })]);
+
+/**
+ * Most sort keys combined at once
+ */
+Library.MAX_SORT_KEYS = 4;
+
+/**
+ * Number of commands kept for undo/redo (also across page reloads)
+ */
+Library.HISTORY_LIMIT = 50;
+
+/**
+ * Collator for sorting text: ignores case and accents and orders embedded
+ * numbers by value
+ */
+Library.NATURAL_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * ID of the shelf every library starts with; it cannot be deleted
+ */
+Library.DEFAULT_SHELF_ID = 'default';
+
+/**
+ * Version of the stored library envelope; bump it and add a migration
+ * whenever the stored shape changes
+ */
+Library.SCHEMA_VERSION = 4;
+
+/**
+ * Version of the IndexedDB database; bump it whenever STORES changes so
+ * the new stores and indexes get created
+ */
+Library.DATABASE_VERSION = 2;
+
+/**
+ * Storage adapter stores for the library (IndexedDB object stores and indexes)
+ */
+Library.STORES = Object.freeze({
+    books: { keyPath: 'id', indexes: ['author', 'genre', 'dateAdded'] },
+    shelves: { keyPath: 'id', indexes: [] },
+    goals: { keyPath: 'id', indexes: [] }
+});
+
+/**
+ * Storage migrations keyed by the schema version they upgrade from.
+ * Each receives the stored envelope and the StorageManager and returns
+ * the envelope for the next version.
+ */
+Library.MIGRATIONS = Object.freeze({
+    // 1: a bare array of books, with shelves under their own key (left in place as a backup)
+    1: (envelope, storage) => ({
+        ...envelope,
+        shelves: storage.get('shelves', [])
+    }),
+    
+    // 2: no finish dates or goals; a finished book's latest reading session
+    // is the best guess of when it was finished (otherwise it stays unknown)
+    2: envelope => ({
+        ...envelope,
+        records: Array.isArray(envelope.records)
+            ? envelope.records.map(record => {
+                if (!record || !record.read || record.dateFinished || !Array.isArray(record.sessions)) {
+                    return record;
+                }
+                
+                const latest = record.sessions.map(session => session.date).sort().pop();
+                return latest ? { ...record, dateFinished: latest } : record;
+            })
+            : envelope.records,
+        goals: []
+    }),
+    
+    // 3: a single author string per book; it becomes the list of contributors
+    // (several names separated by "&" or ";" become co-authors)
+    3: envelope => ({
+        ...envelope,
+        records: Array.isArray(envelope.records)
+            ? envelope.records.map(record => record && typeof record.author === 'string' && !record.contributors
+                ? { ...record, contributors: Book.parseAuthors(record.author) }
+                : record)
+            : envelope.records
+    })
+});
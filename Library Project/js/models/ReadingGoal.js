@@ -0,0 +1,146 @@
+/**
+ * Reading Goal Model Class
+ * A yearly reading challenge: a target number of books or pages to finish
+ * within one calendar year
+ */
+class ReadingGoal {
+    constructor(year, target, unit = ReadingGoal.UNIT.BOOKS) {
+        this.year = parseInt(year);
+        this.target = parseInt(target);
+        this.unit = unit;
+        
+        // Validate input data
+        this.validateGoalData();
+    }
+    
+    /**
+     * Goals are identified by their year, as there is one goal per year
+     * @returns {string} Identifier
+     */
+    get id() {
+        return String(this.year);
+    }
+    
+    /**
+     * Validates goal data
+     * @throws {Error} If the year, target or unit is invalid
+     */
+    validateGoalData() {
+        if (!Number.isInteger(this.year) || this.year < 1900 || this.year > 9999) {
+            throw new Error('Goal year must be a year between 1900 and 9999');
+        }
+        
+        if (!Number.isInteger(this.target) || this.target <= 0) {
+            throw new Error('Goal target must be a positive whole number');
+        }
+        
+        if (this.target > ReadingGoal.MAX_TARGET) {
+            throw new Error(`Goal target must be at most ${ReadingGoal.MAX_TARGET}`);
+        }
+        
+        if (!Object.values(ReadingGoal.UNIT).includes(this.unit)) {
+            throw new Error(`Goal unit must be one of: ${Object.values(ReadingGoal.UNIT).join(', ')}`);
+        }
+    }
+    
+    /**
+     * Work out how far the challenge has got and whether it is on pace.
+     * Only books with a known finish date in the goal's year count.
+     * @param {Book[]} books - Books of the library
+     * @param {Date} today - Date to measure the pace at
+     * @returns {Object} { year, unit, target, achieved, percent, expected, difference,
+     *     remaining, daysLeft, status, books }
+     */
+    getProgress(books, today = new Date()) {
+        const finished = books.filter(book =>
+            book.read && book.dateFinished && book.dateFinished.getFullYear() === this.year);
+        const achieved = this.unit === ReadingGoal.UNIT.PAGES
+            ? finished.reduce((sum, book) => sum + (book.pages || 0), 0)
+            : finished.length;
+        
+        // Count calendar days in UTC so daylight saving changes do not shift them
+        const dayNumber = (year, month, day) => Date.UTC(year, month, day) / ReadingGoal.DAY;
+        const yearLength = dayNumber(this.year + 1, 0, 1) - dayNumber(this.year, 0, 1);
+        const daysElapsed = Math.min(Math.max(
+            dayNumber(today.getFullYear(), today.getMonth(), today.getDate()) - dayNumber(this.year, 0, 1) + 1,
+            0
+        ), yearLength);
+        
+        // Whole books (or pages) that should be done by today to finish on time
+        const expected = Math.floor(this.target * daysElapsed / yearLength);
+        const difference = achieved - expected;
+        
+        let status = ReadingGoal.PACE.ON_TRACK;
+        if (achieved >= this.target) {
+            status = ReadingGoal.PACE.COMPLETE;
+        } else if (difference > 0) {
+            status = ReadingGoal.PACE.AHEAD;
+        } else if (difference < 0) {
+            status = ReadingGoal.PACE.BEHIND;
+        }
+        
+        return {
+            year: this.year,
+            unit: this.unit,
+            target: this.target,
+            achieved,
+            percent: Math.min(100, Math.round((achieved / this.target) * 100)),
+            expected,
+            difference,
+            remaining: Math.max(this.target - achieved, 0),
+            daysLeft: yearLength - daysElapsed,
+            status,
+            books: finished
+        };
+    }
+    
+    /**
+     * Get goal info as object for serialization
+     * @returns {Object} Goal data object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            year: this.year,
+            target: this.target,
+            unit: this.unit
+        };
+    }
+    
+    /**
+     * Create a ReadingGoal instance from JSON data
+     * @param {Object} goalData - Goal data object
+     * @returns {ReadingGoal} New ReadingGoal instance
+     */
+    static fromJSON(goalData) {
+        return new ReadingGoal(goalData.year, goalData.target, goalData.unit);
+    }
+}
+
+/**
+ * What a goal counts
+ */
+ReadingGoal.UNIT = Object.freeze({
+    BOOKS: 'books',
+    PAGES: 'pages'
+});
+
+/**
+ * How a challenge is doing against the time elapsed in its year
+ */
+ReadingGoal.PACE = Object.freeze({
+    AHEAD: 'ahead',
+    ON_TRACK: 'on-track',
+    BEHIND: 'behind',
+    COMPLETE: 'complete'
+});
+
+/**
+ * Largest target a goal can have
+ */
+ReadingGoal.MAX_TARGET = 1000000;
+
+/**
+ * Milliseconds in a day
+ */
+ReadingGoal.DAY = 24 * 60 * 60 * 1000;
@@ -0,0 +1,79 @@
+/**
+ * Shelf Model Class
+ * A named collection of books (e.g. work reading, book club, wishlist)
+ */
+class Shelf {
+    constructor(name, id = null) {
+        this.id = id || this.generateId();
+        this.name = typeof name === 'string' ? name.trim() : name;
+        this.createdAt = new Date();
+        
+        // Validate input data
+        this.validateShelfData();
+    }
+    
+    /**
+     * Generates a unique ID for the shelf
+     * @returns {string} Unique identifier
+     */
+    generateId() {
+        return crypto.randomUUID ? crypto.randomUUID() :
+               'shelf-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    }
+    
+    /**
+     * Validates shelf data
+     * @throws {Error} If the name is invalid
+     */
+    validateShelfData() {
+        if (!this.name || typeof this.name !== 'string' || this.name.length === 0) {
+            throw new Error('Shelf name is required and must be a non-empty string');
+        }
+        
+        if (this.name.length > 50) {
+            throw new Error('Shelf name must be less than 50 characters');
+        }
+    }
+    
+    /**
+     * Rename the shelf
+     * @param {string} newName - New shelf name
+     * @throws {Error} If the name is invalid
+     */
+    rename(newName) {
+        const previousName = this.name;
+        this.name = typeof newName === 'string' ? newName.trim() : newName;
+        
+        try {
+            this.validateShelfData();
+        } catch (error) {
+            this.name = previousName;
+            throw error;
+        }
+    }
+    
+    /**
+     * Get shelf info as object for serialization
+     * @returns {Object} Shelf data object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            createdAt: this.createdAt.toISOString()
+        };
+    }
+    
+    /**
+     * Create a Shelf instance from JSON data
+     * @param {Object} shelfData - Shelf data object
+     * @returns {Shelf} New Shelf instance
+     */
+    static fromJSON(shelfData) {
+        const shelf = new Shelf(shelfData.name, shelfData.id);
+        if (shelfData.createdAt) {
+            shelf.createdAt = new Date(shelfData.createdAt);
+        }
+        return shelf;
+    }
+}
@@ -0,0 +1,368 @@
+/**
+ * Barcode Decoder Class
+ * Reads EAN-13 barcodes (the barcode printed on books) from photos,
+ * entirely in the browser. Scan lines are taken across the image in both
+ * orientations, binarized against their local contrast, and the bar/space
+ * widths are matched against the EAN-13 digit patterns.
+ */
+class BarcodeDecoder {
+    /**
+     * Decode the EAN-13 barcode in an image file
+     * @param {File} file - Image file (photo of the back cover)
+     * @returns {Promise<string|null>} The 13 digits, or null if no barcode was found
+     * @throws {Error} If the file cannot be read as an image
+     */
+    static async decodeFile(file) {
+        const imageData = await this.readImageData(file);
+        return this.decodeImageData(imageData);
+    }
+    
+    /**
+     * Draw an image file onto a canvas, scaled down to a workable size
+     * @param {File} file - Image file
+     * @param {number} maxSize - Longest side in pixels after scaling
+     * @returns {Promise<ImageData>} Pixels of the image
+     * @throws {Error} If the browser cannot decode the file
+     */
+    static readImageData(file, maxSize = BarcodeDecoder.MAX_IMAGE_SIZE) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                
+                const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+                
+                const context = canvas.getContext('2d', { willReadFrequently: true });
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(context.getImageData(0, 0, canvas.width, canvas.height));
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`"${file.name}" is not an image this browser can open`));
+            };
+            
+            image.src = url;
+        });
+    }
+    
+    /**
+     * Decode the EAN-13 barcode in raw pixels
+     * @param {Object} imageData - { width, height, data } with RGBA bytes
+     * @returns {string|null} The 13 digits, or null if no barcode was found
+     */
+    static decodeImageData({ width, height, data }) {
+        const luminance = new Float32Array(width * height);
+        for (let i = 0; i < luminance.length; i++) {
+            luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+        
+        const votes = new Map();
+        const orientations = [
+            { lines: height, length: width, sample: (line, x) => luminance[line * width + x] },
+            { lines: width, length: height, sample: (line, y) => luminance[y * width + line] }
+        ];
+        
+        for (const { lines, length, sample } of orientations) {
+            for (let step = 1; step < BarcodeDecoder.SCAN_LINES; step++) {
+                const line = Math.floor(lines * step / BarcodeDecoder.SCAN_LINES);
+                const code = this.decodeLine(this.readLine(line, lines, length, sample));
+                
+                if (code) {
+                    const count = (votes.get(code) || 0) + 1;
+                    if (count >= BarcodeDecoder.VOTES_NEEDED) {
+                        return code;
+                    }
+                    votes.set(code, count);
+                }
+            }
+        }
+        
+        // Fewer agreeing lines than hoped: take the most common reading
+        let best = null;
+        votes.forEach((count, code) => {
+            if (!best || count > votes.get(best)) {
+                best = code;
+            }
+        });
+        return best;
+    }
+    
+    /**
+     * Read one scan line, averaged with its neighbours to reduce noise
+     * @param {number} line - Row (or column) index
+     * @param {number} lines - Number of rows (or columns)
+     * @param {number} length - Samples per line
+     * @param {Function} sample - Reads the luminance at (line, position)
+     * @returns {Float32Array} Luminance along the line
+     */
+    static readLine(line, lines, length, sample) {
+        const values = new Float32Array(length);
+        const first = Math.max(0, line - 1);
+        const last = Math.min(lines - 1, line + 1);
+        
+        for (let position = 0; position < length; position++) {
+            let sum = 0;
+            for (let neighbour = first; neighbour <= last; neighbour++) {
+                sum += sample(neighbour, position);
+            }
+            values[position] = sum / (last - first + 1);
+        }
+        
+        return values;
+    }
+    
+    /**
+     * Try to decode a barcode along one scan line
+     * @param {Float32Array} values - Luminance along the line
+     * @returns {string|null} The 13 digits, or null
+     */
+    static decodeLine(values) {
+        const runs = this.toRuns(values);
+        
+        for (const { start, end, module } of this.findSymbols(runs)) {
+            // Nudge the ends a little in case blur moved the outer edges
+            for (const startShift of BarcodeDecoder.EDGE_SHIFTS) {
+                for (const endShift of BarcodeDecoder.EDGE_SHIFTS) {
+                    const samples = this.sampleModules(values, start + startShift * module, end + endShift * module);
+                    
+                    // A photo taken upside down reads the modules in reverse order
+                    const code = this.decodeModules(samples) || this.decodeModules(samples.reverse());
+                    if (code) {
+                        return code;
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Split a scan line into alternating dark and light runs. The threshold
+     * is the midpoint of the local minimum and maximum, so uneven lighting
+     * does not merge bars.
+     * @param {Float32Array} values - Luminance along the line
+     * @returns {Object[]} Runs of { dark, start, width }
+     */
+    static toRuns(values) {
+        const length = values.length;
+        const radius = Math.max(8, Math.round(length / 24));
+        const runs = [];
+        let current = null;
+        
+        for (let i = 0; i < length; i++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let j = Math.max(0, i - radius); j <= Math.min(length - 1, i + radius); j++) {
+                min = Math.min(min, values[j]);
+                max = Math.max(max, values[j]);
+            }
+            
+            // Flat areas (paper, background) count as light
+            const dark = max - min >= BarcodeDecoder.MIN_CONTRAST && values[i] < (min + max) / 2;
+            
+            if (current && current.dark === dark) {
+                current.width++;
+            } else {
+                current = { dark, start: i, width: 1 };
+                runs.push(current);
+            }
+        }
+        
+        return runs;
+    }
+    
+    /**
+     * Find stretches of a scan line that could hold an EAN-13 symbol: a
+     * dark run after a light margin and a later dark run before a light
+     * margin, with margins of at least three modules when the stretch is
+     * taken as 95 modules wide. The runs in between are only counted
+     * loosely, because blur often merges thin bars and spaces.
+     * @param {Object[]} runs - Runs of { dark, start, width }
+     * @returns {Object[]} Candidates of { start, end, module } in pixels
+     */
+    static findSymbols(runs) {
+        const candidates = [];
+        
+        for (let i = 1; i < runs.length; i++) {
+            if (!runs[i].dark) continue;
+            
+            // A complete symbol has 59 runs; allow for merged ones
+            for (let j = i + 20; j <= i + 58 && j + 1 < runs.length; j++) {
+                if (!runs[j].dark) continue;
+                
+                const end = runs[j].start + runs[j].width;
+                const module = (end - runs[i].start) / 95;
+                if (module >= BarcodeDecoder.MIN_MODULE &&
+                    runs[i - 1].width >= module * 3 && runs[j + 1].width >= module * 3) {
+                    candidates.push({ start: runs[i].start, end, module });
+                }
+            }
+        }
+        
+        return candidates;
+    }
+    
+    /**
+     * Sample the luminance at the centre of each of the 95 modules
+     * @param {Float32Array} values - Luminance along the line
+     * @param {number} start - Position of the symbol's left edge
+     * @param {number} end - Position of the symbol's right edge
+     * @returns {number[]} 95 samples
+     */
+    static sampleModules(values, start, end) {
+        const module = (end - start) / 95;
+        const at = position => {
+            const index = Math.max(0, Math.min(values.length - 1.001, position - 0.5));
+            const floor = Math.floor(index);
+            return values[floor] + (values[floor + 1] - values[floor]) * (index - floor);
+        };
+        
+        return Array.from({ length: 95 }, (_, index) => {
+            const centre = start + (index + 0.5) * module;
+            return (at(centre - module / 4) + at(centre) + at(centre + module / 4)) / 3;
+        });
+    }
+    
+    /**
+     * Decode the 95 module samples of a symbol
+     * @param {number[]} samples - Luminance of each module, left to right
+     * @returns {string|null} The 13 digits, or null if the guards, any digit or the check digit fails
+     */
+    static decodeModules(samples) {
+        const darker = (a, b) => samples[a] < samples[b];
+        const guardsFound = darker(0, 1) && darker(2, 1) && darker(92, 93) && darker(94, 93) &&
+            darker(46, 45) && darker(46, 47) && darker(48, 47) && darker(48, 49);
+        if (!guardsFound) {
+            return null;
+        }
+        
+        let digits = '';
+        let parity = '';
+        
+        for (let position = 0; position < 12; position++) {
+            const offset = position < 6 ? 3 + position * 7 : 50 + (position - 6) * 7;
+            const tables = position < 6 ? ['L', 'G'] : ['R'];
+            const match = this.matchDigit(samples.slice(offset, offset + 7), tables);
+            
+            if (!match) {
+                return null;
+            }
+            digits += match.digit;
+            if (position < 6) {
+                parity += match.table;
+            }
+        }
+        
+        // The first digit is not drawn; it is encoded in the left half's parity
+        const firstDigit = BarcodeDecoder.FIRST_DIGIT_PARITY.indexOf(parity);
+        if (firstDigit === -1) {
+            return null;
+        }
+        
+        const code = firstDigit + digits;
+        return this.isValidChecksum(code) ? code : null;
+    }
+    
+    /**
+     * Match the seven module samples of a digit against the digit patterns
+     * by correlation, which ignores overall brightness and contrast and
+     * tolerates blur greying out single-module bars and spaces
+     * @param {number[]} samples - Luminance of the digit's modules
+     * @param {string[]} tables - Pattern tables to try ('L', 'G', 'R')
+     * @returns {Object|null} { digit, table }, or null if nothing fits well enough
+     */
+    static matchDigit(samples, tables) {
+        const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+        const darkness = samples.map(value => mean - value);
+        const spread = Math.sqrt(darkness.reduce((sum, value) => sum + value * value, 0));
+        if (spread === 0) {
+            return null;
+        }
+        
+        let best = null;
+        tables.forEach(table => {
+            BarcodeDecoder.PATTERNS[table].forEach((pattern, digit) => {
+                const bars = [...pattern].map(bit => Number(bit));
+                const barMean = bars.reduce((sum, bit) => sum + bit, 0) / bars.length;
+                const barSpread = Math.sqrt(bars.reduce((sum, bit) => sum + (bit - barMean) ** 2, 0));
+                const correlation = bars.reduce((sum, bit, index) => sum + (bit - barMean) * darkness[index], 0) /
+                    (barSpread * spread);
+                
+                if (!best || correlation > best.correlation) {
+                    best = { digit, table, correlation };
+                }
+            });
+        });
+        
+        return best.correlation >= BarcodeDecoder.MIN_CORRELATION ? best : null;
+    }
+    
+    /**
+     * Check the EAN-13 check digit
+     * @param {string} code - 13 digits
+     * @returns {boolean} True if the check digit matches
+     */
+    static isValidChecksum(code) {
+        const sum = [...code.slice(0, 12)].reduce((total, digit, index) =>
+            total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+        return (10 - (sum % 10)) % 10 === Number(code[12]);
+    }
+}
+
+/**
+ * Longest image side, in pixels, that photos are scaled down to
+ */
+BarcodeDecoder.MAX_IMAGE_SIZE = 1600;
+
+/**
+ * Number of slices each orientation is cut into for scan lines
+ */
+BarcodeDecoder.SCAN_LINES = 24;
+
+/**
+ * Scan lines that must agree before the search stops early
+ */
+BarcodeDecoder.VOTES_NEEDED = 3;
+
+/**
+ * Smallest luminance range treated as printed bars rather than flat paper
+ */
+BarcodeDecoder.MIN_CONTRAST = 40;
+
+/**
+ * Narrowest module, in pixels, that can be sampled reliably
+ */
+BarcodeDecoder.MIN_MODULE = 1.2;
+
+/**
+ * Offsets, in modules, tried for each end of a symbol
+ */
+BarcodeDecoder.EDGE_SHIFTS = Object.freeze([0, -0.3, 0.3]);
+
+/**
+ * Weakest correlation accepted between a digit's samples and its pattern
+ */
+BarcodeDecoder.MIN_CORRELATION = 0.7;
+
+/**
+ * Modules of each digit (1 = bar). The left half uses L (odd parity) or
+ * G (even parity) codes; the right half uses R codes.
+ */
+BarcodeDecoder.PATTERNS = Object.freeze({
+    L: ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'],
+    G: ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'],
+    R: ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100']
+});
+
+/**
+ * L/G parity of the left half for each first digit (index = digit)
+ */
+BarcodeDecoder.FIRST_DIGIT_PARITY = Object.freeze([
+    'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+]);
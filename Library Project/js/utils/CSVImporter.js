@@ -0,0 +1,486 @@
+/**
+ * CSV Importer Class
+ * Maps CSV columns (the app's own export, spreadsheets, Goodreads or
+ * LibraryThing exports) onto book fields and converts rows to book records
+ */
+class CSVImporter {
+    /**
+     * Book fields that CSV columns can be mapped to, with the header
+     * names (normalized) recognized for each one in order of preference
+     * @returns {Object} Map of field name to { label, aliases }
+     */
+    static get FIELDS() {
+        return {
+            title: { label: 'Title', aliases: ['title', 'booktitle', 'name'] },
+            author: { label: 'Author', aliases: ['author', 'primaryauthor', 'authors', 'authorlastfirst', 'writer'] },
+            additionalAuthors: { label: 'Additional Authors', aliases: ['additionalauthors', 'coauthors'] },
+            contributors: { label: 'Contributors', aliases: ['contributors'] },
+            pages: { label: 'Pages', aliases: ['pages', 'numberofpages', 'pagecount', 'numpages', 'length'] },
+            genre: { label: 'Genre', aliases: ['genre', 'genres', 'category', 'categories', 'subjects', 'collections'] },
+            tags: { label: 'Tags', aliases: ['tags', 'bookshelves', 'labels', 'keywords'] },
+            rating: { label: 'Rating', aliases: ['rating', 'myrating', 'stars', 'score'] },
+            read: { label: 'Read', aliases: ['read', 'exclusiveshelf', 'readstatus', 'dateread', 'finished'] },
+            dateAdded: { label: 'Date Added', aliases: ['dateadded', 'added', 'dateentered', 'entrydate', 'acquired'] },
+            edition: { label: 'Edition', aliases: ['edition', 'editionlabel'] },
+            series: { label: 'Series', aliases: ['series', 'seriesname', 'seriestitle'] },
+            volume: { label: 'Volume', aliases: ['volume', 'seriesnumber', 'seriesindex', 'numberinseries', 'booknumber'] },
+            isbn: { label: 'ISBN', aliases: ['isbn13', 'isbn', 'isbn10', 'ean'] },
+            status: { label: 'Reading Status', aliases: ['status'] },
+            currentPage: { label: 'Current Page', aliases: ['currentpage'] },
+            dateFinished: { label: 'Date Finished', aliases: ['datefinished', 'dateread', 'finishedon'] },
+            sessions: { label: 'Reading Sessions', aliases: ['sessions'] },
+            review: { label: 'Review', aliases: ['review', 'myreview', 'comments'] },
+            notes: { label: 'Notes', aliases: ['notes', 'privatenotes', 'privatecomment'] },
+            quotes: { label: 'Quotes', aliases: ['quotes'] },
+            loans: { label: 'Loans', aliases: ['loans'] },
+            wishlist: { label: 'Wishlist', aliases: ['wishlist'] },
+            format: { label: 'Format', aliases: ['format', 'binding', 'media', 'mediatype'] },
+            duration: { label: 'Duration (minutes)', aliases: ['duration', 'listeninglength', 'runtime'] },
+            location: { label: 'Location', aliases: ['location', 'shelflocation', 'physicallocation'] },
+            shelfIds: { label: 'Shelf IDs', aliases: ['shelfids'] },
+            id: { label: 'ID', aliases: ['id'] }
+        };
+    }
+    
+    /**
+     * Words that identify a format in a normalized binding name, checked in
+     * order (so "Audio CD" is an audiobook). A getter, as Book loads after this file.
+     * @returns {Object[]} List of { format, keywords }
+     */
+    static get FORMAT_KEYWORDS() {
+        return [
+            { format: Book.FORMAT.AUDIOBOOK, keywords: ['audio', 'mp3'] },
+            { format: Book.FORMAT.EBOOK, keywords: ['ebook', 'kindle', 'epub', 'digital', 'nook'] },
+            { format: Book.FORMAT.HARDCOVER, keywords: ['hardcover', 'hardback', 'librarybinding'] },
+            { format: Book.FORMAT.PAPERBACK, keywords: ['paperback', 'softcover', 'massmarket', 'tradepaper'] }
+        ];
+    }
+    
+    /**
+     * Normalize a header for alias matching
+     * @param {string} header - Raw header text
+     * @returns {string} Lowercase alphanumeric header
+     */
+    static normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+    
+    /**
+     * Parse CSV text and work out its header row and default column mapping
+     * @param {string} csvText - CSV text
+     * @returns {Object} { headers, hasHeader, rows, mapping }
+     */
+    static analyze(csvText) {
+        const rows = CSVUtils.parse(csvText);
+        
+        if (rows.length === 0) {
+            throw new Error('The CSV file is empty');
+        }
+        
+        const hasHeader = this.isHeaderRow(rows[0]);
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const headers = hasHeader
+            ? rows[0].map((header, index) => header.trim() || `Column ${index + 1}`)
+            : Array.from({ length: columnCount }, (_, index) => `Column ${index + 1}`);
+        
+        return {
+            headers,
+            hasHeader,
+            rows: hasHeader ? rows.slice(1) : rows,
+            mapping: hasHeader ? this.detectMapping(headers) : this.positionalMapping(columnCount)
+        };
+    }
+    
+    /**
+     * Check whether a row looks like a header (any cell is a known field alias)
+     * @param {string[]} row - First CSV row
+     * @returns {boolean} True if row is a header
+     */
+    static isHeaderRow(row) {
+        const aliases = Object.values(this.FIELDS).flatMap(field => field.aliases);
+        return row.some(cell => aliases.includes(this.normalizeHeader(cell)));
+    }
+    
+    /**
+     * Guess which column feeds each field from the header names
+     * @param {string[]} headers - Header row
+     * @returns {Object} Map of field name to column index (or null)
+     */
+    static detectMapping(headers) {
+        const normalized = headers.map(header => this.normalizeHeader(header));
+        const mapping = {};
+        
+        Object.entries(this.FIELDS).forEach(([field, { aliases }]) => {
+            const alias = aliases.find(candidate => normalized.includes(candidate));
+            mapping[field] = alias ? normalized.indexOf(alias) : null;
+        });
+        
+        return mapping;
+    }
+    
+    /**
+     * Map columns by position for header-less files, in the order of
+     * CSVImporter.POSITIONAL_FIELDS
+     * @param {number} columnCount - Number of columns in the file
+     * @returns {Object} Map of field name to column index (or null)
+     */
+    static positionalMapping(columnCount) {
+        const mapping = {};
+        
+        Object.keys(this.FIELDS).forEach(field => {
+            const index = CSVImporter.POSITIONAL_FIELDS.indexOf(field);
+            mapping[field] = index !== -1 && index < columnCount ? index : null;
+        });
+        
+        return mapping;
+    }
+    
+    /**
+     * Convert analyzed CSV rows to book records using a column mapping
+     * @param {string[][]} rows - Data rows (without header)
+     * @param {Object} mapping - Map of field name to column index
+     * @param {number} firstRowNumber - Line number of the first data row
+     * @returns {Object[]} Rows of { rowNumber, record, error }
+     */
+    static toRecords(rows, mapping, firstRowNumber = 1) {
+        return rows.map((row, index) => {
+            const rowNumber = firstRowNumber + index;
+            
+            try {
+                return { rowNumber, record: this.rowToRecord(row, mapping), error: null };
+            } catch (error) {
+                return { rowNumber, record: null, error: error.message };
+            }
+        });
+    }
+    
+    /**
+     * Convert a single CSV row to a book record shaped like Book.toJSON()
+     * @param {string[]} row - Cells of the row
+     * @param {Object} mapping - Map of field name to column index
+     * @returns {Object} Book record
+     * @throws {Error} If a mapped value cannot be interpreted
+     */
+    static rowToRecord(row, mapping) {
+        const value = field => {
+            const index = mapping[field];
+            return index === null || index === undefined ? '' : (row[index] || '').trim();
+        };
+        
+        const record = {
+            title: value('title'),
+            author: value('author'),
+            pages: value('pages'),
+            genre: value('genre'),
+            rating: this.parseRating(value('rating')),
+            read: false
+        };
+        
+        if (value('id')) {
+            record.id = value('id');
+        }
+        
+        if (value('contributors')) {
+            try {
+                record.contributors = JSON.parse(value('contributors'));
+            } catch (error) {
+                throw new Error('Contributors column is not valid JSON');
+            }
+        } else if (value('additionalAuthors')) {
+            // Goodreads lists further authors (and translators, without saying so) comma-separated
+            record.contributors = [
+                ...Book.parseAuthors(record.author),
+                ...value('additionalAuthors').split(',')
+                    .map(name => name.trim())
+                    .filter(Boolean)
+                    .map(name => ({ name, role: Book.ROLE.CO_AUTHOR }))
+            ];
+        }
+        
+        if (value('edition')) {
+            record.edition = value('edition');
+        }
+        
+        if (value('tags')) {
+            record.tags = this.parseTags(value('tags'));
+        }
+        
+        if (value('series')) {
+            record.series = value('series');
+            if (value('volume')) {
+                record.volume = this.parseVolume(value('volume'));
+            }
+        } else {
+            // Goodreads has no series column but writes it after the title: "Title (Series, #3)"
+            const match = record.title.match(CSVImporter.TITLE_SERIES_PATTERN);
+            if (match) {
+                record.title = match[1].trim();
+                record.series = match[2].trim();
+                record.volume = this.parseVolume(match[3]);
+            }
+        }
+        
+        // Goodreads wraps ISBNs as ="..." and writes ="" when there is none
+        if (ISBNUtils.normalize(value('isbn'))) {
+            const isbn = ISBNUtils.toISBN13(value('isbn'));
+            if (!isbn) {
+                throw new Error(`Invalid ISBN: "${value('isbn')}"`);
+            }
+            record.isbn = isbn;
+        }
+        
+        if (value('dateAdded')) {
+            const date = new Date(value('dateAdded'));
+            if (isNaN(date.getTime())) {
+                throw new Error(`Unrecognized date added: "${value('dateAdded')}"`);
+            }
+            record.dateAdded = date.toISOString();
+        }
+        
+        const status = value('status')
+            ? this.parseStatus(value('status'))
+            : this.parseStatus(value('read'));
+        record.status = status;
+        record.read = status === Book.STATUS.FINISHED;
+        
+        if (value('currentPage')) {
+            record.currentPage = parseInt(value('currentPage'));
+        }
+        
+        if (value('dateFinished') && record.read) {
+            const date = new Date(value('dateFinished'));
+            if (isNaN(date.getTime())) {
+                throw new Error(`Unrecognized date finished: "${value('dateFinished')}"`);
+            }
+            record.dateFinished = date.toISOString();
+        }
+        
+        if (value('shelfIds')) {
+            try {
+                record.shelfIds = JSON.parse(value('shelfIds'));
+            } catch (error) {
+                throw new Error('Shelf IDs column is not valid JSON');
+            }
+        }
+        
+        if (value('sessions')) {
+            try {
+                record.sessions = JSON.parse(value('sessions'));
+            } catch (error) {
+                throw new Error('Reading sessions column is not valid JSON');
+            }
+        }
+        
+        if (value('loans')) {
+            try {
+                record.loans = JSON.parse(value('loans'));
+            } catch (error) {
+                throw new Error('Loans column is not valid JSON');
+            }
+        }
+        
+        if (value('wishlist')) {
+            try {
+                record.wishlist = JSON.parse(value('wishlist'));
+            } catch (error) {
+                throw new Error('Wishlist column is not valid JSON');
+            }
+        }
+        
+        if (value('format')) {
+            record.format = this.parseFormat(value('format'));
+            if (record.format === Book.FORMAT.AUDIOBOOK && value('duration')) {
+                record.duration = this.parseDuration(value('duration'));
+            } else if (record.format === Book.FORMAT.AUDIOBOOK) {
+                // Goodreads gives no running time; without one it is tracked by its pages
+                record.format = '';
+            }
+        }
+        
+        if (value('location')) {
+            record.location = value('location');
+        }
+        
+        if (value('review')) {
+            // Goodreads reviews are HTML with <br/> line breaks
+            record.review = value('review').replace(/<br\s*\/?>/gi, '\n');
+        }
+        
+        if (value('notes')) {
+            record.notes = this.parseAnnotations(value('notes'), 'Notes');
+        }
+        
+        if (value('quotes')) {
+            record.quotes = this.parseAnnotations(value('quotes'), 'Quotes');
+        }
+        
+        return record;
+    }
+    
+    /**
+     * Interpret a tags cell: the app's JSON list, or comma-separated tags.
+     * Goodreads' reading-state shelves are left out, as they are not tags.
+     * @param {string} value - Cell value
+     * @returns {string[]} Tags
+     */
+    static parseTags(value) {
+        let tags;
+        try {
+            tags = value.startsWith('[') ? JSON.parse(value) : null;
+        } catch (error) {
+            tags = null;
+        }
+        
+        return (Array.isArray(tags) ? tags : value.split(','))
+            .map(tag => String(tag).trim())
+            .filter(tag => tag && !CSVImporter.STATUS_SHELVES.includes(tag.toLowerCase()));
+    }
+    
+    /**
+     * Interpret a notes or quotes cell: the app's JSON list, or plain text
+     * (such as Goodreads' private notes) taken as a single entry
+     * @param {string} value - Cell value
+     * @param {string} label - Column name for error messages
+     * @returns {Object[]} Entries as { text, ... }
+     * @throws {Error} If the cell looks like a JSON list but is not valid
+     */
+    static parseAnnotations(value, label) {
+        if (!value.startsWith('[')) {
+            return [{ text: value }];
+        }
+        
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new Error(`${label} column is not valid JSON`);
+        }
+    }
+    
+    /**
+     * Interpret a series volume cell
+     * @param {string} value - Cell value such as "3", "#3" or "2.5"
+     * @returns {number} Volume number
+     * @throws {Error} If the value is not a number
+     */
+    static parseVolume(value) {
+        const volume = Number(String(value).replace(/^#/, '').trim());
+        if (!Number.isFinite(volume)) {
+            throw new Error(`Unrecognized series volume: "${value}"`);
+        }
+        return volume;
+    }
+    
+    /**
+     * Interpret a rating cell (0 or empty means unrated, as in Goodreads exports)
+     * @param {string} value - Cell value such as "4" or "4.0"
+     * @returns {number|null} Rating between 1 and 5 or null
+     * @throws {Error} If the rating is not a whole number from 1 to 5
+     */
+    static parseRating(value) {
+        const text = String(value ?? '').trim();
+        if (!text) return null;
+        
+        // Checked as written, so "5.4" or "0.4" is rejected rather than rounded into range
+        const rating = Number(text);
+        if (rating === 0) return null;
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            throw new Error(`Rating must be a whole number between 1 and 5 (or 0 for unrated), got "${value}"`);
+        }
+        
+        return rating;
+    }
+    
+    /**
+     * Interpret a format cell, including Goodreads and LibraryThing binding names
+     * @param {string} value - Cell value such as "Mass Market Paperback", "Kindle Edition" or "Audible Audio"
+     * @returns {string} Book.FORMAT value, or empty if the binding is not recognized
+     */
+    static parseFormat(value) {
+        const normalized = this.normalizeHeader(value);
+        const match = this.FORMAT_KEYWORDS.find(({ keywords }) =>
+            keywords.some(keyword => normalized.includes(keyword)));
+        return match ? match.format : '';
+    }
+    
+    /**
+     * Interpret a duration cell
+     * @param {string} value - Minutes ("690"), hours and minutes ("11:30") or "11h 30m"
+     * @returns {number} Duration in minutes
+     * @throws {Error} If the value is not recognized
+     */
+    static parseDuration(value) {
+        const text = String(value).trim().toLowerCase();
+        const clock = text.match(/^(\d+):([0-5]\d)(?::[0-5]\d)?$/);
+        const units = text.match(/^(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/);
+        
+        if (/^\d+$/.test(text)) {
+            return parseInt(text);
+        }
+        if (clock) {
+            return parseInt(clock[1]) * 60 + parseInt(clock[2]);
+        }
+        if (text && units && (units[1] || units[2])) {
+            return parseInt(units[1] || 0) * 60 + parseInt(units[2] || 0);
+        }
+        
+        throw new Error(`Unrecognized duration: "${value}"`);
+    }
+    
+    /**
+     * Interpret a read/status cell, including Goodreads shelf names
+     * and "date read" values
+     * @param {string} value - Cell value
+     * @returns {string} One of Book.STATUS values
+     * @throws {Error} If value is not recognized
+     */
+    static parseStatus(value) {
+        const normalized = this.normalizeHeader(value);
+        
+        if (['', 'false', 'no', 'n', '0', 'unread', 'toread', 'notread', 'wanttoread'].includes(normalized)) {
+            return Book.STATUS.TO_READ;
+        }
+        if (['reading', 'currentlyreading', 'inprogress', 'started'].includes(normalized)) {
+            return Book.STATUS.READING;
+        }
+        if (['true', 'yes', 'y', '1', 'x', 'read', 'finished', 'done', 'completed'].includes(normalized)) {
+            return Book.STATUS.FINISHED;
+        }
+        
+        // A date in a "Date Read" column means the book was finished
+        if (/\d/.test(value) && !isNaN(new Date(value).getTime())) {
+            return Book.STATUS.FINISHED;
+        }
+        
+        throw new Error(`Unrecognized read status: "${value}"`);
+    }
+    
+    /**
+     * Serialize books to CSV with one column per Book.toJSON() field
+     * @param {Book[]} books - Books to export
+     * @returns {string} CSV text
+     */
+    static export(books) {
+        const records = books.map(book => book.toJSON());
+        const headers = records.length > 0
+            ? Object.keys(records[0])
+            : Object.keys(new Book('Title', 'Author', 1).toJSON());
+        
+        const rows = records.map(record => headers.map(header => record[header]));
+        return CSVUtils.stringify([headers, ...rows]);
+    }
+}
+
+/**
+ * Series suffix in Goodreads titles: "Title (Series, #3)" or "Title (Series #3)"
+ */
+CSVImporter.TITLE_SERIES_PATTERN = /^(.+?)\s*\(([^()]+?),?\s+#(\d+(?:\.\d+)?)\)$/;
+
+/**
+ * Goodreads shelves that hold the reading state rather than a tag
+ */
+CSVImporter.STATUS_SHELVES = Object.freeze(['read', 'to-read', 'currently-reading']);
+
+/**
+ * Column order of header-less files (title, author, pages, genre, rating, read, dateAdded)
+ */
+CSVImporter.POSITIONAL_FIELDS = Object.freeze(['title', 'author', 'pages', 'genre', 'rating', 'read', 'dateAdded']);
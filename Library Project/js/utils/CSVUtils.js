@@ -0,0 +1,108 @@
+/**
+ * CSV Utilities Class
+ * Provides RFC 4180 style parsing and serialization of CSV text
+ */
+class CSVUtils {
+    /**
+     * Detect the delimiter used in CSV text by inspecting the first line
+     * @param {string} text - CSV text
+     * @returns {string} Detected delimiter (comma, semicolon or tab)
+     */
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const candidates = [',', ';', '\t'];
+        
+        return candidates.reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        , ',');
+    }
+    
+    /**
+     * Parse CSV text into rows of cells
+     * Handles quoted cells, escaped quotes and line breaks inside quotes
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Cell delimiter (detected if omitted)
+     * @returns {string[][]} Array of rows, each an array of cell values
+     */
+    static parse(text, delimiter = null) {
+        if (typeof text !== 'string') {
+            return [];
+        }
+        
+        // Strip byte order mark added by spreadsheet exports
+        const source = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(source);
+        
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell.length > 0 || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        
+        // Drop blank lines
+        return rows.filter(cells => cells.some(value => value.trim().length > 0));
+    }
+    
+    /**
+     * Escape a single value for CSV output
+     * @param {*} value - Value to escape
+     * @returns {string} CSV-safe cell
+     */
+    static escapeCell(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+    
+    /**
+     * Serialize rows of values to CSV text
+     * @param {Array[]} rows - Array of rows, each an array of values
+     * @returns {string} CSV text
+     */
+    static stringify(rows) {
+        return rows
+            .map(row => row.map(value => this.escapeCell(value)).join(','))
+            .join('\r\n');
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Fuzzy Search Class
+ * Typo-tolerant, accent-insensitive matching and scoring of search text.
+ * Words of the query may appear in any order; each one is matched to the
+ * closest word of the searched text (exact, prefix, substring or within
+ * a small edit distance).
+ */
+class FuzzySearch {
+    /**
+     * Fold one character for comparison: lowercase, accents removed
+     * @param {string} char - Character
+     * @returns {string} Folded character(s), possibly empty for combining marks
+     */
+    static foldChar(char) {
+        const special = FuzzySearch.SPECIAL_LETTERS[char] || FuzzySearch.SPECIAL_LETTERS[char.toLowerCase()];
+        if (special) {
+            return special;
+        }
+        
+        return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+    
+    /**
+     * Fold text and remember which original character each folded one came from
+     * @param {string} text - Text to fold
+     * @returns {Object} { folded, map } where map[i] is the original index of folded[i]
+     */
+    static foldWithMap(text) {
+        let folded = '';
+        const map = [];
+        
+        for (let i = 0; i < text.length; i++) {
+            const foldedChar = this.foldChar(text[i]);
+            for (let j = 0; j < foldedChar.length; j++) {
+                folded += foldedChar[j];
+                map.push(i);
+            }
+        }
+        
+        return { folded, map };
+    }
+    
+    /**
+     * Fold text for comparison
+     * @param {string} text - Text to fold
+     * @returns {string} Lowercase text without accents
+     */
+    static fold(text) {
+        return this.foldWithMap(String(text || '')).folded;
+    }
+    
+    /**
+     * Split text into folded words
+     * @param {string} text - Text to split
+     * @returns {string[]} Lowercase words without accents
+     */
+    static words(text) {
+        return this.fold(text).match(FuzzySearch.WORD_PATTERN) || [];
+    }
+    
+    /**
+     * Number of typos tolerated for a query word of the given length
+     * @param {number} length - Word length
+     * @returns {number} Allowed edit distance
+     */
+    static allowedTypos(length) {
+        if (length < 4) return 0;
+        if (length < 7) return 1;
+        return 2;
+    }
+    
+    /**
+     * Edit distance counting insertions, deletions, substitutions and
+     * swaps of neighbouring letters
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} limit - Stop early once the distance must exceed this
+     * @returns {number} Distance (limit + 1 when above the limit)
+     */
+    static editDistance(a, b, limit = Infinity) {
+        if (Math.abs(a.length - b.length) > limit) {
+            return limit + 1;
+        }
+        
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMinimum = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                
+                nextRow.push(value);
+                rowMinimum = Math.min(rowMinimum, value);
+            }
+            
+            if (rowMinimum > limit) {
+                return limit + 1;
+            }
+            
+            previousRow = row;
+            row = nextRow;
+        }
+        
+        return row[b.length];
+    }
+    
+    /**
+     * Score one query word against one word of the text
+     * @param {string} queryWord - Folded query word
+     * @param {string} word - Folded text word
+     * @returns {Object|null} { score, offset, length } where offset and length give
+     *                        the matched part of the word (for highlighting), or null
+     */
+    static matchWord(queryWord, word) {
+        if (word === queryWord) {
+            return { score: 1, offset: 0, length: word.length };
+        }
+        
+        if (word.startsWith(queryWord)) {
+            return { score: 0.7 + 0.2 * (queryWord.length / word.length), offset: 0, length: queryWord.length };
+        }
+        
+        const allowed = this.allowedTypos(queryWord.length);
+        
+        if (queryWord.length >= 3 && word.includes(queryWord)) {
+            return { score: 0.6, offset: word.indexOf(queryWord), length: queryWord.length };
+        }
+        
+        if (allowed === 0) {
+            return null;
+        }
+        
+        const distance = this.editDistance(queryWord, word, allowed);
+        if (distance <= allowed) {
+            return { score: 0.6 * (1 - distance / (queryWord.length + 1)), offset: 0, length: word.length };
+        }
+        
+        // A typo in a word that is still being typed
+        if (word.length > queryWord.length) {
+            const prefixDistance = this.editDistance(queryWord, word.slice(0, queryWord.length), allowed);
+            if (prefixDistance <= allowed) {
+                return { score: 0.5 * (1 - prefixDistance / (queryWord.length + 1)), offset: 0, length: queryWord.length };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Score a query against weighted fields. Every query word must match
+     * a word in some field; the result is the average of each word's best
+     * match, plus a bonus when the whole query appears as written.
+     * @param {string} query - Search text
+     * @param {Object[]} fields - Fields of { text, weight }
+     * @returns {number} Relevance score, 0 if the query does not match
+     */
+    static scoreFields(query, fields) {
+        const foldedQuery = this.fold(query).trim().replace(/\s+/g, ' ');
+        if (!foldedQuery) {
+            return 0;
+        }
+        
+        const queryWords = this.words(query);
+        const fieldWords = fields.map(field => ({
+            weight: field.weight,
+            folded: this.fold(field.text),
+            words: this.words(field.text)
+        }));
+        
+        // Queries made only of punctuation can still match literally
+        if (queryWords.length === 0) {
+            return fieldWords.some(field => field.folded.includes(foldedQuery)) ? 1 : 0;
+        }
+        
+        let total = 0;
+        for (const queryWord of queryWords) {
+            let best = 0;
+            fieldWords.forEach(({ weight, words }) => {
+                words.forEach(word => {
+                    const match = this.matchWord(queryWord, word);
+                    if (match) {
+                        best = Math.max(best, match.score * weight);
+                    }
+                });
+            });
+            
+            if (best === 0) {
+                return 0;
+            }
+            total += best;
+        }
+        
+        const phraseBonus = Math.max(0, ...fieldWords
+            .filter(field => field.folded.includes(foldedQuery))
+            .map(field => 0.25 * field.weight));
+        
+        return total / queryWords.length + phraseBonus;
+    }
+    
+    /**
+     * Score a query against a single piece of text
+     * @param {string} query - Search text
+     * @param {string} text - Text to search
+     * @returns {number} Relevance score, 0 if the query does not match
+     */
+    static score(query, text) {
+        return this.scoreFields(query, [{ text, weight: 1 }]);
+    }
+    
+    /**
+     * Check whether text contains a phrase, ignoring case and accents
+     * @param {string} phrase - Phrase to look for
+     * @param {string} text - Text to search
+     * @returns {boolean} True if the phrase appears in the text
+     */
+    static containsPhrase(phrase, text) {
+        return this.fold(text).includes(this.fold(phrase));
+    }
+    
+    /**
+     * Find the parts of a text matched by a query, for highlighting
+     * @param {string} query - Search text
+     * @param {string} text - Text to search
+     * @returns {Array[]} Sorted, non-overlapping [start, end) ranges in the original text
+     */
+    static findMatches(query, text) {
+        const queryWords = this.words(query);
+        const { folded, map } = this.foldWithMap(String(text || ''));
+        const ranges = [];
+        
+        [...folded.matchAll(FuzzySearch.WORD_PATTERN)].forEach(wordMatch => {
+            let best = null;
+            queryWords.forEach(queryWord => {
+                const match = this.matchWord(queryWord, wordMatch[0]);
+                if (match && (!best || match.score > best.score)) {
+                    best = match;
+                }
+            });
+            
+            if (best) {
+                // Map folded positions back to the original text
+                const start = wordMatch.index + best.offset;
+                const end = start + best.length - 1;
+                ranges.push([map[start], map[end] + 1]);
+            }
+        });
+        
+        return ranges;
+    }
+}
+
+/**
+ * Letters that Unicode normalization does not split into a base letter and accent
+ */
+FuzzySearch.SPECIAL_LETTERS = Object.freeze({
+    'ß': 'ss',
+    'æ': 'ae',
+    'œ': 'oe',
+    'ø': 'o',
+    'ł': 'l',
+    'đ': 'd',
+    'ð': 'd',
+    'þ': 'th',
+    'ı': 'i'
+});
+
+/**
+ * A word: a run of letters and digits in any script
+ */
+FuzzySearch.WORD_PATTERN = /[\p{L}\p{N}]+/gu;
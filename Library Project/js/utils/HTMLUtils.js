@@ -90,4 +90,24 @@ class HTMLUtils {
             element.classList.remove(animationClass);
         }, duration);
     }
+    
+    /**
+     * Trigger a browser download of text content
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} mimeType - MIME type of the content
+     */
+    static downloadFile(content, filename, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 }
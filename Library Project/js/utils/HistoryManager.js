@@ -0,0 +1,176 @@
+/**
+ * History Manager Class
+ * Keeps undo/redo stacks of serializable commands and persists the most
+ * recent ones through the storage adapter, next to the books, so history
+ * survives a page reload
+ */
+class HistoryManager {
+    /**
+     * @param {StorageManager|null} storage - Storage whose adapter persists history (null to keep it in memory)
+     * @param {string} storageKey - Key the stacks are stored under
+     * @param {number} limit - Maximum number of commands kept in each stack
+     */
+    constructor(storage = null, storageKey = 'history', limit = 50) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isLoaded = false;
+        this.saveQueue = Promise.resolve(true);
+        this.saveScheduled = false;
+    }
+    
+    /**
+     * Record a command that has just been executed
+     * Recording a new command discards anything that could be redone
+     * @param {Object} command - Serializable command data
+     */
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.save();
+    }
+    
+    /**
+     * Move the latest command onto the redo stack
+     * @returns {Object|null} Command to revert, or null if there is nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        
+        this.redoStack.push(command);
+        this.save();
+        return command;
+    }
+    
+    /**
+     * Move the latest undone command back onto the undo stack
+     * @returns {Object|null} Command to re-apply, or null if there is nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        
+        this.undoStack.push(command);
+        this.save();
+        return command;
+    }
+    
+    /**
+     * Check whether there is a command to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    /**
+     * Check whether there is a command to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * Get the command that would be undone next
+     * @returns {Object|null} Latest command or null
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+    
+    /**
+     * Get the command that would be redone next
+     * @returns {Object|null} Latest undone command or null
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+    
+    /**
+     * Forget all history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.save();
+    }
+    
+    /**
+     * Schedule a save of both stacks. Saves requested in the same tick are
+     * combined into one write, so undo and redo never wait for storage.
+     * @returns {Promise<boolean>} Resolves to true once the stacks are stored
+     */
+    save() {
+        if (!this.saveScheduled) {
+            this.saveScheduled = true;
+            this.saveQueue = this.saveQueue.then(() => {
+                this.saveScheduled = false;
+                return this.writeStacks();
+            });
+        }
+        
+        return this.saveQueue;
+    }
+    
+    /**
+     * Write both stacks to the storage adapter. A failed write only costs
+     * the history after a reload; the stacks in memory are left as they are.
+     * @returns {Promise<boolean>} True if successful
+     */
+    async writeStacks() {
+        // Saving before the stored history is loaded would overwrite it
+        if (!this.isLoaded || !this.storage || !this.storage.adapter) {
+            return false;
+        }
+        
+        try {
+            await this.storage.adapter.setItem(this.storageKey, {
+                undo: this.undoStack,
+                redo: this.redoStack
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving history; undo is kept for this session only:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Restore both stacks through the opened storage adapter. History saved in
+     * localStorage before it moved to the adapter is carried over once.
+     * @returns {Promise<void>} Resolves once the history is loaded
+     */
+    async load() {
+        if (!this.storage || !this.storage.adapter) return;
+        
+        let stored = null;
+        let movedFromLocalStorage = false;
+        
+        try {
+            stored = await this.storage.adapter.getItem(this.storageKey);
+            if (!stored) {
+                stored = this.storage.get(this.storageKey, null);
+                movedFromLocalStorage = stored !== null;
+            }
+        } catch (error) {
+            console.error('Error loading history:', error);
+        }
+        
+        if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) {
+            this.undoStack = stored.undo.slice(-this.limit);
+            this.redoStack = stored.redo.slice(-this.limit);
+        }
+        this.isLoaded = true;
+        
+        if (movedFromLocalStorage && await this.save()) {
+            this.storage.remove(this.storageKey);
+        }
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * ISBN Utilities Class
+ * Normalizes, validates and converts ISBN-10 and ISBN-13 numbers
+ */
+class ISBNUtils {
+    /**
+     * Strip everything but digits and the ISBN-10 check character "X"
+     * (handles hyphens, spaces, "ISBN" prefixes and spreadsheet ="..." wrapping)
+     * @param {string} value - ISBN as entered
+     * @returns {string} Normalized ISBN
+     */
+    static normalize(value) {
+        return String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
+    }
+    
+    /**
+     * Compute the ISBN-10 check character
+     * @param {string} firstNine - First nine digits
+     * @returns {string} Check digit, or "X" for ten
+     */
+    static checkDigit10(firstNine) {
+        const sum = [...firstNine].reduce((total, digit, index) => total + (10 - index) * Number(digit), 0);
+        const check = (11 - (sum % 11)) % 11;
+        return check === 10 ? 'X' : String(check);
+    }
+    
+    /**
+     * Compute the ISBN-13 check digit
+     * @param {string} firstTwelve - First twelve digits
+     * @returns {string} Check digit
+     */
+    static checkDigit13(firstTwelve) {
+        const sum = [...firstTwelve].reduce((total, digit, index) => total + (index % 2 === 0 ? 1 : 3) * Number(digit), 0);
+        return String((10 - (sum % 10)) % 10);
+    }
+    
+    /**
+     * Check an ISBN-10 including its check character
+     * @param {string} value - ISBN
+     * @returns {boolean} True if valid
+     */
+    static isValidISBN10(value) {
+        const isbn = this.normalize(value);
+        return /^\d{9}[\dX]$/.test(isbn) && this.checkDigit10(isbn.slice(0, 9)) === isbn[9];
+    }
+    
+    /**
+     * Check an ISBN-13 including its check digit and 978/979 prefix
+     * @param {string} value - ISBN
+     * @returns {boolean} True if valid
+     */
+    static isValidISBN13(value) {
+        const isbn = this.normalize(value);
+        return /^97[89]\d{10}$/.test(isbn) && this.checkDigit13(isbn.slice(0, 12)) === isbn[12];
+    }
+    
+    /**
+     * Check either form of ISBN
+     * @param {string} value - ISBN
+     * @returns {boolean} True if a valid ISBN-10 or ISBN-13
+     */
+    static isValid(value) {
+        return this.isValidISBN10(value) || this.isValidISBN13(value);
+    }
+    
+    /**
+     * Convert an ISBN to ISBN-13
+     * @param {string} value - ISBN-10 or ISBN-13
+     * @returns {string|null} ISBN-13, or null if the ISBN is invalid
+     */
+    static toISBN13(value) {
+        const isbn = this.normalize(value);
+        
+        if (this.isValidISBN13(isbn)) {
+            return isbn;
+        }
+        if (this.isValidISBN10(isbn)) {
+            const firstTwelve = `978${isbn.slice(0, 9)}`;
+            return firstTwelve + this.checkDigit13(firstTwelve);
+        }
+        return null;
+    }
+    
+    /**
+     * Convert an ISBN to ISBN-10 (only 978-prefixed ISBN-13s have one)
+     * @param {string} value - ISBN-10 or ISBN-13
+     * @returns {string|null} ISBN-10, or null if invalid or not convertible
+     */
+    static toISBN10(value) {
+        const isbn = this.normalize(value);
+        
+        if (this.isValidISBN10(isbn)) {
+            return isbn;
+        }
+        if (this.isValidISBN13(isbn) && isbn.startsWith('978')) {
+            const firstNine = isbn.slice(3, 12);
+            return firstNine + this.checkDigit10(firstNine);
+        }
+        return null;
+    }
+    
+    /**
+     * Check whether a search term refers to an ISBN: a full ISBN in either
+     * form, or at least four digits of one
+     * @param {string} term - Search term
+     * @param {string} isbn - Stored ISBN-13
+     * @returns {boolean} True if the term matches the ISBN
+     */
+    static matches(term, isbn) {
+        if (!isbn || !/^[\dXx\s-]+$/.test(String(term || '').trim())) {
+            return false;
+        }
+        
+        const normalized = this.normalize(term);
+        if (this.isValid(normalized)) {
+            return this.toISBN13(normalized) === isbn;
+        }
+        
+        return normalized.length >= 4 && (isbn.includes(normalized) || (this.toISBN10(isbn) || '').includes(normalized));
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * IndexedDB Adapter Class
+ * Stores each record separately in IndexedDB object stores, with indexes
+ * on chosen fields, so saving one book does not rewrite the whole library
+ */
+class IndexedDBAdapter {
+    /**
+     * @param {string} name - Database name
+     * @param {Object} stores - Map of store name to { keyPath, indexes: string[] }
+     * @param {number} version - Database version (bump when stores or indexes change)
+     * @param {Function|null} onBlocked - Called while another tab keeps an older version of the database open
+     */
+    constructor(name, stores = {}, version = 1, onBlocked = null) {
+        this.name = name;
+        this.stores = stores;
+        this.version = version;
+        this.onBlocked = onBlocked;
+        this.db = null;
+    }
+    
+    /**
+     * Check whether the browser provides IndexedDB
+     * @returns {boolean} True if IndexedDB can be used
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open the database, creating stores and indexes on first use
+     * @returns {Promise<IndexedDBAdapter>} The adapter
+     * @throws {Error} If IndexedDB is unavailable or the database cannot be opened
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this);
+        }
+        
+        return new Promise((resolve, reject) => {
+            if (!IndexedDBAdapter.isSupported()) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.name, this.version);
+            
+            request.onupgradeneeded = () => {
+                this.upgrade(request.result, request.transaction);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                
+                // Let a newer version in another tab upgrade the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            
+            // Keep waiting: the upgrade goes ahead once the other tab closes the database.
+            // Switching to another adapter here would split the library across two stores.
+            request.onblocked = () => {
+                if (this.onBlocked) this.onBlocked();
+            };
+        });
+    }
+    
+    /**
+     * Create missing object stores and indexes
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - Version change transaction
+     */
+    upgrade(db, transaction) {
+        if (!db.objectStoreNames.contains(IndexedDBAdapter.ITEMS_STORE)) {
+            db.createObjectStore(IndexedDBAdapter.ITEMS_STORE);
+        }
+        
+        Object.entries(this.stores).forEach(([storeName, { keyPath = 'id', indexes = [] }]) => {
+            const store = db.objectStoreNames.contains(storeName)
+                ? transaction.objectStore(storeName)
+                : db.createObjectStore(storeName, { keyPath });
+            
+            indexes.forEach(indexName => {
+                if (!store.indexNames.contains(indexName)) {
+                    store.createIndex(indexName, indexName);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Run work in a transaction and resolve once it has committed
+     * @param {string[]} storeNames - Stores used by the transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the transaction; may return an IDBRequest whose result is resolved
+     * @returns {Promise<*>} Result of the returned request
+     */
+    transaction(storeNames, mode, work) {
+        if (!this.db) {
+            return Promise.reject(new Error('The database is not open'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            const request = work(transaction);
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('The transaction was aborted'));
+        });
+    }
+    
+    /**
+     * Get a stored value
+     * @param {string} key - Item key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async getItem(key) {
+        const value = await this.transaction([IndexedDBAdapter.ITEMS_STORE], 'readonly',
+            transaction => transaction.objectStore(IndexedDBAdapter.ITEMS_STORE).get(key));
+        return value === undefined ? null : value;
+    }
+    
+    /**
+     * Store a value
+     * @param {string} key - Item key
+     * @param {*} value - Serializable value
+     */
+    async setItem(key, value) {
+        await this.transaction([IndexedDBAdapter.ITEMS_STORE], 'readwrite',
+            transaction => transaction.objectStore(IndexedDBAdapter.ITEMS_STORE).put(value, key));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Item key
+     */
+    async removeItem(key) {
+        await this.transaction([IndexedDBAdapter.ITEMS_STORE], 'readwrite',
+            transaction => transaction.objectStore(IndexedDBAdapter.ITEMS_STORE).delete(key));
+    }
+    
+    /**
+     * Get every record in a store
+     * @param {string} storeName - Store name
+     * @returns {Promise<Object[]>} Records
+     */
+    getAll(storeName) {
+        return this.transaction([storeName], 'readonly',
+            transaction => transaction.objectStore(storeName).getAll());
+    }
+    
+    /**
+     * Get records whose indexed field equals a value
+     * @param {string} storeName - Store name
+     * @param {string} indexName - Index name
+     * @param {*} value - Value to match
+     * @returns {Promise<Object[]>} Matching records
+     */
+    getAllByIndex(storeName, indexName, value) {
+        return this.transaction([storeName], 'readonly',
+            transaction => transaction.objectStore(storeName).index(indexName).getAll(value));
+    }
+    
+    /**
+     * Put and delete records in several stores in a single transaction
+     * @param {Object} changes - Map of store name to { put: Object[], delete: string[] }
+     * @param {Object} items - Map of item key to value to store alongside the records
+     */
+    async applyChanges(changes, items = {}) {
+        const storeNames = [...Object.keys(changes), IndexedDBAdapter.ITEMS_STORE];
+        
+        await this.transaction(storeNames, 'readwrite', transaction => {
+            Object.entries(changes).forEach(([storeName, { put = [], delete: remove = [] }]) => {
+                const store = transaction.objectStore(storeName);
+                put.forEach(record => store.put(record));
+                remove.forEach(id => store.delete(id));
+            });
+            
+            const itemStore = transaction.objectStore(IndexedDBAdapter.ITEMS_STORE);
+            Object.entries(items).forEach(([key, value]) => itemStore.put(value, key));
+        });
+    }
+}
+
+/**
+ * Object store holding key/value items (metadata) rather than records
+ */
+IndexedDBAdapter.ITEMS_STORE = 'items';
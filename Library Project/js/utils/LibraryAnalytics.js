@@ -0,0 +1,312 @@
+/**
+ * Library Analytics Class
+ * Turns a list of books into the data series shown on the analytics
+ * dashboard: finishing activity per month, genres over the years, ratings,
+ * book length by genre, top authors and how long books take to finish
+ */
+class LibraryAnalytics {
+    /**
+     * Compute every dashboard series for a set of books
+     * @param {Book[]} books - Books to analyze (e.g. the current filter and search results)
+     * @param {Date} today - Date the monthly series ends at
+     * @returns {Object} { bookCount, finishedPerMonth, genresByYear, ratings, lengthByGenre, topAuthors, timeToFinish }
+     */
+    static analyze(books, today = new Date()) {
+        return {
+            bookCount: books.length,
+            finishedPerMonth: this.getFinishedPerMonth(books, today),
+            genresByYear: this.getGenresByYear(books),
+            ratings: this.getRatingHistogram(books),
+            lengthByGenre: this.getLengthByGenre(books),
+            topAuthors: this.getTopAuthors(books),
+            timeToFinish: this.getTimeToFinish(books)
+        };
+    }
+    
+    /**
+     * Count books by a key
+     * @param {Book[]} books - Books to count
+     * @param {Function} getKey - Returns the key of a book (books with an empty key are left out)
+     * @returns {Object} Map of key to number of books
+     */
+    static countBy(books, getKey) {
+        const counts = {};
+        books.forEach(book => {
+            const key = getKey(book);
+            if (key) {
+                counts[key] = (counts[key] || 0) + 1;
+            }
+        });
+        return counts;
+    }
+    
+    /**
+     * Count books per genre
+     * @param {Book[]} books - Books to count
+     * @returns {Object} Map of genre to number of books (books without a genre are left out)
+     */
+    static countGenres(books) {
+        return this.countBy(books, book => book.genre);
+    }
+    
+    /**
+     * Count books per format
+     * @param {Book[]} books - Books to count
+     * @returns {Object} Map of Book.FORMAT value to number of books (books without a format are left out)
+     */
+    static countFormats(books) {
+        return this.countBy(books, book => book.format);
+    }
+    
+    /**
+     * Count books per tag. Spellings of one tag ("Sci-Fi", "sci-fi") are
+     * counted together under the first one seen.
+     * @param {Book[]} books - Books to count
+     * @returns {Object} Map of tag to number of books
+     */
+    static countTags(books) {
+        const tags = new Map();
+        books.forEach(book => {
+            book.tags.forEach(tag => {
+                const key = Book.getTagKey(tag);
+                const entry = tags.get(key) || { tag, count: 0 };
+                entry.count++;
+                tags.set(key, entry);
+            });
+        });
+        return Object.fromEntries([...tags.values()].map(({ tag, count }) => [tag, count]));
+    }
+    
+    /**
+     * Get the finished books with a known finish date
+     * @param {Book[]} books - Books to look at
+     * @returns {Book[]} Finished books that have a finish date
+     */
+    static getDatedFinishedBooks(books) {
+        return books.filter(book => book.read && book.dateFinished);
+    }
+    
+    /**
+     * Books and pages finished in each of the last months
+     * @param {Book[]} books - Books to analyze
+     * @param {Date} today - Last month of the series
+     * @returns {Object[]} Oldest month first: { key, label, books, pages }
+     */
+    static getFinishedPerMonth(books, today = new Date()) {
+        const months = [];
+        for (let offset = LibraryAnalytics.MONTHS - 1; offset >= 0; offset--) {
+            const month = new Date(today.getFullYear(), today.getMonth() - offset, 1);
+            months.push({
+                key: this.monthKey(month),
+                label: month.toLocaleDateString(undefined, { month: 'short' }),
+                year: month.getFullYear(),
+                books: 0,
+                pages: 0
+            });
+        }
+        
+        const byKey = new Map(months.map(month => [month.key, month]));
+        this.getDatedFinishedBooks(books).forEach(book => {
+            const month = byKey.get(this.monthKey(book.dateFinished));
+            if (month) {
+                month.books++;
+                month.pages += book.pages || 0; // Audiobooks may have no page count
+            }
+        });
+        
+        return months;
+    }
+    
+    /**
+     * Format a date's month as a sortable key
+     * @param {Date} date - Date
+     * @returns {string} Key such as "2024-03"
+     */
+    static monthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Genre distribution of the books finished in each year. The most common
+     * genres get their own series and the rest are combined as "Other".
+     * @param {Book[]} books - Books to analyze
+     * @returns {Object} { genres: string[], years: [{ label, counts: number[] }] } with counts in genre order
+     */
+    static getGenresByYear(books) {
+        const finished = this.getDatedFinishedBooks(books);
+        const genreLabel = book => book.genre || LibraryAnalytics.NO_GENRE;
+        
+        const totals = this.countBy(finished, genreLabel);
+        const ranked = Object.keys(totals).sort((a, b) => totals[b] - totals[a] || a.localeCompare(b));
+        const genres = ranked.length > LibraryAnalytics.TOP_GENRES
+            ? [...ranked.slice(0, LibraryAnalytics.TOP_GENRES - 1), LibraryAnalytics.OTHER_GENRES]
+            : ranked;
+        
+        const byYear = new Map();
+        finished.forEach(book => {
+            const year = book.dateFinished.getFullYear();
+            if (!byYear.has(year)) {
+                byYear.set(year, []);
+            }
+            byYear.get(year).push(book);
+        });
+        
+        const years = [...byYear.keys()].sort((a, b) => a - b).map(year => {
+            const counts = this.countBy(byYear.get(year), genreLabel);
+            return {
+                label: String(year),
+                counts: genres.map(genre => genre === LibraryAnalytics.OTHER_GENRES
+                    ? Object.entries(counts)
+                        .filter(([name]) => !genres.includes(name))
+                        .reduce((sum, [, count]) => sum + count, 0)
+                    : counts[genre] || 0)
+            };
+        });
+        
+        return { genres, years };
+    }
+    
+    /**
+     * Number of books with each star rating
+     * @param {Book[]} books - Books to analyze
+     * @returns {Object} { counts: [{ rating, count }] for 1-5 stars, unrated }
+     */
+    static getRatingHistogram(books) {
+        const counts = [1, 2, 3, 4, 5].map(rating => ({
+            rating,
+            count: books.filter(book => book.rating === rating).length
+        }));
+        
+        return {
+            counts,
+            unrated: books.filter(book => book.rating === null).length
+        };
+    }
+    
+    /**
+     * Average number of pages per genre, longest first
+     * @param {Book[]} books - Books to analyze (those without a page count are left out)
+     * @returns {Object[]} { genre, averagePages, count }
+     */
+    static getLengthByGenre(books) {
+        const groups = new Map();
+        books.filter(book => book.pages).forEach(book => {
+            const genre = book.genre || LibraryAnalytics.NO_GENRE;
+            const group = groups.get(genre) || { genre, totalPages: 0, count: 0 };
+            group.totalPages += book.pages;
+            group.count++;
+            groups.set(genre, group);
+        });
+        
+        return [...groups.values()]
+            .map(({ genre, totalPages, count }) => ({ genre, averagePages: Math.round(totalPages / count), count }))
+            .sort((a, b) => b.averagePages - a.averagePages || a.genre.localeCompare(b.genre))
+            .slice(0, LibraryAnalytics.TOP_ENTRIES);
+    }
+    
+    /**
+     * Authors with the most books, with how many of them are finished.
+     * Co-written books count for each of their authors.
+     * @param {Book[]} books - Books to analyze
+     * @returns {Object[]} { author, count, finished }
+     */
+    static getTopAuthors(books) {
+        const authors = new Map();
+        books.forEach(book => {
+            book.getAuthors().forEach(({ name }) => {
+                // Group spellings of one name ("Tolkien, J. R. R.", "J.R.R. Tolkien") under the first one seen
+                const key = NameUtils.key(name);
+                const entry = authors.get(key) || { author: name, count: 0, finished: 0 };
+                entry.count++;
+                if (book.read) {
+                    entry.finished++;
+                }
+                authors.set(key, entry);
+            });
+        });
+        
+        return [...authors.values()]
+            .sort((a, b) => b.count - a.count || b.finished - a.finished || a.author.localeCompare(b.author))
+            .slice(0, LibraryAnalytics.TOP_ENTRIES);
+    }
+    
+    /**
+     * How long finished books took, from the first logged reading session to
+     * the finish date. Books finished without logged sessions cannot be measured.
+     * @param {Book[]} books - Books to analyze
+     * @returns {Object} { buckets: [{ label, count }], medianDays, measured, unmeasured }
+     */
+    static getTimeToFinish(books) {
+        const finished = this.getDatedFinishedBooks(books);
+        const durations = [];
+        
+        finished.forEach(book => {
+            if (book.sessions.length === 0) return;
+            
+            const started = Math.min(...book.sessions.map(session => session.date.getTime()));
+            const days = Math.max(0, (book.dateFinished.getTime() - started) / LibraryAnalytics.DAY);
+            durations.push(days);
+        });
+        
+        const buckets = LibraryAnalytics.FINISH_BUCKETS.map(({ label }) => ({ label, count: 0 }));
+        durations.forEach(days => {
+            const index = LibraryAnalytics.FINISH_BUCKETS.findIndex(bucket => days <= bucket.maxDays);
+            buckets[index].count++;
+        });
+        
+        const sorted = [...durations].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length === 0
+            ? null
+            : sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        
+        return {
+            buckets,
+            medianDays: median === null ? null : Math.round(median),
+            measured: durations.length,
+            unmeasured: finished.length - durations.length
+        };
+    }
+}
+
+/**
+ * Number of months in the finished-per-month series
+ */
+LibraryAnalytics.MONTHS = 12;
+
+/**
+ * Number of genres with their own series in the genres-by-year chart
+ * (including "Other")
+ */
+LibraryAnalytics.TOP_GENRES = 6;
+
+/**
+ * Number of entries in the top authors and length-by-genre charts
+ */
+LibraryAnalytics.TOP_ENTRIES = 8;
+
+/**
+ * Label for books without a genre
+ */
+LibraryAnalytics.NO_GENRE = 'No genre';
+
+/**
+ * Label for the genres combined beyond TOP_GENRES
+ */
+LibraryAnalytics.OTHER_GENRES = 'Other';
+
+/**
+ * Milliseconds in a day
+ */
+LibraryAnalytics.DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Time-to-finish histogram buckets, by the most days a book in each took
+ */
+LibraryAnalytics.FINISH_BUCKETS = Object.freeze([
+    { label: '1 week', maxDays: 7 },
+    { label: '2 weeks', maxDays: 14 },
+    { label: '1 month', maxDays: 31 },
+    { label: '3 months', maxDays: 92 },
+    { label: 'Longer', maxDays: Infinity }
+]);
@@ -0,0 +1,128 @@
+/**
+ * Local Storage Adapter Class
+ * Fallback storage adapter for browsers without IndexedDB. Each store is
+ * kept as one JSON object of records under "<namespace>:store:<name>",
+ * so writes still rewrite the whole store.
+ */
+class LocalStorageAdapter {
+    /**
+     * @param {string} namespace - Prefix for every localStorage key
+     */
+    constructor(namespace = 'library-db') {
+        this.namespace = namespace;
+    }
+    
+    /**
+     * Check that localStorage can be written to
+     * @returns {Promise<LocalStorageAdapter>} The adapter
+     * @throws {Error} If localStorage is unavailable
+     */
+    async open() {
+        const test = `${this.namespace}:__test__`;
+        localStorage.setItem(test, test);
+        localStorage.removeItem(test);
+        return this;
+    }
+    
+    /**
+     * Get the localStorage key for an item
+     * @param {string} key - Item key
+     * @returns {string} Namespaced key
+     */
+    itemKey(key) {
+        return `${this.namespace}:${key}`;
+    }
+    
+    /**
+     * Get the localStorage key for a store
+     * @param {string} storeName - Store name
+     * @returns {string} Namespaced key
+     */
+    storeKey(storeName) {
+        return `${this.namespace}:store:${storeName}`;
+    }
+    
+    /**
+     * Get a stored value
+     * @param {string} key - Item key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async getItem(key) {
+        const serializedData = localStorage.getItem(this.itemKey(key));
+        return serializedData === null ? null : JSON.parse(serializedData);
+    }
+    
+    /**
+     * Store a value
+     * @param {string} key - Item key
+     * @param {*} value - Serializable value
+     */
+    async setItem(key, value) {
+        localStorage.setItem(this.itemKey(key), JSON.stringify(value));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Item key
+     */
+    async removeItem(key) {
+        localStorage.removeItem(this.itemKey(key));
+    }
+    
+    /**
+     * Read a store as a map of record ID to record
+     * @param {string} storeName - Store name
+     * @returns {Object} Records keyed by ID
+     */
+    readStore(storeName) {
+        const serializedData = localStorage.getItem(this.storeKey(storeName));
+        return serializedData === null ? {} : JSON.parse(serializedData);
+    }
+    
+    /**
+     * Get every record in a store
+     * @param {string} storeName - Store name
+     * @returns {Promise<Object[]>} Records
+     */
+    async getAll(storeName) {
+        return Object.values(this.readStore(storeName));
+    }
+    
+    /**
+     * Get records whose indexed field equals a value
+     * @param {string} storeName - Store name
+     * @param {string} indexName - Indexed field
+     * @param {*} value - Value to match
+     * @returns {Promise<Object[]>} Matching records
+     */
+    async getAllByIndex(storeName, indexName, value) {
+        const records = await this.getAll(storeName);
+        return records.filter(record => record[indexName] === value);
+    }
+    
+    /**
+     * Put and delete records in several stores at once
+     * @param {Object} changes - Map of store name to { put: Object[], delete: string[] }
+     * @param {Object} items - Map of item key to value to store alongside the records
+     * @throws {Error} If localStorage rejects the write (e.g. quota exceeded)
+     */
+    async applyChanges(changes, items = {}) {
+        // Build every new value first so a failed read leaves storage untouched
+        const writes = Object.entries(changes).map(([storeName, { put = [], delete: remove = [] }]) => {
+            const records = this.readStore(storeName);
+            put.forEach(record => {
+                records[record.id] = record;
+            });
+            remove.forEach(id => {
+                delete records[id];
+            });
+            return [this.storeKey(storeName), JSON.stringify(records)];
+        });
+        
+        Object.entries(items).forEach(([key, value]) => {
+            writes.push([this.itemKey(key), JSON.stringify(value)]);
+        });
+        
+        writes.forEach(([key, serializedData]) => localStorage.setItem(key, serializedData));
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Markdown Utilities Class
+ * Renders the small subset of Markdown used in reviews, notes and quotes:
+ * paragraphs and line breaks, headings, bullet and numbered lists, block
+ * quotes, **bold**, *italic*, `code` and [links](https://...). All text is
+ * escaped before any markup is added, so raw HTML is shown as written.
+ */
+class MarkdownUtils {
+    /**
+     * Render Markdown as safe HTML
+     * @param {string} text - Markdown text
+     * @returns {string} HTML markup
+     */
+    static render(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let index = 0;
+        
+        while (index < lines.length) {
+            const line = lines[index];
+            
+            if (!line.trim()) {
+                index++;
+                continue;
+            }
+            
+            const heading = line.match(MarkdownUtils.HEADING_PATTERN);
+            if (heading) {
+                // Headings are kept small: they sit inside cards and modals
+                const tag = heading[1].length === 1 ? 'h5' : 'h6';
+                blocks.push(`<${tag}>${this.renderInline(heading[2])}</${tag}>`);
+                index++;
+                continue;
+            }
+            
+            const block = [
+                { pattern: MarkdownUtils.QUOTE_PATTERN, render: items => `<blockquote>${this.render(items.join('\n'))}</blockquote>` },
+                { pattern: MarkdownUtils.BULLET_PATTERN, render: items => this.renderList('ul', items) },
+                { pattern: MarkdownUtils.NUMBERED_PATTERN, render: items => this.renderList('ol', items) }
+            ].find(({ pattern }) => pattern.test(line));
+            
+            if (block) {
+                const items = [];
+                while (index < lines.length && block.pattern.test(lines[index])) {
+                    items.push(lines[index].replace(block.pattern, ''));
+                    index++;
+                }
+                blocks.push(block.render(items));
+                continue;
+            }
+            
+            // A paragraph runs until a blank line or the start of another block
+            const paragraph = [];
+            while (index < lines.length && lines[index].trim() && !this.startsBlock(lines[index])) {
+                paragraph.push(this.renderInline(lines[index].trim()));
+                index++;
+            }
+            blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+        
+        return blocks.join('');
+    }
+    
+    /**
+     * Render list items
+     * @param {string} tag - 'ul' or 'ol'
+     * @param {string[]} items - Item texts without their markers
+     * @returns {string} HTML list
+     */
+    static renderList(tag, items) {
+        return `<${tag}>${items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</${tag}>`;
+    }
+    
+    /**
+     * Check whether a line starts a heading, list or block quote
+     * @param {string} line - Line of Markdown
+     * @returns {boolean} True if the line starts a block
+     */
+    static startsBlock(line) {
+        return [
+            MarkdownUtils.HEADING_PATTERN,
+            MarkdownUtils.QUOTE_PATTERN,
+            MarkdownUtils.BULLET_PATTERN,
+            MarkdownUtils.NUMBERED_PATTERN
+        ].some(pattern => pattern.test(line));
+    }
+    
+    /**
+     * Render the inline formatting of one line
+     * @param {string} text - Line of Markdown
+     * @returns {string} HTML markup
+     */
+    static renderInline(text) {
+        // Code spans are split off first so nothing inside them is formatted
+        return text.split(/(`[^`]+`)/).map(part => {
+            if (/^`[^`]+`$/.test(part)) {
+                return `<code>${HTMLUtils.escapeHtml(part.slice(1, -1))}</code>`;
+            }
+            
+            // Links are set aside while emphasis is applied, so an "_" in an address stays put
+            const links = [];
+            return HTMLUtils.escapeHtml(part)
+                .replace(MarkdownUtils.LINK_PATTERN, (match, label, url) => {
+                    const link = this.renderLink(label, url);
+                    if (!link) return match;
+                    links.push(link);
+                    return `\u0000${links.length - 1}\u0000`;
+                })
+                .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+                .replace(/(^|[^*\w])\*(?=\S)(.+?)\*(?![*\w])/g, '$1<em>$2</em>')
+                .replace(/(^|\W)_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+                .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+                .replace(/\u0000(\d+)\u0000/g, (match, linkIndex) => links[linkIndex]);
+        }).join('');
+    }
+    
+    /**
+     * Render a link, if its address is a web or mail address
+     * @param {string} label - Escaped link text
+     * @param {string} url - Escaped address
+     * @returns {string} Link markup, or empty for other schemes (such as javascript:)
+     */
+    static renderLink(label, url) {
+        if (!MarkdownUtils.SAFE_URL_PATTERN.test(url)) {
+            return '';
+        }
+        
+        // escapeHtml leaves quotes alone, so keep them from ending the attribute
+        const href = url.replace(/"/g, '%22');
+        return `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }
+    
+    /**
+     * Strip Markdown down to plain text, e.g. for previews
+     * @param {string} text - Markdown text
+     * @returns {string} Text without formatting characters
+     */
+    static toPlainText(text) {
+        return String(text || '')
+            .replace(MarkdownUtils.LINK_PATTERN, '$1')
+            .replace(/^\s{0,3}(#{1,3}|>|[-*+]|\d+[.)])\s+/gm, '')
+            .replace(/(\*\*|__|~~|[*_`])/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+/**
+ * Heading line: "# Title" to "### Title"
+ */
+MarkdownUtils.HEADING_PATTERN = /^\s{0,3}(#{1,3})\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Block quote line: "> text"
+ */
+MarkdownUtils.QUOTE_PATTERN = /^\s{0,3}>\s?/;
+
+/**
+ * Bullet list item: "- item", "* item" or "+ item"
+ */
+MarkdownUtils.BULLET_PATTERN = /^\s{0,3}[-*+]\s+/;
+
+/**
+ * Numbered list item: "1. item" or "1) item"
+ */
+MarkdownUtils.NUMBERED_PATTERN = /^\s{0,3}\d+[.)]\s+/;
+
+/**
+ * Inline link: [label](address)
+ */
+MarkdownUtils.LINK_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Link addresses that are rendered as links
+ */
+MarkdownUtils.SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
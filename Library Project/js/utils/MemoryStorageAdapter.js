@@ -0,0 +1,95 @@
+/**
+ * Memory Storage Adapter Class
+ * Keeps records in memory only. Used for tests and as a last resort when
+ * no persistent storage is available; data is lost on reload.
+ * Values are cloned on the way in and out, as a real backend would.
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.items = new Map();
+        this.stores = new Map();
+    }
+    
+    /**
+     * Open the adapter (nothing to do for memory)
+     * @returns {Promise<MemoryStorageAdapter>} The adapter
+     */
+    async open() {
+        return this;
+    }
+    
+    /**
+     * Get a stored value
+     * @param {string} key - Item key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async getItem(key) {
+        return this.items.has(key) ? structuredClone(this.items.get(key)) : null;
+    }
+    
+    /**
+     * Store a value
+     * @param {string} key - Item key
+     * @param {*} value - Serializable value
+     */
+    async setItem(key, value) {
+        this.items.set(key, structuredClone(value));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Item key
+     */
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+    
+    /**
+     * Get the records map of a store, creating it if needed
+     * @param {string} storeName - Store name
+     * @returns {Map} Map of record ID to record
+     */
+    getStore(storeName) {
+        if (!this.stores.has(storeName)) {
+            this.stores.set(storeName, new Map());
+        }
+        return this.stores.get(storeName);
+    }
+    
+    /**
+     * Get every record in a store
+     * @param {string} storeName - Store name
+     * @returns {Promise<Object[]>} Records
+     */
+    async getAll(storeName) {
+        return [...this.getStore(storeName).values()].map(record => structuredClone(record));
+    }
+    
+    /**
+     * Get records whose indexed field equals a value
+     * @param {string} storeName - Store name
+     * @param {string} indexName - Indexed field
+     * @param {*} value - Value to match
+     * @returns {Promise<Object[]>} Matching records
+     */
+    async getAllByIndex(storeName, indexName, value) {
+        const records = await this.getAll(storeName);
+        return records.filter(record => record[indexName] === value);
+    }
+    
+    /**
+     * Put and delete records in several stores at once
+     * @param {Object} changes - Map of store name to { put: Object[], delete: string[] }
+     * @param {Object} items - Map of item key to value to store alongside the records
+     */
+    async applyChanges(changes, items = {}) {
+        Object.entries(changes).forEach(([storeName, { put = [], delete: remove = [] }]) => {
+            const store = this.getStore(storeName);
+            put.forEach(record => store.set(record.id, structuredClone(record)));
+            remove.forEach(id => store.delete(id));
+        });
+        
+        Object.entries(items).forEach(([key, value]) => this.items.set(key, structuredClone(value)));
+    }
+}
+
@@ -0,0 +1,57 @@
+/**
+ * Metadata Provider Class
+ * Contract for sources of book metadata used to autocomplete the book form.
+ * Providers extend this class and implement search() and lookupISBN();
+ * both are asynchronous so a provider may read a local dataset or call
+ * a remote API. Suggestions are plain objects shaped like
+ * { title, author, pages, genre, isbn, source }, with fields the source
+ * does not know left empty.
+ */
+class MetadataProvider {
+    /**
+     * @param {string} name - Name shown next to suggestions
+     */
+    constructor(name) {
+        this.name = name;
+    }
+    
+    /**
+     * Find books whose title or author matches partial text
+     * @param {string} query - Partial title or author
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Promise<Object[]>} Suggestions, best match first
+     */
+    async search(query, limit = MetadataProvider.DEFAULT_LIMIT) {
+        throw new Error(`${this.name} does not implement search()`);
+    }
+    
+    /**
+     * Find the book with an ISBN
+     * @param {string} isbn - ISBN-10 or ISBN-13
+     * @returns {Promise<Object|null>} Suggestion, or null if unknown
+     */
+    async lookupISBN(isbn) {
+        throw new Error(`${this.name} does not implement lookupISBN()`);
+    }
+    
+    /**
+     * Build a suggestion with every field present
+     * @param {Object} data - Known metadata
+     * @returns {Object} Suggestion
+     */
+    createSuggestion(data) {
+        return {
+            title: String(data.title || '').trim(),
+            author: String(data.author || '').trim(),
+            pages: parseInt(data.pages) || null,
+            genre: String(data.genre || '').trim(),
+            isbn: ISBNUtils.toISBN13(data.isbn) || '',
+            source: this.name
+        };
+    }
+}
+
+/**
+ * Default number of suggestions returned by search()
+ */
+MetadataProvider.DEFAULT_LIMIT = 5;
@@ -0,0 +1,112 @@
+/**
+ * Name Utilities Class
+ * Parses personal names so one person is recognized however the name is
+ * written ("J.R.R. Tolkien", "Tolkien, J. R. R.") and can be sorted by
+ * family name
+ */
+class NameUtils {
+    /**
+     * Split a field holding several names
+     * @param {string} text - Names separated by ";", "&" or "and"
+     * @returns {string[]} Names in display form, empty entries dropped
+     */
+    static splitNames(text) {
+        return String(text || '')
+            .split(/\s*;\s*|\s+&\s+|\s+and\s+/i)
+            .map(name => this.toDisplayName(name))
+            .filter(Boolean);
+    }
+    
+    /**
+     * Turn a "Family, Given" name around to "Given Family" and tidy spacing
+     * @param {string} name - Name as written
+     * @returns {string} Name in reading order
+     */
+    static toDisplayName(name) {
+        const text = String(name || '').trim().replace(/\s+/g, ' ');
+        const match = text.match(/^([^,]+),\s*([^,]+)$/);
+        
+        // "Martin Luther King, Jr." is already in reading order
+        if (!match || this.isSuffix(match[2])) {
+            return text;
+        }
+        return `${match[2]} ${match[1]}`;
+    }
+    
+    /**
+     * Split a name into given names, family name and suffix. Lowercase
+     * particles ("van", "de", "le") stay with the family name.
+     * @param {string} name - Name in either order
+     * @returns {Object} { given, family, suffix }
+     */
+    static parse(name) {
+        const tokens = this.toDisplayName(name).replace(/,/g, '').split(' ').filter(Boolean);
+        const suffix = tokens.length > 1 && this.isSuffix(tokens[tokens.length - 1]) ? tokens.pop() : '';
+        
+        let start = tokens.length - 1;
+        while (start > 1 && NameUtils.PARTICLES.includes(FuzzySearch.fold(tokens[start - 1]))) {
+            start--;
+        }
+        
+        return {
+            given: tokens.slice(0, Math.max(start, 0)).join(' '),
+            family: tokens.slice(Math.max(start, 0)).join(' '),
+            suffix
+        };
+    }
+    
+    /**
+     * Format a name for sorting and indexes
+     * @param {string} name - Name in either order
+     * @returns {string} "Family, Given" (e.g. "Le Guin, Ursula K.")
+     */
+    static toSortName(name) {
+        const { given, family, suffix } = this.parse(name);
+        return [family, given, suffix].filter(Boolean).join(', ');
+    }
+    
+    /**
+     * Normalize a name for matching: ignores order, case, accents,
+     * punctuation and the spacing of initials
+     * @param {string} name - Name in either order
+     * @returns {string} Key such as "jrr tolkien"
+     */
+    static key(name) {
+        const words = FuzzySearch.fold(this.toDisplayName(name))
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+        
+        // Run initials together so "J.R.R." and "J. R. R." agree
+        const merged = [];
+        words.forEach((word, index) => {
+            const previous = words[index - 1];
+            if (word.length === 1 && previous && previous.length === 1 && merged.length > 0) {
+                merged[merged.length - 1] += word;
+            } else {
+                merged.push(word);
+            }
+        });
+        return merged.join(' ');
+    }
+    
+    /**
+     * Whether a word is a name suffix such as "Jr."
+     * @param {string} word - Word to check
+     * @returns {boolean} True for a suffix
+     */
+    static isSuffix(word) {
+        return NameUtils.SUFFIXES.includes(FuzzySearch.fold(word).replace(/\./g, '').trim());
+    }
+}
+
+/**
+ * Lowercase words that belong to the family name that follows them
+ */
+NameUtils.PARTICLES = Object.freeze(['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'du', 'la', 'le', 'st']);
+
+/**
+ * Name suffixes (folded, without periods)
+ */
+NameUtils.SUFFIXES = Object.freeze(['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md']);
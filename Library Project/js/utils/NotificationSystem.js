@@ -28,8 +28,9 @@ class NotificationSystem {
      * @param {string} message - Message to display
      * @param {string} type - Type of notification (success, error, warning, info)
      * @param {number} duration - Auto-hide duration in milliseconds (0 to disable)
+     * @param {Object|null} action - Optional action button ({ label, callback })
      */
-    showToast(message, type = 'info', duration = 5000) {
+    showToast(message, type = 'info', duration = 5000, action = null) {
         const toastId = 'toast-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
         
         const iconMap = {
@@ -55,6 +56,12 @@ class NotificationSystem {
             </div>
             <div class="toast-body">
                 ${HTMLUtils.escapeHtml(message)}
+                ${action ? `
+                    <div class="mt-2 pt-2 border-top">
+                        <button type="button" class="btn btn-sm btn-toggle toast-action">
+                            ${HTMLUtils.escapeHtml(action.label)}
+                        </button>
+                    </div>` : ''}
             </div>
         `;
         
@@ -74,6 +81,13 @@ class NotificationSystem {
             delay: duration
         });
         
+        if (action) {
+            toastElement.querySelector('.toast-action').addEventListener('click', () => {
+                action.callback();
+                toast.hide();
+            }, { once: true });
+        }
+        
         // Show the toast
         toast.show();
         
@@ -109,9 +123,10 @@ class NotificationSystem {
      * Show warning notification
      * @param {string} message - Warning message
      * @param {number} duration - Duration in milliseconds
+     * @param {Object|null} action - Optional action button ({ label, callback })
      */
-    showWarning(message, duration = 4000) {
-        return this.showToast(message, 'warning', duration);
+    showWarning(message, duration = 4000, action = null) {
+        return this.showToast(message, 'warning', duration, action);
     }
     
     /**
@@ -123,6 +138,16 @@ class NotificationSystem {
         return this.showToast(message, 'info', duration);
     }
     
+    /**
+     * Show notification with an "Undo" button
+     * @param {string} message - Message describing what was done
+     * @param {Function} onUndo - Called when the user clicks "Undo"
+     * @param {number} duration - Duration in milliseconds
+     */
+    showUndoable(message, onUndo, duration = 8000) {
+        return this.showToast(message, 'success', duration, { label: 'Undo', callback: onUndo });
+    }
+    
     /**
      * Get current timestamp for display
      * @returns {string} Formatted timestamp
@@ -0,0 +1,97 @@
+/**
+ * Offline Catalog Provider Class
+ * Metadata provider backed by the bundled JSON catalog (data/catalog.json),
+ * loaded once on first use
+ */
+class OfflineCatalogProvider extends MetadataProvider {
+    /**
+     * @param {string|Object[]} source - URL of the catalog, or its records
+     */
+    constructor(source = 'data/catalog.json') {
+        super('Offline catalog');
+        this.source = source;
+        this.records = null;
+        this.loading = null;
+    }
+    
+    /**
+     * Load the catalog records
+     * @returns {Promise<Object[]>} Suggestions for every catalog record
+     * @throws {Error} If the catalog cannot be read
+     */
+    load() {
+        if (this.records) {
+            return Promise.resolve(this.records);
+        }
+        
+        if (!this.loading) {
+            const records = Array.isArray(this.source)
+                ? Promise.resolve(this.source)
+                : fetch(this.source).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                });
+            
+            this.loading = records
+                .then(data => {
+                    this.records = data
+                        .map(record => this.createSuggestion(record))
+                        .filter(suggestion => suggestion.title && suggestion.author);
+                    return this.records;
+                })
+                .catch(error => {
+                    // Allow a later attempt, e.g. once the page is served over HTTP
+                    this.loading = null;
+                    throw new Error(`Could not load the offline catalog: ${error.message}`);
+                });
+        }
+        
+        return this.loading;
+    }
+    
+    /**
+     * Find catalog books whose title or author matches partial text
+     * @param {string} query - Partial title or author
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Promise<Object[]>} Suggestions, best match first
+     */
+    async search(query, limit = MetadataProvider.DEFAULT_LIMIT) {
+        const text = String(query || '').trim();
+        if (text === '') {
+            return [];
+        }
+        
+        const records = await this.load();
+        
+        return records
+            .map(record => ({
+                record,
+                score: FuzzySearch.scoreFields(text, [
+                    { text: record.title, weight: 1 },
+                    { text: record.author, weight: 0.8 }
+                ])
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ record }) => ({ ...record }));
+    }
+    
+    /**
+     * Find the catalog book with an ISBN
+     * @param {string} isbn - ISBN-10 or ISBN-13
+     * @returns {Promise<Object|null>} Suggestion, or null if unknown
+     */
+    async lookupISBN(isbn) {
+        const isbn13 = ISBNUtils.toISBN13(isbn);
+        if (!isbn13) {
+            return null;
+        }
+        
+        const records = await this.load();
+        const record = records.find(candidate => candidate.isbn === isbn13);
+        return record ? { ...record } : null;
+    }
+}
@@ -0,0 +1,414 @@
+/**
+ * Query Parser Class
+ * Parses the search box query language into a book predicate.
+ *
+ * Syntax (terms next to each other must all match):
+ *   tolkien "middle earth"      free text / quoted phrase (title, author, series, contributors, genre, tags, annotations)
+ *   author:tolkien              field qualifier, genre:"science fiction" for phrases
+ *   tag:favourites              books with a matching tag
+ *   review:moving note:ending   words in the review or notes (quote: for quotes)
+ *   translator:pevear           any contributor role (editor, translator, illustrator, contributor)
+ *   pages:>500  rating:>=4      numeric comparison (>, >=, <, <=, =)
+ *   pages:100..300              numeric range (inclusive)
+ *   read:yes  status:reading    reading state
+ *   borrower:sam  overdue:yes   who has the book on loan, and whether it is overdue
+ *   priority:high  price:<20    wishlist priority, expected price and where to buy (store:)
+ *   format:audiobook            format, audiobook length in minutes (duration:) and location
+ *   -genre:romance              negation (also -"phrase" and -(group))
+ *   fantasy OR horror           either side may match
+ *   (a OR b) c                  grouping
+ */
+class QueryParser {
+    /**
+     * Fields that can be used as qualifiers and how their values are matched
+     * (text fields match like free text, but only within that field)
+     * @returns {Object} Map of field name to { type, getValue }
+     */
+    static get FIELDS() {
+        return {
+            title: { type: 'text', getValue: book => book.title },
+            author: { type: 'text', getValue: book => book.author },
+            contributor: { type: 'text', getValue: book => book.contributors.map(contributor => contributor.name).join(' ') },
+            editor: { type: 'text', getValue: book => book.getContributors(Book.ROLE.EDITOR).map(contributor => contributor.name).join(' ') },
+            translator: { type: 'text', getValue: book => book.getContributors(Book.ROLE.TRANSLATOR).map(contributor => contributor.name).join(' ') },
+            illustrator: { type: 'text', getValue: book => book.getContributors(Book.ROLE.ILLUSTRATOR).map(contributor => contributor.name).join(' ') },
+            genre: { type: 'text', getValue: book => book.genre },
+            tag: { type: 'text', getValue: book => book.tags.join(' ') },
+            edition: { type: 'text', getValue: book => book.edition },
+            series: { type: 'text', getValue: book => book.series },
+            review: { type: 'text', getValue: book => book.review },
+            note: { type: 'text', getValue: book => book.notes.map(note => note.text).join(' ') },
+            quote: { type: 'text', getValue: book => book.quotes.map(quote => quote.text).join(' ') },
+            isbn: { type: 'isbn', getValue: book => book.isbn },
+            pages: { type: 'number', getValue: book => book.pages },
+            format: { type: 'text', getValue: book => book.format },
+            duration: { type: 'number', getValue: book => book.duration },
+            location: { type: 'text', getValue: book => book.location },
+            rating: { type: 'number', getValue: book => book.rating },
+            volume: { type: 'number', getValue: book => book.volume },
+            progress: { type: 'number', getValue: book => book.getProgressPercent() },
+            read: { type: 'boolean', getValue: book => book.read },
+            borrower: { type: 'text', getValue: book => book.getCurrentLoan()?.borrower || '' },
+            overdue: { type: 'boolean', getValue: book => book.isOverdue() },
+            priority: { type: 'text', getValue: book => book.wishlist?.priority || '' },
+            price: { type: 'number', getValue: book => book.wishlist?.price ?? null },
+            store: { type: 'text', getValue: book => book.wishlist?.store || '' },
+            status: { type: 'status', getValue: book => book.status }
+        };
+    }
+    
+    /**
+     * Parse a query into a predicate
+     * @param {string} query - Query text
+     * @returns {Object} { predicate: Function(Book) => boolean, terms: string[], score: Function(Book) => number }
+     *                   where terms are the positive text values (for highlighting) and
+     *                   score ranks matching books by relevance
+     * @throws {Error} If the query is malformed (message says what and where)
+     */
+    static parse(query) {
+        const tokens = this.tokenize(query || '');
+        const state = { tokens, position: 0 };
+        
+        if (tokens.length === 0) {
+            return { predicate: () => true, terms: [], score: () => 0 };
+        }
+        
+        const node = this.parseOr(state);
+        
+        if (state.position < tokens.length) {
+            const token = tokens[state.position];
+            throw new Error(token.type === ')'
+                ? `Unexpected ")" at position ${token.index + 1}`
+                : `Unexpected "${token.text}" at position ${token.index + 1}`);
+        }
+        
+        const terms = this.collectTerms(node);
+        
+        return {
+            predicate: book => this.evaluate(node, book),
+            terms,
+            score: book => terms.reduce((sum, term) => sum + book.getSearchScore(term), 0)
+        };
+    }
+    
+    /**
+     * Split a query into tokens
+     * @param {string} query - Query text
+     * @returns {Object[]} Tokens of type '(', ')', 'not', 'or' or 'term' ({ field, value, quoted })
+     * @throws {Error} If a quote is not closed
+     */
+    static tokenize(query) {
+        const tokens = [];
+        let i = 0;
+        
+        const readQuoted = () => {
+            const start = i;
+            const end = query.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new Error(`Missing closing quote for the quote at position ${start + 1}`);
+            }
+            i = end + 1;
+            return query.slice(start + 1, end);
+        };
+        
+        while (i < query.length) {
+            const char = query[i];
+            const index = i;
+            
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, index });
+                i++;
+            } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+                tokens.push({ type: 'not', index });
+                i++;
+            } else if (char === '"') {
+                tokens.push({ type: 'term', index, field: null, value: readQuoted(), quoted: true });
+            } else {
+                let word = '';
+                while (i < query.length && !/[\s()"]/.test(query[i])) {
+                    word += query[i];
+                    i++;
+                }
+                
+                const qualifier = word.match(/^([a-z]+):(.*)$/i);
+                if (word === 'OR') {
+                    tokens.push({ type: 'or', index, text: word });
+                } else if (qualifier) {
+                    const quoted = qualifier[2] === '' && query[i] === '"';
+                    const value = quoted ? readQuoted() : qualifier[2];
+                    tokens.push({ type: 'term', index, field: qualifier[1].toLowerCase(), value, quoted, text: word });
+                } else {
+                    tokens.push({ type: 'term', index, field: null, value: word, quoted: false, text: word });
+                }
+            }
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Parse terms separated by OR
+     * @param {Object} state - Parser state ({ tokens, position })
+     * @returns {Object} Syntax tree node
+     */
+    static parseOr(state) {
+        const children = [this.parseAnd(state)];
+        
+        while (this.peek(state, 'or')) {
+            const orToken = state.tokens[state.position++];
+            if (!this.startsTerm(state)) {
+                throw new Error(`Expected a search term after OR at position ${orToken.index + 1}`);
+            }
+            children.push(this.parseAnd(state));
+        }
+        
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+    
+    /**
+     * Parse consecutive terms that must all match
+     * @param {Object} state - Parser state
+     * @returns {Object} Syntax tree node
+     */
+    static parseAnd(state) {
+        const children = [];
+        
+        while (this.startsTerm(state)) {
+            children.push(this.parseUnary(state));
+        }
+        
+        if (children.length === 0) {
+            const token = state.tokens[state.position];
+            throw new Error(token
+                ? `Expected a search term at position ${token.index + 1}`
+                : 'Expected a search term at the end of the query');
+        }
+        
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+    
+    /**
+     * Parse a possibly negated term or group
+     * @param {Object} state - Parser state
+     * @returns {Object} Syntax tree node
+     */
+    static parseUnary(state) {
+        const token = state.tokens[state.position++];
+        
+        if (token.type === 'not') {
+            return { type: 'not', child: this.parseUnary(state) };
+        }
+        
+        if (token.type === '(') {
+            const node = this.parseOr(state);
+            if (!this.peek(state, ')')) {
+                throw new Error(`Missing ")" for the "(" at position ${token.index + 1}`);
+            }
+            state.position++;
+            return node;
+        }
+        
+        return this.createTermNode(token);
+    }
+    
+    /**
+     * Check whether the next token starts a term
+     * @param {Object} state - Parser state
+     * @returns {boolean} True for a term, negation or opening parenthesis
+     */
+    static startsTerm(state) {
+        const token = state.tokens[state.position];
+        return Boolean(token) && ['term', 'not', '('].includes(token.type);
+    }
+    
+    /**
+     * Check the type of the next token
+     * @param {Object} state - Parser state
+     * @param {string} type - Token type
+     * @returns {boolean} True if the next token has that type
+     */
+    static peek(state, type) {
+        const token = state.tokens[state.position];
+        return Boolean(token) && token.type === type;
+    }
+    
+    /**
+     * Validate a term token and turn it into a syntax tree node
+     * @param {Object} token - Term token
+     * @returns {Object} Term node ({ type: 'term', field, match, value })
+     * @throws {Error} If the field is unknown or the value is invalid for it
+     */
+    static createTermNode(token) {
+        const where = `at position ${token.index + 1}`;
+        
+        if (token.field === null) {
+            // Quoted phrases must appear as written (ignoring case and accents),
+            // in any of the fields unquoted words are looked for in
+            const match = token.quoted
+                ? book => book.getSearchFields().some(({ text }) => FuzzySearch.containsPhrase(token.value, text))
+                : book => book.matchesSearch(token.value);
+            return { type: 'term', field: null, value: token.value, match };
+        }
+        
+        const field = this.FIELDS[token.field];
+        if (!field) {
+            throw new Error(`Unknown field "${token.field}" ${where}. ` +
+                `Try one of: ${Object.keys(this.FIELDS).join(', ')}`);
+        }
+        
+        const value = token.value.trim();
+        if (value === '') {
+            throw new Error(`Missing value for "${token.field}:" ${where}`);
+        }
+        
+        const node = { type: 'term', field: token.field, value };
+        
+        switch (field.type) {
+            case 'number':
+                node.match = this.createNumberMatcher(value, field.getValue, token.field, where);
+                break;
+            case 'boolean':
+                node.match = this.createBooleanMatcher(value, field.getValue, token.field, where);
+                break;
+            case 'isbn':
+                // Either ISBN form, with or without hyphens, or part of one
+                node.match = book => ISBNUtils.matches(value, field.getValue(book));
+                break;
+            case 'status': {
+                const status = this.parseStatusValue(value, where);
+                node.match = book => field.getValue(book) === status;
+                break;
+            }
+            default:
+                node.match = token.quoted
+                    ? book => FuzzySearch.containsPhrase(value, field.getValue(book))
+                    : book => FuzzySearch.score(value, field.getValue(book)) > 0;
+        }
+        
+        return node;
+    }
+    
+    /**
+     * Build a matcher for a numeric comparison or range
+     * @param {string} value - Value such as ">500", "<=3", "4" or "100..300"
+     * @param {Function} getValue - Reads the number from a book
+     * @param {string} fieldName - Field name for error messages
+     * @param {string} where - Position description for error messages
+     * @returns {Function} Matcher
+     * @throws {Error} If the value is not a comparison, number or range
+     */
+    static createNumberMatcher(value, getValue, fieldName, where) {
+        const number = text => {
+            const parsed = Number(text);
+            if (text === '' || isNaN(parsed)) {
+                throw new Error(`"${fieldName}:" needs a number, comparison (>500) or range (100..300) ${where}`);
+            }
+            return parsed;
+        };
+        
+        const range = value.match(/^(.*)\.\.(.*)$/);
+        if (range) {
+            const min = number(range[1]);
+            const max = number(range[2]);
+            return book => getValue(book) !== null && getValue(book) >= min && getValue(book) <= max;
+        }
+        
+        const comparison = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+        const operator = comparison[1] || '=';
+        const target = number(comparison[2]);
+        const compare = {
+            '>': actual => actual > target,
+            '>=': actual => actual >= target,
+            '<': actual => actual < target,
+            '<=': actual => actual <= target,
+            '=': actual => actual === target
+        }[operator];
+        
+        // Unrated books have no rating to compare
+        return book => getValue(book) !== null && compare(getValue(book));
+    }
+    
+    /**
+     * Build a matcher for a yes/no field
+     * @param {string} value - Value such as "yes" or "false"
+     * @param {Function} getValue - Reads the boolean from a book
+     * @param {string} fieldName - Field name for error messages
+     * @param {string} where - Position description for error messages
+     * @returns {Function} Matcher
+     * @throws {Error} If the value is not yes/no
+     */
+    static createBooleanMatcher(value, getValue, fieldName, where) {
+        const normalized = value.toLowerCase();
+        
+        if (['yes', 'y', 'true', '1'].includes(normalized)) {
+            return book => getValue(book) === true;
+        }
+        if (['no', 'n', 'false', '0'].includes(normalized)) {
+            return book => getValue(book) === false;
+        }
+        
+        throw new Error(`"${fieldName}:" must be yes or no ${where}`);
+    }
+    
+    /**
+     * Interpret a status value
+     * @param {string} value - Value such as "reading" or "to-read"
+     * @param {string} where - Position description for error messages
+     * @returns {string} One of Book.STATUS values
+     * @throws {Error} If the value is not a known status
+     */
+    static parseStatusValue(value, where) {
+        const normalized = value.toLowerCase().replace(/[^a-z]/g, '');
+        const statuses = {
+            toread: Book.STATUS.TO_READ,
+            unread: Book.STATUS.TO_READ,
+            reading: Book.STATUS.READING,
+            finished: Book.STATUS.FINISHED,
+            read: Book.STATUS.FINISHED
+        };
+        
+        if (!statuses[normalized]) {
+            throw new Error(`"status:" must be to-read, reading or finished ${where}`);
+        }
+        
+        return statuses[normalized];
+    }
+    
+    /**
+     * Check a book against a syntax tree node
+     * @param {Object} node - Syntax tree node
+     * @param {Book} book - Book to check
+     * @returns {boolean} True if the book matches
+     */
+    static evaluate(node, book) {
+        switch (node.type) {
+            case 'and':
+                return node.children.every(child => this.evaluate(child, book));
+            case 'or':
+                return node.children.some(child => this.evaluate(child, book));
+            case 'not':
+                return !this.evaluate(node.child, book);
+            default:
+                return node.match(book);
+        }
+    }
+    
+    /**
+     * Collect text values worth highlighting (not numeric ones, not negated ones)
+     * @param {Object} node - Syntax tree node
+     * @returns {string[]} Text values
+     */
+    static collectTerms(node) {
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return node.children.flatMap(child => this.collectTerms(child));
+            case 'not':
+                return [];
+            default:
+                return node.field === null || this.FIELDS[node.field].type === 'text' ? [node.value] : [];
+        }
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Router Class
+ * Hash-based routing, so views can be bookmarked, shared and reached
+ * with the browser's back and forward buttons:
+ *   #/books?filter=unread&q=tolkien&sort=rating:desc   the book list
+ *   #/books?sort=genre:asc,rating:desc                  sorted by several keys
+ *   #/books?view=wishlist                               the wishlist
+ *   #/book/<id>                                         a book's page
+ * Any other hash (including none) is the book list with default settings.
+ */
+class Router {
+    constructor() {
+        this.onRouteChange = null;
+    }
+    
+    /**
+     * Start following changes of the address (links, back/forward, typed addresses)
+     * @param {Function} onRouteChange - Called with the new route from Router.parse()
+     */
+    start(onRouteChange) {
+        this.onRouteChange = onRouteChange;
+        window.addEventListener('hashchange', () => {
+            if (this.onRouteChange) {
+                this.onRouteChange(this.getRoute());
+            }
+        });
+    }
+    
+    /**
+     * Get the route of the current address
+     * @returns {Object} Route from Router.parse()
+     */
+    getRoute() {
+        return Router.parse(window.location.hash);
+    }
+    
+    /**
+     * Point the address at a route without triggering onRouteChange
+     * (the caller has already shown it)
+     * @param {Object} route - Route to show
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current history entry
+     *     instead of adding one (for changes not worth going back to, such as typing)
+     */
+    navigate(route, { replace = false } = {}) {
+        const hash = Router.format(route);
+        if (hash === window.location.hash) return;
+        
+        if (replace) {
+            history.replaceState(history.state, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+    
+    /**
+     * Parse a location hash
+     * @param {string} hash - Hash such as "#/book/123" or "#/books?filter=read"
+     * @returns {Object} { name: Router.ROUTE.BOOK, bookId } or
+     *     { name: Router.ROUTE.BOOKS, params } with the query parameters as strings
+     */
+    static parse(hash) {
+        const path = String(hash || '').replace(/^#\/?/, '');
+        const queryStart = path.indexOf('?');
+        const segments = (queryStart === -1 ? path : path.slice(0, queryStart)).split('/').filter(Boolean);
+        const query = queryStart === -1 ? '' : path.slice(queryStart + 1);
+        
+        if (segments[0] === Router.ROUTE.BOOK && segments.length === 2) {
+            try {
+                return { name: Router.ROUTE.BOOK, bookId: decodeURIComponent(segments[1]) };
+            } catch (error) {
+                // Malformed escapes fall through to the book list
+            }
+        }
+        
+        return { name: Router.ROUTE.BOOKS, params: Object.fromEntries(new URLSearchParams(query)) };
+    }
+    
+    /**
+     * Build the location hash of a route
+     * @param {Object} route - Route as returned by Router.parse()
+     * @returns {string} Hash, leaving out empty parameters
+     */
+    static format(route) {
+        if (route.name === Router.ROUTE.BOOK) {
+            return `#/${Router.ROUTE.BOOK}/${encodeURIComponent(route.bookId)}`;
+        }
+        
+        // Colons and commas are left readable ("sort=genre:asc,rating:desc"); they are allowed in a hash
+        const query = Object.entries(route.params || {})
+            .filter(([, value]) => value)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%3A/g, ':').replace(/%2C/g, ',')}`)
+            .join('&');
+        return `#/${Router.ROUTE.BOOKS}${query ? `?${query}` : ''}`;
+    }
+}
+
+/**
+ * Route names, which are also the first part of the hash path
+ */
+Router.ROUTE = Object.freeze({
+    BOOKS: 'books',
+    BOOK: 'book'
+});
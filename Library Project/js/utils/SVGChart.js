@@ -0,0 +1,229 @@
+/**
+ * SVG Chart Class
+ * Builds small, dependency-free SVG bar charts as markup strings. Charts
+ * scale to the width of their container; colors come from the stylesheet
+ * (.chart-bar and .chart-series-N classes).
+ */
+class SVGChart {
+    /**
+     * Vertical bar chart
+     * @param {Object[]} bars - Bars as { label, value, title }, where title is the tooltip (defaults to "label: value")
+     * @param {Object} options - Chart options
+     * @param {string} options.description - Accessible description of the chart
+     * @param {Function} options.formatValue - Formats values shown above the bars
+     * @returns {string} SVG markup
+     */
+    static barChart(bars, { description = '', formatValue = value => value.toLocaleString() } = {}) {
+        const { WIDTH: width, HEIGHT: height, PADDING: padding, LABEL_HEIGHT: labelHeight } = SVGChart;
+        const max = Math.max(...bars.map(bar => bar.value), 0);
+        const slot = (width - padding * 2) / Math.max(bars.length, 1);
+        const plotHeight = height - labelHeight * 2 - padding;
+        
+        const content = bars.map((bar, index) => {
+            const barHeight = max > 0 ? (bar.value / max) * plotHeight : 0;
+            const x = padding + index * slot + slot * 0.15;
+            const y = height - labelHeight - barHeight;
+            const centre = x + slot * 0.35;
+            const title = bar.title || `${bar.label}: ${formatValue(bar.value)}`;
+            
+            return `
+                <g>
+                    <title>${HTMLUtils.escapeHtml(title)}</title>
+                    <rect class="chart-bar" x="${this.round(x)}" y="${this.round(y)}"
+                          width="${this.round(slot * 0.7)}" height="${this.round(barHeight)}" rx="2"></rect>
+                    ${bar.value > 0 ? `<text class="chart-value" x="${this.round(centre)}" y="${this.round(y - 3)}"
+                          text-anchor="middle">${HTMLUtils.escapeHtml(formatValue(bar.value))}</text>` : ''}
+                    <text class="chart-label" x="${this.round(centre)}" y="${height - 4}"
+                          text-anchor="middle">${HTMLUtils.escapeHtml(bar.label)}</text>
+                </g>
+            `;
+        }).join('');
+        
+        return this.wrap(width, height, description, content);
+    }
+    
+    /**
+     * Horizontal bar chart, for long labels such as author names
+     * @param {Object[]} bars - Bars as { label, value, title }
+     * @param {Object} options - Chart options
+     * @param {string} options.description - Accessible description of the chart
+     * @param {Function} options.formatValue - Formats values shown after the bars
+     * @returns {string} SVG markup
+     */
+    static horizontalBarChart(bars, { description = '', formatValue = value => value.toLocaleString() } = {}) {
+        const { WIDTH: width, ROW_HEIGHT: rowHeight, LABEL_WIDTH: labelWidth, PADDING: padding } = SVGChart;
+        const height = bars.length * rowHeight + padding;
+        const max = Math.max(...bars.map(bar => bar.value), 0);
+        const plotWidth = width - labelWidth - SVGChart.VALUE_WIDTH;
+        
+        const content = bars.map((bar, index) => {
+            const barWidth = max > 0 ? (bar.value / max) * plotWidth : 0;
+            const y = padding / 2 + index * rowHeight;
+            const title = bar.title || `${bar.label}: ${formatValue(bar.value)}`;
+            
+            return `
+                <g>
+                    <title>${HTMLUtils.escapeHtml(title)}</title>
+                    <text class="chart-label" x="${labelWidth - 6}" y="${this.round(y + rowHeight * 0.65)}"
+                          text-anchor="end">${HTMLUtils.escapeHtml(this.truncate(bar.label))}</text>
+                    <rect class="chart-bar" x="${labelWidth}" y="${this.round(y + rowHeight * 0.15)}"
+                          width="${this.round(barWidth)}" height="${this.round(rowHeight * 0.7)}" rx="2"></rect>
+                    <text class="chart-value" x="${this.round(labelWidth + barWidth + 4)}" y="${this.round(y + rowHeight * 0.65)}"
+                          >${HTMLUtils.escapeHtml(formatValue(bar.value))}</text>
+                </g>
+            `;
+        }).join('');
+        
+        return this.wrap(width, height, description, content);
+    }
+    
+    /**
+     * Vertical stacked bar chart with a legend
+     * @param {Object[]} groups - Bars as { label, values }, one value per series
+     * @param {string[]} series - Series names, in the order of the values
+     * @param {Object} options - Chart options
+     * @param {string} options.description - Accessible description of the chart
+     * @returns {string} SVG markup followed by the legend markup
+     */
+    static stackedBarChart(groups, series, { description = '' } = {}) {
+        const { WIDTH: width, HEIGHT: height, PADDING: padding, LABEL_HEIGHT: labelHeight } = SVGChart;
+        const totals = groups.map(group => group.values.reduce((sum, value) => sum + value, 0));
+        const max = Math.max(...totals, 0);
+        const slot = (width - padding * 2) / Math.max(groups.length, 1);
+        const barWidth = Math.min(slot * 0.7, SVGChart.MAX_STACK_WIDTH);
+        const plotHeight = height - labelHeight * 2 - padding;
+        
+        const content = groups.map((group, index) => {
+            const x = padding + index * slot + (slot - barWidth) / 2;
+            let top = height - labelHeight;
+            
+            const segments = group.values.map((value, seriesIndex) => {
+                if (value === 0) return '';
+                
+                const segmentHeight = (value / max) * plotHeight;
+                top -= segmentHeight;
+                
+                return `
+                    <rect class="chart-series-${seriesIndex % SVGChart.SERIES_COLORS}" x="${this.round(x)}" y="${this.round(top)}"
+                          width="${this.round(barWidth)}" height="${this.round(segmentHeight)}">
+                        <title>${HTMLUtils.escapeHtml(`${group.label}, ${series[seriesIndex]}: ${value}`)}</title>
+                    </rect>
+                `;
+            }).join('');
+            
+            return `
+                <g>
+                    ${segments}
+                    <text class="chart-value" x="${this.round(x + barWidth / 2)}" y="${this.round(top - 3)}"
+                          text-anchor="middle">${totals[index]}</text>
+                    <text class="chart-label" x="${this.round(x + barWidth / 2)}" y="${height - 4}"
+                          text-anchor="middle">${HTMLUtils.escapeHtml(group.label)}</text>
+                </g>
+            `;
+        }).join('');
+        
+        return this.wrap(width, height, description, content) + this.legend(series);
+    }
+    
+    /**
+     * Legend for the series of a stacked chart
+     * @param {string[]} series - Series names
+     * @returns {string} Legend markup
+     */
+    static legend(series) {
+        return `
+            <ul class="chart-legend">
+                ${series.map((name, index) => `
+                    <li><span class="chart-swatch chart-series-${index % SVGChart.SERIES_COLORS}"></span>${HTMLUtils.escapeHtml(name)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Wrap chart content in a responsive SVG element
+     * @param {number} width - viewBox width
+     * @param {number} height - viewBox height
+     * @param {string} description - Accessible description
+     * @param {string} content - SVG content
+     * @returns {string} SVG markup
+     */
+    static wrap(width, height, description, content) {
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+                <title>${HTMLUtils.escapeHtml(description)}</title>
+                ${content}
+            </svg>
+        `;
+    }
+    
+    /**
+     * Shorten a label to fit beside a horizontal bar
+     * @param {string} label - Label text
+     * @returns {string} Label, cut with an ellipsis if too long
+     */
+    static truncate(label) {
+        return label.length > SVGChart.MAX_LABEL_LENGTH
+            ? `${label.slice(0, SVGChart.MAX_LABEL_LENGTH - 1)}…`
+            : label;
+    }
+    
+    /**
+     * Round a coordinate to keep the markup short
+     * @param {number} value - Coordinate
+     * @returns {number} Value rounded to one decimal
+     */
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+/**
+ * viewBox width of every chart
+ */
+SVGChart.WIDTH = 320;
+
+/**
+ * viewBox height of vertical charts
+ */
+SVGChart.HEIGHT = 170;
+
+/**
+ * Space around the plot
+ */
+SVGChart.PADDING = 8;
+
+/**
+ * Height reserved for the labels under and values above vertical bars
+ */
+SVGChart.LABEL_HEIGHT = 16;
+
+/**
+ * Height of one bar of a horizontal chart
+ */
+SVGChart.ROW_HEIGHT = 20;
+
+/**
+ * Width reserved for labels left of horizontal bars
+ */
+SVGChart.LABEL_WIDTH = 120;
+
+/**
+ * Width reserved for values right of horizontal bars
+ */
+SVGChart.VALUE_WIDTH = 40;
+
+/**
+ * Longest label shown beside a horizontal bar
+ */
+SVGChart.MAX_LABEL_LENGTH = 20;
+
+/**
+ * Widest bar of a stacked chart, so a single year does not fill the chart
+ */
+SVGChart.MAX_STACK_WIDTH = 48;
+
+/**
+ * Number of .chart-series-N colors defined in the stylesheet
+ */
+SVGChart.SERIES_COLORS = 6;
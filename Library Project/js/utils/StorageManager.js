@@ -1,13 +1,62 @@
 /**
  * Storage Manager Class
- * Handles local storage operations with error handling and data validation
+ * Handles local storage operations with error handling and data validation.
+ * Large record collections go through an asynchronous storage adapter
+ * (IndexedDB, with localStorage and memory fallbacks). Adapters share one interface:
+ *   open(), getItem(key), setItem(key, value), removeItem(key),
+ *   getAll(storeName), getAllByIndex(storeName, indexName, value),
+ *   applyChanges({ [storeName]: { put, delete } }, items)
  */
 class StorageManager {
-    constructor(prefix = 'library') {
+    /**
+     * @param {string} prefix - Prefix for localStorage keys and name of the adapter's database
+     * @param {Object|null} adapter - Storage adapter to use (chosen automatically if omitted)
+     * @param {Object} options - Options
+     * @param {Function|null} options.onBlocked - Called while another tab holds an older version of the database
+     */
+    constructor(prefix = 'library', adapter = null, { onBlocked = null } = {}) {
         this.prefix = prefix;
+        this.adapter = adapter;
+        this.onBlocked = onBlocked;
+        this.fallbackError = null; // Why the preferred adapter could not be opened, if a fallback is in use
         this.isAvailable = this.checkStorageAvailability();
     }
     
+    /**
+     * Open the record storage adapter. Without an explicit adapter this tries
+     * IndexedDB (where the browser has it), then localStorage, then memory,
+     * using the first that opens. A fallback is noted in fallbackError so the
+     * user can be told where their changes are going.
+     * @param {Object} stores - Map of store name to { keyPath, indexes } for IndexedDB
+     * @param {number} version - IndexedDB database version (bump when stores change)
+     * @returns {Promise<Object>} The opened adapter
+     * @throws {Error} If an explicitly given adapter cannot be opened
+     */
+    async openAdapter(stores = {}, version = 1) {
+        if (this.adapter) {
+            await this.adapter.open();
+            return this.adapter;
+        }
+        
+        const candidates = [
+            IndexedDBAdapter.isSupported() && (() => new IndexedDBAdapter(this.prefix, stores, version, this.onBlocked)),
+            () => new LocalStorageAdapter(`${this.prefix}-db`),
+            () => new MemoryStorageAdapter()
+        ].filter(Boolean);
+        
+        for (const createAdapter of candidates) {
+            const adapter = createAdapter();
+            try {
+                await adapter.open();
+                this.adapter = adapter;
+                return adapter;
+            } catch (error) {
+                console.warn(`${adapter.constructor.name} is unavailable, falling back:`, error);
+                this.fallbackError = this.fallbackError || error;
+            }
+        }
+    }
+    
     /**
      * Check if localStorage is available
      * @returns {boolean} True if localStorage is available
@@ -45,8 +94,9 @@ class StorageManager {
             return false;
         }
         
+        let serializedData;
         try {
-            const serializedData = JSON.stringify(data);
+            serializedData = JSON.stringify(data);
             localStorage.setItem(this.getKey(key), serializedData);
             return true;
         } catch (error) {
@@ -95,6 +145,125 @@ class StorageManager {
         }
     }
     
+    /**
+     * Store records in a versioned envelope ({ schemaVersion, savedAt, ...payload })
+     * @param {string} key - Storage key
+     * @param {number} version - Schema version of the payload
+     * @param {Object} payload - Envelope contents (e.g. { records })
+     * @returns {boolean} True if successful
+     */
+    setVersioned(key, version, payload) {
+        return this.set(key, {
+            schemaVersion: version,
+            savedAt: new Date().toISOString(),
+            ...payload
+        });
+    }
+    
+    /**
+     * Read a versioned envelope and upgrade it to the current schema version.
+     * Data saved before versioning existed is treated as version 1 with the
+     * stored value as its records. The envelope is copied to a backup key
+     * before any migration runs, and unparseable data is kept under its own
+     * key instead of being dropped.
+     * @param {string} key - Storage key
+     * @param {number} version - Current schema version
+     * @param {Object} migrations - Map of schema version to function(envelope, storage)
+     *                              returning the envelope for the next version
+     * @returns {Object|null} Envelope at the current version, or null if nothing readable is stored
+     * @throws {Error} If a migration is missing or fails (the backup is kept)
+     */
+    getVersioned(key, version, migrations = {}) {
+        if (!this.isAvailable) {
+            return null;
+        }
+        
+        const serializedData = localStorage.getItem(this.getKey(key));
+        if (serializedData === null) {
+            return null;
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(serializedData);
+        } catch (error) {
+            const backupKey = this.backup(key, `corrupt-${Date.now()}`, serializedData);
+            console.error(`Stored "${key}" data is not valid JSON; a copy was kept under "${backupKey}"`, error);
+            return null;
+        }
+        
+        const envelope = this.isEnvelope(data)
+            ? data
+            : { schemaVersion: 1, savedAt: null, records: data };
+        
+        if (envelope.schemaVersion === version) {
+            return envelope;
+        }
+        
+        // Keep the original around whether we upgrade it or it comes from a newer version
+        this.backup(key, `v${envelope.schemaVersion}`, envelope);
+        
+        if (envelope.schemaVersion > version) {
+            console.warn(`Stored "${key}" data has schema version ${envelope.schemaVersion}, newer than ${version}`);
+            return envelope;
+        }
+        
+        return this.migrate(envelope, version, migrations);
+    }
+    
+    /**
+     * Check whether stored data is a versioned envelope
+     * @param {*} data - Parsed stored data
+     * @returns {boolean} True if data has a schema version
+     */
+    isEnvelope(data) {
+        return data !== null && typeof data === 'object' && !Array.isArray(data) &&
+               Number.isInteger(data.schemaVersion);
+    }
+    
+    /**
+     * Run migrations one version at a time until the envelope is current
+     * @param {Object} envelope - Envelope at an older schema version
+     * @param {number} version - Target schema version
+     * @param {Object} migrations - Map of schema version to migration function
+     * @returns {Object} Migrated envelope
+     * @throws {Error} If a migration is missing
+     */
+    migrate(envelope, version, migrations) {
+        let current = envelope;
+        
+        while (current.schemaVersion < version) {
+            const migration = migrations[current.schemaVersion];
+            if (typeof migration !== 'function') {
+                throw new Error(`No migration from schema version ${current.schemaVersion}`);
+            }
+            
+            current = {
+                ...migration(current, this),
+                schemaVersion: current.schemaVersion + 1
+            };
+        }
+        
+        return current;
+    }
+    
+    /**
+     * Copy data to a backup key next to the original
+     * @param {string} key - Storage key being backed up
+     * @param {string} label - Backup label (e.g. "v1")
+     * @param {*} data - Data to keep
+     * @returns {string} Backup key (without prefix)
+     */
+    backup(key, label, data) {
+        const backupKey = `${key}-backup-${label}`;
+        
+        if (!this.set(backupKey, { createdAt: new Date().toISOString(), data })) {
+            console.warn(`Could not write backup "${backupKey}"`);
+        }
+        
+        return backupKey;
+    }
+    
     /**
      * Remove data from localStorage
      * @param {string} key - Storage key
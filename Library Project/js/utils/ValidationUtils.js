@@ -18,21 +18,58 @@ class ValidationUtils {
             errors.push('Title must be less than 200 characters');
         }
         
-        // Validate author
-        if (!formData.author || formData.author.trim().length === 0) {
+        // Validate author (anthologies may be credited to an editor alone)
+        const contributors = formData.contributors || [];
+        const hasEditor = contributors.some(contributor => contributor.role === Book.ROLE.EDITOR);
+        if ((!formData.author || formData.author.trim().length === 0) && !hasEditor) {
             errors.push('Author is required');
-        } else if (formData.author.trim().length > 100) {
+        } else if (NameUtils.splitNames(formData.author).some(name => name.length > 100)) {
             errors.push('Author name must be less than 100 characters');
         }
         
-        // Validate pages
+        if (contributors.some(contributor => contributor.name.length > 100)) {
+            errors.push('Contributor names must be less than 100 characters');
+        }
+        
+        // Validate format, and the duration audiobooks are measured by
+        const isAudiobook = formData.format === Book.FORMAT.AUDIOBOOK;
+        if (formData.format && !Object.values(Book.FORMAT).includes(formData.format)) {
+            errors.push('Format is not recognized');
+        }
+        
+        const duration = parseInt(formData.duration);
+        if (isAudiobook && (!formData.duration || isNaN(duration) || duration <= 0)) {
+            errors.push('Duration must be a positive number of minutes');
+        } else if (isAudiobook && duration > Book.MAX_DURATION) {
+            errors.push(`Duration must be at most ${Book.MAX_DURATION.toLocaleString()} minutes`);
+        }
+        
+        // Validate pages (optional for audiobooks)
         const pages = parseInt(formData.pages);
-        if (!formData.pages || isNaN(pages) || pages <= 0) {
+        if (isAudiobook && !formData.pages) {
+            // Nothing to check
+        } else if (!formData.pages || isNaN(pages) || pages <= 0) {
             errors.push('Pages must be a positive number');
         } else if (pages > 50000) {
             errors.push('Pages must be less than 50,000');
         }
         
+        // Validate current page (minutes listened for audiobooks) against the length (optional)
+        const length = isAudiobook ? duration : pages;
+        if (formData.currentPage && !isNaN(length)) {
+            const currentPage = parseInt(formData.currentPage);
+            if (isNaN(currentPage) || currentPage < 0 || currentPage > length) {
+                errors.push(isAudiobook
+                    ? 'Minutes listened must be between 0 and the duration'
+                    : 'Current page must be between 0 and the number of pages');
+            }
+        }
+        
+        // Validate location (optional)
+        if (formData.location && formData.location.length > Book.MAX_LOCATION_LENGTH) {
+            errors.push(`Location must be less than ${Book.MAX_LOCATION_LENGTH + 1} characters`);
+        }
+        
         // Validate rating (optional)
         if (formData.rating) {
             const rating = parseInt(formData.rating);
@@ -46,6 +83,60 @@ class ValidationUtils {
             errors.push('Genre must be less than 50 characters');
         }
         
+        // Validate tags (optional)
+        const tags = formData.tags || [];
+        if (tags.length > Book.MAX_TAGS) {
+            errors.push(`A book can have at most ${Book.MAX_TAGS} tags`);
+        }
+        if (tags.some(tag => tag.length > Book.MAX_TAG_LENGTH)) {
+            errors.push(`Tags must be less than ${Book.MAX_TAG_LENGTH + 1} characters`);
+        }
+        
+        // Validate edition (optional)
+        if (formData.edition && formData.edition.length > 50) {
+            errors.push('Edition must be less than 50 characters');
+        }
+        
+        // Validate series and volume (optional)
+        if (formData.series && formData.series.length > 100) {
+            errors.push('Series must be less than 100 characters');
+        }
+        
+        if (formData.volume !== null && formData.volume !== undefined && formData.volume !== '') {
+            const volume = Number(formData.volume);
+            if (!Number.isFinite(volume) || volume < 0 || volume > 10000) {
+                errors.push('Volume must be a number between 0 and 10000');
+            } else if (!formData.series) {
+                errors.push('Enter the series the volume belongs to');
+            }
+        }
+        
+        // Validate ISBN (optional)
+        if (formData.isbn && !this.validateISBN(formData.isbn)) {
+            errors.push('ISBN must be a valid ISBN-10 or ISBN-13 (check the last digit)');
+        }
+        
+        // Validate wishlist details (optional)
+        if (formData.wishlist) {
+            const { price, store } = formData.wishlist;
+            if (price !== null && (!Number.isFinite(price) || price < 0 || price > Book.MAX_PRICE)) {
+                errors.push(`Expected price must be between 0 and ${Book.MAX_PRICE.toLocaleString()}`);
+            }
+            if (store && store.length > Book.MAX_STORE_LENGTH) {
+                errors.push(`Where to buy must be less than ${Book.MAX_STORE_LENGTH + 1} characters`);
+            }
+        }
+        
+        // Validate date finished (optional)
+        if (formData.dateFinished) {
+            const dateFinished = Book.parseDate(formData.dateFinished);
+            if (isNaN(dateFinished.getTime())) {
+                errors.push('Date finished is invalid');
+            } else if (dateFinished > new Date()) {
+                errors.push('Date finished cannot be in the future');
+            }
+        }
+        
         return {
             isValid: errors.length === 0,
             errors: errors
@@ -101,10 +192,7 @@ class ValidationUtils {
     static validateISBN(isbn) {
         if (!isbn) return true; // ISBN is optional
         
-        // Remove hyphens and spaces
-        const cleaned = isbn.replace(/[-\s]/g, '');
-        
-        // Check if it's ISBN-10 or ISBN-13
-        return /^\d{10}$/.test(cleaned) || /^\d{13}$/.test(cleaned);
+        // Checks length, check digit and (for ISBN-13) the 978/979 prefix
+        return ISBNUtils.isValid(isbn);
     }
 }
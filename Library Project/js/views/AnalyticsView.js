@@ -0,0 +1,159 @@
+/**
+ * Analytics View Class
+ * Renders the reading analytics dashboard: a panel of SVG charts built
+ * from the books matching the current filter, shelf and search
+ */
+class AnalyticsView {
+    constructor() {
+        this.panelElement = document.getElementById('analyticsPanel');
+        this.chartsElement = document.getElementById('analyticsCharts');
+        this.summaryElement = document.getElementById('analyticsSummary');
+        this.toggleButton = document.getElementById('analyticsBtn');
+        this.closeButton = document.getElementById('closeAnalyticsBtn');
+    }
+    
+    /**
+     * Show or hide the dashboard
+     * @param {boolean} visible - Whether the dashboard is shown
+     */
+    setVisible(visible) {
+        if (this.panelElement) {
+            this.panelElement.style.display = visible ? 'block' : 'none';
+        }
+        if (this.toggleButton) {
+            this.toggleButton.classList.toggle('active', visible);
+            this.toggleButton.setAttribute('aria-pressed', String(visible));
+        }
+    }
+    
+    /**
+     * Render every chart
+     * @param {Object} analytics - Series from LibraryAnalytics.analyze()
+     */
+    render(analytics) {
+        if (!this.chartsElement) return;
+        
+        if (this.summaryElement) {
+            this.summaryElement.textContent = `Based on the ${Library.countLabel(analytics.bookCount)} in the current view`;
+        }
+        
+        const { finishedPerMonth, genresByYear, ratings, lengthByGenre, topAuthors, timeToFinish } = analytics;
+        const monthTitle = (month, amount) => `${month.label} ${month.year}: ${amount}`;
+        const anyFinished = finishedPerMonth.some(month => month.books > 0);
+        
+        this.chartsElement.innerHTML = [
+            this.createCard('Books finished per month', anyFinished
+                ? SVGChart.barChart(finishedPerMonth.map(month => ({
+                    label: month.label,
+                    value: month.books,
+                    title: monthTitle(month, Library.countLabel(month.books))
+                })), { description: 'Books finished in each of the last 12 months' })
+                : this.createEmptyMessage('No books with a finish date in the last 12 months')),
+            
+            this.createCard('Pages finished per month', anyFinished
+                ? SVGChart.barChart(finishedPerMonth.map(month => ({
+                    label: month.label,
+                    value: month.pages,
+                    title: monthTitle(month, `${month.pages.toLocaleString()} pages`)
+                })), {
+                    description: 'Pages of the books finished in each of the last 12 months',
+                    formatValue: AnalyticsView.formatCompact
+                })
+                : this.createEmptyMessage('No books with a finish date in the last 12 months')),
+            
+            this.createCard('Genres by year finished', genresByYear.years.length > 0
+                ? SVGChart.stackedBarChart(
+                    genresByYear.years.map(year => ({ label: year.label, values: year.counts })),
+                    genresByYear.genres,
+                    { description: 'Genres of the books finished in each year' })
+                : this.createEmptyMessage('No finished books with a finish date yet')),
+            
+            this.createCard('Ratings', ratings.counts.some(({ count }) => count > 0)
+                ? SVGChart.barChart(ratings.counts.map(({ rating, count }) => ({
+                    label: `${rating}★`,
+                    value: count,
+                    title: `${rating} star${rating === 1 ? '' : 's'}: ${Library.countLabel(count)}`
+                })), { description: 'Number of books with each star rating' })
+                : this.createEmptyMessage('No rated books'),
+                ratings.unrated > 0 ? `${Library.countLabel(ratings.unrated)} not rated` : ''),
+            
+            this.createCard('Average length by genre', lengthByGenre.length > 0
+                ? SVGChart.horizontalBarChart(lengthByGenre.map(({ genre, averagePages, count }) => ({
+                    label: genre,
+                    value: averagePages,
+                    title: `${genre}: ${averagePages.toLocaleString()} pages on average (${Library.countLabel(count)})`
+                })), { description: 'Average number of pages per genre' })
+                : this.createEmptyMessage('No books')),
+            
+            this.createCard('Top authors', topAuthors.length > 0
+                ? SVGChart.horizontalBarChart(topAuthors.map(({ author, count, finished }) => ({
+                    label: author,
+                    value: count,
+                    title: `${author}: ${Library.countLabel(count)}, ${finished} finished`
+                })), { description: 'Authors with the most books' })
+                : this.createEmptyMessage('No books')),
+            
+            this.createCard('Time to finish', timeToFinish.measured > 0
+                ? SVGChart.barChart(timeToFinish.buckets.map(({ label, count }) => ({
+                    label,
+                    value: count,
+                    title: `${label === 'Longer' ? 'More than 3 months' : `Up to ${label}`}: ${Library.countLabel(count)}`
+                })), { description: 'How long finished books took from the first reading session' })
+                : this.createEmptyMessage('Log reading sessions to see how long books take'),
+                this.describeTimeToFinish(timeToFinish))
+        ].join('');
+    }
+    
+    /**
+     * Create the markup of one chart card
+     * @param {string} title - Card title
+     * @param {string} body - Chart markup
+     * @param {string} note - Optional footnote
+     * @returns {string} Card markup
+     */
+    createCard(title, body, note = '') {
+        return `
+            <div class="col-md-6 col-xl-4">
+                <div class="analytics-card h-100">
+                    <h6 class="analytics-title">${HTMLUtils.escapeHtml(title)}</h6>
+                    ${body}
+                    ${note ? `<p class="analytics-note mb-0">${HTMLUtils.escapeHtml(note)}</p>` : ''}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Create the placeholder shown instead of a chart without data
+     * @param {string} message - Explanation
+     * @returns {string} Placeholder markup
+     */
+    createEmptyMessage(message) {
+        return `<p class="analytics-empty">${HTMLUtils.escapeHtml(message)}</p>`;
+    }
+    
+    /**
+     * Summarize the time-to-finish figures
+     * @param {Object} timeToFinish - Series from LibraryAnalytics.getTimeToFinish()
+     * @returns {string} Footnote text
+     */
+    describeTimeToFinish(timeToFinish) {
+        const parts = [];
+        if (timeToFinish.medianDays !== null) {
+            parts.push(`Median ${timeToFinish.medianDays} day${timeToFinish.medianDays === 1 ? '' : 's'}`);
+        }
+        if (timeToFinish.unmeasured > 0) {
+            parts.push(`${Library.countLabel(timeToFinish.unmeasured)} finished without logged sessions not included`);
+        }
+        return parts.join(' · ');
+    }
+    
+    /**
+     * Format a large number compactly for a bar label (e.g. 1.2k)
+     * @param {number} value - Number
+     * @returns {string} Formatted number
+     */
+    static formatCompact(value) {
+        return value >= 1000 ? `${Math.round(value / 100) / 10}k` : String(value);
+    }
+}
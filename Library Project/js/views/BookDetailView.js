@@ -0,0 +1,263 @@
+/**
+ * Book Detail View Class
+ * Handles the modal with a book's review, dated notes and saved quotes.
+ * Everything written there is Markdown, shown through MarkdownUtils.
+ */
+class BookDetailView {
+    constructor() {
+        this.modalElement = document.getElementById('bookDetailModal');
+        this.bookId = null; // Book shown in the modal
+        this.initializeElements();
+    }
+    
+    /**
+     * Cache references to the modal's elements
+     */
+    initializeElements() {
+        this.titleElement = document.getElementById('detailBookTitle');
+        this.authorElement = document.getElementById('detailBookAuthor');
+        this.reviewElement = document.getElementById('detailReview');
+        this.editReviewButton = document.getElementById('editReviewBtn');
+        this.reviewForm = document.getElementById('reviewForm');
+        this.reviewInput = document.getElementById('reviewText');
+        this.cancelReviewButton = document.getElementById('cancelReviewBtn');
+        this.notesElement = document.getElementById('detailNotes');
+        this.noteForm = document.getElementById('noteForm');
+        this.noteIdInput = document.getElementById('noteId');
+        this.noteDateInput = document.getElementById('noteDate');
+        this.noteTextInput = document.getElementById('noteText');
+        this.saveNoteButton = document.getElementById('saveNoteBtn');
+        this.cancelNoteButton = document.getElementById('cancelNoteBtn');
+        this.quotesElement = document.getElementById('detailQuotes');
+        this.quoteForm = document.getElementById('quoteForm');
+        this.quoteIdInput = document.getElementById('quoteId');
+        this.quoteTextInput = document.getElementById('quoteText');
+        this.quotePageInput = document.getElementById('quotePage');
+        this.saveQuoteButton = document.getElementById('saveQuoteBtn');
+        this.cancelQuoteButton = document.getElementById('cancelQuoteBtn');
+    }
+    
+    /**
+     * Open the modal for a book
+     * @param {Book} book - Book whose annotations are shown
+     */
+    open(book) {
+        if (!book || !this.modalElement) return;
+        
+        this.bookId = book.id;
+        this.clearErrors();
+        this.showReviewEditor(false);
+        this.resetNoteForm();
+        this.resetQuoteForm();
+        this.render(book);
+        
+        const modal = bootstrap.Modal.getOrCreateInstance(this.modalElement);
+        modal.show();
+    }
+    
+    /**
+     * Check whether the modal is showing a book
+     * @returns {boolean} True while the modal is open
+     */
+    isOpen() {
+        // bookId is cleared when the modal has finished hiding (see LibraryController.bindDetailEvents)
+        return Boolean(this.bookId);
+    }
+    
+    /**
+     * Hide the modal
+     */
+    hideModal() {
+        if (this.modalElement) {
+            const modal = bootstrap.Modal.getInstance(this.modalElement);
+            if (modal) {
+                modal.hide();
+            }
+        }
+    }
+    
+    /**
+     * Show a book's review, notes and quotes
+     * @param {Book} book - Book to show
+     */
+    render(book) {
+        if (!book || !this.modalElement) return;
+        
+        this.titleElement.textContent = book.title;
+        this.authorElement.textContent = book.author ? `by ${book.author}` : '';
+        this.quotePageInput.max = book.pages ?? '';
+        
+        this.reviewElement.innerHTML = book.review
+            ? MarkdownUtils.render(book.review)
+            : '<p class="annotation-empty">No review yet.</p>';
+        this.editReviewButton.innerHTML = `<i class="bi bi-pencil me-1"></i>${book.review ? 'Edit' : 'Write a review'}`;
+        
+        const notes = book.getNotes();
+        this.notesElement.replaceChildren(...notes.map(note => this.createEntry('note', note.id, `
+            <div class="annotation-meta">${note.date.toLocaleDateString()}</div>
+            <div class="markdown-body">${MarkdownUtils.render(note.text)}</div>
+        `)));
+        if (notes.length === 0) {
+            this.notesElement.innerHTML = '<p class="annotation-empty">No notes yet.</p>';
+        }
+        
+        const quotes = book.getQuotes();
+        this.quotesElement.replaceChildren(...quotes.map(quote => this.createEntry('quote', quote.id, `
+            <blockquote class="markdown-body annotation-quote">${MarkdownUtils.render(quote.text)}</blockquote>
+            <div class="annotation-meta">${quote.page ? `Page ${quote.page}` : 'Page unknown'}</div>
+        `)));
+        if (quotes.length === 0) {
+            this.quotesElement.innerHTML = '<p class="annotation-empty">No quotes yet.</p>';
+        }
+    }
+    
+    /**
+     * Create the element of one note or quote with its edit and remove buttons
+     * @param {string} kind - 'note' or 'quote'
+     * @param {string} id - ID of the note or quote
+     * @param {string} content - Rendered (escaped) content markup
+     * @returns {HTMLElement} Entry element
+     */
+    createEntry(kind, id, content) {
+        // Imported IDs may contain quotes, so they are set as attributes rather than written into markup
+        return HTMLUtils.createElement('article', { className: 'annotation', 'data-kind': kind, 'data-id': id }, `
+            <div class="annotation-actions btn-group btn-group-sm">
+                <button type="button" class="btn btn-outline-secondary" data-annotation-action="edit" aria-label="Edit ${kind}">
+                    <i class="bi bi-pencil"></i>
+                </button>
+                <button type="button" class="btn btn-outline-secondary" data-annotation-action="remove" aria-label="Remove ${kind}">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </div>
+            ${content}
+        `);
+    }
+    
+    /**
+     * Switch the review between its rendered form and the editor
+     * @param {boolean} editing - Whether to show the editor
+     * @param {string} review - Text to put in the editor
+     */
+    showReviewEditor(editing, review = '') {
+        if (!this.reviewForm) return;
+        
+        this.reviewForm.style.display = editing ? 'block' : 'none';
+        this.reviewElement.style.display = editing ? 'none' : 'block';
+        this.editReviewButton.style.display = editing ? 'none' : 'inline-block';
+        
+        if (editing) {
+            this.reviewInput.value = review;
+            this.reviewInput.focus();
+        }
+    }
+    
+    /**
+     * Get the review being edited
+     * @returns {string} Review text
+     */
+    getReview() {
+        return this.reviewInput.value;
+    }
+    
+    /**
+     * Fill the note form with a note to change it
+     * @param {Object} note - Note as { id, date, text }
+     */
+    editNote(note) {
+        this.noteIdInput.value = note.id;
+        this.noteDateInput.value = FormView.toDateInputValue(note.date);
+        this.noteTextInput.value = note.text;
+        this.saveNoteButton.textContent = 'Save Note';
+        this.cancelNoteButton.style.display = 'inline-block';
+        this.noteTextInput.focus();
+    }
+    
+    /**
+     * Empty the note form for a new note dated today
+     */
+    resetNoteForm() {
+        if (!this.noteForm) return;
+        
+        this.noteForm.reset();
+        this.noteIdInput.value = '';
+        this.noteDateInput.value = FormView.toDateInputValue(new Date());
+        this.saveNoteButton.textContent = 'Add Note';
+        this.cancelNoteButton.style.display = 'none';
+    }
+    
+    /**
+     * Get the note being added or changed
+     * @returns {Object} { noteId (empty for a new note), note: { text, date } }
+     */
+    getNoteData() {
+        return {
+            noteId: this.noteIdInput.value,
+            note: {
+                text: this.noteTextInput.value,
+                date: this.noteDateInput.value || new Date()
+            }
+        };
+    }
+    
+    /**
+     * Fill the quote form with a quote to change it
+     * @param {Object} quote - Quote as { id, text, page }
+     */
+    editQuote(quote) {
+        this.quoteIdInput.value = quote.id;
+        this.quoteTextInput.value = quote.text;
+        this.quotePageInput.value = quote.page ?? '';
+        this.saveQuoteButton.textContent = 'Save Changes';
+        this.cancelQuoteButton.style.display = 'inline-block';
+        this.quoteTextInput.focus();
+    }
+    
+    /**
+     * Empty the quote form for a new quote
+     */
+    resetQuoteForm() {
+        if (!this.quoteForm) return;
+        
+        this.quoteForm.reset();
+        this.quoteIdInput.value = '';
+        this.saveQuoteButton.textContent = 'Save Quote';
+        this.cancelQuoteButton.style.display = 'none';
+    }
+    
+    /**
+     * Get the quote being added or changed
+     * @returns {Object} { quoteId (empty for a new quote), quote: { text, page } }
+     */
+    getQuoteData() {
+        return {
+            quoteId: this.quoteIdInput.value,
+            quote: {
+                text: this.quoteTextInput.value,
+                page: this.quotePageInput.value
+            }
+        };
+    }
+    
+    /**
+     * Show an error message inside the modal
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.clearErrors();
+        
+        const alert = HTMLUtils.createElement('div', {
+            className: 'alert alert-danger',
+            role: 'alert'
+        }, HTMLUtils.escapeHtml(message));
+        
+        this.modalElement.querySelector('.modal-body').prepend(alert);
+    }
+    
+    /**
+     * Remove error messages from the modal
+     */
+    clearErrors() {
+        const alerts = this.modalElement.querySelectorAll('.alert');
+        alerts.forEach(alert => alert.remove());
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * Book Page View Class
+ * Renders a book's own page (#/book/<id>) with all of its details, in
+ * place of the book list. Its buttons use the same data-action values as
+ * the book cards, so the controller handles both in one place.
+ */
+class BookPageView {
+    constructor() {
+        this.pageElement = document.getElementById('bookPage');
+        this.contentElement = document.getElementById('bookPageContent');
+        this.backLink = document.getElementById('bookPageBackLink');
+        this.containerElement = this.pageElement ? this.pageElement.parentElement : null;
+        this.defaultTitle = document.title;
+    }
+    
+    /**
+     * Show a book's page in place of the book list, or go back to the list
+     * @param {Book|null} book - Book to show, or null to show the list
+     * @param {Shelf[]} shelves - All shelves, to name the ones the book is on
+     */
+    render(book, shelves = []) {
+        if (!this.pageElement) return;
+        
+        this.containerElement.classList.toggle('book-page-open', Boolean(book));
+        this.pageElement.style.display = book ? 'block' : 'none';
+        document.title = book ? `${book.title} · ${this.defaultTitle}` : this.defaultTitle;
+        
+        if (!book) {
+            this.contentElement.replaceChildren();
+            return;
+        }
+        
+        this.contentElement.innerHTML = `
+            <header class="book-page-header mb-4">
+                ${book.series ? `
+                    <p class="book-series mb-1">
+                        <i class="bi bi-collection me-1"></i>${HTMLUtils.escapeHtml(book.getSeriesLabel())}
+                    </p>` : ''}
+                <h2 class="book-page-title mb-1" id="bookPageTitle">${HTMLUtils.escapeHtml(book.title)}</h2>
+                ${book.edition ? `<p class="book-edition mb-1">${HTMLUtils.escapeHtml(book.edition)}</p>` : ''}
+                ${this.renderCredits(book)}
+                <span class="badge status-badge status-${book.status}">${book.getStatusLabel()}</span>
+            </header>
+            <div class="row g-4">
+                <div class="col-lg-5">
+                    <dl class="book-facts">
+                        ${this.renderFacts(book, shelves)}
+                    </dl>
+                    <div class="d-grid gap-2">
+                        <button class="btn btn-toggle" data-action="toggle-read" data-book-id="${book.id}">
+                            <i class="bi bi-${book.read ? 'arrow-counterclockwise' : 'check-circle'} me-1"></i>
+                            ${book.read ? 'Mark as Unread' : 'Mark as Read'}
+                        </button>
+                        <button class="btn btn-progress" data-action="log-session" data-book-id="${book.id}">
+                            <i class="bi bi-journal-plus me-1"></i>
+                            Log Reading Session
+                        </button>
+                        ${book.isWishlisted() ? `
+                            <button class="btn btn-toggle" data-action="acquire" data-book-id="${book.id}">
+                                <i class="bi bi-bag-check me-1"></i>
+                                Acquired
+                            </button>` : `
+                            <button class="btn btn-progress" data-action="loan" data-book-id="${book.id}">
+                                <i class="bi bi-${book.isOnLoan() ? 'box-arrow-in-down-left' : 'box-arrow-up-right'} me-1"></i>
+                                ${book.isOnLoan() ? 'Return from Loan' : 'Lend Book'}
+                            </button>`}
+                        <button class="btn btn-progress" data-action="details" data-book-id="${book.id}">
+                            <i class="bi bi-journal-text me-1"></i>
+                            Edit Review, Notes &amp; Quotes
+                        </button>
+                        <button class="btn btn-progress" data-action="edit" data-book-id="${book.id}">
+                            <i class="bi bi-pencil-square me-1"></i>
+                            Edit Book
+                        </button>
+                        <button class="btn btn-remove" data-action="remove" data-book-id="${book.id}">
+                            <i class="bi bi-trash me-1"></i>
+                            Remove Book
+                        </button>
+                    </div>
+                </div>
+                <div class="col-lg-7">
+                    ${this.renderAnnotations(book)}
+                    ${this.renderSessions(book)}
+                    ${this.renderLoans(book)}
+                </div>
+            </div>
+        `;
+        
+        // Tags are user text, so put them in the data attributes through the DOM
+        this.contentElement.querySelectorAll('.book-tags .tag-chip').forEach((chip, index) => {
+            chip.dataset.tag = book.tags[index];
+            chip.title = `Show books tagged ${book.tags[index]}`;
+        });
+    }
+    
+    /**
+     * Render the authors and other contributors, linked to their pages
+     * @param {Book} book - Book shown
+     * @returns {string} Credit markup
+     */
+    renderCredits(book) {
+        const authors = book.getAuthors();
+        const credits = Object.entries(LibraryView.CREDIT_LABELS)
+            .map(([role, label]) => {
+                const names = book.getContributors(role).map(({ name }) => LibraryView.createPersonLink(name));
+                return names.length > 0 ? `${label} ${names.join(', ')}` : '';
+            })
+            .filter(Boolean);
+        
+        return `
+            ${authors.length > 0 ? `<p class="book-author mb-1">by ${authors.map(({ name }) => LibraryView.createPersonLink(name)).join(' &amp; ')}</p>` : ''}
+            ${credits.length > 0 ? `<p class="book-credits">${credits.join(' &middot; ')}</p>` : ''}
+        `;
+    }
+    
+    /**
+     * Render the list of the book's details
+     * @param {Book} book - Book shown
+     * @param {Shelf[]} shelves - All shelves
+     * @returns {string} Markup of <dt>/<dd> pairs
+     */
+    renderFacts(book, shelves) {
+        const progressPercent = book.getProgressPercent();
+        // With only the default shelf there is nothing to choose between
+        const shelfNames = shelves.length < 2 ? [] : shelves.filter(shelf => book.isOnShelf(shelf.id)).map(shelf => shelf.name);
+        const tagChips = book.tags
+            .map(tag => `<button type="button" class="tag-chip" data-action="filter-tag">#${HTMLUtils.escapeHtml(tag)}</button>`)
+            .join('');
+        const minutes = book.getTotalReadingMinutes();
+        const loan = book.getCurrentLoan();
+        const wishlist = book.wishlist;
+        
+        const facts = [
+            ['Wishlist', wishlist ? book.getPriorityLabel() : ''],
+            ['Expected price', wishlist && wishlist.price !== null ? LibraryView.formatPrice(wishlist.price) : ''],
+            ['Where to buy', wishlist && wishlist.store ? LibraryView.createStoreLink(wishlist.store) : ''],
+            ['Format', book.getFormatLabel()],
+            ['Duration', book.isAudiobook() ? book.getLengthLabel() : ''],
+            ['Pages', book.pages ? String(book.pages) : ''],
+            ['Location', HTMLUtils.escapeHtml(book.location)],
+            ['Progress', `
+                ${book.getProgressLabel()}
+                <div class="progress mt-1" role="progressbar" aria-label="Reading progress"
+                     aria-valuenow="${progressPercent}" aria-valuemin="0" aria-valuemax="100">
+                    <div class="progress-bar" style="width: ${progressPercent}%"></div>
+                </div>`],
+            ['Rating', book.rating ? book.getStarRating() : '<span class="text-muted">Not rated</span>'],
+            ['Genre', book.genre ? HTMLUtils.escapeHtml(book.genre) : ''],
+            ['Tags', tagChips ? `<div class="book-tags">${tagChips}</div>` : ''],
+            ['ISBN', book.isbn ? `${book.isbn}${book.getISBN10() ? `<br><small class="text-muted">ISBN-10: ${book.getISBN10()}</small>` : ''}` : ''],
+            ['Shelves', HTMLUtils.escapeHtml(shelfNames.join(', '))],
+            ['On loan', loan
+                ? `<span class="${book.isOverdue() ? 'loan-overdue' : ''}">${HTMLUtils.escapeHtml(loan.borrower)} &middot; ${LoanView.describeDue(book)}</span>`
+                : ''],
+            ['Time read', minutes > 0 ? `${minutes} min over ${book.sessions.length} session(s)` : ''],
+            ['Added', book.getFormattedDateAdded()],
+            ['Finished', book.dateFinished ? book.getFormattedDateFinished() : ''],
+            ['Modified', book.lastModified ? book.getFormattedLastModified() : '']
+        ];
+        
+        return facts
+            .filter(([, value]) => value)
+            .map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`)
+            .join('');
+    }
+    
+    /**
+     * Render the review, notes and quotes (edited in the BookDetailView modal)
+     * @param {Book} book - Book shown
+     * @returns {string} Markup, with all text rendered through MarkdownUtils
+     */
+    renderAnnotations(book) {
+        const notes = book.getNotes().map(note => `
+            <article class="annotation">
+                <div class="annotation-meta">${note.date.toLocaleDateString()}</div>
+                <div class="markdown-body">${MarkdownUtils.render(note.text)}</div>
+            </article>
+        `).join('');
+        const quotes = book.getQuotes().map(quote => `
+            <article class="annotation">
+                <blockquote class="markdown-body annotation-quote">${MarkdownUtils.render(quote.text)}</blockquote>
+                <div class="annotation-meta">${quote.page ? `Page ${quote.page}` : 'Page unknown'}</div>
+            </article>
+        `).join('');
+        
+        return `
+            <section class="mb-4">
+                <h3 class="h6">Review</h3>
+                <div class="markdown-body">
+                    ${book.review ? MarkdownUtils.render(book.review) : '<p class="annotation-empty">No review yet.</p>'}
+                </div>
+            </section>
+            <section class="mb-4">
+                <h3 class="h6">Notes</h3>
+                <div class="annotation-list">${notes || '<p class="annotation-empty">No notes yet.</p>'}</div>
+            </section>
+            <section class="mb-4">
+                <h3 class="h6">Quotes</h3>
+                <div class="annotation-list">${quotes || '<p class="annotation-empty">No quotes yet.</p>'}</div>
+            </section>
+        `;
+    }
+    
+    /**
+     * Render the logged reading sessions, latest first
+     * @param {Book} book - Book shown
+     * @returns {string} Table markup, or empty if no sessions were logged
+     */
+    renderSessions(book) {
+        if (book.sessions.length === 0) return '';
+        
+        const rows = [...book.sessions]
+            .sort((a, b) => b.date - a.date)
+            .map(session => `
+                <tr>
+                    <td>${session.date.toLocaleDateString()}</td>
+                    <td>${session.startPage}–${session.endPage}</td>
+                    <td>${session.minutes > 0 ? `${session.minutes} min` : ''}</td>
+                </tr>
+            `).join('');
+        
+        return `
+            <section class="mb-4">
+                <h3 class="h6">Reading Sessions</h3>
+                <table class="table table-sm book-page-table">
+                    <thead><tr><th scope="col">Date</th><th scope="col">${book.isAudiobook() ? 'Minutes' : 'Pages'}</th><th scope="col">Time</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </section>
+        `;
+    }
+    
+    /**
+     * Render who borrowed the book and when, latest first
+     * @param {Book} book - Book shown
+     * @returns {string} Table markup, or empty if the book was never lent
+     */
+    renderLoans(book) {
+        if (book.loans.length === 0) return '';
+        
+        const rows = book.getLoanHistory().map(loan => `
+            <tr>
+                <td>${HTMLUtils.escapeHtml(loan.borrower)}</td>
+                <td>${loan.dateLent.toLocaleDateString()}</td>
+                <td>${loan.dateDue.toLocaleDateString()}</td>
+                <td>${loan.dateReturned ? loan.dateReturned.toLocaleDateString() : '<em>Still out</em>'}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <section class="mb-4">
+                <h3 class="h6">Loan History</h3>
+                <table class="table table-sm book-page-table">
+                    <thead><tr><th scope="col">Borrower</th><th scope="col">Lent</th><th scope="col">Due</th><th scope="col">Returned</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </section>
+        `;
+    }
+    
+    /**
+     * Point the back link at the book list the page was opened from
+     * @param {string} hash - Hash of the book list route
+     */
+    setBackLink(hash) {
+        if (this.backLink) {
+            this.backLink.setAttribute('href', hash);
+        }
+    }
+    
+    /**
+     * Scroll the page into view
+     */
+    scrollIntoView() {
+        if (this.pageElement) {
+            this.pageElement.scrollIntoView({ block: 'start' });
+        }
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Bulk Actions View Class
+ * Renders the selection toolbar above the book cards and the prompts
+ * used by batch operations
+ */
+class BulkActionsView {
+    constructor() {
+        this.barElement = document.getElementById('bulkBar');
+        this.countElement = document.getElementById('bulkCount');
+        this.selectAllButton = document.getElementById('selectAllBtn');
+        this.clearSelectionButton = document.getElementById('clearSelectionBtn');
+        this.actionsElement = document.getElementById('bulkActions');
+    }
+    
+    /**
+     * Update the toolbar for the current selection
+     * @param {number} selectedCount - Number of selected books
+     * @param {number} visibleCount - Number of books currently shown
+     * @param {boolean} allVisibleSelected - Whether every shown book is selected
+     */
+    render(selectedCount, visibleCount, allVisibleSelected) {
+        if (!this.barElement) return;
+        
+        this.barElement.style.display = visibleCount > 0 || selectedCount > 0 ? '' : 'none';
+        this.barElement.classList.toggle('has-selection', selectedCount > 0);
+        
+        if (this.countElement) {
+            this.countElement.textContent = selectedCount > 0
+                ? `${Library.countLabel(selectedCount)} selected`
+                : 'Select books to change several at once';
+        }
+        
+        if (this.selectAllButton) {
+            this.selectAllButton.disabled = visibleCount === 0 || allVisibleSelected;
+            this.selectAllButton.textContent = `Select all ${visibleCount} shown`;
+        }
+        
+        if (this.clearSelectionButton) {
+            this.clearSelectionButton.disabled = selectedCount === 0;
+        }
+        
+        if (this.actionsElement) {
+            this.actionsElement.querySelectorAll('button').forEach(button => {
+                button.disabled = selectedCount === 0;
+            });
+        }
+    }
+    
+    /**
+     * Ask for the genre to give the selected books
+     * @param {number} count - Number of selected books
+     * @returns {string|null} Entered genre (empty to clear), or null if cancelled
+     */
+    promptGenre(count) {
+        const genre = prompt(`Genre for ${Library.countLabel(count)} (leave empty to clear):`, '');
+        return genre === null ? null : genre.trim();
+    }
+    
+    /**
+     * Ask the user to confirm deleting the selected books
+     * @param {number} count - Number of selected books
+     * @returns {boolean} True if confirmed
+     */
+    confirmDelete(count) {
+        return confirm(
+            `Remove ${Library.countLabel(count)} from your library?\n\n` +
+            'You can undo this with Ctrl+Z.'
+        );
+    }
+}
@@ -3,9 +3,21 @@
  * Handles the book form modal and its interactions
  */
 class FormView {
-    constructor() {
+    /**
+     * @param {MetadataProvider} metadataProvider - Source of autocomplete suggestions
+     *                                             (defaults to the bundled offline catalog)
+     */
+    constructor(metadataProvider = null) {
+        this.metadataProvider = metadataProvider || new OfflineCatalogProvider();
+        this.suggestions = [];
+        this.suggestionRequest = 0;
+        this.suggestionTimer = null;
+        this.tags = [];
+        this.tagOptions = [];
         this.formElement = document.getElementById('newBookForm');
         this.modalElement = document.getElementById('newBookModal');
+        this.modalTitleElement = document.getElementById('newBookModalLabel');
+        this.mode = 'add'; // 'add' or 'edit'
         this.initializeForm();
     }
     
@@ -16,11 +28,43 @@ class FormView {
         this.titleInput = document.getElementById('bookTitle');
         this.authorInput = document.getElementById('bookAuthor');
         this.pagesInput = document.getElementById('bookPages');
+        this.pagesHint = document.getElementById('bookPagesHint');
+        this.formatSelect = document.getElementById('bookFormat');
+        this.durationInput = document.getElementById('bookDuration');
+        this.durationGroup = document.getElementById('durationGroup');
+        this.locationInput = document.getElementById('bookLocation');
+        this.locationOptions = document.getElementById('locationOptions');
+        this.editionInput = document.getElementById('bookEdition');
+        this.seriesInput = document.getElementById('bookSeries');
+        this.volumeInput = document.getElementById('bookVolume');
+        this.seriesOptions = document.getElementById('seriesOptions');
+        this.isbnInput = document.getElementById('bookISBN');
         this.genreInput = document.getElementById('bookGenre');
         this.readSelect = document.getElementById('bookRead');
+        this.currentPageInput = document.getElementById('bookCurrentPage');
+        this.currentPageGroup = document.getElementById('currentPageGroup');
+        this.currentPageLabel = document.getElementById('currentPageLabel');
+        this.dateFinishedInput = document.getElementById('bookDateFinished');
+        this.dateFinishedGroup = document.getElementById('dateFinishedGroup');
         this.ratingSelect = document.getElementById('bookRating');
+        this.wishlistCheckbox = document.getElementById('bookWishlist');
+        this.wishlistGroup = document.getElementById('wishlistGroup');
+        this.priorityInput = document.getElementById('bookPriority');
+        this.priceInput = document.getElementById('bookPrice');
+        this.storeInput = document.getElementById('bookStore');
+        this.suggestionsElement = document.getElementById('bookSuggestions');
+        this.contributorRowsElement = document.getElementById('contributorRows');
+        this.addContributorButton = document.getElementById('addContributorBtn');
+        this.tagField = document.getElementById('bookTagField');
+        this.tagChipsElement = document.getElementById('bookTagChips');
+        this.tagInput = document.getElementById('bookTagInput');
+        this.tagSuggestionsElement = document.getElementById('tagSuggestions');
         
         this.addInputValidation();
+        this.bindContributorRows();
+        this.bindTagInput();
+        this.bindStatusToggle();
+        this.bindAutocomplete();
     }
     
     /**
@@ -56,6 +100,466 @@ class FormView {
         }
     }
     
+    /**
+     * Show the current page input only while a book is being read, and the
+     * finish date (today unless changed) once it is finished
+     */
+    bindStatusToggle() {
+        if (this.readSelect) {
+            this.readSelect.addEventListener('change', () => {
+                if (this.readSelect.value === Book.STATUS.FINISHED && this.dateFinishedInput && !this.dateFinishedInput.value) {
+                    this.dateFinishedInput.value = FormView.toDateInputValue(new Date());
+                }
+                this.updateCurrentPageVisibility();
+            });
+        }
+        
+        if (this.wishlistCheckbox) {
+            this.wishlistCheckbox.addEventListener('change', () => this.updateWishlistVisibility());
+        }
+        
+        if (this.formatSelect) {
+            this.formatSelect.addEventListener('change', () => this.updateFormatFields());
+        }
+    }
+    
+    /**
+     * Add and remove rows of the editors, translators and illustrators list
+     */
+    bindContributorRows() {
+        if (this.addContributorButton) {
+            this.addContributorButton.addEventListener('click', () => {
+                this.addContributorRow();
+                this.contributorRowsElement.lastElementChild?.querySelector('input')?.focus();
+            });
+        }
+        
+        if (this.contributorRowsElement) {
+            this.contributorRowsElement.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('[data-contributor-action="remove"]');
+                if (removeButton) {
+                    removeButton.closest('.contributor-row').remove();
+                }
+            });
+        }
+    }
+    
+    /**
+     * Add a row to the editors, translators and illustrators list
+     * @param {Object} contributor - Initial { name, role }
+     */
+    addContributorRow({ name = '', role = Book.ROLE.EDITOR } = {}) {
+        if (!this.contributorRowsElement) return;
+        
+        const row = HTMLUtils.createElement('div', { className: 'input-group input-group-sm mb-1 contributor-row' }, `
+            <input type="text" class="form-control contributor-name" maxlength="100" aria-label="Name">
+            <select class="form-select contributor-role" aria-label="Role">
+                ${FormView.CONTRIBUTOR_ROLES.map(value => `<option value="${value}">${Book.ROLE_LABELS[value]}</option>`).join('')}
+            </select>
+            <button type="button" class="btn btn-outline-secondary" data-contributor-action="remove" aria-label="Remove contributor">
+                <i class="bi bi-x-lg"></i>
+            </button>
+        `);
+        
+        // Names are user text, so set them as values rather than markup
+        row.querySelector('.contributor-name').value = name;
+        row.querySelector('.contributor-role').value = role;
+        this.contributorRowsElement.appendChild(row);
+    }
+    
+    /**
+     * Replace the editors, translators and illustrators list
+     * @param {Object[]} contributors - Contributors as { name, role }
+     */
+    setContributorRows(contributors) {
+        if (!this.contributorRowsElement) return;
+        
+        this.contributorRowsElement.innerHTML = '';
+        contributors.forEach(contributor => this.addContributorRow(contributor));
+    }
+    
+    /**
+     * Read the editors, translators and illustrators list
+     * @returns {Object[]} Contributors as { name, role }, rows without a name left out
+     */
+    getContributorRows() {
+        if (!this.contributorRowsElement) return [];
+        
+        return [...this.contributorRowsElement.querySelectorAll('.contributor-row')]
+            .map(row => ({
+                name: row.querySelector('.contributor-name').value.trim(),
+                role: row.querySelector('.contributor-role').value
+            }))
+            .filter(contributor => contributor.name);
+    }
+    
+    /**
+     * Turn typed text into tag chips and suggest tags already in the library
+     */
+    bindTagInput() {
+        if (!this.tagInput) return;
+        
+        this.tagInput.addEventListener('keydown', (e) => {
+            const text = this.tagInput.value.trim();
+            
+            if ((e.key === 'Enter' || e.key === ',') && text) {
+                e.preventDefault();
+                this.addTag(text);
+            } else if (e.key === 'Enter') {
+                // An empty tag input should not submit the form half filled in
+                e.preventDefault();
+            } else if (e.key === 'Backspace' && !this.tagInput.value && this.tags.length > 0) {
+                this.removeTag(this.tags[this.tags.length - 1]);
+            } else if (e.key === 'Escape' && this.tagSuggestionsElement?.style.display === 'block') {
+                e.stopPropagation();
+                this.hideTagSuggestions();
+            }
+        });
+        
+        this.tagInput.addEventListener('input', () => {
+            // Pasted lists are split on commas
+            if (this.tagInput.value.includes(',')) {
+                const parts = this.tagInput.value.split(',');
+                const rest = parts.pop();
+                this.setTags([...this.tags, ...parts]);
+                this.tagInput.value = rest;
+            }
+            this.renderTagSuggestions(this.tagInput.value);
+        });
+        
+        this.tagInput.addEventListener('blur', () => this.hideTagSuggestions());
+        
+        if (this.tagField) {
+            this.tagField.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('[data-tag-action="remove"]');
+                if (removeButton) {
+                    this.removeTag(removeButton.dataset.tag);
+                }
+                this.tagInput.focus();
+            });
+        }
+        
+        if (this.tagSuggestionsElement) {
+            // mousedown fires before the input loses focus and hides the list
+            this.tagSuggestionsElement.addEventListener('mousedown', (e) => {
+                const option = e.target.closest('[data-tag]');
+                if (!option) return;
+                
+                e.preventDefault();
+                this.addTag(option.dataset.tag);
+            });
+        }
+    }
+    
+    /**
+     * Add a tag to the book being edited
+     * @param {string} tag - Tag text
+     */
+    addTag(tag) {
+        this.setTags([...this.tags, tag]);
+        
+        if (this.tagInput) {
+            this.tagInput.value = '';
+        }
+        this.hideTagSuggestions();
+    }
+    
+    /**
+     * Remove a tag from the book being edited
+     * @param {string} tag - Tag text
+     */
+    removeTag(tag) {
+        const key = Book.getTagKey(tag);
+        this.setTags(this.tags.filter(existing => Book.getTagKey(existing) !== key));
+    }
+    
+    /**
+     * Replace the tags of the book being edited
+     * @param {string[]} tags - Tags
+     */
+    setTags(tags) {
+        this.tags = Book.normalizeTags(tags);
+        this.renderTags();
+    }
+    
+    /**
+     * Show the tags of the book being edited as removable chips
+     */
+    renderTags() {
+        if (!this.tagChipsElement) return;
+        
+        this.tagChipsElement.replaceChildren(...this.tags.map(tag => {
+            const chip = HTMLUtils.createElement('span', { className: 'tag-chip' });
+            const removeButton = HTMLUtils.createElement('button', {
+                type: 'button',
+                className: 'tag-chip-remove',
+                'data-tag-action': 'remove',
+                'data-tag': tag,
+                'aria-label': `Remove tag ${tag}`
+            }, '&times;');
+            
+            chip.append(`#${tag}`, removeButton);
+            return chip;
+        }));
+    }
+    
+    /**
+     * Offer the tags already in the library as suggestions for the tag input
+     * @param {string[]} names - Tag names
+     */
+    setTagOptions(names) {
+        this.tagOptions = names;
+    }
+    
+    /**
+     * Show the library's tags that start with or contain the typed text
+     * @param {string} text - Text typed so far
+     */
+    renderTagSuggestions(text) {
+        if (!this.tagSuggestionsElement) return;
+        
+        const key = Book.getTagKey(text);
+        const added = new Set(this.tags.map(tag => Book.getTagKey(tag)));
+        const matches = key
+            ? this.tagOptions
+                .filter(tag => !added.has(Book.getTagKey(tag)) && Book.getTagKey(tag).includes(key))
+                .sort((a, b) => Book.getTagKey(b).startsWith(key) - Book.getTagKey(a).startsWith(key))
+                .slice(0, FormView.MAX_TAG_SUGGESTIONS)
+            : [];
+        
+        if (matches.length === 0) {
+            this.hideTagSuggestions();
+            return;
+        }
+        
+        this.tagSuggestionsElement.replaceChildren(...matches.map(tag => {
+            const option = HTMLUtils.createElement('button', {
+                type: 'button',
+                className: 'list-group-item list-group-item-action',
+                role: 'option',
+                'data-tag': tag
+            });
+            option.textContent = `#${tag}`;
+            return option;
+        }));
+        this.tagSuggestionsElement.style.display = 'block';
+    }
+    
+    /**
+     * Hide the tag suggestion list
+     */
+    hideTagSuggestions() {
+        if (this.tagSuggestionsElement) {
+            this.tagSuggestionsElement.style.display = 'none';
+            this.tagSuggestionsElement.innerHTML = '';
+        }
+    }
+    
+    /**
+     * Suggest catalog books while a title is typed or once a valid ISBN is entered
+     */
+    bindAutocomplete() {
+        if (!this.suggestionsElement) return;
+        
+        if (this.titleInput) {
+            this.titleInput.addEventListener('input', () => {
+                const title = this.titleInput.value.trim();
+                clearTimeout(this.suggestionTimer);
+                
+                if (title.length < FormView.MIN_SUGGESTION_LENGTH) {
+                    this.hideSuggestions();
+                    return;
+                }
+                
+                this.suggestionTimer = setTimeout(() => {
+                    this.requestSuggestions(() => this.metadataProvider.search(title));
+                }, 250);
+            });
+            
+            // Close the list without closing the modal
+            this.titleInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.suggestions.length > 0) {
+                    e.stopPropagation();
+                    this.hideSuggestions();
+                }
+            });
+        }
+        
+        if (this.isbnInput) {
+            this.isbnInput.addEventListener('input', () => {
+                const isbn = this.isbnInput.value;
+                clearTimeout(this.suggestionTimer);
+                
+                if (!ISBNUtils.isValid(isbn)) {
+                    this.hideSuggestions();
+                    return;
+                }
+                
+                this.requestSuggestions(async () => {
+                    const suggestion = await this.metadataProvider.lookupISBN(isbn);
+                    return suggestion ? [suggestion] : [];
+                });
+            });
+        }
+        
+        this.suggestionsElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-suggestion-index]');
+            if (button) {
+                this.applySuggestion(this.suggestions[parseInt(button.dataset.suggestionIndex)]);
+            }
+        });
+    }
+    
+    /**
+     * Ask the metadata provider for suggestions, ignoring answers to
+     * requests that were superseded while they were pending
+     * @param {Function} fetchSuggestions - Returns a promise of suggestions
+     */
+    async requestSuggestions(fetchSuggestions) {
+        const request = ++this.suggestionRequest;
+        
+        try {
+            const suggestions = await fetchSuggestions();
+            if (request === this.suggestionRequest) {
+                this.renderSuggestions(suggestions);
+            }
+        } catch (error) {
+            console.warn('Book suggestions unavailable:', error);
+            if (request === this.suggestionRequest) {
+                this.hideSuggestions();
+            }
+        }
+    }
+    
+    /**
+     * Show suggestions under the title input
+     * @param {Object[]} suggestions - Suggestions from the metadata provider
+     */
+    renderSuggestions(suggestions) {
+        this.suggestions = suggestions;
+        
+        if (suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+        
+        this.suggestionsElement.innerHTML = suggestions.map((suggestion, index) => {
+            const details = [
+                suggestion.pages ? `${suggestion.pages} pages` : '',
+                suggestion.genre,
+                suggestion.isbn ? `ISBN ${suggestion.isbn}` : ''
+            ].filter(Boolean).map(detail => HTMLUtils.escapeHtml(String(detail))).join(' · ');
+            
+            return `
+                <button type="button" class="list-group-item list-group-item-action" role="option" data-suggestion-index="${index}">
+                    <span class="fw-semibold">${HTMLUtils.escapeHtml(suggestion.title)}</span>
+                    <span class="text-muted">by ${HTMLUtils.escapeHtml(suggestion.author)}</span>
+                    <small class="d-block text-muted">${details}</small>
+                </button>
+            `;
+        }).join('') + `
+            <div class="list-group-item book-suggestions-source small text-muted">
+                Suggestions from ${HTMLUtils.escapeHtml(suggestions[0].source)}
+            </div>
+        `;
+        this.suggestionsElement.style.display = 'block';
+    }
+    
+    /**
+     * Hide the suggestion list
+     */
+    hideSuggestions() {
+        this.suggestions = [];
+        
+        if (this.suggestionsElement) {
+            this.suggestionsElement.style.display = 'none';
+            this.suggestionsElement.innerHTML = '';
+        }
+    }
+    
+    /**
+     * Fill the form from a suggestion, keeping what the user entered for
+     * fields the suggestion does not know (and status, rating and edition)
+     * @param {Object} suggestion - Accepted suggestion
+     */
+    applySuggestion(suggestion) {
+        if (!suggestion) return;
+        
+        const known = Object.fromEntries(
+            ['title', 'author', 'pages', 'genre', 'isbn']
+                .filter(field => suggestion[field])
+                .map(field => [field, suggestion[field]])
+        );
+        
+        this.setFormData({ ...this.getFormData(), ...known });
+        this.hideSuggestions();
+        
+        ['title', 'author', 'pages'].forEach(field => {
+            this.validateField(field, this[`${field}Input`]?.value);
+        });
+    }
+    
+    /**
+     * Sync current page input visibility with the selected status
+     */
+    updateCurrentPageVisibility() {
+        if (!this.currentPageGroup || !this.readSelect) return;
+        
+        const isReading = this.readSelect.value === Book.STATUS.READING;
+        this.currentPageGroup.style.display = isReading ? 'block' : 'none';
+        
+        if (this.dateFinishedGroup) {
+            const isFinished = this.readSelect.value === Book.STATUS.FINISHED;
+            this.dateFinishedGroup.style.display = isFinished ? 'block' : 'none';
+        }
+    }
+    
+    /**
+     * Show the priority, price and shop inputs only for wishlist books
+     */
+    updateWishlistVisibility() {
+        if (!this.wishlistGroup || !this.wishlistCheckbox) return;
+        
+        this.wishlistGroup.style.display = this.wishlistCheckbox.checked ? 'flex' : 'none';
+    }
+    
+    /**
+     * Ask for a duration instead of a page count for audiobooks, whose
+     * progress is counted in minutes listened
+     */
+    updateFormatFields() {
+        if (!this.formatSelect || !this.durationGroup) return;
+        
+        const isAudiobook = this.formatSelect.value === Book.FORMAT.AUDIOBOOK;
+        this.durationGroup.style.display = isAudiobook ? 'block' : 'none';
+        this.durationInput.required = isAudiobook;
+        this.pagesInput.required = !isAudiobook;
+        this.pagesHint.textContent = isAudiobook ? '(Optional)' : '*';
+        this.currentPageLabel.textContent = isAudiobook ? 'Minutes Listened' : 'Current Page';
+        this.currentPageInput.max = isAudiobook ? Book.MAX_DURATION : 50000;
+    }
+    
+    /**
+     * Tick or clear the wishlist box (new books start on the wishlist while it is shown)
+     * @param {boolean} wishlisted - Whether the book goes on the wishlist
+     */
+    setWishlisted(wishlisted) {
+        if (!this.wishlistCheckbox) return;
+        
+        this.wishlistCheckbox.checked = wishlisted;
+        this.updateWishlistVisibility();
+    }
+    
+    /**
+     * Format a date for a date input (local calendar day, not UTC)
+     * @param {Date} date - Date to format
+     * @returns {string} Date as "YYYY-MM-DD"
+     */
+    static toDateInputValue(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
     /**
      * Validate individual form field
      * @param {string} fieldName - Name of the field to validate
@@ -80,10 +584,12 @@ class FormView {
                 break;
                 
             case 'author':
-                if (!value || value.trim().length === 0) {
+                // Anthologies may be credited to an editor alone
+                if ((!value || value.trim().length === 0) &&
+                    !this.getContributorRows().some(contributor => contributor.role === Book.ROLE.EDITOR)) {
                     isValid = false;
                     errorMessage = 'Author is required';
-                } else if (value.length > 100) {
+                } else if (NameUtils.splitNames(value).some(name => name.length > 100)) {
                     isValid = false;
                     errorMessage = 'Author name must be less than 100 characters';
                 }
@@ -91,7 +597,9 @@ class FormView {
                 
             case 'pages':
                 const pages = parseInt(value);
-                if (!value || isNaN(pages) || pages <= 0) {
+                if (!value && this.formatSelect?.value === Book.FORMAT.AUDIOBOOK) {
+                    // Audiobooks may leave the page count out
+                } else if (!value || isNaN(pages) || pages <= 0) {
                     isValid = false;
                     errorMessage = 'Pages must be a positive number';
                 } else if (pages > 50000) {
@@ -140,14 +648,38 @@ class FormView {
         if (!this.formElement) return null;
         
         const formData = new FormData(this.formElement);
+        const status = formData.get('status') || Book.STATUS.TO_READ;
+        const author = formData.get('author')?.trim() || '';
         
         return {
             title: formData.get('title')?.trim() || '',
-            author: formData.get('author')?.trim() || '',
+            author,
+            contributors: [...Book.parseAuthors(author), ...this.getContributorRows()],
             pages: formData.get('pages') || '',
+            format: formData.get('format') || '',
+            duration: formData.get('format') === Book.FORMAT.AUDIOBOOK && formData.get('duration')
+                ? parseInt(formData.get('duration'))
+                : null,
+            location: formData.get('location')?.trim() || '',
             genre: formData.get('genre')?.trim() || '',
-            read: formData.get('read') === 'true',
-            rating: formData.get('rating') ? parseInt(formData.get('rating')) : null
+            // A tag still being typed counts too
+            tags: Book.normalizeTags([...this.tags, this.tagInput?.value || '']),
+            edition: formData.get('edition')?.trim() || '',
+            series: formData.get('series')?.trim() || '',
+            volume: formData.get('volume') ? parseFloat(formData.get('volume')) : null,
+            isbn: formData.get('isbn')?.trim() || '',
+            status,
+            read: status === Book.STATUS.FINISHED,
+            currentPage: status === Book.STATUS.READING && formData.get('currentPage')
+                ? parseInt(formData.get('currentPage'))
+                : 0,
+            dateFinished: status === Book.STATUS.FINISHED ? formData.get('dateFinished') || null : null,
+            rating: formData.get('rating') ? parseInt(formData.get('rating')) : null,
+            wishlist: formData.get('wishlist') ? {
+                priority: formData.get('priority') || Book.PRIORITY.MEDIUM,
+                price: formData.get('price') ? parseFloat(formData.get('price')) : null,
+                store: formData.get('store')?.trim() || ''
+            } : null
         };
     }
     
@@ -191,6 +723,26 @@ class FormView {
         modalBody.insertAdjacentHTML('afterbegin', alertHtml);
     }
     
+    /**
+     * Offer the series already in the library as suggestions for the series field
+     * @param {string[]} names - Series names
+     */
+    setSeriesOptions(names) {
+        if (!this.seriesOptions) return;
+        
+        this.seriesOptions.replaceChildren(...names.map(name => HTMLUtils.createElement('option', { value: name })));
+    }
+    
+    /**
+     * Offer the places books are already kept as suggestions for the location field
+     * @param {string[]} locations - Locations
+     */
+    setLocationOptions(locations) {
+        if (!this.locationOptions) return;
+        
+        this.locationOptions.replaceChildren(...locations.map(location => HTMLUtils.createElement('option', { value: location })));
+    }
+    
     /**
      * Reset form to initial state
      */
@@ -211,6 +763,16 @@ class FormView {
             // Remove alerts
             const alerts = this.modalElement.querySelectorAll('.alert');
             alerts.forEach(alert => alert.remove());
+            
+            this.setContributorRows([]);
+            this.setTags([]);
+            this.hideTagSuggestions();
+            clearTimeout(this.suggestionTimer);
+            this.suggestionRequest++;
+            this.hideSuggestions();
+            this.updateCurrentPageVisibility();
+            this.updateWishlistVisibility();
+            this.updateFormatFields();
         }
     }
     
@@ -244,11 +806,55 @@ class FormView {
         if (!book || !this.formElement) return;
         
         if (this.titleInput) this.titleInput.value = book.title;
-        if (this.authorInput) this.authorInput.value = book.author;
-        if (this.pagesInput) this.pagesInput.value = book.pages;
+        if (this.authorInput) {
+            // Form data (from a suggestion) carries the author field as typed
+            this.authorInput.value = book instanceof Book
+                ? book.getAuthors().map(contributor => contributor.name).join(' & ')
+                : book.author;
+        }
+        this.setContributorRows((book.contributors || []).filter(contributor => !Book.AUTHOR_ROLES.includes(contributor.role)));
+        if (this.pagesInput) this.pagesInput.value = book.pages ?? '';
+        if (this.formatSelect) this.formatSelect.value = book.format || '';
+        if (this.durationInput) this.durationInput.value = book.duration ?? '';
+        if (this.locationInput) this.locationInput.value = book.location || '';
+        if (this.editionInput) this.editionInput.value = book.edition || '';
+        if (this.seriesInput) this.seriesInput.value = book.series || '';
+        if (this.volumeInput) this.volumeInput.value = book.volume ?? '';
+        if (this.isbnInput) this.isbnInput.value = book.isbn || '';
         if (this.genreInput) this.genreInput.value = book.genre || '';
-        if (this.readSelect) this.readSelect.value = book.read.toString();
+        this.setTags(book.tags || []);
+        if (this.readSelect) this.readSelect.value = book.status;
+        if (this.currentPageInput) this.currentPageInput.value = book.currentPage;
+        if (this.dateFinishedInput) {
+            this.dateFinishedInput.value = book.dateFinished ? FormView.toDateInputValue(book.dateFinished) : '';
+        }
         if (this.ratingSelect) this.ratingSelect.value = book.rating || '';
+        if (this.wishlistCheckbox) {
+            this.wishlistCheckbox.checked = Boolean(book.wishlist);
+            this.priorityInput.value = book.wishlist ? book.wishlist.priority : Book.PRIORITY.MEDIUM;
+            this.priceInput.value = book.wishlist?.price ?? '';
+            this.storeInput.value = book.wishlist?.store || '';
+        }
+        
+        this.updateCurrentPageVisibility();
+        this.updateWishlistVisibility();
+        this.updateFormatFields();
+    }
+    
+    /**
+     * Switch the modal between adding a new book and editing an existing one
+     * @param {string} mode - 'add' or 'edit'
+     */
+    setMode(mode) {
+        this.mode = mode;
+        
+        if (this.modalTitleElement) {
+            this.modalTitleElement.innerHTML = mode === 'edit'
+                ? '<i class="bi bi-pencil-square me-2"></i>Edit Book'
+                : '<i class="bi bi-book-half me-2"></i>Add New Book';
+        }
+        
+        this.setSubmitLoading(false);
     }
     
     /**
@@ -270,18 +876,35 @@ class FormView {
         const submitBtn = this.modalElement.querySelector('button[type="submit"]');
         if (!submitBtn) return;
         
+        const isEdit = this.mode === 'edit';
+        
         if (loading) {
             submitBtn.disabled = true;
             submitBtn.innerHTML = `
                 <span class="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                Adding Book...
+                ${isEdit ? 'Saving Changes...' : 'Adding Book...'}
             `;
         } else {
             submitBtn.disabled = false;
             submitBtn.innerHTML = `
-                <i class="bi bi-plus-circle me-1"></i>
-                Add Book
+                <i class="bi bi-${isEdit ? 'check-circle' : 'plus-circle'} me-1"></i>
+                ${isEdit ? 'Save Changes' : 'Add Book'}
             `;
         }
     }
 }
+
+/**
+ * Number of title characters typed before suggestions are looked up
+ */
+FormView.MIN_SUGGESTION_LENGTH = 3;
+
+/**
+ * Roles offered in the contributor rows (authors go in the author field)
+ */
+FormView.CONTRIBUTOR_ROLES = Object.freeze([Book.ROLE.EDITOR, Book.ROLE.TRANSLATOR, Book.ROLE.ILLUSTRATOR]);
+
+/**
+ * Most tags suggested while a tag is typed
+ */
+FormView.MAX_TAG_SUGGESTIONS = 8;
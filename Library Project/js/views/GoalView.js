@@ -0,0 +1,105 @@
+/**
+ * Goal View Class
+ * Handles the modal used to set or remove a yearly reading goal
+ */
+class GoalView {
+    constructor() {
+        this.formElement = document.getElementById('goalForm');
+        this.modalElement = document.getElementById('goalModal');
+        this.initializeForm();
+    }
+    
+    /**
+     * Cache references to form elements
+     */
+    initializeForm() {
+        this.yearInput = document.getElementById('goalYear');
+        this.targetInput = document.getElementById('goalTarget');
+        this.unitSelect = document.getElementById('goalUnit');
+        this.removeButton = document.getElementById('removeGoalBtn');
+    }
+    
+    /**
+     * Open the modal for a year, prefilled with its goal if there is one
+     * @param {ReadingGoal|null} goal - Existing goal for the year
+     * @param {number} year - Year being edited
+     */
+    open(goal, year) {
+        if (!this.formElement) return;
+        
+        this.resetForm();
+        
+        this.yearInput.value = year;
+        this.targetInput.value = goal ? goal.target : '';
+        this.unitSelect.value = goal ? goal.unit : ReadingGoal.UNIT.BOOKS;
+        this.removeButton.style.display = goal ? '' : 'none';
+        
+        const modal = bootstrap.Modal.getOrCreateInstance(this.modalElement);
+        modal.show();
+        
+        setTimeout(() => {
+            this.targetInput.focus();
+        }, 150); // Wait for modal animation
+    }
+    
+    /**
+     * Hide the modal
+     */
+    hideModal() {
+        if (this.modalElement) {
+            const modal = bootstrap.Modal.getInstance(this.modalElement);
+            if (modal) {
+                modal.hide();
+            }
+        }
+    }
+    
+    /**
+     * Get goal data from the form
+     * @returns {Object|null} { year, target, unit }
+     */
+    getFormData() {
+        if (!this.formElement) return null;
+        
+        const formData = new FormData(this.formElement);
+        
+        return {
+            year: parseInt(formData.get('year')),
+            target: parseInt(formData.get('target')),
+            unit: formData.get('unit') || ReadingGoal.UNIT.BOOKS
+        };
+    }
+    
+    /**
+     * Show an error message inside the modal
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.clearErrors();
+        
+        const alert = HTMLUtils.createElement('div', {
+            className: 'alert alert-danger',
+            role: 'alert'
+        }, HTMLUtils.escapeHtml(message));
+        
+        this.modalElement.querySelector('.modal-body').prepend(alert);
+    }
+    
+    /**
+     * Remove error messages from the modal
+     */
+    clearErrors() {
+        const alerts = this.modalElement.querySelectorAll('.alert');
+        alerts.forEach(alert => alert.remove());
+    }
+    
+    /**
+     * Reset form to initial state
+     */
+    resetForm() {
+        if (this.formElement) {
+            this.formElement.reset();
+            this.clearErrors();
+        }
+    }
+}
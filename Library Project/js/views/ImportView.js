@@ -0,0 +1,326 @@
+/**
+ * Import View Class
+ * Handles the import modal: file selection, CSV column mapping and preview
+ */
+class ImportView {
+    constructor() {
+        this.modalElement = document.getElementById('importModal');
+        this.reportModalElement = document.getElementById('importReportModal');
+        this.initializeElements();
+    }
+    
+    /**
+     * Cache references to modal elements
+     */
+    initializeElements() {
+        this.fileInput = document.getElementById('importFile');
+        this.mappingContainer = document.getElementById('importMapping');
+        this.mappingFields = document.getElementById('importMappingFields');
+        this.replaceCheckbox = document.getElementById('importReplace');
+        this.duplicateStrategySelect = document.getElementById('importDuplicateStrategy');
+        this.previewContainer = document.getElementById('importPreview');
+        this.confirmButton = document.getElementById('importConfirmBtn');
+    }
+    
+    /**
+     * Read the selected file as text
+     * @param {File} file - Selected file
+     * @returns {Promise<string>} File contents
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read "${file.name}"`));
+            reader.readAsText(file);
+        });
+    }
+    
+    /**
+     * Render one column selector per importable field
+     * @param {string[]} headers - Column headers from the file
+     * @param {Object} mapping - Map of field name to column index
+     * @param {boolean} hasHeader - Whether a header row was detected
+     */
+    renderMapping(headers, mapping, hasHeader) {
+        if (!this.mappingFields) return;
+        
+        const columnOptions = headers
+            .map((header, index) => `<option value="${index}">${HTMLUtils.escapeHtml(header)}</option>`)
+            .join('');
+        
+        const fieldsHtml = Object.entries(CSVImporter.FIELDS).map(([field, { label }]) => `
+            <div class="col-md-6 mb-2">
+                <label class="form-label small mb-1" for="importMap-${field}">${label}</label>
+                <select class="form-select form-select-sm" id="importMap-${field}" data-field="${field}">
+                    <option value="">Not imported</option>
+                    ${columnOptions}
+                </select>
+            </div>
+        `).join('');
+        
+        const headerNote = hasHeader
+            ? 'Columns were matched from the header row. Adjust any that are wrong.'
+            : 'No header row was detected, so columns were matched by position.';
+        
+        this.mappingFields.innerHTML = `
+            <p class="small text-muted mb-2">${headerNote}</p>
+            <div class="row">${fieldsHtml}</div>
+        `;
+        
+        Object.entries(mapping).forEach(([field, index]) => {
+            const select = this.mappingFields.querySelector(`[data-field="${field}"]`);
+            if (select) {
+                select.value = index === null ? '' : String(index);
+            }
+        });
+        
+        HTMLUtils.toggleElement(this.mappingContainer, true, 'block');
+    }
+    
+    /**
+     * Hide the column mapping section (JSON imports)
+     */
+    hideMapping() {
+        if (this.mappingContainer) {
+            this.mappingContainer.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Read the current column mapping from the selectors
+     * @returns {Object} Map of field name to column index (or null)
+     */
+    getMapping() {
+        const mapping = {};
+        
+        this.mappingFields.querySelectorAll('select[data-field]').forEach(select => {
+            mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value);
+        });
+        
+        return mapping;
+    }
+    
+    /**
+     * Whether existing books should be replaced by the import
+     * @returns {boolean} True if replace is checked
+     */
+    isReplaceChecked() {
+        return this.replaceCheckbox ? this.replaceCheckbox.checked : false;
+    }
+    
+    /**
+     * Get the default strategy for duplicate rows
+     * @returns {string} One of Library.DUPLICATE_STRATEGY values
+     */
+    getDuplicateStrategy() {
+        return this.duplicateStrategySelect
+            ? this.duplicateStrategySelect.value
+            : Library.DUPLICATE_STRATEGY.SKIP;
+    }
+    
+    /**
+     * Get per-row duplicate strategies chosen in the preview table
+     * @returns {Object} Map of row number to strategy (rows using the default are omitted)
+     */
+    getResolutions() {
+        const resolutions = {};
+        
+        if (this.previewContainer) {
+            this.previewContainer.querySelectorAll('select[data-resolution-row]').forEach(select => {
+                if (select.value) {
+                    resolutions[select.dataset.resolutionRow] = select.value;
+                }
+            });
+        }
+        
+        return resolutions;
+    }
+    
+    /**
+     * Build the per-row duplicate strategy selector
+     * @param {Object} row - Previewed duplicate row
+     * @param {string} selected - Previously selected strategy
+     * @returns {string} Select HTML
+     */
+    createResolutionSelect(row, selected = '') {
+        const options = Object.entries(ImportView.STRATEGY_LABELS)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        
+        return `
+            <select class="form-select form-select-sm" data-resolution-row="${row.rowNumber}"
+                    aria-label="Duplicate handling for row ${row.rowNumber}">
+                <option value="">Default</option>
+                ${options}
+            </select>
+        `;
+    }
+    
+    /**
+     * Render the import preview table and summary
+     * @param {Object[]} rows - Previewed rows ({ rowNumber, book, duplicate, duplicateOf, error })
+     * @param {number} maxRows - Maximum number of rows to list
+     */
+    renderPreview(rows, maxRows = 50) {
+        if (!this.previewContainer) return;
+        
+        // Keep per-row choices across re-renders (e.g. after a mapping change)
+        const previousResolutions = this.getResolutions();
+        
+        const valid = rows.filter(row => row.book && !row.duplicate).length;
+        const duplicates = rows.filter(row => row.duplicate).length;
+        const invalid = rows.filter(row => row.error).length;
+        
+        const rowsHtml = rows.slice(0, maxRows).map(row => {
+            let statusHtml = '<span class="badge status-finished">Ready</span>';
+            if (row.error) {
+                statusHtml = `<span class="text-danger small">${HTMLUtils.escapeHtml(row.error)}</span>`;
+            } else if (row.duplicate) {
+                statusHtml = `
+                    <span class="badge status-to-read mb-1">Duplicate</span>
+                    ${this.createResolutionSelect(row, previousResolutions[row.rowNumber])}
+                `;
+            }
+            
+            return `
+                <tr class="${row.error ? 'table-danger' : ''}">
+                    <td>${row.rowNumber}</td>
+                    <td>${row.book ? HTMLUtils.escapeHtml(row.book.title) : ''}</td>
+                    <td>${row.book ? HTMLUtils.escapeHtml(row.book.author) : ''}</td>
+                    <td>${row.book ? row.book.getLengthLabel() : ''}</td>
+                    <td>${statusHtml}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const moreNote = rows.length > maxRows
+            ? `<p class="small text-muted mb-0">Showing the first ${maxRows} of ${rows.length} rows.</p>`
+            : '';
+        
+        this.previewContainer.innerHTML = `
+            <p class="mb-2">
+                <strong>${valid}</strong> ready to import,
+                <strong>${duplicates}</strong> duplicate,
+                <strong>${invalid}</strong> with errors
+            </p>
+            <div class="table-responsive import-preview-table">
+                <table class="table table-sm align-middle mb-2">
+                    <thead>
+                        <tr><th>Row</th><th>Title</th><th>Author</th><th>Length</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+            </div>
+            ${moreNote}
+        `;
+        
+        if (this.confirmButton) {
+            this.confirmButton.disabled = valid + duplicates === 0;
+        }
+    }
+    
+    /**
+     * Show an error message in place of the preview
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        if (this.previewContainer) {
+            this.previewContainer.innerHTML = `
+                <div class="alert alert-danger mb-0" role="alert">${HTMLUtils.escapeHtml(message)}</div>
+            `;
+        }
+        if (this.confirmButton) {
+            this.confirmButton.disabled = true;
+        }
+    }
+    
+    /**
+     * Reset the modal to its initial state
+     */
+    reset() {
+        if (this.fileInput) this.fileInput.value = '';
+        if (this.replaceCheckbox) this.replaceCheckbox.checked = false;
+        if (this.duplicateStrategySelect) this.duplicateStrategySelect.value = Library.DUPLICATE_STRATEGY.SKIP;
+        if (this.previewContainer) this.previewContainer.innerHTML = '';
+        if (this.mappingFields) this.mappingFields.innerHTML = '';
+        if (this.confirmButton) this.confirmButton.disabled = true;
+        this.hideMapping();
+    }
+    
+    /**
+     * Show the import summary modal
+     * @param {Object} report - Import report from Library.importRecords
+     */
+    showReport(report) {
+        const body = this.reportModalElement?.querySelector('.modal-body');
+        if (!body) return;
+        
+        const overwritten = report.updated.filter(entry => entry.strategy === Library.DUPLICATE_STRATEGY.OVERWRITE);
+        const merged = report.updated.filter(entry => entry.strategy === Library.DUPLICATE_STRATEGY.MERGE);
+        
+        const listSection = (title, items) => items.length === 0 ? '' : `
+            <h6 class="form-label mt-3">${title}</h6>
+            <ul class="small mb-0 import-report-list">${items.join('')}</ul>
+        `;
+        
+        const skippedItems = report.skipped.map(entry => `
+            <li>Row ${entry.rowNumber}: "${HTMLUtils.escapeHtml(entry.title)}" by ${HTMLUtils.escapeHtml(entry.author)} is already in your library</li>
+        `);
+        const invalidItems = report.invalid.map(entry => `
+            <li>Row ${entry.rowNumber}: ${HTMLUtils.escapeHtml(entry.message)}</li>
+        `);
+        
+        body.innerHTML = `
+            <div class="row text-center library-stats mb-0">
+                <div class="col-6 col-md-3 stat-item">
+                    <div class="stat-number">${report.added.length}</div>
+                    <div class="stat-label">Added</div>
+                </div>
+                <div class="col-6 col-md-3 stat-item">
+                    <div class="stat-number">${overwritten.length + merged.length}</div>
+                    <div class="stat-label">Updated</div>
+                </div>
+                <div class="col-6 col-md-3 stat-item">
+                    <div class="stat-number">${report.skipped.length}</div>
+                    <div class="stat-label">Skipped Duplicates</div>
+                </div>
+                <div class="col-6 col-md-3 stat-item">
+                    <div class="stat-number">${report.invalid.length}</div>
+                    <div class="stat-label">Invalid</div>
+                </div>
+            </div>
+            ${overwritten.length || merged.length ? `
+                <p class="small text-muted mt-3 mb-0">
+                    ${overwritten.length} overwritten, ${merged.length} merged into existing books.
+                </p>` : ''}
+            ${listSection('Skipped duplicates', skippedItems)}
+            ${listSection('Invalid rows', invalidItems)}
+        `;
+        
+        const modal = bootstrap.Modal.getOrCreateInstance(this.reportModalElement);
+        modal.show();
+    }
+    
+    /**
+     * Hide the modal
+     */
+    hideModal() {
+        if (this.modalElement) {
+            const modal = bootstrap.Modal.getInstance(this.modalElement);
+            if (modal) {
+                modal.hide();
+            }
+        }
+    }
+}
+
+/**
+ * Labels for duplicate handling strategies
+ */
+ImportView.STRATEGY_LABELS = Object.freeze({
+    [Library.DUPLICATE_STRATEGY.SKIP]: 'Keep existing',
+    [Library.DUPLICATE_STRATEGY.OVERWRITE]: 'Overwrite',
+    [Library.DUPLICATE_STRATEGY.MERGE]: 'Merge fields',
+    [Library.DUPLICATE_STRATEGY.EDITION]: 'Separate edition'
+});
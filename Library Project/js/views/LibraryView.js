@@ -7,6 +7,7 @@ class LibraryView {
         this.libraryContainer = document.getElementById('library');
         this.emptyMessage = document.getElementById('emptyMessage');
         this.statsContainer = document.getElementById('libraryStats');
+        this.goalPanel = document.getElementById('goalPanel');
         this.bindElements();
     }
     
@@ -17,13 +18,42 @@ class LibraryView {
         this.totalBooksElement = document.getElementById('totalBooks');
         this.readBooksElement = document.getElementById('readBooks');
         this.unreadBooksElement = document.getElementById('unreadBooks');
+        this.readingBooksElement = document.getElementById('readingBooks');
+        this.readPagesElement = document.getElementById('readPages');
+        this.formatStatsElement = document.getElementById('formatStats');
+        this.searchInput = document.getElementById('searchInput');
+        this.searchErrorElement = document.getElementById('searchError');
+        this.undoButton = document.getElementById('undoBtn');
+        this.redoButton = document.getElementById('redoBtn');
+        this.seriesViewButton = document.getElementById('seriesViewBtn');
+        this.loansButton = document.getElementById('loansBtn');
+        this.loanCountElement = document.getElementById('loanCount');
+        this.wishlistButton = document.getElementById('wishlistBtn');
+        this.wishlistCountElement = document.getElementById('wishlistCount');
+        this.wishlistStatsElement = document.getElementById('wishlistStats');
+        this.wishlistBooksElement = document.getElementById('wishlistBooks');
+        this.wishlistCostElement = document.getElementById('wishlistCost');
+        this.wishlistCostLabel = document.getElementById('wishlistCostLabel');
+        this.emptyTitleElement = document.getElementById('emptyTitle');
+        this.emptyTextElement = document.getElementById('emptyText');
+        // The wishlist view swaps the empty message for its own
+        this.libraryEmptyMessage = {
+            title: this.emptyTitleElement ? this.emptyTitleElement.textContent : '',
+            text: this.emptyTextElement ? this.emptyTextElement.textContent : ''
+        };
     }
     
     /**
      * Render all books in the library
      * @param {Book[]} books - Array of books to display
+     * @param {Shelf[]} shelves - All shelves, for the shelf chips and menu
+     * @param {Set<string>} selectedIds - IDs of the books selected for batch actions
+     * @param {Object} grouping - Series view options
+     * @param {Object[]|null} grouping.series - Series from Library.getSeries() to collapse into
+     *     stack cards, or null to list every book
+     * @param {Set<string>} grouping.expandedSeries - Keys of the stacks to show the books of
      */
-    renderBooks(books) {
+    renderBooks(books, shelves = [], selectedIds = new Set(), { series = null, expandedSeries = new Set() } = {}) {
         this.clearLibraryContainer();
         
         if (books.length === 0) {
@@ -33,21 +63,124 @@ class LibraryView {
         
         this.hideEmptyState();
         
+        const stacks = series ? this.groupSeries(books, series) : new Map();
+        const renderedStacks = new Set();
+        const appendBook = book => {
+            this.libraryContainer.appendChild(this.createBookCard(book, shelves, selectedIds.has(book.id)));
+        };
+        
         books.forEach(book => {
-            const bookCard = this.createBookCard(book);
-            this.libraryContainer.appendChild(bookCard);
+            const stack = book.series ? stacks.get(Library.getSeriesKey(book.series)) : null;
+            if (!stack) {
+                appendBook(book);
+                return;
+            }
+            
+            // A stack takes the place of its first book in the list
+            if (renderedStacks.has(stack.key)) return;
+            renderedStacks.add(stack.key);
+            
+            const expanded = expandedSeries.has(stack.key);
+            this.libraryContainer.appendChild(this.createSeriesCard(stack, expanded));
+            if (expanded) {
+                stack.visibleBooks.forEach(appendBook);
+            }
         });
         
         // Add animation to newly rendered books
         this.animateBookCards();
     }
     
+    /**
+     * Work out which series to collapse: those with at least two books in view
+     * @param {Book[]} books - Books being displayed
+     * @param {Object[]} series - Series from Library.getSeries()
+     * @returns {Map<string, Object>} Series key to the series with its books in view (visibleBooks)
+     */
+    groupSeries(books, series) {
+        const visibleIds = new Set(books.map(book => book.id));
+        const stacks = new Map();
+        
+        series.forEach(entry => {
+            const visibleBooks = entry.books.filter(book => visibleIds.has(book.id));
+            if (visibleBooks.length >= LibraryView.MIN_STACK_SIZE) {
+                stacks.set(entry.key, { ...entry, visibleBooks });
+            }
+        });
+        
+        return stacks;
+    }
+    
+    /**
+     * Create the stack card standing in for the books of a series
+     * @param {Object} stack - Series from groupSeries()
+     * @param {boolean} expanded - Whether the series' books are shown after the stack
+     * @returns {HTMLElement} Stack card element
+     */
+    createSeriesCard(stack, expanded) {
+        const column = HTMLUtils.createElement('div', {
+            className: 'col-lg-4 col-md-6 col-sm-12'
+        });
+        
+        const percent = Math.round((stack.finished / stack.total) * 100);
+        const authors = [...new Set(stack.books.map(book => book.author))];
+        const inView = stack.visibleBooks.length < stack.total
+            ? ` &middot; ${stack.visibleBooks.length} in view`
+            : '';
+        const next = stack.nextUnread;
+        const nextDisplay = next
+            ? `<p class="series-next mb-3">
+                    <i class="bi bi-arrow-right-circle me-1"></i>
+                    Up next: ${next.volume !== null ? `#${next.volume} ` : ''}${HTMLUtils.escapeHtml(next.title)}
+               </p>`
+            : `<p class="series-next mb-3">
+                    <i class="bi bi-check-circle me-1"></i>
+                    Series complete
+               </p>`;
+        
+        column.innerHTML = `
+            <div class="card book-card series-stack${stack.finished === stack.total ? ' read' : ''}">
+                <div class="card-body">
+                    <p class="book-series mb-1">
+                        <i class="bi bi-collection-fill me-1"></i>
+                        Series &middot; ${Library.countLabel(stack.total)}${inView}
+                    </p>
+                    <h5 class="book-title">${HTMLUtils.escapeHtml(stack.name)}</h5>
+                    <p class="book-author">by ${HTMLUtils.escapeHtml(authors.join(', '))}</p>
+                    <div class="reading-progress mb-2">
+                        <div class="d-flex justify-content-between">
+                            <small class="text-muted">Series progress</small>
+                            <small class="text-muted">${stack.finished} of ${stack.total} read</small>
+                        </div>
+                        <div class="progress" role="progressbar" aria-label="Series progress"
+                             aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100">
+                            <div class="progress-bar" style="width: ${percent}%"></div>
+                        </div>
+                    </div>
+                    ${nextDisplay}
+                    <div class="d-grid">
+                        <button class="btn btn-progress" data-action="toggle-series" aria-expanded="${expanded}">
+                            <i class="bi bi-chevron-${expanded ? 'up' : 'down'} me-1"></i>
+                            ${expanded ? 'Hide Books' : 'Show Books'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        // Series keys are user text, so set the attribute through the DOM rather than markup
+        column.querySelector('[data-action="toggle-series"]').dataset.seriesKey = stack.key;
+        return column;
+    }
+    
     /**
      * Create a book card element
      * @param {Book} book - Book instance
+     * @param {Shelf[]} shelves - All shelves
+     * @param {boolean} selected - Whether the book is selected for batch actions
      * @returns {HTMLElement} Book card element
      */
-    createBookCard(book) {
+    createBookCard(book, shelves = [], selected = false) {
         const bookCol = HTMLUtils.createElement('div', {
             className: 'col-lg-4 col-md-6 col-sm-12'
         });
@@ -65,46 +198,328 @@ class LibraryView {
                 </span>
             </div>` : '';
         
+        const tagChips = book.tags
+            .map(tag => `<button type="button" class="tag-chip" data-action="filter-tag">#${HTMLUtils.escapeHtml(tag)}</button>`)
+            .join('');
+        
+        const loan = book.getCurrentLoan();
+        const overdue = book.isOverdue();
+        const loanBadge = loan ? `
+            <span class="badge loan-badge${overdue ? ' overdue' : ''}">
+                <i class="bi bi-${overdue ? 'exclamation-triangle' : 'people'} me-1"></i>
+                On loan to ${HTMLUtils.escapeHtml(loan.borrower)} &middot; ${LoanView.describeDue(book)}
+            </span>` : '';
+        
+        const wishlist = book.wishlist;
+        const wishlistDisplay = wishlist ? `
+            <div class="wishlist-details mb-2">
+                <span class="badge wishlist-badge priority-${wishlist.priority}">
+                    <i class="bi bi-bag-heart me-1"></i>${book.getPriorityLabel()}
+                </span>
+                ${wishlist.price !== null ? `<span class="wishlist-price ms-1">${LibraryView.formatPrice(wishlist.price)}</span>` : ''}
+                ${wishlist.store ? `<div class="wishlist-store mt-1">Buy at ${LibraryView.createStoreLink(wishlist.store)}</div>` : ''}
+            </div>` : '';
+        
+        // Wishlist books are acquired rather than lent
+        const wishlistOrLoanButton = wishlist ? `
+            <button class="btn btn-toggle" data-action="acquire" data-book-id="${book.id}">
+                <i class="bi bi-bag-check me-1"></i>
+                Acquired
+            </button>` : `
+            <button class="btn btn-progress" data-action="loan" data-book-id="${book.id}">
+                <i class="bi bi-${loan ? 'box-arrow-in-down-left' : 'box-arrow-up-right'} me-1"></i>
+                ${loan ? 'Return from Loan' : 'Lend Book'}
+            </button>`;
+        
+        const reviewExcerpt = MarkdownUtils.toPlainText(book.review);
+        const annotationCount = book.notes.length + book.quotes.length + (book.review ? 1 : 0);
+        
+        const authors = book.getAuthors();
+        const credits = Object.entries(LibraryView.CREDIT_LABELS)
+            .map(([role, label]) => {
+                const names = book.getContributors(role).map(({ name }) => LibraryView.createPersonLink(name));
+                return names.length > 0 ? `${label} ${names.join(', ')}` : '';
+            })
+            .filter(Boolean)
+            .join(' &middot; ');
+        
+        const statusIcons = {
+            [Book.STATUS.TO_READ]: 'clock',
+            [Book.STATUS.READING]: 'hourglass-split',
+            [Book.STATUS.FINISHED]: 'check-circle'
+        };
+        
+        const progressPercent = book.getProgressPercent();
+        const progressDisplay = `
+            <div class="reading-progress mb-3">
+                <div class="d-flex justify-content-between">
+                    <small class="text-muted">Progress</small>
+                    <small class="text-muted">${book.getProgressLabel()}</small>
+                </div>
+                <div class="progress" role="progressbar" aria-label="Reading progress"
+                     aria-valuenow="${progressPercent}" aria-valuemin="0" aria-valuemax="100">
+                    <div class="progress-bar" style="width: ${progressPercent}%"></div>
+                </div>
+            </div>
+        `;
+        
+        // With only the default shelf there is nothing to choose between
+        const shelfChips = shelves.length < 2 ? '' : shelves
+            .filter(shelf => book.isOnShelf(shelf.id))
+            .map(shelf => `<span class="badge shelf-chip me-1">${HTMLUtils.escapeHtml(shelf.name)}</span>`)
+            .join('');
+        
+        const shelfMenu = shelves.length > 1 ? `
+            <div class="dropdown">
+                <button class="btn btn-progress dropdown-toggle w-100" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+                    <i class="bi bi-bookshelf me-1"></i>
+                    Shelves
+                </button>
+                <ul class="dropdown-menu w-100">
+                    ${shelves.map(shelf => `
+                        <li>
+                            <button type="button" class="dropdown-item" data-action="toggle-shelf"
+                                    data-book-id="${book.id}" data-shelf-id="${shelf.id}">
+                                <i class="bi bi-${book.isOnShelf(shelf.id) ? 'check-square' : 'square'} me-2"></i>
+                                ${HTMLUtils.escapeHtml(shelf.name)}
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : '';
+        
         const cardContent = `
-            <div class="card book-card ${book.read ? 'read' : 'unread'}" data-book-id="${book.id}">
+            <div class="card book-card ${book.read ? 'read' : 'unread'}${wishlist ? ' wishlist' : ''}${overdue ? ' overdue' : ''}${selected ? ' selected' : ''}" data-book-id="${book.id}">
                 <div class="card-body">
-                    <h5 class="book-title">${HTMLUtils.escapeHtml(book.title)}</h5>
-                    <p class="book-author">by ${HTMLUtils.escapeHtml(book.author)}</p>
+                    <div class="form-check book-select">
+                        <input class="form-check-input" type="checkbox" data-action="select" data-book-id="${book.id}"
+                               aria-label="Select ${HTMLUtils.escapeHtml(book.title)}" ${selected ? 'checked' : ''}>
+                    </div>
+                    <h5 class="book-title">
+                        <a class="book-link" href="${Router.format({ name: Router.ROUTE.BOOK, bookId: book.id })}">${HTMLUtils.escapeHtml(book.title)}</a>
+                    </h5>
+                    ${book.edition ? `<p class="book-edition mb-1">${HTMLUtils.escapeHtml(book.edition)}</p>` : ''}
+                    ${book.series ? `
+                        <p class="book-series mb-1">
+                            <i class="bi bi-collection me-1"></i><span class="book-series-name">${HTMLUtils.escapeHtml(book.getSeriesLabel())}</span>
+                        </p>` : ''}
+                    ${authors.length > 0 ? `<p class="book-author">by ${authors.map(({ name }) => LibraryView.createPersonLink(name)).join(' &amp; ')}</p>` : ''}
+                    ${credits ? `<p class="book-credits">${credits}</p>` : ''}
                     <p class="book-pages">
-                        <i class="bi bi-file-earmark-text me-1"></i>
-                        ${book.pages} pages
+                        ${book.format ? `
+                            <span class="badge format-badge format-${book.format} me-1">
+                                <i class="bi bi-${LibraryView.FORMAT_ICONS[book.format]} me-1"></i>${book.getFormatLabel()}
+                            </span>` : '<i class="bi bi-file-earmark-text me-1"></i>'}
+                        ${book.getLengthLabel()}
                     </p>
+                    ${book.location ? `
+                        <p class="book-location">
+                            <i class="bi bi-geo-alt me-1"></i>${HTMLUtils.escapeHtml(book.location)}
+                        </p>` : ''}
+                    ${book.isbn ? `<p class="book-isbn" title="ISBN-10: ${book.getISBN10() || 'none'}">ISBN ${book.isbn}</p>` : ''}
+                    ${wishlistDisplay}
                     ${genreDisplay}
+                    ${tagChips ? `<div class="book-tags mb-2">${tagChips}</div>` : ''}
                     ${ratingDisplay}
+                    ${reviewExcerpt ? `
+                        <p class="book-review-excerpt">${HTMLUtils.escapeHtml(LibraryView.truncate(reviewExcerpt, LibraryView.EXCERPT_LENGTH))}</p>` : ''}
+                    ${shelfChips ? `<div class="mb-2">${shelfChips}</div>` : ''}
                     <div class="mb-3">
-                        <span class="badge status-badge ${book.read ? 'status-read' : 'status-unread'}">
-                            <i class="bi bi-${book.read ? 'check-circle' : 'clock'} me-1"></i>
-                            ${book.read ? 'Read' : 'To Read'}
+                        <span class="badge status-badge status-${book.status}">
+                            <i class="bi bi-${statusIcons[book.status]} me-1"></i>
+                            ${book.getStatusLabel()}
                         </span>
+                        ${loanBadge}
                     </div>
+                    ${progressDisplay}
                     <div class="d-grid gap-2">
                         <button class="btn btn-toggle" data-action="toggle-read" data-book-id="${book.id}">
                             <i class="bi bi-${book.read ? 'arrow-counterclockwise' : 'check-circle'} me-1"></i>
                             ${book.read ? 'Mark as Unread' : 'Mark as Read'}
                         </button>
+                        <button class="btn btn-progress" data-action="log-session" data-book-id="${book.id}">
+                            <i class="bi bi-journal-plus me-1"></i>
+                            Log Reading Session
+                        </button>
+                        ${wishlistOrLoanButton}
+                        <button class="btn btn-progress" data-action="details" data-book-id="${book.id}">
+                            <i class="bi bi-journal-text me-1"></i>
+                            Review, Notes &amp; Quotes
+                            ${annotationCount > 0 ? `<span class="badge annotation-count ms-1">${annotationCount}</span>` : ''}
+                        </button>
+                        <button class="btn btn-progress" data-action="edit" data-book-id="${book.id}">
+                            <i class="bi bi-pencil-square me-1"></i>
+                            Edit Book
+                        </button>
+                        ${shelfMenu}
                         <button class="btn btn-remove" data-action="remove" data-book-id="${book.id}">
                             <i class="bi bi-trash me-1"></i>
                             Remove Book
                         </button>
                     </div>
+                    <p class="book-timestamps mt-3 mb-0">
+                        Added ${book.getFormattedDateAdded()}
+                        ${book.dateFinished ? `&middot; Finished ${book.getFormattedDateFinished()}` : ''}
+                        ${book.lastModified ? `&middot; Modified ${book.getFormattedLastModified()}` : ''}
+                    </p>
                 </div>
             </div>
         `;
         
         bookCol.innerHTML = cardContent;
+        
+        // Tags are user text, so put them in the data attributes through the DOM
+        bookCol.querySelectorAll('.book-tags .tag-chip').forEach((chip, index) => {
+            chip.dataset.tag = book.tags[index];
+            chip.title = `Show books tagged ${book.tags[index]}`;
+        });
         return bookCol;
     }
     
+    /**
+     * Create a link to a person's page
+     * @param {string} name - Name as credited
+     * @returns {string} Button markup
+     */
+    static createPersonLink(name) {
+        return `<button type="button" class="person-link" data-action="show-person"
+                        data-person-key="${HTMLUtils.escapeHtml(NameUtils.key(name))}">${HTMLUtils.escapeHtml(name)}</button>`;
+    }
+    
+    /**
+     * Create a link to where a wishlist book can be bought
+     * @param {string} store - Shop name or web address
+     * @returns {string} Link markup for web addresses, escaped text otherwise
+     */
+    static createStoreLink(store) {
+        const text = HTMLUtils.escapeHtml(store);
+        return MarkdownUtils.renderLink(text, text) || text;
+    }
+    
+    /**
+     * Format a price for display
+     * @param {number} price - Price
+     * @returns {string} Price with two decimals in the reader's locale
+     */
+    static formatPrice(price) {
+        return price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+    
+    /**
+     * Render the reading challenge under the statistics
+     * @param {Object|null} progress - Challenge progress, or null if no goal is set
+     */
+    renderGoal(progress) {
+        if (!this.goalPanel) return;
+        
+        if (!progress) {
+            this.goalPanel.innerHTML = `
+                <div class="d-flex align-items-center gap-2">
+                    <span class="stat-label me-auto">No reading goal for ${new Date().getFullYear()} yet</span>
+                    <button type="button" class="btn btn-sm btn-progress" data-goal-action="edit">
+                        <i class="bi bi-trophy me-1"></i>
+                        Set a Goal
+                    </button>
+                </div>
+            `;
+            return;
+        }
+        
+        const amount = value => LibraryView.formatGoalAmount(value, progress.unit);
+        
+        this.goalPanel.innerHTML = `
+            <div class="d-flex align-items-center gap-2 mb-1">
+                <strong class="me-auto">${progress.year} Reading Challenge</strong>
+                <span class="goal-pace goal-${progress.status}">${LibraryView.describePace(progress)}</span>
+                <button type="button" class="btn btn-sm btn-link p-0" data-goal-action="edit" aria-label="Change reading goal">
+                    <i class="bi bi-pencil"></i>
+                </button>
+            </div>
+            <div class="progress" role="progressbar" aria-label="Reading challenge progress"
+                 aria-valuenow="${progress.percent}" aria-valuemin="0" aria-valuemax="100">
+                <div class="progress-bar" style="width: ${progress.percent}%"></div>
+            </div>
+            <div class="d-flex justify-content-between stat-label mt-1">
+                <span>${progress.achieved.toLocaleString()} of ${amount(progress.target)} (${progress.percent}%)</span>
+                ${progress.remaining > 0 && progress.daysLeft > 0
+                    ? `<span>${amount(progress.remaining)} to go, ${progress.daysLeft} day${progress.daysLeft === 1 ? '' : 's'} left</span>`
+                    : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Describe how a challenge is doing against the calendar
+     * @param {Object} progress - Challenge progress
+     * @returns {string} E.g. "3 books behind schedule"
+     */
+    static describePace(progress) {
+        const amount = LibraryView.formatGoalAmount(Math.abs(progress.difference), progress.unit);
+        
+        switch (progress.status) {
+            case ReadingGoal.PACE.COMPLETE:
+                return 'Challenge complete!';
+            case ReadingGoal.PACE.AHEAD:
+                return `${amount} ahead of schedule`;
+            case ReadingGoal.PACE.BEHIND:
+                return `${amount} behind schedule`;
+            default:
+                return 'On schedule';
+        }
+    }
+    
+    /**
+     * Format an amount of a goal's unit, e.g. "1 book" or "250 pages"
+     * @param {number} value - Amount
+     * @param {string} unit - One of ReadingGoal.UNIT values
+     * @returns {string} Amount with the right noun
+     */
+    static formatGoalAmount(value, unit) {
+        if (unit === ReadingGoal.UNIT.PAGES) {
+            return `${value.toLocaleString()} ${value === 1 ? 'page' : 'pages'}`;
+        }
+        return Library.countLabel(value);
+    }
+    
+    /**
+     * Shorten text to a preview, cutting at a word boundary
+     * @param {string} text - Text to shorten
+     * @param {number} length - Most characters to keep
+     * @returns {string} Text, with an ellipsis if it was cut
+     */
+    static truncate(text, length) {
+        if (text.length <= length) return text;
+        
+        const cut = text.slice(0, length);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+    }
+    
+    /**
+     * Reflect the selection on the rendered cards without redrawing them
+     * @param {Set<string>} selectedIds - IDs of the selected books
+     */
+    updateSelection(selectedIds) {
+        if (!this.libraryContainer) return;
+        
+        this.libraryContainer.querySelectorAll('.book-card').forEach(card => {
+            const selected = selectedIds.has(card.dataset.bookId);
+            const checkbox = card.querySelector('[data-action="select"]');
+            
+            card.classList.toggle('selected', selected);
+            if (checkbox) {
+                checkbox.checked = selected;
+            }
+        });
+    }
+    
     /**
      * Update library statistics display
      * @param {Object} stats - Statistics object
+     * @param {Object|null} goalProgress - This year's reading challenge (see ReadingGoal.getProgress), null if no goal is set
      */
-    updateStats(stats) {
+    updateStats(stats, goalProgress = null) {
         if (this.totalBooksElement) {
             this.totalBooksElement.textContent = stats.totalBooks;
         }
@@ -114,17 +529,132 @@ class LibraryView {
         if (this.unreadBooksElement) {
             this.unreadBooksElement.textContent = stats.unreadBooks;
         }
+        if (this.readingBooksElement) {
+            this.readingBooksElement.textContent = stats.readingBooks;
+        }
+        if (this.readPagesElement) {
+            this.readPagesElement.textContent = `${stats.readPages} (${stats.readPercent}%)`;
+        }
+        
+        if (this.formatStatsElement) {
+            this.renderFormatStats(stats);
+        }
+        
+        if (this.wishlistStatsElement) {
+            HTMLUtils.toggleElement(this.wishlistStatsElement, stats.wishlistBooks > 0, 'flex');
+            this.wishlistBooksElement.textContent = stats.wishlistBooks;
+            this.wishlistCostElement.textContent = LibraryView.formatPrice(stats.wishlistCost);
+            this.wishlistCostLabel.textContent = stats.wishlistUnpriced > 0
+                ? `Estimated Cost (${stats.wishlistUnpriced} without a price)`
+                : 'Estimated Cost';
+        }
+        
+        this.renderGoal(goalProgress);
         
         // Show/hide stats container based on whether there are books
         if (this.statsContainer) {
             HTMLUtils.toggleElement(
                 this.statsContainer, 
-                stats.totalBooks > 0, 
+                stats.totalBooks > 0 || stats.wishlistBooks > 0, 
                 'block'
             );
         }
     }
     
+    /**
+     * Show how many books there are in each format, and how much of the
+     * audiobooks has been listened to
+     * @param {Object} stats - Statistics object
+     */
+    renderFormatStats(stats) {
+        const formats = Object.values(Book.FORMAT).filter(format => stats.formatDistribution[format]);
+        HTMLUtils.toggleElement(this.formatStatsElement, formats.length > 0, 'flex');
+        
+        const chips = formats.map(format => `
+            <span class="format-stat">
+                <i class="bi bi-${LibraryView.FORMAT_ICONS[format]} me-1"></i>${Book.FORMAT_LABELS[format]}
+                <strong>${stats.formatDistribution[format]}</strong>
+            </span>
+        `);
+        if (stats.listeningMinutes > 0) {
+            chips.push(`
+                <span class="format-stat">
+                    Listened ${Book.formatDuration(stats.listenedMinutes)} of ${Book.formatDuration(stats.listeningMinutes)}
+                </span>
+            `);
+        }
+        this.formatStatsElement.innerHTML = chips.join('');
+    }
+    
+    /**
+     * Reflect whether the series view is on in its toolbar button
+     * @param {boolean} grouped - Whether series are collapsed into stacks
+     */
+    setSeriesView(grouped) {
+        if (this.seriesViewButton) {
+            this.seriesViewButton.classList.toggle('active', grouped);
+            this.seriesViewButton.setAttribute('aria-pressed', String(grouped));
+        }
+    }
+    
+    /**
+     * Show how many books are lent out on the "On Loan" button
+     * @param {Object} stats - Statistics with onLoanBooks and overdueBooks
+     * @param {boolean} active - Whether the books on loan are being shown
+     */
+    updateLoanButton(stats, active) {
+        if (!this.loansButton) return;
+        
+        this.loansButton.classList.toggle('active', active);
+        this.loansButton.setAttribute('aria-pressed', String(active));
+        this.loanCountElement.style.display = stats.onLoanBooks > 0 ? 'inline-block' : 'none';
+        this.loanCountElement.textContent = String(stats.onLoanBooks);
+        this.loanCountElement.classList.toggle('overdue', stats.overdueBooks > 0);
+        this.loansButton.title = stats.overdueBooks > 0
+            ? `${Library.countLabel(stats.onLoanBooks)} on loan, ${stats.overdueBooks} overdue`
+            : 'Show the books that are lent out';
+    }
+    
+    /**
+     * Reflect whether the wishlist is shown in its toolbar button (with the
+     * number of books on it) and in the empty message
+     * @param {Object} stats - Statistics with wishlistBooks
+     * @param {boolean} active - Whether the wishlist is being shown
+     */
+    updateWishlistButton(stats, active) {
+        if (!this.wishlistButton) return;
+        
+        this.wishlistButton.classList.toggle('active', active);
+        this.wishlistButton.setAttribute('aria-pressed', String(active));
+        this.wishlistCountElement.style.display = stats.wishlistBooks > 0 ? 'inline-block' : 'none';
+        this.wishlistCountElement.textContent = String(stats.wishlistBooks);
+        
+        if (this.emptyTitleElement && this.emptyTextElement) {
+            const message = active ? LibraryView.WISHLIST_EMPTY_MESSAGE : this.libraryEmptyMessage;
+            this.emptyTitleElement.textContent = message.title;
+            this.emptyTextElement.textContent = message.text;
+        }
+    }
+    
+    /**
+     * Enable or disable the undo/redo buttons
+     * @param {Object} historyState - { canUndo, canRedo, undoLabel, redoLabel }
+     */
+    updateHistoryButtons(historyState) {
+        if (this.undoButton) {
+            this.undoButton.disabled = !historyState.canUndo;
+            this.undoButton.title = historyState.canUndo
+                ? `Undo: ${historyState.undoLabel} (Ctrl+Z)`
+                : 'Nothing to undo';
+        }
+        if (this.redoButton) {
+            this.redoButton.disabled = !historyState.canRedo;
+            this.redoButton.title = historyState.canRedo
+                ? `Redo: ${historyState.redoLabel} (Ctrl+Shift+Z)`
+                : 'Nothing to redo';
+        }
+    }
+    
     /**
      * Show empty state message
      */
@@ -211,39 +741,131 @@ class LibraryView {
         }
     }
     
+    /**
+     * Show a query error under the search box
+     * @param {string} message - Error message
+     */
+    showSearchError(message) {
+        if (this.searchInput) {
+            this.searchInput.classList.add('is-invalid');
+        }
+        if (this.searchErrorElement) {
+            this.searchErrorElement.textContent = message;
+            HTMLUtils.toggleElement(this.searchErrorElement, true, 'block');
+        }
+    }
+    
+    /**
+     * Remove the query error under the search box
+     */
+    clearSearchError() {
+        if (this.searchInput) {
+            this.searchInput.classList.remove('is-invalid');
+        }
+        if (this.searchErrorElement) {
+            this.searchErrorElement.textContent = '';
+            this.searchErrorElement.style.display = 'none';
+        }
+    }
+    
     /**
      * Add search highlighting
-     * @param {string} searchTerm - Term to highlight
+     * @param {string|string[]} searchTerms - Term or terms to highlight
      */
-    highlightSearchResults(searchTerm) {
-        if (!searchTerm) return;
+    highlightSearchResults(searchTerms) {
+        const terms = (Array.isArray(searchTerms) ? searchTerms : [searchTerms]).filter(Boolean);
+        if (terms.length === 0) return;
         
         const cards = this.libraryContainer.querySelectorAll('.book-card');
         cards.forEach(card => {
-            const title = card.querySelector('.book-title');
+            // Highlight inside the link so it keeps pointing at the book's page
+            const title = card.querySelector('.book-title .book-link') || card.querySelector('.book-title');
             const author = card.querySelector('.book-author');
+            const people = card.querySelectorAll('.person-link');
+            const series = card.querySelector('.book-series-name');
+            const review = card.querySelector('.book-review-excerpt');
             
             if (title) {
-                this.highlightText(title, searchTerm);
+                this.highlightText(title, terms);
+            }
+            // Highlight names one by one so the links to their pages survive
+            if (people.length > 0) {
+                people.forEach(link => this.highlightText(link, terms));
+            } else if (author) {
+                this.highlightText(author, terms);
             }
-            if (author) {
-                this.highlightText(author, searchTerm);
+            if (series) {
+                this.highlightText(series, terms);
+            }
+            if (review) {
+                this.highlightText(review, terms);
             }
         });
     }
     
     /**
-     * Highlight specific text within an element
+     * Highlight the parts of an element's text matched by the search terms
+     * (including fuzzy and accent-insensitive matches)
      * @param {HTMLElement} element - Element containing text
-     * @param {string} searchTerm - Term to highlight
+     * @param {string[]} terms - Search terms
      */
-    highlightText(element, searchTerm) {
-        const regex = new RegExp(`(${searchTerm})`, 'gi');
+    highlightText(element, terms) {
         const originalText = element.textContent;
-        const highlightedText = originalText.replace(regex, '<mark>$1</mark>');
+        const ranges = terms
+            .flatMap(term => FuzzySearch.findMatches(term, originalText))
+            .sort((a, b) => a[0] - b[0]);
         
-        if (highlightedText !== originalText) {
-            element.innerHTML = highlightedText;
-        }
+        if (ranges.length === 0) return;
+        
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            // Ranges from different terms may overlap
+            if (end <= position) return;
+            const from = Math.max(start, position);
+            html += HTMLUtils.escapeHtml(originalText.slice(position, from));
+            html += `<mark>${HTMLUtils.escapeHtml(originalText.slice(from, end))}</mark>`;
+            position = end;
+        });
+        html += HTMLUtils.escapeHtml(originalText.slice(position));
+        
+        element.innerHTML = html;
     }
 }
+
+/**
+ * Fewest books of a series in view for the series view to stack them
+ */
+LibraryView.MIN_STACK_SIZE = 2;
+
+/**
+ * Credit line wording for the contributors listed under the authors
+ */
+LibraryView.CREDIT_LABELS = Object.freeze({
+    [Book.ROLE.EDITOR]: 'Edited by',
+    [Book.ROLE.TRANSLATOR]: 'Translated by',
+    [Book.ROLE.ILLUSTRATOR]: 'Illustrated by'
+});
+
+/**
+ * Characters of a review shown on its book's card
+ */
+LibraryView.EXCERPT_LENGTH = 140;
+
+/**
+ * Empty message shown while the wishlist is in view
+ */
+LibraryView.WISHLIST_EMPTY_MESSAGE = Object.freeze({
+    title: 'Your wishlist is empty',
+    text: 'Click "Add New Book" and tick "On my wishlist" to plan what to buy next.'
+});
+
+/**
+ * Bootstrap icon shown with each format
+ */
+LibraryView.FORMAT_ICONS = Object.freeze({
+    [Book.FORMAT.HARDCOVER]: 'book',
+    [Book.FORMAT.PAPERBACK]: 'journal',
+    [Book.FORMAT.EBOOK]: 'tablet',
+    [Book.FORMAT.AUDIOBOOK]: 'headphones'
+});
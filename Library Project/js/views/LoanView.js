@@ -0,0 +1,171 @@
+/**
+ * Loan View Class
+ * Handles the modal used to lend a book, mark it as returned and see
+ * who has borrowed it before
+ */
+class LoanView {
+    constructor() {
+        this.modalElement = document.getElementById('loanModal');
+        this.bookId = null; // Book shown in the modal
+        this.initializeElements();
+    }
+    
+    /**
+     * Cache references to the modal's elements
+     */
+    initializeElements() {
+        this.titleElement = document.getElementById('loanBookTitle');
+        this.currentLoanElement = document.getElementById('currentLoan');
+        this.currentLoanDetails = document.getElementById('currentLoanDetails');
+        this.returnForm = document.getElementById('returnForm');
+        this.returnDateInput = document.getElementById('loanReturnDate');
+        this.loanForm = document.getElementById('loanForm');
+        this.borrowerInput = document.getElementById('loanBorrower');
+        this.borrowerSuggestions = document.getElementById('borrowerSuggestions');
+        this.dateLentInput = document.getElementById('loanDateLent');
+        this.dateDueInput = document.getElementById('loanDateDue');
+        this.lendButton = document.getElementById('lendBtn');
+        this.historyElement = document.getElementById('loanHistory');
+    }
+    
+    /**
+     * Open the modal for a book
+     * @param {Book} book - Book to lend or take back
+     * @param {string[]} borrowers - Earlier borrowers, suggested while typing
+     */
+    open(book, borrowers = []) {
+        if (!book || !this.modalElement) return;
+        
+        this.bookId = book.id;
+        this.clearErrors();
+        this.loanForm.reset();
+        
+        const today = new Date();
+        const due = new Date(today.getFullYear(), today.getMonth(), today.getDate() + LoanView.DEFAULT_LOAN_DAYS);
+        this.dateLentInput.value = FormView.toDateInputValue(today);
+        this.dateDueInput.value = FormView.toDateInputValue(due);
+        this.returnDateInput.value = FormView.toDateInputValue(today);
+        this.borrowerSuggestions.replaceChildren(...borrowers.map(name => HTMLUtils.createElement('option', { value: name })));
+        this.render(book);
+        
+        const modal = bootstrap.Modal.getOrCreateInstance(this.modalElement);
+        modal.show();
+    }
+    
+    /**
+     * Check whether the modal is showing a book
+     * @returns {boolean} True while the modal is open
+     */
+    isOpen() {
+        // bookId is cleared when the modal has finished hiding (see LibraryController.bindLoanEvents)
+        return Boolean(this.bookId);
+    }
+    
+    /**
+     * Hide the modal
+     */
+    hideModal() {
+        if (this.modalElement) {
+            const modal = bootstrap.Modal.getInstance(this.modalElement);
+            if (modal) {
+                modal.hide();
+            }
+        }
+    }
+    
+    /**
+     * Show the current loan (or the lending form) and the loan history
+     * @param {Book} book - Book shown
+     */
+    render(book) {
+        if (!book || !this.modalElement) return;
+        
+        const current = book.getCurrentLoan();
+        this.titleElement.textContent = book.title;
+        
+        this.currentLoanElement.style.display = current ? 'block' : 'none';
+        this.currentLoanElement.classList.toggle('overdue', book.isOverdue());
+        this.loanForm.style.display = current ? 'none' : 'block';
+        this.lendButton.style.display = current ? 'none' : 'inline-block';
+        if (current) {
+            this.currentLoanDetails.textContent =
+                `Lent to ${current.borrower} on ${current.dateLent.toLocaleDateString()}, ${LoanView.describeDue(book)}.`;
+            this.returnDateInput.min = FormView.toDateInputValue(current.dateLent);
+        }
+        
+        const history = book.getLoanHistory().filter(loan => loan.dateReturned);
+        this.historyElement.replaceChildren(...history.map(loan => HTMLUtils.createElement('li', {},
+            `<strong>${HTMLUtils.escapeHtml(loan.borrower)}</strong>
+             <span class="loan-dates">${loan.dateLent.toLocaleDateString()} – ${loan.dateReturned.toLocaleDateString()}</span>`)));
+        if (history.length === 0) {
+            this.historyElement.innerHTML = '<li class="annotation-empty">Not lent out before.</li>';
+        }
+    }
+    
+    /**
+     * Get the loan being recorded
+     * @returns {Object} { borrower, dateLent, dateDue }
+     */
+    getLoanData() {
+        return {
+            borrower: this.borrowerInput.value,
+            dateLent: this.dateLentInput.value || new Date(),
+            dateDue: this.dateDueInput.value
+        };
+    }
+    
+    /**
+     * Get the day the book came back
+     * @returns {string|Date} Date input value, or today if empty
+     */
+    getReturnDate() {
+        return this.returnDateInput.value || new Date();
+    }
+    
+    /**
+     * Show an error message inside the modal
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.clearErrors();
+        
+        const alert = HTMLUtils.createElement('div', {
+            className: 'alert alert-danger',
+            role: 'alert'
+        }, HTMLUtils.escapeHtml(message));
+        
+        this.modalElement.querySelector('.modal-body').prepend(alert);
+    }
+    
+    /**
+     * Remove error messages from the modal
+     */
+    clearErrors() {
+        const alerts = this.modalElement.querySelectorAll('.alert');
+        alerts.forEach(alert => alert.remove());
+    }
+    
+    /**
+     * Describe when a lent book is due back
+     * @param {Book} book - Book on loan
+     * @param {Date} [today] - Day to count from
+     * @returns {string} e.g. "due 10/3/2026", "due today" or "3 days overdue"
+     */
+    static describeDue(book, today = new Date()) {
+        const current = book.getCurrentLoan();
+        if (!current) return '';
+        
+        const daysOverdue = book.getDaysOverdue(today);
+        if (daysOverdue > 0) {
+            return `${daysOverdue} ${daysOverdue === 1 ? 'day' : 'days'} overdue`;
+        }
+        return current.dateDue.getTime() === Book.startOfDay(today).getTime()
+            ? 'due today'
+            : `due ${current.dateDue.toLocaleDateString()}`;
+    }
+}
+
+/**
+ * Days a loan lasts unless another due date is picked
+ */
+LoanView.DEFAULT_LOAN_DAYS = 14;
@@ -0,0 +1,44 @@
+/**
+ * Person View Class
+ * Renders the header of a person's page: who they are, how they are
+ * credited and how many of their books have been read. The books
+ * themselves are listed in the library grid below it.
+ */
+class PersonView {
+    constructor() {
+        this.panelElement = document.getElementById('personPanel');
+        this.nameElement = document.getElementById('personName');
+        this.detailsElement = document.getElementById('personDetails');
+        this.closeButton = document.getElementById('closePersonBtn');
+    }
+    
+    /**
+     * Show a person's page header, or hide it
+     * @param {Object|null} person - Person from Library.getPerson(), or null to hide the header
+     */
+    render(person) {
+        if (!this.panelElement) return;
+        
+        if (!person) {
+            this.panelElement.style.display = 'none';
+            return;
+        }
+        
+        this.nameElement.textContent = person.name;
+        
+        const roles = person.roles
+            .map(({ role, books }) => `${Book.ROLE_LABELS[role]} of ${Library.countLabel(books.length)}`)
+            .join(' · ');
+        const otherSpellings = person.variants.filter(variant => variant !== person.name);
+        
+        this.detailsElement.innerHTML = `
+            <p class="mb-1">${HTMLUtils.escapeHtml(roles)}</p>
+            <p class="person-meta mb-0">
+                ${person.finished} of ${Library.countLabel(person.books.length)} read
+                &middot; Indexed as ${HTMLUtils.escapeHtml(person.sortName)}
+                ${otherSpellings.length > 0 ? `&middot; Also credited as ${HTMLUtils.escapeHtml(otherSpellings.join(', '))}` : ''}
+            </p>
+        `;
+        this.panelElement.style.display = 'block';
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Reading Session View Class
+ * Handles the modal used to log a reading session for a book
+ */
+class ReadingSessionView {
+    constructor() {
+        this.formElement = document.getElementById('readingSessionForm');
+        this.modalElement = document.getElementById('readingSessionModal');
+        this.initializeForm();
+    }
+    
+    /**
+     * Cache references to form elements
+     */
+    initializeForm() {
+        this.bookIdInput = document.getElementById('sessionBookId');
+        this.bookTitleElement = document.getElementById('sessionBookTitle');
+        this.dateInput = document.getElementById('sessionDate');
+        this.startPageInput = document.getElementById('sessionStartPage');
+        this.endPageInput = document.getElementById('sessionEndPage');
+        this.startLabel = document.getElementById('sessionStartLabel');
+        this.endLabel = document.getElementById('sessionEndLabel');
+        this.minutesInput = document.getElementById('sessionMinutes');
+    }
+    
+    /**
+     * Open the modal prefilled for a book
+     * @param {Book} book - Book the session is logged for
+     */
+    open(book) {
+        if (!book || !this.formElement) return;
+        
+        this.resetForm();
+        
+        this.bookIdInput.value = book.id;
+        this.bookTitleElement.textContent = book.title;
+        this.dateInput.value = FormView.toDateInputValue(new Date());
+        this.startPageInput.value = book.currentPage;
+        this.startPageInput.max = book.getLength();
+        this.endPageInput.min = book.currentPage;
+        this.endPageInput.max = book.getLength();
+        
+        // Audiobook sessions run from one minute of the recording to another
+        const unit = book.isAudiobook() ? 'Minute' : 'Page';
+        this.startLabel.textContent = `Start ${unit}`;
+        this.endLabel.textContent = `End ${unit} *`;
+        
+        const modal = bootstrap.Modal.getOrCreateInstance(this.modalElement);
+        modal.show();
+        
+        setTimeout(() => {
+            this.endPageInput.focus();
+        }, 150); // Wait for modal animation
+    }
+    
+    /**
+     * Hide the modal
+     */
+    hideModal() {
+        if (this.modalElement) {
+            const modal = bootstrap.Modal.getInstance(this.modalElement);
+            if (modal) {
+                modal.hide();
+            }
+        }
+    }
+    
+    /**
+     * Get session data from the form
+     * @returns {Object|null} Book ID and session data
+     */
+    getFormData() {
+        if (!this.formElement) return null;
+        
+        const formData = new FormData(this.formElement);
+        
+        return {
+            bookId: formData.get('bookId'),
+            session: {
+                date: formData.get('date') || new Date(),
+                startPage: parseInt(formData.get('startPage')),
+                endPage: parseInt(formData.get('endPage')),
+                minutes: parseInt(formData.get('minutes')) || 0
+            }
+        };
+    }
+    
+    /**
+     * Show an error message inside the modal
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.clearErrors();
+        
+        const alert = HTMLUtils.createElement('div', {
+            className: 'alert alert-danger',
+            role: 'alert'
+        }, HTMLUtils.escapeHtml(message));
+        
+        this.modalElement.querySelector('.modal-body').prepend(alert);
+    }
+    
+    /**
+     * Remove error messages from the modal
+     */
+    clearErrors() {
+        const alerts = this.modalElement.querySelectorAll('.alert');
+        alerts.forEach(alert => alert.remove());
+    }
+    
+    /**
+     * Reset form to initial state
+     */
+    resetForm() {
+        if (this.formElement) {
+            this.formElement.reset();
+            this.clearErrors();
+        }
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Scan View Class
+ * Handles the "add by barcode" section of the book form modal: the photo
+ * picker and the list of scanned barcodes waiting to be added
+ */
+class ScanView {
+    constructor() {
+        this.sectionElement = document.getElementById('barcodeScan');
+        this.fileInput = document.getElementById('barcodeInput');
+        this.queueElement = document.getElementById('scanQueue');
+        this.entries = [];
+        this.nextEntryId = 1;
+    }
+    
+    /**
+     * Show the section when adding books and hide it when editing
+     * @param {boolean} visible - Whether the section is shown
+     */
+    setVisible(visible) {
+        if (this.sectionElement) {
+            this.sectionElement.style.display = visible ? '' : 'none';
+        }
+    }
+    
+    /**
+     * Add a photo that is about to be scanned to the list
+     * @param {string} fileName - Name of the photo
+     * @returns {Object} Entry of { id, fileName, status, isbn, suggestion, message }
+     */
+    addEntry(fileName) {
+        const entry = {
+            id: String(this.nextEntryId++),
+            fileName,
+            status: ScanView.STATUS.SCANNING,
+            isbn: '',
+            suggestion: null,
+            message: ''
+        };
+        
+        this.entries.push(entry);
+        this.render();
+        return entry;
+    }
+    
+    /**
+     * Update an entry and redraw the list
+     * @param {Object} entry - Entry to update
+     * @param {Object} changes - Fields to change
+     */
+    updateEntry(entry, changes) {
+        Object.assign(entry, changes);
+        this.render();
+    }
+    
+    /**
+     * Find an entry
+     * @param {string} entryId - Entry ID
+     * @returns {Object|null} Entry or null
+     */
+    findEntry(entryId) {
+        return this.entries.find(entry => entry.id === entryId) || null;
+    }
+    
+    /**
+     * Remove an entry from the list
+     * @param {string} entryId - Entry ID
+     */
+    removeEntry(entryId) {
+        this.entries = this.entries.filter(entry => entry.id !== entryId);
+        this.render();
+    }
+    
+    /**
+     * Remove the entries for a book once it has been added
+     * @param {string} isbn - ISBN-13 of the added book
+     */
+    removeByISBN(isbn) {
+        if (!isbn) return;
+        
+        this.entries = this.entries.filter(entry => entry.isbn !== isbn);
+        this.render();
+    }
+    
+    /**
+     * Clear the photo picker so the same photos can be chosen again
+     */
+    resetInput() {
+        if (this.fileInput) {
+            this.fileInput.value = '';
+        }
+    }
+    
+    /**
+     * Render the list of scanned barcodes
+     */
+    render() {
+        if (!this.queueElement) return;
+        
+        if (this.entries.length === 0) {
+            this.queueElement.innerHTML = '';
+            this.queueElement.style.display = 'none';
+            return;
+        }
+        
+        this.queueElement.innerHTML = this.entries.map(entry => {
+            const label = entry.suggestion
+                ? `${HTMLUtils.escapeHtml(entry.suggestion.title)} <span class="text-muted">by ${HTMLUtils.escapeHtml(entry.suggestion.author)}</span>`
+                : HTMLUtils.escapeHtml(entry.isbn ? `ISBN ${entry.isbn}` : entry.fileName);
+            const detail = entry.message || (entry.suggestion ? `ISBN ${entry.isbn}` : '');
+            const canUse = entry.status === ScanView.STATUS.FOUND;
+            
+            return `
+                <div class="list-group-item d-flex align-items-center gap-2 scan-entry scan-${entry.status}">
+                    <i class="bi bi-${ScanView.STATUS_ICONS[entry.status]}" aria-hidden="true"></i>
+                    <div class="flex-grow-1 small">
+                        <div>${label}</div>
+                        ${detail ? `<div class="text-muted">${HTMLUtils.escapeHtml(detail)}</div>` : ''}
+                    </div>
+                    ${canUse ? `
+                        <button type="button" class="btn btn-sm btn-outline-primary" data-scan-action="use" data-scan-id="${entry.id}">
+                            Fill form
+                        </button>` : ''}
+                    ${entry.status !== ScanView.STATUS.SCANNING ? `
+                        <button type="button" class="btn btn-sm btn-link text-muted" data-scan-action="remove" data-scan-id="${entry.id}"
+                                aria-label="Remove from list">
+                            <i class="bi bi-x-lg"></i>
+                        </button>` : ''}
+                </div>
+            `;
+        }).join('');
+        this.queueElement.style.display = 'block';
+    }
+}
+
+/**
+ * States of a scanned photo
+ */
+ScanView.STATUS = Object.freeze({
+    SCANNING: 'scanning',
+    FOUND: 'found',
+    DUPLICATE: 'duplicate',
+    FAILED: 'failed'
+});
+
+/**
+ * Bootstrap icon for each scan state
+ */
+ScanView.STATUS_ICONS = Object.freeze({
+    [ScanView.STATUS.SCANNING]: 'hourglass-split',
+    [ScanView.STATUS.FOUND]: 'upc-scan',
+    [ScanView.STATUS.DUPLICATE]: 'check2-circle',
+    [ScanView.STATUS.FAILED]: 'exclamation-triangle'
+});
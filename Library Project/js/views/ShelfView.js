@@ -0,0 +1,64 @@
+/**
+ * Shelf View Class
+ * Renders the shelf navigation and the prompts used to manage shelves
+ */
+class ShelfView {
+    constructor() {
+        this.navElement = document.getElementById('shelfNav');
+        this.newShelfButton = document.getElementById('newShelfBtn');
+        this.renameShelfButton = document.getElementById('renameShelfBtn');
+        this.deleteShelfButton = document.getElementById('deleteShelfBtn');
+    }
+    
+    /**
+     * Render one pill per shelf plus an "All Books" pill
+     * @param {Object[]} shelfStatistics - Array of { shelf, statistics } from Library.getShelfStatistics
+     * @param {number} totalBooks - Number of books in the whole library
+     * @param {string|null} currentShelfId - Selected shelf ID (null for all books)
+     */
+    render(shelfStatistics, totalBooks, currentShelfId) {
+        if (!this.navElement) return;
+        
+        const pill = (shelfId, name, count) => `
+            <li class="nav-item">
+                <button type="button" class="nav-link ${shelfId === currentShelfId ? 'active' : ''}"
+                        data-shelf-id="${shelfId || ''}">
+                    ${HTMLUtils.escapeHtml(name)}
+                    <span class="badge shelf-count ms-1">${count}</span>
+                </button>
+            </li>
+        `;
+        
+        this.navElement.innerHTML = [
+            pill(null, 'All Books', totalBooks),
+            ...shelfStatistics.map(({ shelf, statistics }) => pill(shelf.id, shelf.name, statistics.totalBooks))
+        ].join('');
+        
+        // Only user-created shelves can be renamed or deleted from here
+        const canEdit = currentShelfId !== null && currentShelfId !== Library.DEFAULT_SHELF_ID;
+        if (this.renameShelfButton) this.renameShelfButton.disabled = currentShelfId === null;
+        if (this.deleteShelfButton) this.deleteShelfButton.disabled = !canEdit;
+    }
+    
+    /**
+     * Ask the user for a shelf name
+     * @param {string} currentName - Name to prefill
+     * @returns {string|null} Entered name, or null if cancelled
+     */
+    promptShelfName(currentName = '') {
+        const name = prompt('Shelf name:', currentName);
+        return name === null ? null : name.trim();
+    }
+    
+    /**
+     * Ask the user to confirm deleting a shelf
+     * @param {Shelf} shelf - Shelf to delete
+     * @returns {boolean} True if confirmed
+     */
+    confirmDelete(shelf) {
+        return confirm(
+            `Delete the shelf "${shelf.name}"?\n\n` +
+            'Its books stay in your library; books on no other shelf move to the default shelf.'
+        );
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Sort View Class
+ * Renders the sort builder: one row per sort key (field and direction),
+ * with buttons to add a tie-breaking key, remove one or go back to the
+ * default sort
+ */
+class SortView {
+    constructor() {
+        this.barElement = document.getElementById('sortBar');
+        this.keysElement = document.getElementById('sortKeys');
+        this.addButton = document.getElementById('addSortKeyBtn');
+        this.resetButton = document.getElementById('resetSortBtn');
+    }
+    
+    /**
+     * Show the sort keys in use
+     * @param {Object[]} keys - Sort keys { field, order }, most significant first
+     */
+    render(keys) {
+        if (!this.keysElement) return;
+        
+        this.keysElement.replaceChildren(...keys.map((key, index) => this.createKeyElement(key, index, keys)));
+        
+        if (this.addButton) {
+            this.addButton.disabled = keys.length >= Library.MAX_SORT_KEYS ||
+                keys.length >= Object.keys(Library.SORT_FIELDS).length;
+        }
+        if (this.resetButton) {
+            this.resetButton.disabled = Library.isDefaultSort(keys);
+        }
+    }
+    
+    /**
+     * Create the controls of one sort key
+     * @param {Object} key - Sort key { field, order }
+     * @param {number} index - Position of the key (0 is the main sort)
+     * @param {Object[]} keys - All sort keys, so each field is offered only once
+     * @returns {HTMLElement} Key element
+     */
+    createKeyElement({ field, order }, index, keys) {
+        const descending = order === 'desc';
+        const levelLabel = index === 0 ? 'Sort by' : 'Then by';
+        const options = Object.entries(Library.SORT_FIELDS)
+            .filter(([name]) => name === field || !keys.some(key => key.field === name))
+            .map(([name, { label }]) => `
+                <option value="${name}"${name === field ? ' selected' : ''}>${HTMLUtils.escapeHtml(label)}</option>
+            `).join('');
+        
+        return HTMLUtils.createElement('div', {
+            className: 'sort-key input-group input-group-sm',
+            'data-sort-index': String(index)
+        }, `
+            <span class="input-group-text">${levelLabel}</span>
+            <select class="form-select" data-sort-role="field" aria-label="${levelLabel}">${options}</select>
+            <button type="button" class="btn btn-outline-secondary" data-sort-action="order"
+                    data-order="${descending ? 'desc' : 'asc'}" title="${descending ? 'Descending' : 'Ascending'}; click to reverse">
+                <i class="bi bi-sort-${descending ? 'down' : 'up'}"></i>
+                <span class="visually-hidden">${descending ? 'Descending' : 'Ascending'}</span>
+            </button>
+            ${keys.length > 1 ? `
+                <button type="button" class="btn btn-outline-secondary" data-sort-action="remove" title="Remove this sort key">
+                    <i class="bi bi-x-lg"></i>
+                    <span class="visually-hidden">Remove</span>
+                </button>` : ''}
+        `);
+    }
+    
+    /**
+     * Read the sort keys as currently shown in the builder
+     * @returns {Object[]} Sort keys { field, order }
+     */
+    getSortKeys() {
+        if (!this.keysElement) return [];
+        
+        return [...this.keysElement.querySelectorAll('.sort-key')].map(keyElement => ({
+            field: keyElement.querySelector('[data-sort-role="field"]').value,
+            order: keyElement.querySelector('[data-sort-action="order"]').getAttribute('data-order')
+        }));
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * Tag View Class
+ * Renders the tag cloud used to filter books by one or more tags, with
+ * the all/any toggle and the prompts used to rename and merge tags
+ */
+class TagView {
+    constructor() {
+        this.panelElement = document.getElementById('tagCloud');
+        this.listElement = document.getElementById('tagCloudList');
+        this.modeElement = document.getElementById('tagModeToggle');
+        this.renameButton = document.getElementById('renameTagsBtn');
+        this.clearButton = document.getElementById('clearTagsBtn');
+    }
+    
+    /**
+     * Render one chip per tag, sized by how many books have it
+     * @param {Object} tagDistribution - Map of tag to number of books, from Library.getStatistics()
+     * @param {string[]} selectedTags - Tags the books are filtered by
+     * @param {string} mode - Library.TAG_MODE value
+     */
+    render(tagDistribution, selectedTags, mode) {
+        if (!this.panelElement) return;
+        
+        const selectedKeys = new Set(selectedTags.map(tag => Book.getTagKey(tag)));
+        const tags = Object.entries(tagDistribution).map(([name, count]) => ({ name, count }));
+        
+        // Selected tags stay visible (to be cleared) even when the shelf has no books with them
+        selectedTags
+            .filter(tag => !tags.some(({ name }) => Book.getTagKey(name) === Book.getTagKey(tag)))
+            .forEach(tag => tags.push({ name: tag, count: 0 }));
+        tags.sort((a, b) => Library.NATURAL_COLLATOR.compare(a.name, b.name));
+        
+        this.panelElement.style.display = tags.length > 0 ? 'block' : 'none';
+        
+        const max = Math.max(...tags.map(({ count }) => count), 1);
+        this.listElement.replaceChildren(...tags.map(({ name, count }) => {
+            const selected = selectedKeys.has(Book.getTagKey(name));
+            const chip = HTMLUtils.createElement('button', {
+                type: 'button',
+                className: `tag-chip tag-size-${TagView.getSize(count, max)}${selected ? ' active' : ''}`,
+                'aria-pressed': String(selected),
+                'data-tag': name,
+                title: `${name}: ${Library.countLabel(count)}`
+            });
+            
+            chip.append(`#${name}`, HTMLUtils.createElement('span', { className: 'tag-count' }, String(count)));
+            return chip;
+        }));
+        
+        if (this.modeElement) {
+            this.modeElement.querySelectorAll('[data-tag-mode]').forEach(button => {
+                const active = button.getAttribute('data-tag-mode') === mode;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+        }
+        if (this.renameButton) this.renameButton.disabled = selectedTags.length === 0;
+        if (this.clearButton) this.clearButton.disabled = selectedTags.length === 0;
+    }
+    
+    /**
+     * Ask the user for the new name of the selected tags
+     * @param {string[]} tags - Tags to rename
+     * @returns {string|null} Entered name, or null if cancelled
+     */
+    promptTagName(tags) {
+        const name = tags.length === 1
+            ? prompt(`Rename the tag "${tags[0]}" on every book to:`, tags[0])
+            : prompt(`Merge the tags ${tags.map(tag => `"${tag}"`).join(', ')} into:`, tags[0]);
+        return name === null ? null : name.trim();
+    }
+    
+    /**
+     * Ask the user to confirm renaming tags to a tag that already exists
+     * @param {string[]} tags - Tags being renamed
+     * @param {string} existingTag - Tag they would be merged into
+     * @returns {boolean} True if confirmed
+     */
+    confirmMerge(tags, existingTag) {
+        return confirm(
+            `"${existingTag}" is already a tag.\n\n` +
+            `Merge ${tags.map(tag => `"${tag}"`).join(', ')} into it? Undo reverts the merge.`
+        );
+    }
+    
+    /**
+     * Size step of a tag chip in the cloud
+     * @param {number} count - Books with the tag
+     * @param {number} max - Books with the most common tag
+     * @returns {number} Step from 1 (rarest) to TagView.SIZES (most common)
+     */
+    static getSize(count, max) {
+        return Math.max(1, Math.ceil((count / max) * TagView.SIZES));
+    }
+}
+
+/**
+ * Number of .tag-size-N steps defined in the stylesheet
+ */
+TagView.SIZES = 5;